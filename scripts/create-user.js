@@ -3,17 +3,24 @@
 /**
  * Script to create a new user in the Capuzzella database
  * 
- * Usage: bun run scripts/create-user.js <username> <password>
+ * Usage: bun run scripts/create-user.js <username> <password> [role]
+ *
+ * role is one of viewer, editor, publisher, admin (default: editor)
  */
 
 import { getDb, closeDb } from '../src/db/index.js';
-import { createUser, usernameExists } from '../src/services/auth.js';
+import { createUser, isValidRole, ROLES, usernameExists } from '../src/services/auth.js';
 
 async function main() {
-  const [,, username, password] = process.argv;
+  const [,, username, password, role = 'editor'] = process.argv;
   
   if (!username || !password) {
-    console.error('Usage: bun run scripts/create-user.js <username> <password>');
+    console.error('Usage: bun run scripts/create-user.js <username> <password> [role]');
+    process.exit(1);
+  }
+
+  if (!isValidRole(role)) {
+    console.error(`Error: Role must be one of ${ROLES.join(', ')}`);
     process.exit(1);
   }
   
@@ -33,11 +40,12 @@ async function main() {
     }
     
     // Create the user
-    const user = await createUser(username, password);
+    const user = await createUser(username, password, false, role);
     
     console.log(`✓ User created successfully!`);
     console.log(`  ID: ${user.id}`);
     console.log(`  Username: ${user.username}`);
+    console.log(`  Role: ${user.role}`);
     
   } catch (error) {
     console.error('Error creating user:', error.message);
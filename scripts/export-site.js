@@ -0,0 +1,67 @@
+#!/usr/bin/env bun
+
+/**
+ * Script to export the published site as an archive for static hosting
+ * 
+ * Usage: bun run scripts/export-site.js [--format zip|tar.gz] [--clean-urls] [--out <path>]
+ */
+
+import { loadManifest } from '../src/services/asset-manifest.js';
+import { EXPORT_FORMATS, exportSite } from '../src/services/export.js';
+
+const USAGE = 'Usage: bun run scripts/export-site.js [--format zip|tar.gz] [--clean-urls] [--out <path>]';
+
+function parseArgs(args) {
+  const options = { format: 'zip', cleanUrls: false, out: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--clean-urls') {
+      options.cleanUrls = true;
+    } else if (arg === '--out') {
+      options.out = args[++i];
+    } else {
+      return null;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options || !options.format || options.out === undefined) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (!EXPORT_FORMATS[options.format]) {
+    console.error(`Error: Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await loadManifest();
+
+    const { data, filename, fileCount } = await exportSite(options);
+    const out = options.out || filename;
+    await Bun.write(out, data);
+
+    console.log(`✓ Site exported successfully!`);
+    console.log(`  File: ${out}`);
+    console.log(`  Files: ${fileCount}`);
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.error('Error: Nothing has been published yet');
+    } else {
+      console.error('Error exporting site:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -9,7 +9,10 @@ const SALT_ROUNDS = 10;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DB_PATH = path.join(__dirname, '../../data/db/capuzzella.db');
+// DB_PATH points elsewhere, e.g. a throwaway database for the tests
+const DB_PATH = process.env.DB_PATH
+  ? path.resolve(process.env.DB_PATH)
+  : path.join(__dirname, '../../data/db/capuzzella.db');
 
 let db = null;
 
@@ -48,6 +51,33 @@ function initializeSchema() {
   const schema = fs.readFileSync(schemaPath, 'utf-8');
 
   db.exec(schema);
+
+  migrateSchema();
+}
+
+/**
+ * Columns added after a table was first released. CREATE TABLE IF NOT EXISTS
+ * leaves existing tables untouched, so these are added to older databases here.
+ * Fresh databases already get them from schema.sql.
+ */
+const ADDED_COLUMNS = [
+  // Users from before roles existed could do everything, so they become admins
+  { table: 'users', column: 'role', definition: "TEXT NOT NULL DEFAULT 'admin'" },
+  { table: 'users', column: 'disabled', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'users', column: 'totp_secret', definition: 'TEXT' },
+  { table: 'users', column: 'totp_last_step', definition: 'INTEGER' }
+];
+
+/**
+ * Add any columns from ADDED_COLUMNS that are missing in an existing database
+ */
+function migrateSchema() {
+  for (const { table, column, definition } of ADDED_COLUMNS) {
+    const columns = db.query(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
 }
 
 /**
@@ -65,7 +95,7 @@ async function seedDefaultUser() {
     });
 
     // Set must_change_password = 1 for generated passwords
-    db.query('INSERT INTO users (username, password_hash, must_change_password) VALUES (?, ?, 1)').run(username, passwordHash);
+    db.query("INSERT INTO users (username, password_hash, must_change_password, role) VALUES (?, ?, 1, 'admin')").run(username, passwordHash);
 
     console.log('');
     console.log('='.repeat(50));
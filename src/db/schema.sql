@@ -4,9 +4,145 @@ CREATE TABLE IF NOT EXISTS users (
   username TEXT UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
   must_change_password INTEGER DEFAULT 0,
+  role TEXT NOT NULL DEFAULT 'viewer',
+  disabled INTEGER NOT NULL DEFAULT 0,
+  totp_secret TEXT,
+  totp_last_step INTEGER,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Index for username lookup
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+
+-- Page revisions: every saved version of a draft page
+CREATE TABLE IF NOT EXISTS page_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  page_path TEXT NOT NULL,
+  html TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  source TEXT NOT NULL,
+  prompt TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  author TEXT,
+  parent_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for per-page history lookup
+CREATE INDEX IF NOT EXISTS idx_page_revisions_page_path ON page_revisions(page_path, id);
+
+-- Edit stack position: the revision currently in the draft (moved by undo/redo)
+CREATE TABLE IF NOT EXISTS page_edit_cursors (
+  page_path TEXT PRIMARY KEY,
+  revision_id INTEGER NOT NULL REFERENCES page_revisions(id) ON DELETE CASCADE
+);
+
+-- AI chat conversations, one thread per user and page
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  page_path TEXT NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for listing a user's threads on a page
+CREATE INDEX IF NOT EXISTS idx_conversations_user_page ON conversations(user_id, page_path, updated_at);
+
+-- Messages of a conversation: the content sent to the AI provider plus the text shown in the sidebar
+CREATE TABLE IF NOT EXISTS conversation_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,
+  content TEXT NOT NULL,
+  display_text TEXT NOT NULL,
+  revision_id INTEGER REFERENCES page_revisions(id) ON DELETE SET NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for reading a conversation in order
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id, id);
+
+-- Scheduled publishes and unpublishes, run by the publish scheduler
+CREATE TABLE IF NOT EXISTS publish_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  page_path TEXT,
+  run_at DATETIME NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  error TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  author TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME
+);
+
+-- Index for finding due jobs
+CREATE INDEX IF NOT EXISTS idx_publish_jobs_status_run_at ON publish_jobs(status, run_at);
+
+-- Snapshots of the public site taken after every publish, unpublish and rollback.
+-- The page files, sitemap and asset manifest are kept in data/snapshots/<id>/.
+CREATE TABLE IF NOT EXISTS publish_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  pages TEXT NOT NULL,
+  changes TEXT NOT NULL,
+  page_count INTEGER NOT NULL,
+  restored_from INTEGER,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  author TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Site-wide settings edited on /settings (site title, base URL, default language, ...,
+-- and the two-factor authentication policy)
+CREATE TABLE IF NOT EXISTS site_settings (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit trail of content, publish, auth and admin actions (see services/audit.js).
+-- user_id/author/ip are who did it and from where; target is what it was done to,
+-- e.g. a page path or username. before_hash/after_hash are SHA-256 hashes of the
+-- page before and after a change.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL,
+  target TEXT,
+  details TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  author TEXT,
+  ip TEXT,
+  before_hash TEXT,
+  after_hash TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for filtering the audit log by action and by page or user acted on
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target, id);
+
+-- Two-factor recovery codes: single-use, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for looking up a user's recovery codes
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+
+-- Soft locks showing who is editing a page. The editor refreshes its lock
+-- while it is open; locks that are not refreshed expire (expires_at in ms).
+CREATE TABLE IF NOT EXISTS page_locks (
+  page_path TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  username TEXT NOT NULL,
+  acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at INTEGER NOT NULL
+);
@@ -84,26 +84,77 @@ window.CapuzzellaTemplate = {
         <div class="d-flex align-items-center gap-2">
           <span>Editing:</span>
           <span class="font-monospace text-light">${PAGE_PATH}</span>
+          <span id="capuzzella-lock-status" class="badge text-bg-warning d-none"></span>
         </div>
         <div id="capuzzella-publish-status">
           <span class="badge text-bg-secondary">Loading...</span>
         </div>
       </div>
       
+      <div class="px-3 py-2 d-flex align-items-center gap-2 border-bottom border-dark">
+        <select id="capuzzella-thread-select" class="form-select form-select-sm bg-dark text-light border-secondary" aria-label="Conversation">
+          <option value="">New conversation</option>
+        </select>
+        <button class="btn btn-outline-secondary btn-sm text-nowrap" id="capuzzella-new-thread-btn" type="button" title="Start a new conversation">New</button>
+        <button class="btn btn-outline-secondary btn-sm d-flex align-items-center" id="capuzzella-delete-thread-btn" type="button" title="Delete this conversation" disabled>
+          <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" width="16" height="16">
+            <path fill-rule="evenodd" d="M8.75 1A2.75 2.75 0 0 0 6 3.75v.443c-.795.077-1.584.176-2.365.298a.75.75 0 1 0 .23 1.482l.149-.022.841 10.518A2.75 2.75 0 0 0 7.596 19h4.807a2.75 2.75 0 0 0 2.742-2.53l.841-10.52.149.023a.75.75 0 0 0 .23-1.482A41.03 41.03 0 0 0 14 4.193V3.75A2.75 2.75 0 0 0 11.25 1h-2.5ZM10 4c.84 0 1.673.025 2.5.075V3.75c0-.69-.56-1.25-1.25-1.25h-2.5c-.69 0-1.25.56-1.25 1.25v.325C8.327 4.025 9.16 4 10 4ZM8.58 7.72a.75.75 0 0 0-1.5.06l.3 7.5a.75.75 0 1 0 1.5-.06l-.3-7.5Zm4.34.06a.75.75 0 1 0-1.5-.06l-.3 7.5a.75.75 0 1 0 1.5.06l.3-7.5Z" clip-rule="evenodd" />
+          </svg>
+          <span class="visually-hidden">Delete conversation</span>
+        </button>
+      </div>
+      
       <div class="capuzzella-messages flex-grow-1 overflow-auto p-3 d-flex flex-column gap-2" id="capuzzella-messages">
-        <div class="capuzzella-message capuzzella-message-system p-2 rounded small text-secondary text-center align-self-center">
-          Describe what changes you'd like to make to this page.
-        </div>
       </div>
       
       <div class="m-3 p-3 bg-dark border border-secondary rounded-3">
+        <div id="capuzzella-inline-bar" class="d-flex d-none align-items-center gap-2 mb-2 small">
+          <span class="text-secondary" id="capuzzella-inline-status">Click any text in the page to edit it.</span>
+          <button class="btn btn-outline-secondary btn-sm ms-auto" id="capuzzella-inline-cancel-btn" type="button">Cancel</button>
+          <button class="btn btn-success btn-sm" id="capuzzella-inline-save-btn" type="button" disabled>Save</button>
+        </div>
+        <div id="capuzzella-selection" class="d-flex d-none align-items-center gap-2 mb-2 small" title="The AI will apply your request to this element">
+          <span class="badge text-bg-info text-truncate font-monospace" id="capuzzella-selection-label"></span>
+          <button class="btn-close btn-close-white ms-auto" id="capuzzella-selection-clear" type="button" aria-label="Clear selection"></button>
+        </div>
         <textarea
           class="capuzzella-input form-control form-control-sm bg-transparent border-0 text-light p-0 shadow-none overflow-hidden"
           id="capuzzella-input"
           placeholder="e.g., Change the heading to 'Welcome to My Site'"
           rows="1"
         ></textarea>
-        <div class="d-flex justify-content-end mt-2">
+        <div class="d-flex justify-content-between align-items-center mt-2">
+          <div class="btn-group btn-group-sm" role="group" aria-label="Edit history">
+            <button class="btn btn-outline-secondary d-flex align-items-center" id="capuzzella-undo-btn" type="button" title="Undo last edit" disabled>
+              <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" width="16" height="16">
+                <path fill-rule="evenodd" d="M7.793 2.232a.75.75 0 0 1-.025 1.06L3.622 7.25h10.003a5.375 5.375 0 0 1 0 10.75H10.75a.75.75 0 0 1 0-1.5h2.875a3.875 3.875 0 0 0 0-7.75H3.622l4.146 3.957a.75.75 0 0 1-1.036 1.085l-5.5-5.25a.75.75 0 0 1 0-1.085l5.5-5.25a.75.75 0 0 1 1.06.025Z" clip-rule="evenodd" />
+              </svg>
+              <span class="visually-hidden">Undo</span>
+            </button>
+            <button class="btn btn-outline-secondary d-flex align-items-center" id="capuzzella-redo-btn" type="button" title="Redo" disabled>
+              <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" width="16" height="16">
+                <path fill-rule="evenodd" d="M12.207 2.232a.75.75 0 0 0 .025 1.06l4.146 3.958H6.375a5.375 5.375 0 0 0 0 10.75H9.25a.75.75 0 0 0 0-1.5H6.375a3.875 3.875 0 0 1 0-7.75h10.003l-4.146 3.957a.75.75 0 0 0 1.036 1.085l5.5-5.25a.75.75 0 0 0 0-1.085l-5.5-5.25a.75.75 0 0 0-1.06.025Z" clip-rule="evenodd" />
+              </svg>
+              <span class="visually-hidden">Redo</span>
+            </button>
+            <button class="btn btn-outline-secondary d-flex align-items-center" id="capuzzella-pick-btn" type="button" title="Select an element on the page" aria-pressed="false">
+              <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" width="16" height="16">
+                <path d="M4.22 2.22a.75.75 0 0 1 .8-.16l12 4.75a.75.75 0 0 1-.05 1.41l-5.05 1.6 3.66 3.66a.75.75 0 0 1 0 1.06l-1.5 1.5a.75.75 0 0 1-1.06 0l-3.66-3.66-1.6 5.05a.75.75 0 0 1-1.41.05l-4.75-12a.75.75 0 0 1 .17-.8Z" />
+              </svg>
+              <span class="visually-hidden">Select element</span>
+            </button>
+            <button class="btn btn-outline-secondary d-flex align-items-center" id="capuzzella-inline-btn" type="button" title="Edit text directly in the page" aria-pressed="false">
+              <svg viewBox="0 0 20 20" fill="currentColor" aria-hidden="true" width="16" height="16">
+                <path d="m5.433 13.917 1.262-3.155A4 4 0 0 1 7.58 9.42l6.92-6.918a2.121 2.121 0 0 1 3 3l-6.92 6.918c-.383.383-.84.685-1.343.886l-3.154 1.262a.5.5 0 0 1-.65-.65Z" />
+                <path d="M3.5 5.75c0-.69.56-1.25 1.25-1.25H10A.75.75 0 0 0 10 3H4.75A2.75 2.75 0 0 0 2 5.75v9.5A2.75 2.75 0 0 0 4.75 18h9.5A2.75 2.75 0 0 0 17 15.25V10a.75.75 0 0 0-1.5 0v5.25c0 .69-.56 1.25-1.25 1.25h-9.5c-.69 0-1.25-.56-1.25-1.25v-9.5Z" />
+              </svg>
+              <span class="visually-hidden">Edit text</span>
+            </button>
+          </div>
+          <div class="form-check form-switch small text-secondary mb-0" title="Preview AI changes and accept or reject them before they are saved">
+            <input class="form-check-input" type="checkbox" role="switch" id="capuzzella-propose-toggle">
+            <label class="form-check-label" for="capuzzella-propose-toggle">Review changes</label>
+          </div>
           <button class="btn btn-primary btn-sm" id="capuzzella-send-btn">Build page</button>
         </div>
       </div>
@@ -9,8 +9,35 @@
   const editorContainer = document.getElementById('capuzzella-editor');
   const PAGE_PATH = editorContainer?.dataset.pagePath || window.CAPUZZELLA_PAGE_PATH || 'index.html';
   const CSRF_TOKEN = editorContainer?.dataset.csrfToken || '';
+  // Editors without the publisher role get no publish/unpublish buttons
+  const CAN_PUBLISH = editorContainer?.dataset.canPublish !== 'false';
   const API_BASE = '/api';
-  const STORAGE_KEY = `capuzzella_chat_${PAGE_PATH}`;
+  const PROPOSE_STORAGE_KEY = 'capuzzella_propose_mode';
+  const PREVIEW_DEBOUNCE_MS = 400;
+  const INTRO_MESSAGE = 'Describe what changes you\'d like to make to this page.';
+  // Editable field of each DOM operation (mirrors services/dom-edit.js)
+  const OPERATION_CONTENT_FIELDS = {
+    'replace': 'html',
+    'insert-before': 'html',
+    'insert-after': 'html',
+    'remove': null,
+    'set-attribute': 'value',
+    'set-text': 'text'
+  };
+  // Longest outer HTML of a picked element sent with a chat request
+  const MAX_SELECTION_HTML = 8000;
+  const PICKER_STYLE_ID = 'capuzzella-picker-style';
+  const HOVER_ATTR = 'data-capuzzella-hover';
+  const SELECTED_ATTR = 'data-capuzzella-selected';
+  const EDITABLE_ATTR = 'data-capuzzella-editable';
+  // Elements whose text is not page copy
+  const NON_EDITABLE_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'SELECT', 'OPTION', 'IFRAME']);
+  // Partial include markers and the comments around included partials (mirror services/partials.js)
+  const INCLUDE_PATTERN = /<!--\s*capuzzella:include\s+([^\s>]+)\s*-->/g;
+  const PARTIAL_COMMENT_PATTERN = /^\s*(\/?)capuzzella:partial ([a-z0-9-]+)\s*$/;
+  const MAX_INCLUDE_DEPTH = 5;
+  // How often the soft lock on this page is refreshed (locks expire after 2 minutes)
+  const LOCK_REFRESH_MS = 30 * 1000;
 
   let messages = [];
   let isLoading = false;
@@ -19,48 +46,147 @@
     isPublished: false,
     hasUnpublishedChanges: false
   };
+  let editState = {
+    canUndo: false,
+    canRedo: false,
+    undo: null,
+    redo: null
+  };
+  let pendingProposal = null;
+  let previewTimer = null;
+  let pickerActive = false;
+  let selection = null;
+  let inlineEdit = null;
+  let streamedText = '';
+  let partials = new Map();
+  // Hash of the draft this editor shows, sent with saves so the server can
+  // refuse them if someone else changed the page in the meantime
+  let pageHash = editorContainer?.dataset.pageHash || null;
 
   /**
-   * Save chat messages to sessionStorage
+   * Fetch the user's conversations on this page and fill the thread selector
+   *
+   * @returns {Promise<object[]>} The conversations, most recent first
    */
-  function saveMessages() {
-    try {
-      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(messages));
-    } catch (e) {
-      console.warn('Failed to save chat messages:', e);
+  async function loadConversations() {
+    const response = await fetch(`${API_BASE}/conversations?pagePath=${encodeURIComponent(PAGE_PATH)}`, {
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load conversations');
     }
+
+    const select = document.getElementById('capuzzella-thread-select');
+    select.replaceChildren(new Option('New conversation', ''));
+    data.conversations.forEach(convo => {
+      const date = new Date(`${convo.updatedAt.replace(' ', 'T')}Z`).toLocaleDateString();
+      select.appendChild(new Option(`${convo.title} (${date})`, convo.id));
+    });
+    select.value = conversationId || '';
+
+    return data.conversations;
+  }
+
+  /**
+   * Load a conversation's messages from the server and show them
+   *
+   * @param {string} id
+   */
+  async function openConversation(id) {
+    const response = await fetch(`${API_BASE}/conversations/${encodeURIComponent(id)}`, {
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load conversation');
+    }
+
+    clearMessages();
+    conversationId = data.conversation.id;
+    data.messages.forEach(msg => {
+      addMessage(msg.role, msg.text, { id: msg.id, revisionId: msg.revisionId, reverted: msg.reverted });
+    });
+    updateThreadUI();
   }
 
   /**
-   * Restore chat messages from sessionStorage
+   * Switch to the conversation picked in the thread selector
    */
-  function restoreMessages() {
+  async function selectConversation() {
+    const id = document.getElementById('capuzzella-thread-select').value;
+
+    if (!id) {
+      startNewConversation();
+      return;
+    }
+
     try {
-      const saved = sessionStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const savedMessages = JSON.parse(saved);
-        const messagesContainer = document.getElementById('capuzzella-messages');
+      await openConversation(id);
+    } catch (error) {
+      console.error('Conversation error:', error);
+      addMessage('system', `Error: ${error.message}`);
+    }
+  }
 
-        // Restore each message to the UI
-        savedMessages.forEach(msg => {
-          const messageEl = document.createElement('div');
-          messageEl.className = getMessageClasses(msg.type);
-          messageEl.textContent = msg.content;
-          messagesContainer.appendChild(messageEl);
-          messages.push(msg);
-        });
+  /**
+   * Start a fresh conversation; it is stored once the first message is sent
+   */
+  function startNewConversation() {
+    conversationId = null;
+    clearMessages();
+    document.getElementById('capuzzella-thread-select').value = '';
+    updateThreadUI();
+  }
 
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  /**
+   * Delete the open conversation
+   */
+  async function deleteConversation() {
+    if (!conversationId || !confirm('Delete this conversation?')) return;
 
-        // Clear storage after restore
-        sessionStorage.removeItem(STORAGE_KEY);
+    try {
+      const response = await fetch(`${API_BASE}/conversations/${encodeURIComponent(conversationId)}`, {
+        method: 'DELETE',
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': CSRF_TOKEN }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to delete conversation');
       }
-    } catch (e) {
-      console.warn('Failed to restore chat messages:', e);
+
+      startNewConversation();
+      await loadConversations();
+    } catch (error) {
+      console.error('Delete conversation error:', error);
+      addMessage('system', `Error: ${error.message}`);
     }
   }
 
+  /**
+   * Enable the thread controls unless a request or review is in progress
+   */
+  function updateThreadUI() {
+    const busy = isLoading || !!pendingProposal || !!inlineEdit;
+    document.getElementById('capuzzella-thread-select').disabled = busy;
+    document.getElementById('capuzzella-new-thread-btn').disabled = busy;
+    document.getElementById('capuzzella-delete-thread-btn').disabled = busy || !conversationId;
+  }
+
+  /**
+   * Remove all messages from the chat UI, leaving the intro hint
+   */
+  function clearMessages() {
+    const messagesContainer = document.getElementById('capuzzella-messages');
+    const introEl = document.createElement('div');
+    introEl.className = getMessageClasses('system');
+    introEl.textContent = INTRO_MESSAGE;
+
+    messagesContainer.replaceChildren(introEl);
+    messages = [];
+  }
+
   /**
    * Append ?source=draft to asset paths so the server serves files from
    * drafts/assets/ instead of public/assets/. Mirrors the server-side
@@ -73,6 +199,59 @@
     );
   }
 
+  /**
+   * Fetch the site's partials so the preview can show the sections pages include
+   */
+  async function loadPartials() {
+    const response = await fetch(`${API_BASE}/partials`, {
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load partials');
+    }
+
+    partials = new Map(data.partials.map(partial => [partial.name, partial.html]));
+  }
+
+  /**
+   * Replace include markers with the partials they name, surrounded by the
+   * comments partialOf() looks for. Mirrors resolveIncludes() from
+   * services/partials.js; unknown partials are left as markers.
+   */
+  function resolveIncludes(html, stack = []) {
+    return html.replace(INCLUDE_PATTERN, (marker, name) => {
+      if (!partials.has(name) || stack.includes(name) || stack.length >= MAX_INCLUDE_DEPTH) {
+        return marker;
+      }
+      const included = resolveIncludes(partials.get(name), [...stack, name]);
+      return `<!-- capuzzella:partial ${name} -->${included}<!-- /capuzzella:partial ${name} -->`;
+    });
+  }
+
+  /**
+   * The partial an element of the preview comes from, or null if it belongs
+   * to the page itself
+   */
+  function partialOf(el) {
+    for (let node = el; node; node = node.parentNode) {
+      let depth = 0;
+      for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+        const match = sibling.nodeType === Node.COMMENT_NODE && sibling.data.match(PARTIAL_COMMENT_PATTERN);
+        if (!match) continue;
+
+        if (match[1]) {
+          depth++;
+        } else if (depth === 0) {
+          return match[2];
+        } else {
+          depth--;
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * Update page content by updating the iframe's srcdoc
    * This provides complete isolation and handles scripts/styles automatically
@@ -86,8 +265,8 @@
       return;
     }
 
-    // Rewrite asset paths so CSS/JS load from drafts/ in edit mode
-    const rewrittenHtml = rewriteDraftAssetPaths(newHtml);
+    // Include partials, and rewrite asset paths so CSS/JS load from drafts/ in edit mode
+    const rewrittenHtml = rewriteDraftAssetPaths(resolveIncludes(newHtml));
 
     // Update iframe content - scripts and styles are handled automatically
     iframe.srcdoc = rewrittenHtml;
@@ -100,70 +279,721 @@
       document.title = `Edit: ${newTitle.textContent}`;
     }
 
-    console.log('Page content updated in iframe');
+    console.log('Page content updated in iframe');
+  }
+
+  /**
+   * Load the saved draft from the server into the iframe
+   */
+  async function reloadPageContent() {
+    const response = await fetch(`${API_BASE}/pages/${PAGE_PATH}`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch page');
+    }
+
+    const data = await response.json();
+    pageHash = data.hash;
+    updatePageContent(data.html);
+  }
+
+  /**
+   * Refresh page content from the server without browser reload
+   * Fetches the latest content and updates dynamically
+   */
+  async function refreshPageContent() {
+    try {
+      addMessage('system', 'Refreshing content...');
+
+      await reloadPageContent();
+
+      // Also refresh publish status and undo/redo state
+      fetchPublishStatus();
+      fetchEditState();
+    } catch (error) {
+      console.error('Refresh error:', error);
+      addMessage('system', 'Error: Failed to refresh content.');
+    }
+  }
+
+  /**
+   * The preview iframe's document, or null if it isn't available
+   */
+  function getPreviewDocument() {
+    return document.getElementById('capuzzella-iframe')?.contentDocument || null;
+  }
+
+  /**
+   * Add the hover/selected outline styles to the preview document
+   */
+  function ensurePickerStyle(doc) {
+    if (!doc.head || doc.getElementById(PICKER_STYLE_ID)) return;
+
+    const style = doc.createElement('style');
+    style.id = PICKER_STYLE_ID;
+    style.textContent = `
+      [${HOVER_ATTR}] { outline: 2px dashed #0dcaf0 !important; outline-offset: -2px; cursor: crosshair !important; }
+      [${SELECTED_ATTR}] { outline: 2px solid #0dcaf0 !important; outline-offset: -2px; }
+      [${EDITABLE_ATTR}]:hover, [${EDITABLE_ATTR}]:focus { outline: 2px dashed #198754 !important; outline-offset: 2px; cursor: text; }
+    `;
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Build a selector that matches only this element: a child path of tag
+   * names (with :nth-of-type where siblings share the tag), anchored at the
+   * nearest ancestor with a unique id or at body.
+   */
+  function buildSelector(el) {
+    const doc = el.ownerDocument;
+    const steps = [];
+    let node = el;
+
+    while (node && node !== doc.documentElement) {
+      const tag = node.tagName.toLowerCase();
+
+      if (/^[A-Za-z][\w-]*$/.test(node.id) && doc.querySelectorAll(`#${node.id}`).length === 1) {
+        steps.unshift(`#${node.id}`);
+        break;
+      }
+      if (tag === 'body') {
+        steps.unshift('body');
+        break;
+      }
+
+      const sameTag = Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName);
+      steps.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+      node = node.parentElement;
+    }
+
+    return steps.join(' > ') || 'html';
+  }
+
+  /**
+   * The element's outer HTML without the picker's highlight attributes
+   */
+  function cleanOuterHtml(el) {
+    const clone = el.cloneNode(true);
+    for (const node of [clone, ...clone.querySelectorAll(`[${HOVER_ATTR}], [${SELECTED_ATTR}]`)]) {
+      node.removeAttribute(HOVER_ATTR);
+      node.removeAttribute(SELECTED_ATTR);
+    }
+
+    const html = clone.outerHTML;
+    return html.length > MAX_SELECTION_HTML
+      ? `${html.slice(0, MAX_SELECTION_HTML)}\n<!-- (truncated) -->`
+      : html;
+  }
+
+  /**
+   * The element a picker event refers to: SVG parts select their whole <svg>
+   */
+  function pickerTarget(e) {
+    return e.target.closest?.('svg') || e.target;
+  }
+
+  /**
+   * Outline the element under the pointer while picking
+   */
+  function handlePickerOver(e) {
+    pickerTarget(e).setAttribute(HOVER_ATTR, '');
+  }
+
+  /**
+   * Remove the hover outline when the pointer leaves an element
+   */
+  function handlePickerOut(e) {
+    pickerTarget(e).removeAttribute(HOVER_ATTR);
+  }
+
+  /**
+   * Select the clicked element instead of following links or submitting forms
+   */
+  function handlePickerClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    selectElement(pickerTarget(e));
+    setPickerActive(false);
+  }
+
+  /**
+   * Leave picking mode on Escape
+   */
+  function handlePickerKeyDown(e) {
+    if (e.key === 'Escape') {
+      setPickerActive(false);
+    }
+  }
+
+  /**
+   * Attach or detach the picker's listeners on the preview document
+   */
+  function bindPicker(doc, on) {
+    const method = on ? 'addEventListener' : 'removeEventListener';
+    doc[method]('mouseover', handlePickerOver, true);
+    doc[method]('mouseout', handlePickerOut, true);
+    doc[method]('click', handlePickerClick, true);
+    doc[method]('keydown', handlePickerKeyDown, true);
+  }
+
+  /**
+   * Turn click-to-select mode over the preview on or off
+   */
+  function setPickerActive(active) {
+    if (active && inlineEdit) {
+      addMessage('system', 'Save or cancel your text edits first.');
+      return;
+    }
+    pickerActive = active;
+
+    const pickBtn = document.getElementById('capuzzella-pick-btn');
+    pickBtn.classList.toggle('active', active);
+    pickBtn.setAttribute('aria-pressed', String(active));
+
+    const doc = getPreviewDocument();
+    if (!doc) return;
+
+    ensurePickerStyle(doc);
+    bindPicker(doc, active);
+
+    if (!active) {
+      doc.querySelectorAll(`[${HOVER_ATTR}]`).forEach(el => el.removeAttribute(HOVER_ATTR));
+    }
+  }
+
+  /**
+   * Scope the next chat requests to an element of the preview
+   */
+  function selectElement(el) {
+    const doc = el.ownerDocument;
+    doc.querySelectorAll(`[${SELECTED_ATTR}]`).forEach(node => node.removeAttribute(SELECTED_ATTR));
+
+    el.removeAttribute(HOVER_ATTR);
+    selection = { selector: buildSelector(el), html: cleanOuterHtml(el), partial: partialOf(el) };
+    el.setAttribute(SELECTED_ATTR, '');
+
+    updateSelectionUI();
+  }
+
+  /**
+   * Forget the selected element
+   */
+  function clearSelection() {
+    selection = null;
+    getPreviewDocument()?.querySelectorAll(`[${SELECTED_ATTR}]`).forEach(el => el.removeAttribute(SELECTED_ATTR));
+    updateSelectionUI();
+  }
+
+  /**
+   * Show or hide the selected-element chip above the chat input
+   */
+  function updateSelectionUI() {
+    const chip = document.getElementById('capuzzella-selection');
+    const label = document.getElementById('capuzzella-selection-label');
+
+    const text = selection?.partial ? `${selection.selector} (partial: ${selection.partial})` : selection?.selector || '';
+    chip.classList.toggle('d-none', !selection);
+    label.textContent = text;
+    label.title = text;
+  }
+
+  /**
+   * Elements of the preview whose text can be edited inline: elements that
+   * contain only text, outside of SVGs, form controls and partials (shared
+   * sections are changed through the AI, in the partial)
+   */
+  function findEditableElements(doc) {
+    return Array.from(doc.body.querySelectorAll('*')).filter(el =>
+      el.children.length === 0 &&
+      el.textContent.trim() !== '' &&
+      !NON_EDITABLE_TAGS.has(el.tagName) &&
+      !el.closest('svg') &&
+      !partialOf(el)
+    );
+  }
+
+  /**
+   * Ignore link and button clicks while editing text so they don't navigate
+   */
+  function handleInlineClick(e) {
+    if (e.target.closest('a, button')) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Keep edited elements single-line: Enter finishes editing, Escape reverts
+   * the element's text
+   */
+  function handleInlineKeyDown(e) {
+    const el = e.target.closest?.(`[${EDITABLE_ATTR}]`);
+    if (!el) return;
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      el.blur();
+    } else if (e.key === 'Escape') {
+      el.textContent = inlineEdit.originals.get(el);
+      el.blur();
+      updateInlineEditUI();
+    }
+  }
+
+  /**
+   * Paste as plain text so no markup ends up in the edited element
+   */
+  function handleInlinePaste(e) {
+    if (!e.target.closest?.(`[${EDITABLE_ATTR}]`)) return;
+
+    e.preventDefault();
+    const text = (e.clipboardData?.getData('text/plain') || '').replace(/\s+/g, ' ');
+    e.target.ownerDocument.execCommand('insertText', false, text);
+  }
+
+  /**
+   * Attach or detach the inline editing listeners on the preview document
+   */
+  function bindInlineEdit(doc, on) {
+    const method = on ? 'addEventListener' : 'removeEventListener';
+    doc[method]('click', handleInlineClick, true);
+    doc[method]('keydown', handleInlineKeyDown, true);
+    doc[method]('paste', handleInlinePaste, true);
+    doc[method]('input', updateInlineEditUI, true);
+  }
+
+  /**
+   * Turn inline text editing of the preview on or off. Turning it off
+   * without saving reloads the draft to discard the edits.
+   */
+  function setInlineEditing(active) {
+    const doc = getPreviewDocument();
+    if (!doc?.body) return;
+
+    if (active) {
+      if (isLoading) return;
+      if (pendingProposal) {
+        addMessage('system', 'Accept or reject the proposed changes first.');
+        return;
+      }
+
+      setPickerActive(false);
+      ensurePickerStyle(doc);
+
+      const originals = new Map();
+      for (const el of findEditableElements(doc)) {
+        originals.set(el, el.textContent);
+        el.setAttribute(EDITABLE_ATTR, '');
+        el.setAttribute('contenteditable', 'plaintext-only');
+        el.spellcheck = true;
+      }
+
+      inlineEdit = { doc, originals };
+      bindInlineEdit(doc, true);
+    } else if (inlineEdit) {
+      bindInlineEdit(inlineEdit.doc, false);
+      for (const el of inlineEdit.originals.keys()) {
+        el.removeAttribute(EDITABLE_ATTR);
+        el.removeAttribute('contenteditable');
+      }
+      inlineEdit = null;
+    }
+
+    updateInlineEditUI();
+    updateHistoryUI();
+    updateThreadUI();
+  }
+
+  /**
+   * The edits made so far as set-text operations, one per changed element.
+   * Leading and trailing whitespace of the original text is kept so the
+   * source formatting around the text doesn't change.
+   */
+  function collectInlineChanges() {
+    const changes = [];
+
+    for (const [el, original] of inlineEdit.originals) {
+      const edited = el.textContent.replace(/\s+/g, ' ').trim();
+      if (edited === original.replace(/\s+/g, ' ').trim()) continue;
+
+      const leading = original.match(/^\s*/)[0];
+      const trailing = original.match(/\s*$/)[0];
+      changes.push({ op: 'set-text', selector: buildSelector(el), text: `${leading}${edited}${trailing}` });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Show the inline editing bar with the number of edited elements
+   */
+  function updateInlineEditUI() {
+    const inlineBtn = document.getElementById('capuzzella-inline-btn');
+    const bar = document.getElementById('capuzzella-inline-bar');
+    const status = document.getElementById('capuzzella-inline-status');
+    const saveBtn = document.getElementById('capuzzella-inline-save-btn');
+
+    inlineBtn.classList.toggle('active', !!inlineEdit);
+    inlineBtn.setAttribute('aria-pressed', String(!!inlineEdit));
+    inlineBtn.disabled = isLoading;
+    bar.classList.toggle('d-none', !inlineEdit);
+    if (!inlineEdit) return;
+
+    const count = collectInlineChanges().length;
+    status.textContent = count === 0
+      ? 'Click any text in the page to edit it.'
+      : `${count} ${count === 1 ? 'text' : 'texts'} edited`;
+    saveBtn.disabled = count === 0 || isLoading;
+  }
+
+  /**
+   * Save the inline edits as a change set via PUT /api/pages/*
+   */
+  async function saveInlineEdits() {
+    if (!inlineEdit || isLoading) return;
+
+    const changes = collectInlineChanges();
+    if (changes.length === 0) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/pages/${PAGE_PATH}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': CSRF_TOKEN
+        },
+        credentials: 'include',
+        body: JSON.stringify({ changes, baseHash: pageHash })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save text edits');
+      }
+
+      setInlineEditing(false);
+      pageHash = data.hash;
+      updatePageContent(data.html);
+      addMessage('system', `Saved ${changes.length} text ${changes.length === 1 ? 'edit' : 'edits'}.`);
+      fetchPublishStatus();
+      fetchEditState();
+    } catch (error) {
+      console.error('Inline edit error:', error);
+      addMessage('system', `Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Leave inline editing and discard unsaved edits
+   */
+  async function cancelInlineEdits() {
+    const hadChanges = inlineEdit && collectInlineChanges().length > 0;
+    setInlineEditing(false);
+
+    if (hadChanges) {
+      try {
+        await reloadPageContent();
+      } catch (error) {
+        console.error('Reload error:', error);
+        addMessage('system', 'Error: Failed to reload the page.');
+      }
+    }
+  }
+
+  /**
+   * The preview was re-rendered: re-attach the picker and find the selected
+   * element again, dropping the selection if the edit removed it
+   */
+  function handlePreviewLoad() {
+    const doc = getPreviewDocument();
+    if (!doc) return;
+
+    // Inline edits belong to the previous document
+    if (inlineEdit && inlineEdit.doc !== doc) {
+      inlineEdit = null;
+      updateInlineEditUI();
+      updateHistoryUI();
+      updateThreadUI();
+    }
+
+    if (pickerActive) {
+      ensurePickerStyle(doc);
+      bindPicker(doc, true);
+    }
+
+    if (!selection) return;
+
+    let matches = [];
+    try {
+      matches = doc.querySelectorAll(selection.selector);
+    } catch {
+      // Fall through and clear the selection
+    }
+
+    if (matches.length === 1) {
+      ensurePickerStyle(doc);
+      selection.html = cleanOuterHtml(matches[0]);
+      matches[0].setAttribute(SELECTED_ATTR, '');
+    } else {
+      clearSelection();
+    }
+  }
+
+  /**
+   * Initialize the editor UI
+   */
+  function init() {
+    const container = document.getElementById('capuzzella-editor');
+    if (!container) return;
+
+
+    container.innerHTML = window.CapuzzellaTemplate.getEditorHTML(PAGE_PATH);
+
+    // Attach event listeners
+    const input = document.getElementById('capuzzella-input');
+    const sendBtn = document.getElementById('capuzzella-send-btn');
+    const publishBtn = document.getElementById('capuzzella-publish-btn');
+    const unpublishBtn = document.getElementById('capuzzella-unpublish-btn');
+    const refreshBtn = document.getElementById('capuzzella-refresh-btn');
+    const exitBtn = document.getElementById('capuzzella-exit-btn');
+    const undoBtn = document.getElementById('capuzzella-undo-btn');
+    const redoBtn = document.getElementById('capuzzella-redo-btn');
+
+    input.addEventListener('keydown', handleKeyDown);
+    input.addEventListener('input', autoResize);
+    sendBtn.addEventListener('click', sendMessage);
+    undoBtn.addEventListener('click', () => stepHistory('undo'));
+    redoBtn.addEventListener('click', () => stepHistory('redo'));
+
+    // Element picker: scope requests to an element clicked in the preview
+    document.getElementById('capuzzella-pick-btn').addEventListener('click', () => setPickerActive(!pickerActive));
+    document.getElementById('capuzzella-selection-clear').addEventListener('click', clearSelection);
+    document.getElementById('capuzzella-iframe')?.addEventListener('load', handlePreviewLoad);
+
+    // Inline text editing without the AI
+    document.getElementById('capuzzella-inline-btn').addEventListener('click', () => {
+      if (inlineEdit) {
+        cancelInlineEdits();
+      } else {
+        setInlineEditing(true);
+      }
+    });
+    document.getElementById('capuzzella-inline-save-btn').addEventListener('click', saveInlineEdits);
+    document.getElementById('capuzzella-inline-cancel-btn').addEventListener('click', cancelInlineEdits);
+    document.addEventListener('keydown', e => {
+      if (pickerActive) handlePickerKeyDown(e);
+    });
+
+    // Remember the review-changes preference across pages
+    const proposeToggle = document.getElementById('capuzzella-propose-toggle');
+    proposeToggle.checked = localStorage.getItem(PROPOSE_STORAGE_KEY) === 'true';
+    proposeToggle.addEventListener('change', () => {
+      localStorage.setItem(PROPOSE_STORAGE_KEY, String(proposeToggle.checked));
+    });
+
+    // Initialize textarea height on load
+    autoResize();
+    publishBtn.addEventListener('click', publishPage);
+    unpublishBtn.addEventListener('click', unpublishPage);
+    refreshBtn.addEventListener('click', refreshPageContent);
+    exitBtn.addEventListener('click', exitEditMode);
+
+    const threadSelect = document.getElementById('capuzzella-thread-select');
+    threadSelect.addEventListener('change', selectConversation);
+    document.getElementById('capuzzella-new-thread-btn').addEventListener('click', startNewConversation);
+    document.getElementById('capuzzella-delete-thread-btn').addEventListener('click', deleteConversation);
+
+    // Resume the most recent conversation on this page
+    clearMessages();
+    loadConversations()
+      .then(conversations => conversations.length > 0 && openConversation(conversations[0].id))
+      .catch(error => console.error('Failed to load conversations:', error));
+
+    // Fetch initial publish status and undo/redo state
+    fetchPublishStatus();
+    fetchEditState();
+    loadPartials().catch(error => console.error('Failed to load partials:', error));
+
+    // Show who else is editing, and let others see this editor is open
+    refreshLock();
+    setInterval(refreshLock, LOCK_REFRESH_MS);
+    window.addEventListener('pagehide', releaseLock);
+  }
+
+  /**
+   * Take or refresh the soft lock on this page and show who holds it
+   */
+  async function refreshLock() {
+    try {
+      const response = await fetch(`${API_BASE}/locks/${PAGE_PATH}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': CSRF_TOKEN }
+      });
+      if (!response.ok) return;
+
+      const { acquired, lock } = await response.json();
+      const lockStatus = document.getElementById('capuzzella-lock-status');
+      lockStatus.textContent = acquired ? '' : `${lock.username} is editing`;
+      lockStatus.title = acquired ? '' : `${lock.username} also has this page open. Changes you both make are checked so neither overwrites the other.`;
+      lockStatus.classList.toggle('d-none', acquired);
+    } catch (error) {
+      console.error('Lock refresh error:', error);
+    }
+  }
+
+  /**
+   * Release the lock when the editor is closed
+   */
+  function releaseLock() {
+    fetch(`${API_BASE}/locks/${PAGE_PATH}`, {
+      method: 'DELETE',
+      credentials: 'include',
+      keepalive: true,
+      headers: { 'X-CSRF-Token': CSRF_TOKEN }
+    });
+  }
+
+  /**
+   * Fetch the undo/redo state of the page's server-side edit stack
+   */
+  async function fetchEditState() {
+    try {
+      const response = await fetch(`${API_BASE}/history?pagePath=${encodeURIComponent(PAGE_PATH)}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch edit history');
+      }
+
+      const data = await response.json();
+      editState = {
+        canUndo: data.canUndo,
+        canRedo: data.canRedo,
+        undo: data.undo,
+        redo: data.redo
+      };
+    } catch (error) {
+      console.error('Edit history fetch error:', error);
+      editState = { canUndo: false, canRedo: false, undo: null, redo: null };
+    }
+
+    updateHistoryUI();
+  }
+
+  /**
+   * Enable/disable the Undo and Redo buttons and describe what they would do
+   */
+  function updateHistoryUI() {
+    const undoBtn = document.getElementById('capuzzella-undo-btn');
+    const redoBtn = document.getElementById('capuzzella-redo-btn');
+    if (!undoBtn || !redoBtn) return;
+
+    undoBtn.disabled = isLoading || !!pendingProposal || !!inlineEdit || !editState.canUndo;
+    redoBtn.disabled = isLoading || !!pendingProposal || !!inlineEdit || !editState.canRedo;
+    undoBtn.title = editState.undo ? `Undo: ${describeStep(editState.undo)}` : 'Nothing to undo';
+    redoBtn.title = editState.redo ? `Redo: ${describeStep(editState.redo)}` : 'Nothing to redo';
+  }
+
+  /**
+   * Short human-readable label for an edit stack step
+   */
+  function describeStep(step) {
+    if (step.prompt) return `"${step.prompt}"`;
+    return step.source === 'chat' ? 'AI edit' : `${step.source} edit`;
   }
 
   /**
-   * Refresh page content from the server without browser reload
-   * Fetches the latest content and updates dynamically
+   * Undo or redo the most recent edit via the server-side edit stack
+   *
+   * @param {'undo'|'redo'} direction
    */
-  async function refreshPageContent() {
-    try {
-      addMessage('system', 'Refreshing content...');
+  async function stepHistory(direction) {
+    if (isLoading) return;
 
-      const response = await fetch(`${API_BASE}/pages/${PAGE_PATH}`, {
-        credentials: 'include'
+    setLoading(true);
+
+    try {
+      const response = await fetch(`${API_BASE}/${direction}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': CSRF_TOKEN
+        },
+        body: JSON.stringify({ pagePath: PAGE_PATH, baseHash: pageHash })
       });
 
+      const data = await response.json();
+
       if (!response.ok) {
-        throw new Error('Failed to fetch page');
+        throw new Error(data.error || `Failed to ${direction}`);
       }
 
-      const data = await response.json();
-      updatePageContent(data.html);
+      pageHash = data.hash;
+      updatePageContent(data.updatedHtml);
+
+      // Annotate the chat turn that produced the reverted / re-applied edit
+      markTurnReverted(data.step.revisionId, direction === 'undo');
+      addMessage('system', `${direction === 'undo' ? 'Undid' : 'Redid'}: ${describeStep(data.step)}`);
+
+      if (data.editState) {
+        editState = data.editState;
+      }
 
-      // Also refresh publish status
       fetchPublishStatus();
     } catch (error) {
-      console.error('Refresh error:', error);
-      addMessage('system', 'Error: Failed to refresh content.');
+      console.error(`${direction} error:`, error);
+      addMessage('system', `Error: ${error.message}`);
+      fetchEditState();
+    } finally {
+      setLoading(false);
     }
   }
 
   /**
-   * Initialize the editor UI
+   * Mark (or unmark) the chat messages of the turn that created a revision as reverted
+   *
+   * @param {number} revisionId
+   * @param {boolean} reverted
    */
-  function init() {
-    const container = document.getElementById('capuzzella-editor');
-    if (!container) return;
-
-
-    container.innerHTML = window.CapuzzellaTemplate.getEditorHTML(PAGE_PATH);
+  function markTurnReverted(revisionId, reverted) {
+    const messagesContainer = document.getElementById('capuzzella-messages');
 
-    // Attach event listeners
-    const input = document.getElementById('capuzzella-input');
-    const sendBtn = document.getElementById('capuzzella-send-btn');
-    const publishBtn = document.getElementById('capuzzella-publish-btn');
-    const unpublishBtn = document.getElementById('capuzzella-unpublish-btn');
-    const refreshBtn = document.getElementById('capuzzella-refresh-btn');
-    const exitBtn = document.getElementById('capuzzella-exit-btn');
+    messages.forEach(msg => {
+      if (msg.revisionId === revisionId) msg.reverted = reverted;
+    });
 
-    input.addEventListener('keydown', handleKeyDown);
-    input.addEventListener('input', autoResize);
-    sendBtn.addEventListener('click', sendMessage);
+    messagesContainer.querySelectorAll(`[data-revision-id="${revisionId}"]`).forEach(el => {
+      applyRevertedStyle(el, reverted);
+    });
+  }
 
-    // Initialize textarea height on load
-    autoResize();
-    publishBtn.addEventListener('click', publishPage);
-    unpublishBtn.addEventListener('click', unpublishPage);
-    refreshBtn.addEventListener('click', refreshPageContent);
-    exitBtn.addEventListener('click', exitEditMode);
+  /**
+   * Link chat messages to the revision their turn produced, so undo/redo can annotate them
+   *
+   * @param {object[]} turnMessages - Messages returned by addMessage()
+   * @param {number} revisionId
+   */
+  function tagMessages(turnMessages, revisionId) {
+    const messagesContainer = document.getElementById('capuzzella-messages');
 
-    // Restore any saved chat messages from previous session
-    restoreMessages();
+    turnMessages.forEach(msg => {
+      msg.revisionId = revisionId;
+      const el = messagesContainer.querySelector(`[data-message-index="${messages.indexOf(msg)}"]`);
+      if (el) el.dataset.revisionId = revisionId;
+    });
+  }
 
-    // Fetch initial publish status
-    fetchPublishStatus();
+  /**
+   * Strike through a reverted message and explain why on hover
+   */
+  function applyRevertedStyle(el, reverted) {
+    el.classList.toggle('text-decoration-line-through', reverted);
+    el.classList.toggle('opacity-50', reverted);
+    el.title = reverted ? 'Reverted by undo' : '';
   }
 
   /**
@@ -212,7 +1042,8 @@
     if (publishStatus.isPublished) {
       if (publishStatus.hasUnpublishedChanges) {
         // Has unpublished changes - show Publish button
-        statusHtml = '<span class="badge text-bg-warning">Unpublished changes</span>';
+        statusHtml = '<span class="badge text-bg-warning">Modified since publish</span>' +
+          '<button type="button" id="capuzzella-diff-btn" class="btn btn-link btn-sm p-0 ms-2 text-warning">View diff</button>';
         if (publishText) publishText.textContent = 'Publish Changes';
         publishBtn.style.display = 'flex';
         unpublishBtn.style.display = 'none';
@@ -230,7 +1061,82 @@
       unpublishBtn.style.display = 'none';
     }
 
+    if (!CAN_PUBLISH) {
+      publishBtn.style.display = 'none';
+      unpublishBtn.style.display = 'none';
+    }
+
     statusEl.innerHTML = statusHtml;
+    document.getElementById('capuzzella-diff-btn')?.addEventListener('click', () => showPublishDiff('text'));
+  }
+
+  /**
+   * Show what changed in the draft since it was last published, as a diff
+   * card in the sidebar with a toggle between visible text and HTML source
+   *
+   * @param {'text'|'html'} mode
+   */
+  async function showPublishDiff(mode) {
+    let data;
+    try {
+      const response = await fetch(`/publish/diff/${PAGE_PATH}?mode=${mode}`, {
+        credentials: 'include'
+      });
+      data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load diff');
+      }
+    } catch (error) {
+      console.error('Publish diff error:', error);
+      addMessage('system', `Error: ${error.message}`);
+      return;
+    }
+
+    const messagesContainer = document.getElementById('capuzzella-messages');
+    document.getElementById('capuzzella-publish-diff')?.remove();
+
+    const card = document.createElement('div');
+    card.id = 'capuzzella-publish-diff';
+    card.className = 'border border-secondary rounded-3 small';
+
+    const header = document.createElement('div');
+    header.className = 'px-3 py-2 d-flex align-items-center gap-2 border-bottom border-secondary';
+    const title = document.createElement('span');
+    title.className = 'text-light fw-medium';
+    title.textContent = 'Changes since publish';
+    const stats = document.createElement('span');
+    stats.className = 'text-secondary';
+    stats.textContent = `+${data.additions} / -${data.deletions}`;
+
+    const modes = document.createElement('div');
+    modes.className = 'btn-group btn-group-sm ms-auto';
+    modes.setAttribute('role', 'group');
+    modes.setAttribute('aria-label', 'Diff mode');
+    for (const [value, label] of [['text', 'Text'], ['html', 'HTML']]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `btn btn-outline-secondary${value === mode ? ' active' : ''}`;
+      btn.textContent = label;
+      btn.addEventListener('click', () => showPublishDiff(value));
+      modes.appendChild(btn);
+    }
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn-close btn-close-white';
+    closeBtn.setAttribute('aria-label', 'Close diff');
+    closeBtn.addEventListener('click', () => card.remove());
+
+    header.append(title, stats, modes, closeBtn);
+
+    const diffPre = document.createElement('pre');
+    diffPre.className = 'px-3 py-2 mb-0 small text-light overflow-auto';
+    diffPre.style.maxHeight = '320px';
+    renderDiff(diffPre, data.diff);
+
+    card.append(header, diffPre);
+    messagesContainer.appendChild(card);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
   }
 
   /**
@@ -273,12 +1179,22 @@
 
     if (!message || isLoading) return;
 
+    if (pendingProposal) {
+      addMessage('system', 'Accept or reject the proposed changes first.');
+      return;
+    }
+
+    if (inlineEdit) {
+      addMessage('system', 'Save or cancel your text edits first.');
+      return;
+    }
+
     // Clear input
     input.value = '';
     input.style.height = 'auto';
 
     // Add user message to UI
-    addMessage('user', message);
+    const userMessage = addMessage('user', message);
 
     // Show loading indicator
     setLoading(true);
@@ -286,51 +1202,73 @@
     try {
       const requestBody = {
         message,
-        pagePath: PAGE_PATH
+        pagePath: PAGE_PATH,
+        baseHash: pageHash
       };
       if (conversationId) {
         requestBody.conversationId = conversationId;
       }
+      if (document.getElementById('capuzzella-propose-toggle')?.checked) {
+        requestBody.mode = 'propose';
+      }
+      if (selection) {
+        requestBody.selection = { selector: selection.selector, html: selection.html };
+        if (selection.partial) {
+          requestBody.selection.partial = selection.partial;
+        }
+      }
 
-      const response = await fetch(`${API_BASE}/chat`, {
-        method: 'POST',
-        credentials: 'include',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': CSRF_TOKEN
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      const data = await response.json();
+      const { ok, status, data } = await postChatStream(requestBody);
 
-      // Store conversation ID for subsequent requests
-      if (data.conversationId) {
+      // Store conversation ID for subsequent requests; a new one appears in the thread list
+      if (data.conversationId && data.conversationId !== conversationId) {
         conversationId = data.conversationId;
+        loadConversations().catch(error => console.error('Failed to load conversations:', error));
       }
 
-      if (!response.ok) {
+      if (!ok) {
         const errorMessage = data.error || 'Unknown server error';
         console.error('Chat API error:', {
-          status: response.status,
-          statusText: response.statusText,
+          status,
           error: errorMessage,
           response: data
         });
         throw new Error(errorMessage);
       }
 
-      // Add assistant message
-      addMessage('assistant', data.message);
+      // A created page has its own hash; every other change is to this page
+      if (data.hash && data.action !== 'create') {
+        pageHash = data.hash;
+      }
+
+      // Add assistant message, tagging the turn with the revision it produced
+      const assistantMessage = addMessage('assistant', data.message);
+      if (data.revisionId) {
+        tagMessages([userMessage, assistantMessage], data.revisionId);
+      }
 
       // Handle different actions
-      if (data.action === 'create' && data.newPagePath) {
+      if (data.action === 'propose' && data.proposal) {
+        showProposal(data.proposal, [userMessage, assistantMessage]);
+      } else if (data.action === 'edit_pages' && data.pages) {
+        showPageReport(data.pages, data.applied);
+        if (data.updatedHtml) {
+          updatePageContent(data.updatedHtml);
+          fetchPublishStatus();
+          fetchEditState();
+        }
+      } else if (data.action === 'edit_partial') {
+        if (data.applied) {
+          const count = data.pages.length;
+          addMessage('system', `Partial "${data.partial}" updated on ${count} ${count === 1 ? 'page' : 'pages'}.`);
+          await loadPartials();
+          await reloadPageContent();
+          fetchPublishStatus();
+        }
+      } else if (data.action === 'create' && data.newPagePath) {
         // New page was created - offer to navigate
         addMessage('system', `New page created: ${data.newPagePath}`);
 
-        // Save current chat messages before navigation
-        saveMessages();
-
         // Create a clickable link to navigate to the new page
         const messagesContainer = document.getElementById('capuzzella-messages');
         const linkEl = document.createElement('div');
@@ -347,8 +1285,9 @@
         // Current page was updated
         updatePageContent(data.updatedHtml);
         addMessage('system', 'Page updated!');
-        // Refresh publish status since content changed
+        // Refresh publish status and undo/redo state since content changed
         fetchPublishStatus();
+        fetchEditState();
       }
 
     } catch (error) {
@@ -359,6 +1298,489 @@
     }
   }
 
+  /**
+   * Show the per-page outcome of a multi-page edit in the sidebar
+   *
+   * @param {Array<{pagePath: string, changeCount: number, appliedCount: number, error: string|null}>} pages
+   * @param {boolean} applied - Whether the pages were saved
+   */
+  function showPageReport(pages, applied) {
+    const count = pages.length;
+    addMessage('system', applied
+      ? `Updated ${count} ${count === 1 ? 'page' : 'pages'}:`
+      : 'No pages were changed:');
+
+    const messagesContainer = document.getElementById('capuzzella-messages');
+    const reportEl = document.createElement('ul');
+    reportEl.className = 'list-unstyled small mb-1 px-2';
+
+    for (const page of pages) {
+      const item = document.createElement('li');
+      item.className = page.error ? 'text-danger' : 'text-secondary';
+
+      const label = applied && page.pagePath !== PAGE_PATH
+        ? document.createElement('a')
+        : document.createElement('span');
+      label.textContent = page.pagePath;
+      label.className = 'fw-medium';
+      if (label.tagName === 'A') {
+        label.href = `/${page.pagePath}?edit=true`;
+      }
+
+      const detail = page.error
+        ? page.error
+        : `${page.changeCount} ${page.changeCount === 1 ? 'change' : 'changes'}`;
+
+      item.append(page.error ? '\u2717 ' : '\u2713 ', label, ` \u2014 ${detail}`);
+      reportEl.appendChild(item);
+    }
+
+    messagesContainer.appendChild(reportEl);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  /**
+   * Send a chat request to the streaming endpoint, showing progress and the
+   * partial explanation in the sidebar while the AI responds.
+   *
+   * @param {object} requestBody
+   * @returns {Promise<{ok: boolean, status: number, data: object}>} The final result
+   */
+  async function postChatStream(requestBody) {
+    const response = await fetch(`${API_BASE}/chat/stream`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'X-CSRF-Token': CSRF_TOKEN
+      },
+      body: JSON.stringify(requestBody)
+    });
+
+    // Invalid requests are rejected with plain JSON before the stream opens
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return { ok: false, status: response.status, data };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+    streamedText = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseSseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (event?.name === 'progress') {
+          handleProgress(event.data);
+        } else if (event?.name === 'result') {
+          result = event.data;
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error('The connection was closed before the response was complete.');
+    }
+
+    const { status, ...data } = result;
+    return { ok: status < 400, status, data };
+  }
+
+  /**
+   * Parse one Server-Sent Events frame into its event name and JSON data
+   *
+   * @param {string} frame
+   * @returns {{name: string, data: object}|null} Null for comments and empty frames
+   */
+  function parseSseEvent(frame) {
+    let name = 'message';
+    const dataLines = [];
+
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) {
+        name = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+
+    if (dataLines.length === 0) return null;
+
+    try {
+      return { name, data: JSON.parse(dataLines.join('\n')) };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Show a progress event from the chat stream
+   *
+   * @param {{type: string, message?: string, text?: string, delta?: string}} event
+   */
+  function handleProgress(event) {
+    if (event.type === 'status') {
+      setLoadingStatus(event.message);
+    } else if (event.type === 'explanation') {
+      showPartialMessage(event.text);
+    } else if (event.type === 'text') {
+      streamedText += event.delta;
+      showPartialMessage(streamedText);
+    }
+  }
+
+  /**
+   * Show the assistant reply as it streams in, above the loading indicator.
+   * Replaced by the final message when the request completes.
+   *
+   * @param {string} text
+   */
+  function showPartialMessage(text) {
+    const messagesContainer = document.getElementById('capuzzella-messages');
+    let partialEl = document.getElementById('capuzzella-partial');
+
+    if (!partialEl) {
+      partialEl = document.createElement('div');
+      partialEl.id = 'capuzzella-partial';
+      partialEl.className = `${getMessageClasses('assistant')} opacity-75`;
+      messagesContainer.insertBefore(partialEl, document.getElementById('capuzzella-loader'));
+    }
+
+    partialEl.textContent = text;
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  /**
+   * Show proposed AI changes for review: preview the result in the iframe and
+   * render an Accept / Reject bar with per-change selection and editing.
+   *
+   * @param {{pagePath: string, prompt: string, changes: Array<{search?: string, replace?: string, op?: string, applied: boolean, error: string|null}>, proposedHtml: string, diff: string, messageIds: number[]}} proposal
+   * @param {object[]} turnMessages - The chat messages of the proposing turn
+   */
+  function showProposal(proposal, turnMessages) {
+    pendingProposal = {
+      prompt: proposal.prompt,
+      messageIds: proposal.messageIds || [],
+      turnMessages,
+      changes: proposal.changes.map(change => ({ ...change, selected: change.applied }))
+    };
+
+    updatePageContent(proposal.proposedHtml);
+
+    const messagesContainer = document.getElementById('capuzzella-messages');
+    const card = document.createElement('div');
+    card.id = 'capuzzella-proposal';
+    card.className = 'card bg-black border-warning small flex-shrink-0';
+
+    const header = document.createElement('div');
+    header.className = 'card-header d-flex align-items-center justify-content-between text-warning';
+    header.textContent = 'Proposed changes';
+    const count = document.createElement('span');
+    count.className = 'badge text-bg-warning';
+    count.textContent = String(pendingProposal.changes.length);
+    header.appendChild(count);
+    card.appendChild(header);
+
+    const list = document.createElement('div');
+    list.className = 'list-group list-group-flush';
+    pendingProposal.changes.forEach((change, index) => {
+      list.appendChild(renderProposalChange(change, index));
+    });
+    card.appendChild(list);
+
+    const diffDetails = document.createElement('details');
+    diffDetails.className = 'px-3 py-2 border-top border-secondary';
+    const diffSummary = document.createElement('summary');
+    diffSummary.className = 'text-secondary';
+    diffSummary.textContent = 'Show diff';
+    const diffPre = document.createElement('pre');
+    diffPre.id = 'capuzzella-proposal-diff';
+    diffPre.className = 'mt-2 mb-0 small text-light overflow-auto';
+    diffPre.style.maxHeight = '240px';
+    renderDiff(diffPre, proposal.diff);
+    diffDetails.append(diffSummary, diffPre);
+    card.appendChild(diffDetails);
+
+    const footer = document.createElement('div');
+    footer.className = 'card-footer d-flex justify-content-end gap-2';
+    const rejectBtn = document.createElement('button');
+    rejectBtn.type = 'button';
+    rejectBtn.className = 'btn btn-outline-secondary btn-sm';
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.addEventListener('click', rejectProposal);
+    const acceptBtn = document.createElement('button');
+    acceptBtn.type = 'button';
+    acceptBtn.id = 'capuzzella-proposal-accept';
+    acceptBtn.className = 'btn btn-success btn-sm';
+    acceptBtn.textContent = 'Accept selected';
+    acceptBtn.addEventListener('click', acceptProposal);
+    footer.append(rejectBtn, acceptBtn);
+    card.appendChild(footer);
+
+    messagesContainer.appendChild(card);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    updateHistoryUI();
+    updateThreadUI();
+  }
+
+  /**
+   * Render one proposed change: a checkbox to include it, the HTML it replaces
+   * (or the element a DOM operation targets), and its replacement (editable via
+   * the Edit button)
+   */
+  function renderProposalChange(change, index) {
+    const field = change.op ? OPERATION_CONTENT_FIELDS[change.op] : 'replace';
+
+    const item = document.createElement('div');
+    item.className = 'list-group-item bg-transparent text-light border-secondary';
+
+    const row = document.createElement('div');
+    row.className = 'd-flex align-items-center justify-content-between gap-2';
+
+    const check = document.createElement('div');
+    check.className = 'form-check mb-0';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.id = `capuzzella-change-${index}`;
+    checkbox.checked = change.selected;
+    checkbox.disabled = !change.applied;
+    checkbox.addEventListener('change', () => {
+      change.selected = checkbox.checked;
+      schedulePreviewUpdate();
+    });
+    const label = document.createElement('label');
+    label.className = 'form-check-label';
+    label.htmlFor = checkbox.id;
+    label.textContent = `Change ${index + 1}`;
+    check.append(checkbox, label);
+    row.appendChild(check);
+
+    if (!change.applied) {
+      const badge = document.createElement('span');
+      badge.className = 'badge text-bg-danger text-wrap';
+      badge.textContent = change.error || 'Not matched';
+      row.appendChild(badge);
+    } else if (field) {
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'btn btn-link btn-sm p-0';
+      editBtn.textContent = 'Edit';
+      row.appendChild(editBtn);
+
+      editBtn.addEventListener('click', () => {
+        const editing = replaceInput.classList.toggle('d-none') === false;
+        replacePre.classList.toggle('d-none', editing);
+        editBtn.textContent = editing ? 'Done' : 'Edit';
+        if (!editing) {
+          replacePre.textContent = change[field] ?? '';
+        }
+      });
+    }
+    item.appendChild(row);
+
+    const searchPre = document.createElement('pre');
+    searchPre.className = `${change.op ? 'text-info' : 'text-danger'} small mb-1 mt-2 text-wrap`;
+    searchPre.textContent = change.op ? describeOperation(change) : change.search;
+    item.appendChild(searchPre);
+
+    const replacePre = document.createElement('pre');
+    replacePre.className = 'text-success small mb-0 text-wrap';
+    replacePre.textContent = field ? change[field] ?? '' : '';
+    item.appendChild(replacePre);
+
+    const replaceInput = document.createElement('textarea');
+    replaceInput.className = 'form-control form-control-sm bg-dark text-light font-monospace d-none';
+    replaceInput.rows = 4;
+    replaceInput.value = field ? change[field] ?? '' : '';
+    replaceInput.addEventListener('input', () => {
+      change[field] = replaceInput.value;
+      schedulePreviewUpdate();
+    });
+    item.appendChild(replaceInput);
+
+    return item;
+  }
+
+  /**
+   * Summarize a DOM operation and its target, e.g. "set-attribute href on #cta"
+   */
+  function describeOperation(change) {
+    const target = change.id ? `#${change.id.replace(/^#/, '')}` : change.selector;
+    return change.op === 'set-attribute'
+      ? `set-attribute ${change.attribute} on ${target}`
+      : `${change.op} ${target}`;
+  }
+
+  /**
+   * Color a unified diff line by line into a <pre> element
+   */
+  function renderDiff(pre, diff) {
+    pre.textContent = '';
+
+    if (!diff) {
+      pre.textContent = 'No differences.';
+      return;
+    }
+
+    diff.split('\n').forEach(line => {
+      const span = document.createElement('span');
+      span.className = line.startsWith('@@') ? 'text-info'
+        : line.startsWith('+') ? 'text-success'
+        : line.startsWith('-') ? 'text-danger'
+        : 'text-secondary';
+      span.textContent = line + '\n';
+      pre.appendChild(span);
+    });
+  }
+
+  /**
+   * The proposed changes the user has kept selected
+   */
+  function selectedChanges() {
+    return pendingProposal.changes
+      .filter(change => change.applied && change.selected)
+      .map(({ applied, selected, error, ...change }) => change);
+  }
+
+  /**
+   * Debounce preview refreshes while the user toggles or edits changes
+   */
+  function schedulePreviewUpdate() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updateProposalPreview, PREVIEW_DEBOUNCE_MS);
+  }
+
+  /**
+   * Re-render the iframe and diff for the currently selected changes (dry run, nothing is saved)
+   */
+  async function updateProposalPreview() {
+    if (!pendingProposal) return;
+
+    const changes = selectedChanges();
+    const diffPre = document.getElementById('capuzzella-proposal-diff');
+    const acceptBtn = document.getElementById('capuzzella-proposal-accept');
+    acceptBtn.disabled = changes.length === 0;
+
+    try {
+      if (changes.length === 0) {
+        await reloadPageContent();
+        renderDiff(diffPre, '');
+        return;
+      }
+
+      const data = await postApplyChanges(changes, true);
+      updatePageContent(data.updatedHtml);
+      renderDiff(diffPre, data.diff);
+    } catch (error) {
+      console.error('Preview error:', error);
+      addMessage('system', `Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send changes to POST /api/chat/apply
+   *
+   * @param {Array<{search: string, replace: string}>} changes
+   * @param {boolean} dryRun - Only compute the result, don't save
+   */
+  async function postApplyChanges(changes, dryRun) {
+    const response = await fetch(`${API_BASE}/chat/apply`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': CSRF_TOKEN
+      },
+      body: JSON.stringify({
+        pagePath: PAGE_PATH,
+        changes,
+        prompt: pendingProposal.prompt,
+        messageIds: pendingProposal.messageIds,
+        baseHash: pageHash,
+        dryRun
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to apply changes');
+    }
+    return data;
+  }
+
+  /**
+   * Save the selected (and possibly edited) proposed changes to the draft
+   */
+  async function acceptProposal() {
+    if (!pendingProposal || isLoading) return;
+
+    const changes = selectedChanges();
+    if (changes.length === 0) return;
+
+    clearTimeout(previewTimer);
+    setLoading(true);
+
+    try {
+      const data = await postApplyChanges(changes, false);
+      const total = pendingProposal.changes.length;
+
+      pageHash = data.hash;
+      updatePageContent(data.updatedHtml);
+      if (data.revisionId) {
+        tagMessages(pendingProposal.turnMessages, data.revisionId);
+      }
+      closeProposal();
+      addMessage('system', `Applied ${data.appliedCount} of ${total} proposed changes.`);
+
+      fetchPublishStatus();
+      fetchEditState();
+    } catch (error) {
+      console.error('Accept error:', error);
+      addMessage('system', `Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Discard the proposed changes and show the saved draft again
+   */
+  async function rejectProposal() {
+    if (!pendingProposal || isLoading) return;
+
+    clearTimeout(previewTimer);
+    closeProposal();
+    addMessage('system', 'Proposed changes rejected. The page was not modified.');
+
+    try {
+      await reloadPageContent();
+    } catch (error) {
+      console.error('Reload error:', error);
+      addMessage('system', 'Error: Failed to reload the page.');
+    }
+  }
+
+  /**
+   * Remove the review bar and leave review mode
+   */
+  function closeProposal() {
+    pendingProposal = null;
+    document.getElementById('capuzzella-proposal')?.remove();
+    updateHistoryUI();
+    updateThreadUI();
+  }
+
   /**
    * Get Bootstrap-based CSS classes for a message type
    */
@@ -376,20 +1798,42 @@
     }
   }
 
+  /**
+   * Create the DOM element for a chat message
+   *
+   * @param {{type: string, content: string, revisionId?: number, reverted?: boolean}} msg
+   */
+  function renderMessage(msg) {
+    const messageEl = document.createElement('div');
+    messageEl.className = getMessageClasses(msg.type);
+    messageEl.textContent = msg.content;
+    messageEl.dataset.messageIndex = messages.length;
+
+    if (msg.revisionId) {
+      messageEl.dataset.revisionId = msg.revisionId;
+      if (msg.reverted) applyRevertedStyle(messageEl, true);
+    }
+
+    return messageEl;
+  }
+
   /**
    * Add a message to the chat UI
+   *
+   * @param {string} type - 'user' | 'assistant' | 'system'
+   * @param {string} content
+   * @param {{id?: number, revisionId?: number, reverted?: boolean}} [extra] - Extra fields stored with the message
+   * @returns {object} The stored message
    */
-  function addMessage(type, content) {
+  function addMessage(type, content, extra = {}) {
     const messagesContainer = document.getElementById('capuzzella-messages');
+    const msg = { type, content, ...extra };
 
-    const messageEl = document.createElement('div');
-    messageEl.className = getMessageClasses(type);
-    messageEl.textContent = content;
-
-    messagesContainer.appendChild(messageEl);
+    messagesContainer.appendChild(renderMessage(msg));
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
-    messages.push({ type, content });
+    messages.push(msg);
+    return msg;
   }
 
   /**
@@ -402,6 +1846,9 @@
     const messagesContainer = document.getElementById('capuzzella-messages');
 
     sendBtn.disabled = loading;
+    updateHistoryUI();
+    updateThreadUI();
+    updateInlineEditUI();
 
     // Remove existing loading indicator
     const existingLoader = document.getElementById('capuzzella-loader');
@@ -415,13 +1862,25 @@
       loaderEl.className = 'd-flex align-items-center gap-2 p-2 text-secondary small';
       loaderEl.innerHTML = `
         <div class="spinner-border spinner-border-sm text-secondary" role="status"></div>
-        <span>Thinking...</span>
+        <span id="capuzzella-loader-status">Thinking...</span>
       `;
       messagesContainer.appendChild(loaderEl);
       messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    } else {
+      document.getElementById('capuzzella-partial')?.remove();
     }
   }
 
+  /**
+   * Replace the text next to the loading spinner
+   *
+   * @param {string} text
+   */
+  function setLoadingStatus(text) {
+    const statusEl = document.getElementById('capuzzella-loader-status');
+    if (statusEl) statusEl.textContent = text;
+  }
+
   /**
    * Publish the current page
    */
@@ -0,0 +1,184 @@
+/**
+ * Minimal archive writers for exporting files without external dependencies.
+ *
+ * - createTarGz() writes a gzip-compressed POSIX ustar archive
+ * - createZip() writes a zip archive with deflate-compressed entries
+ *
+ * Both take entries of the form { path: 'about/index.html', data: Uint8Array|string, mtime?: Date }
+ * and keep everything in memory, which suits site-sized archives.
+ */
+
+import { deflateRawSync, gzipSync } from 'zlib';
+
+const encoder = new TextEncoder();
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Normalize entry data to bytes
+ *
+ * @param {Uint8Array|string} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? encoder.encode(data) : data;
+}
+
+/**
+ * Write an ASCII string into a header at the given offset
+ */
+function writeString(header, offset, length, value) {
+  header.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+/**
+ * Write a zero-padded octal number field as tar expects
+ */
+function writeOctal(header, offset, length, value) {
+  writeString(header, offset, length, value.toString(8).padStart(length - 1, '0'));
+}
+
+/**
+ * Split a path into ustar name (max 100 bytes) and prefix (max 155 bytes)
+ *
+ * @param {string} entryPath
+ * @returns {{ name: string, prefix: string }}
+ */
+function splitTarPath(entryPath) {
+  if (encoder.encode(entryPath).length <= 100) {
+    return { name: entryPath, prefix: '' };
+  }
+
+  const slash = entryPath.lastIndexOf('/');
+  const prefix = entryPath.slice(0, slash);
+  const name = entryPath.slice(slash + 1);
+  if (slash <= 0 || encoder.encode(name).length > 100 || encoder.encode(prefix).length > 155) {
+    throw new Error(`Path too long for a tar archive: ${entryPath}`);
+  }
+  return { name, prefix };
+}
+
+/**
+ * Build the 512-byte ustar header of a file entry
+ */
+function tarHeader(entryPath, size, mtime) {
+  const header = new Uint8Array(TAR_BLOCK_SIZE);
+  const { name, prefix } = splitTarPath(entryPath);
+
+  writeString(header, 0, 100, name);
+  writeOctal(header, 100, 8, 0o644);          // mode
+  writeOctal(header, 108, 8, 0);              // uid
+  writeOctal(header, 116, 8, 0);              // gid
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+  writeString(header, 148, 8, ' '.repeat(8)); // checksum placeholder
+  writeString(header, 156, 1, '0');           // regular file
+  writeString(header, 257, 6, 'ustar\0');
+  writeString(header, 263, 2, '00');
+  writeString(header, 345, 155, prefix);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+  return header;
+}
+
+/**
+ * Create a .tar.gz archive
+ *
+ * @param {Array<{ path: string, data: Uint8Array|string, mtime?: Date }>} entries
+ * @returns {Uint8Array}
+ */
+export function createTarGz(entries) {
+  const chunks = [];
+
+  for (const entry of entries) {
+    const data = toBytes(entry.data);
+    chunks.push(tarHeader(entry.path, data.length, entry.mtime || new Date()));
+    chunks.push(data);
+
+    const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    if (padding > 0) chunks.push(new Uint8Array(padding));
+  }
+
+  // End of archive: two empty blocks
+  chunks.push(new Uint8Array(TAR_BLOCK_SIZE * 2));
+
+  return gzipSync(Buffer.concat(chunks));
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ *
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a .zip archive
+ *
+ * @param {Array<{ path: string, data: Uint8Array|string, mtime?: Date }>} entries
+ * @returns {Uint8Array}
+ */
+export function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data = toBytes(entry.data);
+    const compressed = deflateRawSync(data);
+    const crc = Bun.hash.crc32(data);
+    const { time, date } = dosDateTime(entry.mtime || new Date());
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);       // local file header signature
+    local.writeUInt16LE(20, 4);               // version needed to extract
+    local.writeUInt16LE(0x0800, 6);           // flags: UTF-8 names
+    local.writeUInt16LE(8, 8);                // compression: deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);               // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);     // central directory header signature
+    central.writeUInt16LE(0x0314, 4);         // version made by: Unix, 2.0
+    central.writeUInt16LE(20, 6);             // version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE((0o100644 << 16) >>> 0, 38); // external attributes: regular file, rw-r--r--
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);           // end of central directory signature
+  end.writeUInt16LE(entries.length, 8);       // entries on this disk
+  end.writeUInt16LE(entries.length, 10);      // total entries
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,35 @@
+/**
+ * Build CSV (RFC 4180) for spreadsheet apps
+ */
+
+/**
+ * Quote a value if needed. Values that a spreadsheet would run as a formula
+ * get a leading apostrophe (CSV injection).
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn objects into CSV with a header row
+ *
+ * @param {object[]} rows
+ * @param {string[]} columns - Keys to include, in order; also the header
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,202 @@
+/**
+ * Line-based text diffing (Myers' O(ND) algorithm).
+ *
+ * - diffLines() returns the raw edit script as equal/insert/delete operations
+ * - createUnifiedDiff() renders that script as a classic unified diff with hunks
+ */
+
+/**
+ * Upper bound on the edit distance explored before giving up on a minimal
+ * diff. Beyond this, the texts are treated as fully replaced, which keeps
+ * memory bounded for whole-document rewrites.
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, keeping a trailing empty line out of the result.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute a line diff between two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', line: string }>}
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  // Forward pass: record the furthest-reaching path for each edit distance.
+  // Only the diagonals reachable at distance d (-d..d) are snapshotted.
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [
+        ...a.map(line => ({ type: 'delete', line })),
+        ...b.map(line => ({ type: 'insert', line }))
+      ];
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack through the recorded snapshots to build the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const base = d + 1; // index of diagonal k=0 within the snapshot
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && snapshot[base + k - 1] < snapshot[base + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = snapshot[base + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Group a diff into hunks with surrounding context lines.
+ *
+ * @param {Array<{ type: string, line: string }>} ops - Output of diffLines()
+ * @param {number} context - Number of unchanged lines to keep around each change
+ * @returns {Array<{ oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array<{ type: string, line: string }> }>}
+ */
+export function buildHunks(ops, context = 3) {
+  // Line numbers (1-based) of each op in the old and new text
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+  }
+
+  // Expand every change by the context window and merge overlapping ranges
+  const ranges = [];
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(ops.length - 1, i + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const lines = ops.slice(start, end + 1);
+    return {
+      oldStart: positions[start].oldLine,
+      oldLines: lines.filter(op => op.type !== 'insert').length,
+      newStart: positions[start].newLine,
+      newLines: lines.filter(op => op.type !== 'delete').length,
+      lines
+    };
+  });
+}
+
+/**
+ * Render a unified diff between two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {{ oldLabel?: string, newLabel?: string, context?: number }} [options]
+ * @returns {string} Unified diff, or an empty string when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const hunks = buildHunks(diffLines(oldText, newText), context);
+
+  if (hunks.length === 0) return '';
+
+  const prefix = { equal: ' ', insert: '+', delete: '-' };
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+  for (const hunk of hunks) {
+    // An empty side is addressed by the line *before* it, as in diff(1)
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    out.push(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`);
+    for (const op of hunk.lines) {
+      out.push(prefix[op.type] + op.line);
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Count inserted and deleted lines in a diff.
+ *
+ * @param {Array<{ type: string }>} ops - Output of diffLines()
+ * @returns {{ additions: number, deletions: number }}
+ */
+export function diffStats(ops) {
+  let additions = 0;
+  let deletions = 0;
+  for (const op of ops) {
+    if (op.type === 'insert') additions++;
+    else if (op.type === 'delete') deletions++;
+  }
+  return { additions, deletions };
+}
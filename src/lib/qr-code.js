@@ -0,0 +1,432 @@
+/**
+ * Minimal QR code generator for short strings such as otpauth:// URIs,
+ * without external dependencies.
+ *
+ * - Byte mode, error correction level M, versions 1-10 (up to 213 bytes)
+ * - qrCodeSvg() renders the symbol as an SVG string
+ *
+ * Follows ISO/IEC 18004; the structure mirrors Project Nayuki's reference
+ * implementation.
+ */
+
+const encoder = new TextEncoder();
+
+const MAX_VERSION = 10;
+
+/** Format bits of error correction level M */
+const ECC_LEVEL_M_BITS = 0;
+
+/** Error correction codewords per block and number of blocks, level M, versions 1-10 */
+const ECC_CODEWORDS_PER_BLOCK = [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ECC_BLOCKS = [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+/**
+ * Multiply two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+/**
+ * Reed-Solomon generator polynomial of the given degree, highest coefficient
+ * first and the leading 1 left out
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a data block
+ *
+ * @param {number[]} data
+ * @param {number[]} divisor - From reedSolomonDivisor()
+ * @returns {number[]}
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Number of modules available for data and error correction in a version
+ */
+function numRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Number of data codewords (without error correction) a version holds at level M
+ */
+function numDataCodewords(version) {
+  return Math.floor(numRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * NUM_ECC_BLOCKS[version];
+}
+
+/**
+ * Centre coordinates of the alignment patterns in a version
+ */
+function alignmentPatternPositions(version) {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+/**
+ * Encode bytes into data codewords: byte mode header, data, terminator and padding
+ */
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);                            // byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);  // character count
+  for (const byte of bytes) append(byte, 8);
+
+  const capacity = numDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length)); // terminator
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data codewords into blocks, add error correction to each and interleave them
+ */
+function addErrorCorrection(data, version) {
+  const numBlocks = NUM_ECC_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const dataLength = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    blocks.push({ data: blockData, ecc: reedSolomonRemainder(blockData, divisor) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortBlockLength - eccLength; i++) {
+    for (const block of blocks) {
+      if (i < block.data.length) result.push(block.data[i]);
+    }
+  }
+  for (let i = 0; i < eccLength; i++) {
+    for (const block of blocks) result.push(block.ecc[i]);
+  }
+  return result;
+}
+
+/** Data mask patterns 0-7 */
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * A QR symbol under construction: module colours plus which modules belong
+ * to function patterns (and so are never masked)
+ */
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = alignmentPatternPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; the real bits are drawn once the mask is known
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (ECC_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // dark module
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  /**
+   * Place the codewords in the zigzag order, two columns at a time from the right
+   */
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing pattern
+      const upward = ((right + 1) & 2) === 0;
+      for (let vertical = 0; vertical < size; vertical++) {
+        const y = upward ? size - 1 - vertical : vertical;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.isFunction[y][x]) continue;
+          if (i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask onto the data modules; applying it twice undoes it
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current symbol; the mask with the lowest score is used
+   */
+  penaltyScore() {
+    const { size, modules } = this;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    for (const line of lines) {
+      // Runs of five or more modules of the same colour
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+        } else {
+          if (runLength >= 5) score += runLength - 2;
+          runLength = 1;
+        }
+      }
+
+      // Finder-like patterns: 1011101 with four light modules on one side
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+          score += 40;
+        }
+      }
+    }
+
+    // 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+}
+
+/**
+ * Encode a string as a QR symbol
+ *
+ * @param {string} text
+ * @returns {boolean[][]} Rows of modules, true for dark
+ * @throws {Error} If the text is too long
+ */
+export function encodeQrCode(text) {
+  const bytes = [...encoder.encode(text)];
+
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > numDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Text too long for a QR code: ${bytes.length} bytes`);
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawFunctionPatterns();
+  matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+
+  let bestMask = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penaltyScore();
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    matrix.applyMask(mask);
+  }
+
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(bestMask);
+  return matrix.modules;
+}
+
+/**
+ * Render a string as a QR code SVG
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.size=200] - Width and height in pixels
+ * @returns {string}
+ */
+export function qrCodeSvg(text, { size = 200 } = {}) {
+  const modules = encodeQrCode(text);
+  const border = 4;
+  const dimension = modules.length + border * 2;
+
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges" role="img">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
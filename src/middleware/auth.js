@@ -1,3 +1,5 @@
+import { getUserRole, hasRole } from '../services/auth.js';
+import { getTwoFactorStatus, isTwoFactorRequired } from '../services/two-factor.js';
 import { createSessionCookie, saveSession } from './session.js';
 
 /**
@@ -70,6 +72,53 @@ export function requirePasswordChanged({ session, path, request, set }) {
   });
 }
 
+/**
+ * Guard to enforce the two-factor policy: when it is on, publishers and
+ * admins must set up two-factor authentication before doing anything else
+ */
+export function requireTwoFactorEnrollment({ session, path, request, set }) {
+  if (!isTwoFactorRequired(getUserRole(session.userId)) || getTwoFactorStatus(session.userId).enabled) {
+    return; // Not required or already set up, continue
+  }
+
+  const headers = Object.fromEntries(request.headers);
+
+  if (isApiRequest(path, headers)) {
+    set.status = 403;
+    return { error: 'You must set up two-factor authentication before accessing this resource' };
+  }
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': '/settings?message=' + encodeURIComponent('Please set up two-factor authentication before continuing')
+    }
+  });
+}
+
+/**
+ * Guard to require a minimum role (see ROLES in services/auth.js).
+ * Run it after requireAuth.
+ *
+ * @param {string} requiredRole
+ * @returns {Function} Guard returning an error response if the user's role is too low
+ */
+export function requireRole(requiredRole) {
+  return ({ session, path, request, set }) => {
+    if (hasRole(getUserRole(session.userId), requiredRole)) {
+      return; // Allowed, continue
+    }
+
+    const headers = Object.fromEntries(request.headers);
+
+    set.status = 403;
+    if (isApiRequest(path, headers)) {
+      return { error: `This requires the ${requiredRole} role` };
+    }
+    return `Forbidden: this requires the ${requiredRole} role`;
+  };
+}
+
 /**
  * Check if user is authenticated (non-blocking)
  * Adds isAuthenticated and user to context
@@ -79,7 +128,8 @@ export function checkAuth({ session }) {
     isAuthenticated: !!session.userId,
     user: session.userId ? {
       id: session.userId,
-      username: session.username
+      username: session.username,
+      role: getUserRole(session.userId)
     } : null
   };
 }
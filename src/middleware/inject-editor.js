@@ -7,9 +7,12 @@ import { escapeHtml } from '../lib/escape-html.js';
  * @param {string} html - The original HTML content
  * @param {string} pagePath - The path to the current page
  * @param {string} csrfToken - CSRF token for editor API calls
+ * @param {object} [options]
+ * @param {boolean} [options.canPublish=true] - Show the publish and unpublish buttons
+ * @param {string|null} [options.pageHash=null] - Hash of the draft, sent back when saving
  * @returns {string} - Modified HTML with editor shell (iframe-based)
  */
-export function injectEditor(html, pagePath, csrfToken) {
+export function injectEditor(html, pagePath, csrfToken, { canPublish = true, pageHash = null } = {}) {
   // Escape HTML for use in srcdoc attribute
   const escapedHtml = html
     .replace(/&/g, '&amp;')
@@ -40,7 +43,7 @@ export function injectEditor(html, pagePath, csrfToken) {
 <body class="h-100 overflow-hidden">
   <div class="d-flex vh-100 vw-100">
     <iframe id="capuzzella-iframe" class="flex-grow-1 border-0 h-100 min-vw-0" sandbox="${iframeSandbox}" srcdoc="${escapedHtml}"></iframe>
-    <div id="capuzzella-editor" class="d-flex flex-column flex-shrink-0 h-100 bg-dark border-start border-secondary overflow-hidden" style="width: 400px;" data-page-path="${escapeHtml(pagePath)}" data-csrf-token="${escapeHtml(csrfToken)}">
+    <div id="capuzzella-editor" class="d-flex flex-column flex-shrink-0 h-100 bg-dark border-start border-secondary overflow-hidden" style="width: 400px;" data-page-path="${escapeHtml(pagePath)}" data-csrf-token="${escapeHtml(csrfToken)}" data-can-publish="${canPublish}" data-page-hash="${escapeHtml(pageHash || '')}">
       <!-- Editor UI will be initialized by editor.js -->
     </div>
   </div>
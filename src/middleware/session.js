@@ -102,6 +102,17 @@ export function destroySession(sessionId) {
   db.query('DELETE FROM sessions WHERE sid = ?').run(sessionId);
 }
 
+/**
+ * Destroy every session of a user, logging them out everywhere
+ * (e.g. after they were disabled or their password was reset)
+ *
+ * @param {number} userId
+ */
+export function destroyUserSessions(userId) {
+  const db = getDb();
+  db.query("DELETE FROM sessions WHERE json_extract(sess, '$.userId') = ?").run(userId);
+}
+
 /**
  * Regenerate a session: create a new session ID, copy data over, destroy the old one.
  * Prevents session fixation attacks by ensuring a fresh ID after privilege changes (e.g. login).
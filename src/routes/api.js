@@ -2,12 +2,45 @@ import { Elysia } from 'elysia';
 import path from 'path';
 import sanitizeHtml from 'sanitize-html';
 import { fileURLToPath } from 'url';
+import { createUnifiedDiff, diffLines, diffStats } from '../lib/diff.js';
 import { logger } from '../lib/logger.js';
 import { PathTraversalError, safePath } from '../lib/safe-path.js';
-import { requireAuth, requirePasswordChanged } from '../middleware/auth.js';
+import { requireAuth, requirePasswordChanged, requireRole, requireTwoFactorEnrollment } from '../middleware/auth.js';
 import { verifyCsrfRequest } from '../middleware/csrf.js';
-import { processChat } from '../services/ai/index.js';
-import { deletePage, getPage, listPages, savePage } from '../services/pages.js';
+import { applyDiffs, processChat } from '../services/ai/index.js';
+import { auditActor, recordAudit } from '../services/audit.js';
+import { isDomOperation, validateDomOperation } from '../services/dom-edit.js';
+import {
+  appendToMessage,
+  deleteConversation,
+  getConversationMessages,
+  getUserConversation,
+  linkMessagesToRevision,
+  listConversations
+} from '../services/conversations.js';
+import { acquirePageLock, getPageLock, releasePageLock } from '../services/page-locks.js';
+import { deletePage, getPage, listPages, savePage, savePages } from '../services/pages.js';
+import {
+  deletePartial,
+  getPartial,
+  isValidPartialName,
+  listPartialNames,
+  listPartialUsage,
+  preserveIncludes,
+  savePartial
+} from '../services/partials.js';
+import {
+  getEditState,
+  getHeadRevision,
+  getPreviousRevision,
+  getRedoTarget,
+  getRevision,
+  getUndoTarget,
+  hashContent,
+  listRevisions,
+  recordRevision,
+  setEditCursor
+} from '../services/revisions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -92,6 +125,17 @@ const SANITIZER_OPTIONS = {
                 'circle', 'ellipse', 'line', 'path', 'polygon', 'polyline', 'rect', 'stop', 'use']
 };
 
+/**
+ * Sanitize HTML to prevent stored XSS, keeping the partial include markers
+ * that sanitize-html would strip with the other comments
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeContent(html) {
+  return preserveIncludes(html, content => sanitizeHtml(content, SANITIZER_OPTIONS));
+}
+
 /**
  * Re-add the <!DOCTYPE html> declaration that sanitize-html strips.
  * Only prepends if the raw HTML originally had one (validated beforehand).
@@ -133,6 +177,633 @@ function validateHtml(html) {
   return { valid: true };
 }
 
+/** Maximum number of changes (search/replace or DOM operations) accepted by POST /api/chat/apply */
+const MAX_APPLY_CHANGES = 100;
+
+/**
+ * Check that a client-supplied change list has the edit_page shape:
+ * search/replace changes and well-formed DOM operations
+ *
+ * @param {unknown} changes
+ * @returns {boolean}
+ */
+function isValidChangeList(changes) {
+  return Array.isArray(changes) &&
+    changes.length > 0 &&
+    changes.length <= MAX_APPLY_CHANGES &&
+    changes.every(c => c && (isDomOperation(c)
+      ? validateDomOperation(c) === null
+      : typeof c.search === 'string' && typeof c.replace === 'string'));
+}
+
+/**
+ * The author recorded on revisions created by the current session
+ */
+function sessionUser(session) {
+  return { id: session.userId, username: session.username };
+}
+
+/**
+ * Record a change to a page or partial in the audit log, with the hashes of
+ * its HTML before and after (null where it did not exist)
+ *
+ * @param {string} action - e.g. 'page.edit'
+ * @param {string} target - Page path or partial name
+ * @param {{ user: object, ip: string }} actor - From auditActor()
+ * @param {string|null} beforeHtml
+ * @param {string|null} afterHtml
+ * @param {object} [details]
+ */
+function auditChange(action, target, actor, beforeHtml, afterHtml, details = null) {
+  recordAudit({
+    action,
+    ...actor,
+    target,
+    details,
+    beforeHash: beforeHtml === null ? null : hashContent(beforeHtml),
+    afterHash: afterHtml === null ? null : hashContent(afterHtml)
+  });
+}
+
+/**
+ * Parse a numeric route parameter, returning null if it is not a positive integer
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * The 409 payload for a draft that changed since the client loaded it.
+ * Names who saved the latest revision, unless that was the user themselves.
+ *
+ * @param {string} pagePath
+ * @param {string|null} currentHtml - The draft as it is now
+ * @param {object} session
+ */
+function draftConflict(pagePath, currentHtml, session) {
+  const author = currentHtml === null ? null : getHeadRevision(pagePath)?.author;
+  const changedBy = author && author !== session.username ? ` by ${author}` : '';
+
+  return {
+    error: currentHtml === null
+      ? 'The page was deleted since you loaded it.'
+      : `The page was changed${changedBy} since you loaded it. Reload it to get the latest version, then try again.`,
+    conflict: true,
+    hash: currentHtml === null ? null : hashContent(currentHtml)
+  };
+}
+
+/**
+ * Optimistic concurrency: check the draft hash the client's request is based
+ * on (baseHash, from GET /api/pages/* or the last save). Requests without
+ * one are not checked.
+ *
+ * @param {string|undefined} baseHash
+ * @param {string} pagePath
+ * @param {string|null} currentHtml - The draft as it is now
+ * @param {object} session
+ * @param {object} set - Elysia response setter
+ * @returns {object|undefined} 409 payload, or undefined if the draft is unchanged
+ */
+function checkBaseHash(baseHash, pagePath, currentHtml, session, set) {
+  if (baseHash === undefined || baseHash === null) return;
+  if (currentHtml !== null && hashContent(currentHtml) === baseHash) return;
+
+  set.status = 409;
+  return draftConflict(pagePath, currentHtml, session);
+}
+
+/**
+ * Move a page one step back (undo) or forward (redo) on its edit stack and
+ * write the resulting revision to the draft.
+ *
+ * @param {'undo'|'redo'} direction
+ * @param {string} pagePath
+ * @param {string|undefined} baseHash - Draft hash the client expects
+ * @param {object} session
+ * @param {object} set - Elysia response setter
+ * @param {object} actor - From auditActor()
+ */
+async function stepEditStack(direction, pagePath, baseHash, session, set, actor) {
+  if (!pagePath) {
+    set.status = 400;
+    return { error: 'pagePath is required' };
+  }
+
+  try {
+    safePath(DRAFTS_DIR, pagePath);
+  } catch (err) {
+    if (err instanceof PathTraversalError) {
+      set.status = 400;
+      return { error: 'Invalid page path' };
+    }
+    throw err;
+  }
+
+  const currentHtml = await getPage(pagePath);
+  if (currentHtml === null) {
+    set.status = 404;
+    return { error: 'Page not found' };
+  }
+
+  const conflict = checkBaseHash(baseHash, pagePath, currentHtml, session, set);
+  if (conflict) return conflict;
+
+  // Capture changes made outside the editor so stepping back doesn't lose them
+  recordRevision(pagePath, currentHtml, {
+    source: 'manual',
+    prompt: 'Untracked draft change',
+    user: sessionUser(session)
+  });
+
+  const head = getHeadRevision(pagePath);
+  const target = direction === 'undo' ? getUndoTarget(pagePath) : getRedoTarget(pagePath);
+
+  if (!target) {
+    set.status = 409;
+    return { error: `Nothing to ${direction}`, editState: getEditState(pagePath) };
+  }
+
+  await savePage(pagePath, target.html);
+  setEditCursor(pagePath, target.id);
+
+  // The edit that was reverted (undo) or re-applied (redo)
+  const step = direction === 'undo' ? head : target;
+  auditChange(`page.${direction}`, pagePath, actor, currentHtml, target.html, { revisionId: step.id });
+
+  return {
+    success: true,
+    action: direction,
+    pagePath,
+    updatedHtml: target.html,
+    hash: hashContent(target.html),
+    revisionId: target.id,
+    step: { revisionId: step.id, source: step.source, prompt: step.prompt },
+    editState: getEditState(pagePath)
+  };
+}
+
+/**
+ * Per-page outcome of a multi-page edit as returned to the editor
+ *
+ * @param {object[]} pageResults - PageEditResult list from processChat()
+ * @param {Map<string, number>} [revisionIds] - Revision saved per page
+ */
+function toPageReport(pageResults, revisionIds = new Map()) {
+  return pageResults.map(r => ({
+    pagePath: r.pagePath,
+    changeCount: r.changeCount,
+    appliedCount: r.appliedCount,
+    error: r.error,
+    revisionId: revisionIds.get(r.pagePath) ?? null
+  }));
+}
+
+/**
+ * Add a note to the stored assistant message of a chat turn whose changes
+ * were not saved, so the reopened conversation doesn't show an edit that
+ * never landed
+ *
+ * @param {object} result - From processChat()
+ * @param {string} note - e.g. "(Not applied: ...)"
+ */
+function noteNotApplied(result, note) {
+  const assistantMessageId = result.messageIds?.[1];
+  if (assistantMessageId) {
+    appendToMessage(assistantMessageId, ` ${note}`);
+  }
+}
+
+/**
+ * Validate, sanitize and save the pages of an edit_pages result. Nothing is
+ * saved unless every page is valid; the response lists the outcome per page.
+ *
+ * @param {object} result - processChat() result with action 'edit_pages'
+ * @param {string} message - The chat prompt, recorded on the revisions
+ * @param {string} pagePath - The page open in the editor
+ * @param {object} session
+ * @param {object} actor - From auditActor()
+ * @returns {Promise<object>} Response payload
+ */
+async function saveMultiPageEdit(result, message, pagePath, session, actor) {
+  const { pageResults } = result;
+  let applied = result.pagesApplied;
+
+  // Validate AI HTML *before* sanitizing (sanitize-html strips <!DOCTYPE>)
+  for (const page of applied ? pageResults : []) {
+    const validation = validateHtml(page.updatedHtml);
+    if (!validation.valid) {
+      log.warn('AI produced invalid HTML in multi-page edit', { pagePath: page.pagePath, reason: validation.reason });
+      page.error = `AI produced invalid HTML: ${validation.reason}`;
+      applied = false;
+    }
+  }
+
+  // Don't overwrite pages someone else saved while the AI was working
+  let conflicted = false;
+  for (const page of applied ? pageResults : []) {
+    if (await getPage(page.pagePath) !== page.originalHtml) {
+      page.error = 'The page was changed by someone else while the AI was working';
+      applied = false;
+      conflicted = true;
+    }
+  }
+
+  if (!applied) {
+    let message = result.assistantMessage;
+    if (result.pagesApplied) {
+      const failedCount = pageResults.filter(r => r.error).length;
+      const problem = conflicted
+        ? `${failedCount} of ${pageResults.length} pages were changed by someone else in the meantime or would be invalid`
+        : `${failedCount} of ${pageResults.length} pages would be invalid`;
+      const note = `(Not applied: ${problem}, so no pages were changed.)`;
+      noteNotApplied(result, note);
+      message = `${message} ${note}`;
+    }
+
+    return {
+      success: true,
+      action: 'edit_pages',
+      applied: false,
+      message,
+      pages: toPageReport(pageResults),
+      updatedHtml: null,
+      conversationId: result.conversationId
+    };
+  }
+
+  const pages = pageResults.map(page => ({
+    pagePath: page.pagePath,
+    html: restoreDoctype(sanitizeContent(page.updatedHtml)),
+    previousHtml: page.originalHtml
+  }));
+
+  await savePages(pages);
+
+  const revisionIds = new Map();
+  for (const page of pages) {
+    const revision = recordRevision(page.pagePath, page.html, {
+      source: 'chat',
+      prompt: message,
+      user: sessionUser(session),
+      previousHtml: page.previousHtml
+    });
+    if (revision) revisionIds.set(page.pagePath, revision.id);
+    auditChange('page.edit', page.pagePath, actor, page.previousHtml, page.html, { source: 'chat', revisionId: revision?.id ?? null });
+  }
+
+  // Link the turn to the current page's revision so undo there marks it reverted
+  const linkedRevisionId = revisionIds.get(pagePath) ?? revisionIds.values().next().value ?? null;
+  if (linkedRevisionId) {
+    linkMessagesToRevision(result.messageIds, linkedRevisionId, session.userId);
+  }
+
+  const currentPage = pages.find(page => page.pagePath === pagePath);
+
+  return {
+    success: true,
+    action: 'edit_pages',
+    applied: true,
+    message: result.assistantMessage,
+    pages: toPageReport(pageResults, revisionIds),
+    updatedHtml: currentPage?.html ?? null,
+    hash: currentPage ? hashContent(currentPage.html) : null,
+    revisionId: linkedRevisionId,
+    conversationId: result.conversationId
+  };
+}
+
+/**
+ * Save the partial of an edit_partial result. Review mode only previews the
+ * current page, so a partial change is not applied there.
+ *
+ * @param {object} result - processChat() result with action 'edit_partial'
+ * @param {boolean} proposeOnly
+ * @param {object} actor - From auditActor()
+ * @returns {Promise<object>} Response payload
+ */
+async function savePartialEdit(result, proposeOnly, actor) {
+  const response = {
+    success: true,
+    action: 'edit_partial',
+    applied: false,
+    partial: result.partialName,
+    message: result.assistantMessage,
+    updatedHtml: null,
+    conversationId: result.conversationId
+  };
+
+  if (result.partialHtml === null) {
+    return response;
+  }
+
+  if (proposeOnly) {
+    const note = '(Not applied: changes to partials can\'t be reviewed yet. Turn off "Review changes" and send the request again to apply them.)';
+    noteNotApplied(result, note);
+    response.message = `${result.assistantMessage} ${note}`;
+    return response;
+  }
+
+  const previousHtml = await getPartial(result.partialName);
+  const partialHtml = sanitizeContent(result.partialHtml);
+  await savePartial(result.partialName, partialHtml);
+  auditChange('partial.edit', result.partialName, actor, previousHtml, partialHtml, { source: 'chat' });
+  const usage = await listPartialUsage();
+
+  return { ...response, applied: true, pages: usage.get(result.partialName) || [] };
+}
+
+/** Limits for the element picked in the editor (selection of a chat request) */
+const MAX_SELECTION_SELECTOR_LENGTH = 1000;
+const MAX_SELECTION_HTML_LENGTH = 20000;
+
+/**
+ * Check the optional selection of a chat request: { selector, html, partial? }
+ *
+ * @param {unknown} selection
+ * @returns {boolean}
+ */
+function isValidSelection(selection) {
+  return selection === undefined || selection === null || (
+    typeof selection === 'object' &&
+    typeof selection.selector === 'string' &&
+    selection.selector.length > 0 &&
+    selection.selector.length <= MAX_SELECTION_SELECTOR_LENGTH &&
+    typeof selection.html === 'string' &&
+    selection.html.length <= MAX_SELECTION_HTML_LENGTH &&
+    (selection.partial === undefined || selection.partial === null || isValidPartialName(selection.partial))
+  );
+}
+
+/**
+ * Validate the message, pagePath and selection of a chat request
+ *
+ * @param {object} body
+ * @param {object} set - Elysia response setter
+ * @returns {object|undefined} Error payload, or undefined if the request is valid
+ */
+function checkChatRequest(body, set) {
+  const { message, pagePath, selection } = body || {};
+
+  if (!message || !pagePath) {
+    set.status = 400;
+    return { error: 'Message and pagePath are required' };
+  }
+
+  if (!isValidSelection(selection)) {
+    set.status = 400;
+    return { error: `selection must have a selector (up to ${MAX_SELECTION_SELECTOR_LENGTH} characters) and html (up to ${MAX_SELECTION_HTML_LENGTH} characters)` };
+  }
+
+  // Validate pagePath before any file operations
+  try {
+    safePath(DRAFTS_DIR, pagePath);
+  } catch (err) {
+    if (err instanceof PathTraversalError) {
+      set.status = 400;
+      return { error: 'Invalid page path' };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Handle a chat request: run the AI, validate and sanitize its HTML, then save
+ * (or, in propose mode, return) the result.
+ *
+ * @param {object} body - Request body: { message, pagePath, conversationId, mode, selection, baseHash }
+ * @param {object} session
+ * @param {object} set - Elysia response setter (only status is used)
+ * @param {object} actor - From auditActor()
+ * @param {Function} [onProgress] - Receives progress events while the AI responds
+ * @returns {Promise<object>} Response payload
+ */
+async function handleChat(body, session, set, actor, onProgress) {
+  const invalid = checkChatRequest(body, set);
+  if (invalid) return invalid;
+
+  const { message, pagePath, conversationId, mode, selection, baseHash } = body;
+  const proposeOnly = mode === 'propose';
+
+  try {
+    // Get current page content (may be null if page doesn't exist)
+    const currentHtml = await getPage(pagePath);
+
+    const conflict = checkBaseHash(baseHash, pagePath, currentHtml, session, set);
+    if (conflict) return conflict;
+
+    const result = await processChat(message, currentHtml, pagePath, conversationId || null, {
+      userId: session.userId,
+      onProgress,
+      selection: selection || null
+    });
+
+    // Validate AI HTML *before* sanitizing (sanitize-html strips <!DOCTYPE>)
+    if (result.updatedHtml) {
+      const validation = validateHtml(result.updatedHtml);
+      if (!validation.valid) {
+        const label = result.action === 'create' ? 'new page' : 'after edit';
+        log.warn(`AI produced invalid HTML for ${label}`, { reason: validation.reason });
+        noteNotApplied(result, `(Not applied: the result was not valid HTML: ${validation.reason}.)`);
+        set.status = 422;
+        return {
+          error: `AI produced invalid HTML: ${validation.reason}`,
+          conversationId: result.conversationId
+        };
+      }
+
+      // Sanitize, then restore the doctype that sanitize-html strips
+      result.updatedHtml = restoreDoctype(
+        sanitizeContent(result.updatedHtml)
+      );
+    }
+
+    // Handle different actions
+    if (proposeOnly && result.action === 'edit' && result.updatedHtml) {
+      // Propose mode: return the changes for review without touching the draft
+      return {
+        success: true,
+        action: 'propose',
+        message: result.assistantMessage,
+        proposal: {
+          pagePath,
+          prompt: message,
+          changes: result.changes.map((change, i) => ({
+            ...change,
+            applied: !!result.changeResults?.[i]?.applied,
+            error: result.changeResults?.[i]?.error ?? null
+          })),
+          proposedHtml: result.updatedHtml,
+          diff: createUnifiedDiff(currentHtml, result.updatedHtml, {
+            oldLabel: `a/${pagePath}`,
+            newLabel: `b/${pagePath}`
+          }),
+          messageIds: result.messageIds
+        },
+        conversationId: result.conversationId
+      };
+    } else if (result.action === 'edit_pages') {
+      if (proposeOnly && result.pagesApplied) {
+        // Review mode previews the current page only; don't save changes to several pages unseen
+        const note = '(Not applied: changes to several pages can\'t be reviewed yet. Turn off "Review changes" and send the request again to apply them.)';
+        noteNotApplied(result, note);
+        return {
+          success: true,
+          action: 'edit_pages',
+          applied: false,
+          message: `${result.assistantMessage} ${note}`,
+          pages: toPageReport(result.pageResults),
+          updatedHtml: null,
+          conversationId: result.conversationId
+        };
+      }
+
+      return await saveMultiPageEdit(result, message, pagePath, session, actor);
+    } else if (result.action === 'edit_partial') {
+      return await savePartialEdit(result, proposeOnly, actor);
+    } else if (result.action === 'create' && result.newPagePath && result.updatedHtml) {
+      // Validate AI-generated newPagePath before saving
+      try {
+        safePath(DRAFTS_DIR, result.newPagePath);
+      } catch (err) {
+        if (err instanceof PathTraversalError) {
+          log.warn('AI returned invalid newPagePath', { newPagePath: result.newPagePath });
+          noteNotApplied(result, '(Not applied: the page path was not valid.)');
+          set.status = 422;
+          return {
+            error: 'AI returned an invalid page path',
+            conversationId: result.conversationId
+          };
+        }
+        throw err;
+      }
+
+      // Create a new page
+      const previousHtml = await getPage(result.newPagePath);
+      await savePage(result.newPagePath, result.updatedHtml);
+      const revision = recordRevision(result.newPagePath, result.updatedHtml, {
+        source: 'chat',
+        prompt: message,
+        user: sessionUser(session),
+        previousHtml
+      });
+      if (revision) {
+        linkMessagesToRevision(result.messageIds, revision.id, session.userId);
+      }
+      auditChange(previousHtml === null ? 'page.create' : 'page.edit', result.newPagePath, actor, previousHtml, result.updatedHtml, {
+        source: 'chat',
+        revisionId: revision?.id ?? null
+      });
+
+      return {
+        success: true,
+        action: 'create',
+        message: result.assistantMessage,
+        updatedHtml: result.updatedHtml,
+        hash: hashContent(result.updatedHtml),
+        newPagePath: result.newPagePath,
+        revisionId: revision?.id ?? null,
+        conversationId: result.conversationId
+      };
+    } else if (result.action === 'edit' && result.updatedHtml) {
+      // Don't overwrite a save made while the AI was working
+      const latestHtml = await getPage(pagePath);
+      if (latestHtml !== currentHtml) {
+        noteNotApplied(result, '(Not applied: the page was changed while the AI was working.)');
+        set.status = 409;
+        return { ...draftConflict(pagePath, latestHtml, session), conversationId: result.conversationId };
+      }
+
+      // Edit the current page
+      await savePage(pagePath, result.updatedHtml);
+      const revision = recordRevision(pagePath, result.updatedHtml, {
+        source: 'chat',
+        prompt: message,
+        user: sessionUser(session),
+        previousHtml: currentHtml
+      });
+      if (revision) {
+        linkMessagesToRevision(result.messageIds, revision.id, session.userId);
+      }
+      auditChange('page.edit', pagePath, actor, currentHtml, result.updatedHtml, { source: 'chat', revisionId: revision?.id ?? null });
+
+      return {
+        success: true,
+        action: 'edit',
+        message: result.assistantMessage,
+        updatedHtml: result.updatedHtml,
+        hash: hashContent(result.updatedHtml),
+        revisionId: revision?.id ?? null,
+        conversationId: result.conversationId
+      };
+    } else {
+      // Just a response, no page changes
+      return {
+        success: true,
+        action: 'respond',
+        message: result.assistantMessage,
+        updatedHtml: null,
+        conversationId: result.conversationId
+      };
+    }
+  } catch (error) {
+    log.error('Chat error', { error: error.message, stack: error.stack });
+
+    set.status = 500;
+    return {
+      error: 'Failed to process chat message'
+    };
+  }
+}
+
+/** Interval for SSE comment lines that keep idle connections open during long AI calls */
+const SSE_HEARTBEAT_MS = 5000;
+
+/**
+ * Run a chat request and report it as Server-Sent Events:
+ * - `progress` events carry the objects passed to onProgress (see services/ai/progress.js)
+ * - a final `result` event carries the same payload POST /api/chat returns, plus its HTTP status
+ *
+ * @param {object} body
+ * @param {object} session
+ * @param {object} actor - From auditActor()
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamChat(body, session, actor) {
+  const encoder = new TextEncoder();
+  let closed = false;
+  let heartbeat = null;
+
+  return new ReadableStream({
+    async start(controller) {
+      const write = (chunk) => {
+        if (!closed) controller.enqueue(encoder.encode(chunk));
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      heartbeat = setInterval(() => write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+      try {
+        const status = { status: 200 };
+        const payload = await handleChat(body, session, status, actor, (event) => send('progress', event));
+        send('result', { status: status.status, ...payload });
+      } finally {
+        clearInterval(heartbeat);
+        if (!closed) {
+          closed = true;
+          controller.close();
+        }
+      }
+    },
+    cancel() {
+      // The client went away; the chat request still completes and saves
+      closed = true;
+      clearInterval(heartbeat);
+    }
+  });
+}
+
 /**
  * API routes plugin for Elysia
  */
@@ -149,21 +820,52 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
     const pwResult = requirePasswordChanged({ session, path: fullPath, request, set });
     if (pwResult !== undefined) return pwResult;
 
+    const twoFactorResult = requireTwoFactorEnrollment({ session, path: fullPath, request, set });
+    if (twoFactorResult !== undefined) return twoFactorResult;
+
+    // Viewers may read; changing drafts takes an editor
+    const roleResult = requireRole(request.method === 'GET' ? 'viewer' : 'editor')({ session, path: fullPath, request, set });
+    if (roleResult !== undefined) return roleResult;
+
     return verifyCsrfRequest(context);
   })
 
   /**
    * POST /api/chat - Process AI chat message for page editing or creation
    */
-  .post('/chat', async ({ body, set }) => {
-    const { message, pagePath, conversationId } = body;
+  .post('/chat', (context) => handleChat(context.body, context.session, context.set, auditActor(context)))
 
-    if (!message || !pagePath) {
+  /**
+   * POST /api/chat/stream - Same as POST /api/chat, but streams progress as
+   * Server-Sent Events and ends with a `result` event
+   */
+  .post('/chat/stream', (context) => {
+    const { body, session, set } = context;
+    const invalid = checkChatRequest(body, set);
+    if (invalid) return invalid;
+
+    return new Response(streamChat(body, session, auditActor(context)), {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+      }
+    });
+  })
+
+  /**
+   * POST /api/chat/apply - Apply reviewed edit_page changes (from propose mode) to a draft.
+   * With dryRun: true, returns the resulting HTML and diff without saving.
+   * messageIds (from the proposal) links the proposing chat turn to the saved revision.
+   */
+  .post('/chat/apply', async ({ body, session, set, request, server }) => {
+    const { pagePath, changes, prompt, dryRun, messageIds, baseHash } = body || {};
+
+    if (!pagePath || !isValidChangeList(changes)) {
       set.status = 400;
-      return { error: 'Message and pagePath are required' };
+      return { error: `pagePath and 1-${MAX_APPLY_CHANGES} changes (search and replace strings or DOM operations) are required` };
     }
 
-    // Validate pagePath before any file operations
     try {
       safePath(DRAFTS_DIR, pagePath);
     } catch (err) {
@@ -175,89 +877,134 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
     }
 
     try {
-      // Get current page content (may be null if page doesn't exist)
       const currentHtml = await getPage(pagePath);
 
-      const result = await processChat(message, currentHtml, pagePath, conversationId || null);
-
-      // Validate AI HTML *before* sanitizing (sanitize-html strips <!DOCTYPE>)
-      if (result.updatedHtml) {
-        const validation = validateHtml(result.updatedHtml);
-        if (!validation.valid) {
-          const label = result.action === 'create' ? 'new page' : 'after edit';
-          log.warn(`AI produced invalid HTML for ${label}`, { reason: validation.reason });
-          set.status = 422;
-          return {
-            error: `AI produced invalid HTML: ${validation.reason}`,
-            conversationId: result.conversationId
-          };
-        }
-
-        // Sanitize, then restore the doctype that sanitize-html strips
-        result.updatedHtml = restoreDoctype(
-          sanitizeHtml(result.updatedHtml, SANITIZER_OPTIONS)
-        );
+      if (currentHtml === null) {
+        set.status = 404;
+        return { error: 'Page not found' };
       }
 
-      // Handle different actions
-      if (result.action === 'create' && result.newPagePath && result.updatedHtml) {
-        // Validate AI-generated newPagePath before saving
-        try {
-          safePath(DRAFTS_DIR, result.newPagePath);
-        } catch (err) {
-          if (err instanceof PathTraversalError) {
-            log.warn('AI returned invalid newPagePath', { newPagePath: result.newPagePath });
-            set.status = 422;
-            return {
-              error: 'AI returned an invalid page path',
-              conversationId: result.conversationId
-            };
-          }
-          throw err;
-        }
+      const conflict = checkBaseHash(baseHash, pagePath, currentHtml, session, set);
+      if (conflict) return conflict;
 
-        // Create a new page
-        await savePage(result.newPagePath, result.updatedHtml);
+      const { html, appliedCount, failedSearches, results } = applyDiffs(currentHtml, changes);
 
+      if (appliedCount === 0) {
+        set.status = 409;
         return {
-          success: true,
-          action: 'create',
-          message: result.assistantMessage,
-          updatedHtml: result.updatedHtml,
-          newPagePath: result.newPagePath,
-          conversationId: result.conversationId
+          error: 'None of the changes could be applied — the page may have changed since they were proposed',
+          results
         };
-      } else if (result.action === 'edit' && result.updatedHtml) {
-        // Edit the current page
-        await savePage(pagePath, result.updatedHtml);
+      }
 
-        return {
-          success: true,
-          action: 'edit',
-          message: result.assistantMessage,
-          updatedHtml: result.updatedHtml,
-          conversationId: result.conversationId
-        };
-      } else {
-        // Just a response, no page changes
-        return {
-          success: true,
-          action: 'respond',
-          message: result.assistantMessage,
-          updatedHtml: null,
-          conversationId: result.conversationId
-        };
+      const validation = validateHtml(html);
+      if (!validation.valid) {
+        set.status = 422;
+        return { error: `Changes produce invalid HTML: ${validation.reason}`, results };
       }
-    } catch (error) {
-      log.error('Chat error', { error: error.message, stack: error.stack });
 
-      set.status = 500;
+      const updatedHtml = restoreDoctype(sanitizeContent(html));
+      const diff = createUnifiedDiff(currentHtml, updatedHtml, {
+        oldLabel: `a/${pagePath}`,
+        newLabel: `b/${pagePath}`
+      });
+
+      if (dryRun) {
+        return { success: true, dryRun: true, updatedHtml, diff, appliedCount, failedSearches, results };
+      }
+
+      await savePage(pagePath, updatedHtml);
+      const revision = recordRevision(pagePath, updatedHtml, {
+        source: 'chat',
+        prompt: typeof prompt === 'string' ? prompt : null,
+        user: sessionUser(session),
+        previousHtml: currentHtml
+      });
+      if (revision && Array.isArray(messageIds)) {
+        linkMessagesToRevision(messageIds.map(parseId).filter(Boolean), revision.id, session.userId);
+      }
+      auditChange('page.edit', pagePath, auditActor({ session, request, server }), currentHtml, updatedHtml, {
+        source: 'review',
+        revisionId: revision?.id ?? null
+      });
+
       return {
-        error: 'Failed to process chat message'
+        success: true,
+        action: 'edit',
+        updatedHtml,
+        hash: hashContent(updatedHtml),
+        diff,
+        appliedCount,
+        failedSearches,
+        results,
+        revisionId: revision?.id ?? null
       };
+    } catch (error) {
+      log.error('Apply changes error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to apply changes' };
     }
   })
 
+  /**
+   * GET /api/conversations?pagePath=... - List the current user's chat threads on a page
+   */
+  .get('/conversations', ({ query, session, set }) => {
+    const { pagePath } = query;
+
+    if (!pagePath) {
+      set.status = 400;
+      return { error: 'pagePath is required' };
+    }
+
+    try {
+      safePath(DRAFTS_DIR, pagePath);
+    } catch (err) {
+      if (err instanceof PathTraversalError) {
+        set.status = 400;
+        return { error: 'Invalid page path' };
+      }
+      throw err;
+    }
+
+    try {
+      return { pagePath, conversations: listConversations(pagePath, session.userId) };
+    } catch (error) {
+      log.error('List conversations error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to list conversations' };
+    }
+  })
+
+  /**
+   * GET /api/conversations/:id - Get a chat thread with its messages
+   */
+  .get('/conversations/:id', ({ params, session, set }) => {
+    const conversation = getUserConversation(params.id, session.userId);
+
+    if (!conversation) {
+      set.status = 404;
+      return { error: 'Conversation not found' };
+    }
+
+    return { conversation, messages: getConversationMessages(conversation.id) };
+  })
+
+  /**
+   * DELETE /api/conversations/:id - Delete a chat thread
+   */
+  .delete('/conversations/:id', ({ params, session, set }) => {
+    const conversation = getUserConversation(params.id, session.userId);
+
+    if (!conversation) {
+      set.status = 404;
+      return { error: 'Conversation not found' };
+    }
+
+    deleteConversation(conversation.id);
+    return { success: true };
+  })
+
   /**
    * GET /api/pages - List all pages in drafts
    */
@@ -273,7 +1020,8 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
   })
 
   /**
-   * GET /api/pages/* - Get a specific page
+   * GET /api/pages/* - Get a specific page with its hash (also sent as ETag;
+   * send it back as baseHash when saving) and who is editing it
    */
   .get('/pages/*', async ({ params, set }) => {
     const pagePath = params['*'];
@@ -297,7 +1045,9 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
         return { error: 'Page not found' };
       }
 
-      return { html };
+      const hash = hashContent(html);
+      set.headers['ETag'] = `"${hash}"`;
+      return { html, hash, lock: getPageLock(pagePath) };
     } catch (error) {
       log.error('Get page error', { error: error.message });
       set.status = 500;
@@ -306,19 +1056,25 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
   })
 
   /**
-   * PUT /api/pages/* - Save/update a page
+   * PUT /api/pages/* - Save/update a page.
+   * Send either the whole document as html, or changes (search/replace
+   * changes and DOM operations, e.g. from inline text editing) to apply to the
+   * current draft. A change set is saved only if every change applies.
+   * With baseHash, the page is saved only if the draft still has that hash.
    */
-  .put('/pages/*', async ({ params, body, set }) => {
+  .put('/pages/*', async ({ params, body, session, set, request, server }) => {
     const pagePath = params['*'];
-    const { html } = body;
+    const { html, changes, baseHash } = body || {};
 
-    if (!html) {
+    if (!html && changes === undefined) {
       set.status = 400;
-      return { error: 'HTML content is required' };
+      return { error: 'HTML content or changes are required' };
     }
 
-    // Sanitize HTML input to prevent Stored XSS
-    const sanitizedHtml = sanitizeHtml(html, SANITIZER_OPTIONS);
+    if (changes !== undefined && !isValidChangeList(changes)) {
+      set.status = 400;
+      return { error: `changes must be 1-${MAX_APPLY_CHANGES} search/replace changes or DOM operations` };
+    }
 
     // Defense-in-depth: validate path at the route level too
     try {
@@ -332,8 +1088,51 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
     }
 
     try {
+      const previousHtml = await getPage(pagePath);
+      let sanitizedHtml;
+
+      const conflict = checkBaseHash(baseHash, pagePath, previousHtml, session, set);
+      if (conflict) return conflict;
+
+      if (changes !== undefined) {
+        if (previousHtml === null) {
+          set.status = 404;
+          return { error: 'Page not found' };
+        }
+
+        const { html: updatedHtml, failedSearches, results } = applyDiffs(previousHtml, changes);
+        if (failedSearches.length > 0) {
+          set.status = 409;
+          return {
+            error: `${failedSearches.length} of ${changes.length} changes could not be applied; the page may have changed. Reload it and try again.`,
+            results
+          };
+        }
+
+        // Sanitize like AI edits, then restore the doctype that sanitize-html strips
+        sanitizedHtml = restoreDoctype(sanitizeContent(updatedHtml));
+      } else {
+        // Sanitize HTML input to prevent Stored XSS
+        sanitizedHtml = sanitizeContent(html);
+      }
+
       await savePage(pagePath, sanitizedHtml);
-      return { success: true };
+      const revision = recordRevision(pagePath, sanitizedHtml, {
+        source: 'manual',
+        prompt: changes !== undefined ? `Inline edit (${changes.length} ${changes.length === 1 ? 'change' : 'changes'})` : null,
+        user: sessionUser(session),
+        previousHtml
+      });
+      auditChange(previousHtml === null ? 'page.create' : 'page.edit', pagePath, auditActor({ session, request, server }), previousHtml, sanitizedHtml, {
+        source: changes !== undefined ? 'inline' : 'manual',
+        revisionId: revision?.id ?? null
+      });
+
+      const response = { success: true, hash: hashContent(sanitizedHtml), revisionId: revision?.id ?? null };
+      if (changes !== undefined) {
+        response.html = sanitizedHtml;
+      }
+      return response;
     } catch (error) {
       log.error('Save page error', { error: error.message });
       set.status = 500;
@@ -342,9 +1141,9 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
   })
 
   /**
-   * DELETE /api/pages/* - Delete a page
+   * DELETE /api/pages/* - Delete a page (publishers only)
    */
-  .delete('/pages/*', async ({ params, set }) => {
+  .delete('/pages/*', async ({ params, session, set, request, server }) => {
     const pagePath = params['*'];
 
     // Defense-in-depth: validate path at the route level too
@@ -359,13 +1158,343 @@ export const apiRoutes = new Elysia({ prefix: '/api' })
     }
 
     try {
+      const previousHtml = await getPage(pagePath);
       await deletePage(pagePath);
+      if (previousHtml !== null) {
+        auditChange('page.delete', pagePath, auditActor({ session, request, server }), previousHtml, null);
+      }
       return { success: true };
     } catch (error) {
       log.error('Delete page error', { error: error.message });
       set.status = 500;
       return { error: 'Failed to delete page' };
     }
+  }, { beforeHandle: requireRole('publisher') })
+
+  /**
+   * POST /api/locks/* - Take or refresh the soft lock on a page while editing it.
+   * If someone else holds it, it is returned with acquired: false.
+   */
+  .post('/locks/*', async ({ params, session, set }) => {
+    const pagePath = params['*'];
+
+    try {
+      safePath(DRAFTS_DIR, pagePath);
+    } catch (err) {
+      if (err instanceof PathTraversalError) {
+        set.status = 400;
+        return { error: 'Invalid page path' };
+      }
+      throw err;
+    }
+
+    if (await getPage(pagePath) === null) {
+      set.status = 404;
+      return { error: 'Page not found' };
+    }
+
+    return acquirePageLock(pagePath, sessionUser(session));
+  })
+
+  /**
+   * DELETE /api/locks/* - Release the current user's lock on a page
+   */
+  .delete('/locks/*', ({ params, session }) => {
+    return { success: true, released: releasePageLock(params['*'], session.userId) };
+  })
+
+  /**
+   * GET /api/partials - List the partials with their HTML and the pages that include them
+   */
+  .get('/partials', async ({ set }) => {
+    try {
+      const usage = await listPartialUsage();
+      const partials = [];
+      for (const name of await listPartialNames()) {
+        partials.push({ name, html: await getPartial(name), pages: usage.get(name) || [] });
+      }
+      return { partials };
+    } catch (error) {
+      log.error('List partials error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to list partials' };
+    }
+  })
+
+  /**
+   * GET /api/partials/:name - Get a partial
+   */
+  .get('/partials/:name', async ({ params, set }) => {
+    if (!isValidPartialName(params.name)) {
+      set.status = 400;
+      return { error: 'Invalid partial name' };
+    }
+
+    try {
+      const html = await getPartial(params.name);
+
+      if (html === null) {
+        set.status = 404;
+        return { error: 'Partial not found' };
+      }
+
+      const usage = await listPartialUsage();
+      return { name: params.name, html, pages: usage.get(params.name) || [] };
+    } catch (error) {
+      log.error('Get partial error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to get partial' };
+    }
+  })
+
+  /**
+   * PUT /api/partials/:name - Create or update a partial
+   * Body: { html }
+   */
+  .put('/partials/:name', async ({ params, body, session, set, request, server }) => {
+    const { html } = body || {};
+
+    if (!isValidPartialName(params.name)) {
+      set.status = 400;
+      return { error: 'Partial names may only contain lowercase letters, digits and dashes' };
+    }
+
+    if (typeof html !== 'string') {
+      set.status = 400;
+      return { error: 'HTML content is required' };
+    }
+
+    try {
+      const previousHtml = await getPartial(params.name);
+      const sanitizedHtml = sanitizeContent(html);
+      await savePartial(params.name, sanitizedHtml);
+      auditChange('partial.edit', params.name, auditActor({ session, request, server }), previousHtml, sanitizedHtml, { source: 'manual' });
+
+      set.status = previousHtml !== null ? 200 : 201;
+      return { success: true, name: params.name, html: sanitizedHtml };
+    } catch (error) {
+      log.error('Save partial error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to save partial' };
+    }
+  })
+
+  /**
+   * DELETE /api/partials/:name - Delete a partial no page includes
+   */
+  .delete('/partials/:name', async ({ params, session, set, request, server }) => {
+    if (!isValidPartialName(params.name)) {
+      set.status = 400;
+      return { error: 'Invalid partial name' };
+    }
+
+    try {
+      const pages = (await listPartialUsage()).get(params.name) || [];
+      if (pages.length > 0) {
+        set.status = 409;
+        return { error: `Partial is included by ${pages.join(', ')}`, pages };
+      }
+
+      const previousHtml = await getPartial(params.name);
+      if (!(await deletePartial(params.name))) {
+        set.status = 404;
+        return { error: 'Partial not found' };
+      }
+
+      auditChange('partial.delete', params.name, auditActor({ session, request, server }), previousHtml, null);
+      return { success: true };
+    } catch (error) {
+      log.error('Delete partial error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to delete partial' };
+    }
+  })
+
+  /**
+   * GET /api/history?pagePath=... - Undo/redo state of a page's edit stack
+   */
+  .get('/history', ({ query, set }) => {
+    const { pagePath } = query;
+
+    if (!pagePath) {
+      set.status = 400;
+      return { error: 'pagePath is required' };
+    }
+
+    try {
+      safePath(DRAFTS_DIR, pagePath);
+    } catch (err) {
+      if (err instanceof PathTraversalError) {
+        set.status = 400;
+        return { error: 'Invalid page path' };
+      }
+      throw err;
+    }
+
+    return { pagePath, ...getEditState(pagePath) };
+  })
+
+  /**
+   * POST /api/undo - Revert the most recent edit of a page
+   */
+  .post('/undo', async ({ body, session, set, request, server }) => {
+    try {
+      return await stepEditStack('undo', body?.pagePath, body?.baseHash, session, set, auditActor({ session, request, server }));
+    } catch (error) {
+      log.error('Undo error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to undo' };
+    }
+  })
+
+  /**
+   * POST /api/redo - Re-apply the most recently undone edit of a page
+   */
+  .post('/redo', async ({ body, session, set, request, server }) => {
+    try {
+      return await stepEditStack('redo', body?.pagePath, body?.baseHash, session, set, auditActor({ session, request, server }));
+    } catch (error) {
+      log.error('Redo error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to redo' };
+    }
+  })
+
+  /**
+   * GET /api/revisions?pagePath=... - List saved revisions of a page, newest first
+   */
+  .get('/revisions', ({ query, set }) => {
+    const { pagePath } = query;
+
+    if (!pagePath) {
+      set.status = 400;
+      return { error: 'pagePath is required' };
+    }
+
+    try {
+      safePath(DRAFTS_DIR, pagePath);
+    } catch (err) {
+      if (err instanceof PathTraversalError) {
+        set.status = 400;
+        return { error: 'Invalid page path' };
+      }
+      throw err;
+    }
+
+    try {
+      return { pagePath, revisions: listRevisions(pagePath) };
+    } catch (error) {
+      log.error('List revisions error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to list revisions' };
+    }
+  })
+
+  /**
+   * GET /api/revisions/:id - Get a revision including its HTML
+   */
+  .get('/revisions/:id', ({ params, set }) => {
+    const id = parseId(params.id);
+    const revision = id && getRevision(id);
+
+    if (!revision) {
+      set.status = 404;
+      return { error: 'Revision not found' };
+    }
+
+    return { revision };
+  })
+
+  /**
+   * GET /api/revisions/:id/diff?against=previous|current|<id> - Unified diff of a revision.
+   * Compares against the page's previous revision by default.
+   */
+  .get('/revisions/:id/diff', async ({ params, query, set }) => {
+    const id = parseId(params.id);
+    const revision = id && getRevision(id);
+
+    if (!revision) {
+      set.status = 404;
+      return { error: 'Revision not found' };
+    }
+
+    const against = query.against || 'previous';
+    let base;
+
+    try {
+      if (against === 'previous') {
+        const previous = getPreviousRevision(revision);
+        base = previous
+          ? { label: `revision #${previous.id}`, revisionId: previous.id, html: previous.html }
+          : { label: 'empty', revisionId: null, html: '' };
+      } else if (against === 'current') {
+        const currentHtml = await getPage(revision.pagePath);
+        base = { label: `current ${revision.pagePath}`, revisionId: null, html: currentHtml || '' };
+      } else {
+        const otherId = parseId(against);
+        const other = otherId && getRevision(otherId);
+        if (!other) {
+          set.status = 404;
+          return { error: 'Revision to compare against not found' };
+        }
+        base = { label: `revision #${other.id}`, revisionId: other.id, html: other.html };
+      }
+
+      const diff = createUnifiedDiff(base.html, revision.html, {
+        oldLabel: base.label,
+        newLabel: `revision #${revision.id}`
+      });
+
+      return {
+        pagePath: revision.pagePath,
+        from: base.revisionId,
+        to: revision.id,
+        diff,
+        ...diffStats(diffLines(base.html, revision.html))
+      };
+    } catch (error) {
+      log.error('Revision diff error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to diff revision' };
+    }
+  })
+
+  /**
+   * POST /api/revisions/:id/restore - Write a revision back to the draft
+   */
+  .post('/revisions/:id/restore', async ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const revision = id && getRevision(id);
+
+    if (!revision) {
+      set.status = 404;
+      return { error: 'Revision not found' };
+    }
+
+    try {
+      const previousHtml = await getPage(revision.pagePath);
+      await savePage(revision.pagePath, revision.html);
+      const restored = recordRevision(revision.pagePath, revision.html, {
+        source: 'restore',
+        prompt: `Restored revision #${revision.id}`,
+        user: sessionUser(session),
+        previousHtml
+      });
+      auditChange('page.restore', revision.pagePath, auditActor({ session, request, server }), previousHtml, revision.html, {
+        revisionId: revision.id
+      });
+
+      return {
+        success: true,
+        pagePath: revision.pagePath,
+        updatedHtml: revision.html,
+        revisionId: restored?.id ?? revision.id
+      };
+    } catch (error) {
+      log.error('Restore revision error', { error: error.message, revisionId: revision.id });
+      set.status = 500;
+      return { error: 'Failed to restore revision' };
+    }
   });
 
 export default apiRoutes;
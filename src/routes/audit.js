@@ -0,0 +1,106 @@
+import { Elysia } from 'elysia';
+import { toCsv } from '../lib/csv.js';
+import { logger } from '../lib/logger.js';
+import { requireAuth, requirePasswordChanged, requireRole, requireTwoFactorEnrollment } from '../middleware/auth.js';
+import { verifyCsrfRequest } from '../middleware/csrf.js';
+import { auditActor, listAuditEntries, parseAuditQuery, recordAudit } from '../services/audit.js';
+
+const log = logger.child('audit');
+
+const PAGE_SIZE = 100;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['id', 'createdAt', 'action', 'author', 'ip', 'target', 'beforeHash', 'afterHash', 'details'];
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Audit log routes plugin for Elysia (admins only)
+ */
+export const auditRoutes = new Elysia({ prefix: '/api/audit' })
+  .onBeforeHandle((context) => {
+    const { session, request, set } = context;
+    const url = new URL(request.url);
+    const fullPath = url.pathname;
+
+    const authResult = requireAuth({ session, path: fullPath, request, set });
+    if (authResult !== undefined) return authResult;
+
+    const pwResult = requirePasswordChanged({ session, path: fullPath, request, set });
+    if (pwResult !== undefined) return pwResult;
+
+    const twoFactorResult = requireTwoFactorEnrollment({ session, path: fullPath, request, set });
+    if (twoFactorResult !== undefined) return twoFactorResult;
+
+    const roleResult = requireRole('admin')({ session, path: fullPath, request, set });
+    if (roleResult !== undefined) return roleResult;
+
+    return verifyCsrfRequest(context);
+  })
+
+  /**
+   * GET /api/audit?category=&user=&target=&since=&until=&beforeId= - List
+   * audit entries, newest first. Pass nextBeforeId as beforeId for older ones.
+   */
+  .get('/', ({ query, set }) => {
+    const { filters, error } = parseAuditQuery(query);
+    if (error) {
+      set.status = 400;
+      return { error };
+    }
+
+    const entries = listAuditEntries({ ...filters, limit: PAGE_SIZE });
+    return {
+      entries,
+      nextBeforeId: entries.length === PAGE_SIZE ? entries[entries.length - 1].id : null
+    };
+  })
+
+  /**
+   * GET /api/audit/export?format=csv|json - Download the entries matching the
+   * same filters as GET /api/audit (at most the newest 10,000). When older
+   * matching entries were left out, the X-Audit-Truncated header is "true"
+   * (and the JSON has truncated: true); export those with beforeId.
+   */
+  .get('/export', ({ query, session, request, server, set }) => {
+    const format = query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      set.status = 400;
+      return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const { filters, error } = parseAuditQuery(query);
+    if (error) {
+      set.status = 400;
+      return { error };
+    }
+
+    try {
+      const entries = listAuditEntries({ ...filters, limit: Infinity });
+      const truncated = entries.length > 0 &&
+        listAuditEntries({ ...filters, beforeId: entries[entries.length - 1].id, limit: 1 }).length > 0;
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      recordAudit({
+        action: 'settings.audit_export',
+        ...auditActor({ session, request, server }),
+        details: { format, count: entries.length, truncated, filters }
+      });
+
+      log.info('Exported audit log', { format, count: entries.length, truncated });
+      return new Response(format === 'csv' ? toCsv(entries, CSV_COLUMNS) : JSON.stringify({ entries, truncated }, null, 2), {
+        headers: {
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'X-Audit-Truncated': String(truncated)
+        }
+      });
+    } catch (error) {
+      log.error('Audit export error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to export the audit log' };
+    }
+  });
+
+export default auditRoutes;
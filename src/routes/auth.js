@@ -3,7 +3,9 @@ import { logger } from '../lib/logger.js';
 import { getClientIp } from '../lib/get-client-ip.js';
 import { getCsrfToken, verifyCsrfRequest } from '../middleware/csrf.js';
 import { createClearSessionCookie, createSessionCookie, saveSession, regenerateSession } from '../middleware/session.js';
-import { authenticateUser } from '../services/auth.js';
+import { auditActor, recordAudit } from '../services/audit.js';
+import { authenticateUser, getUserById } from '../services/auth.js';
+import { getTwoFactorStatus, verifyTwoFactorCode } from '../services/two-factor.js';
 
 const log = logger.child('auth');
 
@@ -79,6 +81,62 @@ setInterval(() => {
   }
 }, 30 * 60 * 1000);
 
+// How long a user has to enter their two-factor code after the password
+const TWO_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Open Redirect Prevention: only allow relative paths as returnTo
+ */
+function sanitizeReturnTo(returnTo) {
+  if (!returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.startsWith('/\\')) {
+    log.warn('Invalid returnTo URL detected, resetting to /', { returnTo });
+    return '/';
+  }
+  return returnTo;
+}
+
+/**
+ * Log a user in: regenerate the session ID to prevent session fixation
+ * attacks and redirect to where they were going
+ */
+function completeLogin(session, user, returnTo) {
+  const sessionData = {
+    userId: user.id,
+    username: user.username,
+    mustChangePassword: user.mustChangePassword
+  };
+  const newSessionId = regenerateSession(session._sessionId, sessionData);
+
+  // Force redirect to settings if user must change their password
+  if (user.mustChangePassword) {
+    return new Response(null, {
+      status: 302,
+      headers: {
+        'Location': '/settings?message=' + encodeURIComponent('Please change your generated password before continuing'),
+        'Set-Cookie': createSessionCookie(newSessionId)
+      }
+    });
+  }
+
+  // Redirect to the page they were trying to access, or home
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': returnTo,
+      'Set-Cookie': createSessionCookie(newSessionId)
+    }
+  });
+}
+
+/**
+ * The login waiting for a two-factor code in this session, if it has not expired
+ */
+function getPendingTwoFactor(session) {
+  const pending = session.pendingTwoFactor;
+  if (!pending || Date.now() > pending.expiresAt) return null;
+  return pending;
+}
+
 /**
  * Auth routes plugin for Elysia
  */
@@ -157,47 +215,37 @@ export const authRoutes = new Elysia({ prefix: '/auth' })
       const user = await authenticateUser(username, password);
 
       if (user) {
-        // Successful login — clear failed attempt counters
-        clearLoginAttempts(ip);
-        clearUserLoginAttempts(username);
-
         // Preserve returnTo before regenerating the session
-        let returnTo = session.returnTo || '/';
+        const returnTo = sanitizeReturnTo(session.returnTo || '/');
 
-        // Open Redirect Prevention: Ensure returnTo is a relative path
-        if (!returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.startsWith('/\\')) {
-          log.warn('Invalid returnTo URL detected, resetting to /', { returnTo });
-          returnTo = '/';
-        }
-
-        // Regenerate session ID to prevent session fixation attacks
-        const oldSessionId = session._sessionId;
-        const sessionData = {
-          userId: user.id,
-          username: user.username,
-          mustChangePassword: user.mustChangePassword
-        };
-        const newSessionId = regenerateSession(oldSessionId, sessionData);
-
-        // Force redirect to settings if user must change their password
-        if (user.mustChangePassword) {
+        // With two-factor authentication the password is only the first step.
+        // The session stays logged out until the code is entered, and the
+        // failed attempt counters stay until then too.
+        if (getTwoFactorStatus(user.id).enabled) {
+          const newSessionId = regenerateSession(session._sessionId, {
+            pendingTwoFactor: {
+              userId: user.id,
+              username: user.username,
+              mustChangePassword: user.mustChangePassword,
+              returnTo,
+              expiresAt: Date.now() + TWO_FACTOR_WINDOW_MS
+            }
+          });
           return new Response(null, {
             status: 302,
             headers: {
-              'Location': '/settings?message=' + encodeURIComponent('Please change your generated password before continuing'),
+              'Location': '/auth/two-factor',
               'Set-Cookie': createSessionCookie(newSessionId)
             }
           });
         }
 
-        // Redirect to the page they were trying to access, or home
-        return new Response(null, {
-          status: 302,
-          headers: {
-            'Location': returnTo,
-            'Set-Cookie': createSessionCookie(newSessionId)
-          }
-        });
+        // Successful login — clear failed attempt counters
+        clearLoginAttempts(ip);
+        clearUserLoginAttempts(username);
+
+        recordAudit({ action: 'auth.login', user, ip, target: user.username, details: { method: 'password' } });
+        return completeLogin(session, user, returnTo);
       }
 
       // Failed login — record the attempt
@@ -205,6 +253,7 @@ export const authRoutes = new Elysia({ prefix: '/auth' })
       if (username) {
         recordFailedUserLogin(username);
       }
+      recordAudit({ action: 'auth.login_failed', user: null, ip, target: typeof username === 'string' ? username : null });
       
       set.status = 401;
       return 'Invalid credentials';
@@ -215,10 +264,110 @@ export const authRoutes = new Elysia({ prefix: '/auth' })
     }
   })
 
+  /**
+   * GET /auth/two-factor - Render the second login step
+   */
+  .get('/two-factor', ({ query, session, set }) => {
+    if (!getPendingTwoFactor(session)) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    set.headers['Content-Type'] = 'text/html';
+    const csrfToken = getCsrfToken(session);
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Two-Factor Authentication - Capuzzella</title>
+        <link rel="stylesheet" href="/static/css/bootstrap.min.css">
+        <script src="/static/js/bootstrap.bundle.min.js"></script>
+      </head>
+      <body class="bg-body-tertiary d-flex align-items-center min-vh-100">
+        <div class="container" style="max-width: 420px;">
+          <div class="card shadow-sm">
+            <div class="card-body p-4">
+              <h1 class="h4 fw-bold text-center mb-3">Capuzzella</h1>
+              <p class="text-body-secondary small">Enter the code from your authenticator app, or one of your recovery codes.</p>
+              ${query.error ? '<div class="alert alert-danger py-2 small">Invalid code</div>' : ''}
+              <form method="POST" action="/auth/two-factor">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="mb-3">
+                  <label for="code" class="form-label">Code</label>
+                  <input type="text" name="code" id="code" required autofocus autocomplete="one-time-code" class="form-control">
+                </div>
+                <button type="submit" class="btn btn-primary w-100">Verify</button>
+              </form>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  })
+
+  /**
+   * POST /auth/two-factor - Check the code and finish logging in
+   */
+  .post('/two-factor', ({ body, session, set, request, server }) => {
+    const ip = getClientIp(request, server);
+    const pending = getPendingTwoFactor(session);
+
+    if (!pending) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (isLoginRateLimited(ip) || isUserLoginRateLimited(pending.username)) {
+      log.warn('Two-factor rate limit exceeded', { username: pending.username, ip });
+      session.destroy();
+      set.status = 429;
+      return 'Too many login attempts for this account. Please try again later.';
+    }
+
+    const result = verifyTwoFactorCode(pending.userId, body?.code);
+    if (!result.success) {
+      recordFailedLogin(ip);
+      recordFailedUserLogin(pending.username);
+      recordAudit({ action: 'auth.two_factor_failed', user: null, ip, target: pending.username });
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/two-factor?error=1' }
+      });
+    }
+
+    // The user may have been disabled or deleted in the meantime
+    const user = getUserById(pending.userId);
+    if (!user || user.disabled) {
+      session.destroy();
+      set.status = 401;
+      return 'Invalid credentials';
+    }
+
+    if (result.method === 'recovery') {
+      log.info('Login with a recovery code', { username: user.username });
+    }
+
+    clearLoginAttempts(ip);
+    clearUserLoginAttempts(pending.username);
+
+    recordAudit({ action: 'auth.login', user, ip, target: user.username, details: { method: result.method } });
+    return completeLogin(session, { ...user, mustChangePassword: pending.mustChangePassword }, pending.returnTo);
+  })
+
   /**
    * POST /auth/logout - Handle logout
    */
-  .post('/logout', ({ session }) => {
+  .post('/logout', ({ session, request, server }) => {
+    if (session.userId) {
+      recordAudit({ action: 'auth.logout', ...auditActor({ session, request, server }), target: session.username });
+    }
     session.destroy();
     return new Response(null, {
       status: 302,
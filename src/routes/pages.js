@@ -1,46 +1,20 @@
 import { Elysia } from 'elysia';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { escapeHtml } from '../lib/escape-html.js';
 import { logger } from '../lib/logger.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireRole, requireTwoFactorEnrollment } from '../middleware/auth.js';
 import { getCsrfToken } from '../middleware/csrf.js';
+import { getUserRole, hasRole } from '../services/auth.js';
+import { listDeployTargets } from '../services/deploy/index.js';
+import { listPageLocks } from '../services/page-locks.js';
 import { listPages } from '../services/pages.js';
+import { getPublishState } from '../services/publish-diff.js';
+import { listPublishJobs } from '../services/publish-jobs.js';
+import { listSnapshots } from '../services/publish-snapshots.js';
 
 const log = logger.child('pages');
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DRAFTS_DIR = path.join(__dirname, '../../data/drafts');
-const PUBLIC_DIR = path.join(__dirname, '../../data/public');
-
-/**
- * Get the publish status of a page
- */
-async function getPageStatus(pagePath) {
-  const draftPath = path.join(DRAFTS_DIR, pagePath);
-  const publicPath = path.join(PUBLIC_DIR, pagePath);
-
-  let isPublished = false;
-  let hasUnpublishedChanges = false;
-
-  try {
-    await fs.access(publicPath);
-    isPublished = true;
-
-    const [draftStat, publicStat] = await Promise.all([
-      fs.stat(draftPath),
-      fs.stat(publicPath)
-    ]);
-    hasUnpublishedChanges = draftStat.mtime > publicStat.mtime;
-  } catch {
-    isPublished = false;
-  }
-
-  return { isPublished, hasUnpublishedChanges };
-}
+// Snapshots shown in the publish history on /pages
+const HISTORY_LIMIT = 10;
 
 /**
  * Get the status badge HTML for a page
@@ -55,6 +29,176 @@ function getStatusBadge(page) {
   return '<span class="badge text-bg-secondary">Draft</span>';
 }
 
+/**
+ * Describe what a scheduled job will do
+ */
+function describeJob(job) {
+  const target = job.pagePath ? escapeHtml(job.pagePath) : 'all pages';
+  return job.action === 'unpublish' ? `Unpublish ${target}` : `Publish ${target}`;
+}
+
+/**
+ * Render the scheduling form and the list of pending jobs. Only publishers
+ * get the form and cancel buttons.
+ */
+function renderSchedule(pages, jobs, canPublish) {
+  return `
+    <h2 class="h5 mt-5">Scheduled</h2>
+    ${canPublish ? `
+    <form id="schedule-form" class="row g-2 align-items-end mb-3">
+      <div class="col-sm-auto">
+        <label for="schedule-action" class="form-label small mb-1">Action</label>
+        <select id="schedule-action" class="form-select form-select-sm">
+          <option value="publish">Publish</option>
+          <option value="unpublish">Unpublish</option>
+        </select>
+      </div>
+      <div class="col-sm-auto">
+        <label for="schedule-page" class="form-label small mb-1">Page</label>
+        <select id="schedule-page" class="form-select form-select-sm">
+          <option value="">All pages</option>
+          ${pages.map(page => `<option value="${escapeHtml(page.path)}">${escapeHtml(page.path)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="col-sm-auto">
+        <label for="schedule-run-at" class="form-label small mb-1">Date and time</label>
+        <input type="datetime-local" id="schedule-run-at" class="form-control form-control-sm" required>
+      </div>
+      <div class="col-sm-auto">
+        <button type="submit" class="btn btn-primary btn-sm">Schedule</button>
+      </div>
+    </form>
+    ` : ''}
+
+    ${jobs.length === 0 ? `
+      <p class="text-body-secondary small">Nothing scheduled.</p>
+    ` : `
+      <table class="table table-sm align-middle">
+        <thead class="table-light">
+          <tr>
+            <th scope="col">When</th>
+            <th scope="col">Action</th>
+            <th scope="col">Scheduled by</th>
+            <th scope="col" class="text-end"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${jobs.map(job => `
+            <tr>
+              <td><time class="js-local-time" datetime="${escapeHtml(job.runAt.replace(' ', 'T'))}Z">${escapeHtml(job.runAt)} UTC</time></td>
+              <td>${describeJob(job)}</td>
+              <td>${escapeHtml(job.author || '')}</td>
+              <td class="text-end">
+                ${canPublish ? `<button onclick="cancelJob(${job.id})" class="btn btn-outline-danger btn-sm">Cancel</button>` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `}
+  `;
+}
+
+/**
+ * Summarize the pages a snapshot changed
+ */
+function describeSnapshotChanges(snapshot) {
+  if (snapshot.restoredFrom) {
+    return `Restored snapshot #${snapshot.restoredFrom}`;
+  }
+  if (snapshot.changes.length === 0) {
+    return 'No page changes';
+  }
+  return snapshot.changes
+    .map(c => `${escapeHtml(c.path)} <span class="text-body-secondary">(${c.change})</span>`)
+    .join(', ');
+}
+
+/**
+ * Render recent snapshots of the public site, with rollback buttons for publishers
+ */
+function renderPublishHistory(snapshots, canPublish) {
+  return `
+    <h2 class="h5 mt-5">Publish history</h2>
+    ${snapshots.length === 0 ? `
+      <p class="text-body-secondary small">Nothing published yet.</p>
+    ` : `
+      <table class="table table-sm align-middle">
+        <thead class="table-light">
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">When</th>
+            <th scope="col">Action</th>
+            <th scope="col">Changes</th>
+            <th scope="col">By</th>
+            <th scope="col" class="text-end"></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${snapshots.map((snapshot, index) => `
+            <tr>
+              <td>${snapshot.id}</td>
+              <td><time class="js-local-time" datetime="${escapeHtml(snapshot.createdAt.replace(' ', 'T'))}Z">${escapeHtml(snapshot.createdAt)} UTC</time></td>
+              <td>${escapeHtml(snapshot.action)}</td>
+              <td class="small">${describeSnapshotChanges(snapshot)}</td>
+              <td>${escapeHtml(snapshot.author || '')}</td>
+              <td class="text-end">
+                ${index === 0
+                  ? '<span class="badge text-bg-success">Live</span>'
+                  : canPublish ? `<button onclick="rollbackTo(${snapshot.id})" class="btn btn-outline-secondary btn-sm">Roll back</button>` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `}
+  `;
+}
+
+/**
+ * Describe the last deploy of a target
+ */
+function describeLastDeploy(lastDeploy) {
+  if (!lastDeploy) {
+    return '<span class="text-body-secondary">Not deployed since the server started</span>';
+  }
+  const when = `<time class="js-local-time" datetime="${escapeHtml(lastDeploy.finishedAt)}">${escapeHtml(lastDeploy.finishedAt)}</time>`;
+  if (lastDeploy.error) {
+    return `<span class="badge text-bg-danger">Failed</span> ${when} <span class="text-body-secondary">${escapeHtml(lastDeploy.error)}</span>`;
+  }
+  return `<span class="badge text-bg-success">Deployed</span> ${when} <span class="text-body-secondary">${lastDeploy.uploaded} uploaded, ${lastDeploy.deleted} deleted, ${lastDeploy.unchanged} unchanged</span>`;
+}
+
+/**
+ * Render the deploy targets the public site is pushed to, if any are configured
+ */
+function renderDeployTargets(targets, canPublish) {
+  if (targets.length === 0) return '';
+
+  return `
+    <h2 class="h5 mt-5">Deploy targets</h2>
+    <table class="table table-sm align-middle">
+      <thead class="table-light">
+        <tr>
+          <th scope="col">Target</th>
+          <th scope="col">Location</th>
+          <th scope="col">Last deploy</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${targets.map(target => `
+          <tr>
+            <td>${escapeHtml(target.name)}</td>
+            <td><code>${escapeHtml(target.location)}</code></td>
+            <td class="small">${describeLastDeploy(target.lastDeploy)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${canPublish ? '<button onclick="deployAgain()" class="btn btn-outline-secondary btn-sm">Deploy again</button>' : ''}
+  `;
+}
+
 /**
  * Pages routes plugin for Elysia
  */
@@ -65,6 +209,11 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
 
     const authResult = requireAuth({ session, path: fullPath, request, set });
     if (authResult !== undefined) return authResult;
+
+    const twoFactorResult = requireTwoFactorEnrollment({ session, path: fullPath, request, set });
+    if (twoFactorResult !== undefined) return twoFactorResult;
+
+    return requireRole('viewer')({ session, path: fullPath, request, set });
   })
 
   /**
@@ -75,15 +224,23 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
       const csrfToken = getCsrfToken(session);
       const pages = await listPages();
 
+      const role = getUserRole(session.userId);
+      const canEdit = hasRole(role, 'editor');
+      const canPublish = hasRole(role, 'publisher');
+
       const pagesWithStatus = await Promise.all(
         pages.map(async (pagePath) => {
-          const status = await getPageStatus(pagePath);
-          return { path: pagePath, ...status };
+          const { isPublished, hasUnpublishedChanges } = await getPublishState(pagePath);
+          return { path: pagePath, isPublished, hasUnpublishedChanges };
         })
       );
 
       pagesWithStatus.sort((a, b) => a.path.localeCompare(b.path));
 
+      const pendingJobs = listPublishJobs({ status: 'pending' });
+      const scheduledPaths = new Set(pendingJobs.map(job => job.pagePath));
+      const locks = listPageLocks();
+
       set.headers['Content-Type'] = 'text/html';
       return `
         <!DOCTYPE html>
@@ -124,7 +281,7 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
               <h6 class="text-body-secondary mb-1">Status Legend</h6>
               <div class="d-flex flex-column align-items-end gap-1 small">
                 <span><span class="badge text-bg-success">Published</span> Live and up to date</span>
-                <span><span class="badge text-bg-warning">Changes</span> Published but has edits</span>
+                <span><span class="badge text-bg-warning">Changes</span> Draft modified since publish</span>
                 <span><span class="badge text-bg-secondary">Draft</span> Not yet published</span>
               </div>
             </div>
@@ -136,7 +293,7 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
               </div>
             ` : `
               <table class="table table-striped align-middle">
-                <caption><a href="/sitemap.xml" target="_blank">sitemap.xml</a> &middot; ${pagesWithStatus.length} pages &middot; ${pagesWithStatus.filter(p => p.isPublished && !p.hasUnpublishedChanges).length} published &middot; ${pagesWithStatus.filter(p => p.hasUnpublishedChanges || !p.isPublished).length} unpublished</caption>
+                <caption><a href="/sitemap.xml" target="_blank">sitemap.xml</a> &middot; ${pagesWithStatus.length} pages &middot; ${pagesWithStatus.filter(p => p.isPublished && !p.hasUnpublishedChanges).length} published &middot; ${pagesWithStatus.filter(p => p.hasUnpublishedChanges || !p.isPublished).length} unpublished &middot; Export <a href="/publish/export?format=zip">.zip</a> / <a href="/publish/export?format=tar.gz">.tar.gz</a></caption>
                 <thead class="table-light">
                   <tr>
                     <th scope="col">Page</th>
@@ -152,14 +309,19 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
                       </td>
                       <td>
                         ${getStatusBadge(page)}
+                        ${scheduledPaths.has(page.path) ? '<span class="badge text-bg-info">Scheduled</span>' : ''}
+                        ${locks.has(page.path) ? `<span class="badge text-bg-light border" title="Open in the editor">${locks.get(page.path).userId === session.userId ? 'You are editing' : `${escapeHtml(locks.get(page.path).username)} is editing`}</span>` : ''}
                       </td>
                       <td class="text-end">
-                        ${!page.isPublished || page.hasUnpublishedChanges ? `
+                        ${!canPublish ? '' : !page.isPublished || page.hasUnpublishedChanges ? `
                           <button onclick="publishPage('${escapeHtml(page.path)}')" class="btn btn-success btn-sm">Publish</button>
                         ` : `
                           <button onclick="unpublishPage('${escapeHtml(page.path)}')" class="btn btn-outline-secondary btn-sm">Unpublish</button>
                         `}
-                        <a href="/${escapeHtml(page.path)}?edit=true" class="btn btn-outline-secondary btn-sm">Edit</a>
+                        ${page.hasUnpublishedChanges ? `
+                          <button onclick="showDiff('${escapeHtml(page.path)}')" class="btn btn-outline-secondary btn-sm">Diff</button>
+                        ` : ''}
+                        ${canEdit ? `<a href="/${escapeHtml(page.path)}?edit=true" class="btn btn-outline-secondary btn-sm">Edit</a>` : ''}
                       </td>
                     </tr>
                   `).join('')}
@@ -167,6 +329,28 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
               </table>
             `}
 
+            ${renderSchedule(pagesWithStatus, pendingJobs, canPublish)}
+            ${renderPublishHistory(listSnapshots(HISTORY_LIMIT), canPublish)}
+            ${renderDeployTargets(listDeployTargets(), canPublish)}
+          </div>
+
+          <div class="modal fade" id="diff-modal" tabindex="-1" aria-labelledby="diff-modal-title" aria-hidden="true">
+            <div class="modal-dialog modal-xl modal-dialog-scrollable">
+              <div class="modal-content">
+                <div class="modal-header">
+                  <h2 class="modal-title h5" id="diff-modal-title">Changes since publish</h2>
+                  <div class="btn-group btn-group-sm ms-auto me-2" role="group" aria-label="Diff mode">
+                    <button type="button" class="btn btn-outline-secondary active" data-diff-mode="text">Text</button>
+                    <button type="button" class="btn btn-outline-secondary" data-diff-mode="html">HTML</button>
+                  </div>
+                  <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+                </div>
+                <div class="modal-body">
+                  <p class="small text-body-secondary" id="diff-stats"></p>
+                  <pre class="small mb-0" id="diff-output"></pre>
+                </div>
+              </div>
+            </div>
           </div>
 
           <script>
@@ -206,6 +390,139 @@ export const pagesRoutes = new Elysia({ prefix: '/pages' })
                 alert('Failed to unpublish: ' + error.message);
               }
             }
+
+            async function scheduleJob(event) {
+              event.preventDefault();
+              const runAt = new Date(document.getElementById('schedule-run-at').value);
+              try {
+                const response = await fetch('/publish/jobs', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+                  body: JSON.stringify({
+                    action: document.getElementById('schedule-action').value,
+                    pagePath: document.getElementById('schedule-page').value || null,
+                    runAt: runAt.toISOString()
+                  })
+                });
+                const data = await response.json();
+                if (data.success) {
+                  window.location.reload();
+                } else {
+                  alert('Failed to schedule: ' + (data.error || 'Unknown error'));
+                }
+              } catch (error) {
+                alert('Failed to schedule: ' + error.message);
+              }
+            }
+
+            async function cancelJob(id) {
+              if (!confirm('Cancel this scheduled job?')) return;
+              try {
+                const response = await fetch('/publish/jobs/' + id, {
+                  method: 'DELETE',
+                  headers: { 'X-CSRF-Token': csrfToken }
+                });
+                const data = await response.json();
+                if (data.success) {
+                  window.location.reload();
+                } else {
+                  alert('Failed to cancel: ' + (data.error || 'Unknown error'));
+                }
+              } catch (error) {
+                alert('Failed to cancel: ' + error.message);
+              }
+            }
+
+            async function rollbackTo(id) {
+              if (!confirm('Restore the public site to snapshot #' + id + '? Drafts are not changed.')) return;
+              try {
+                const response = await fetch('/publish/history/' + id + '/rollback', {
+                  method: 'POST',
+                  headers: { 'X-CSRF-Token': csrfToken }
+                });
+                const data = await response.json();
+                if (data.success) {
+                  window.location.reload();
+                } else {
+                  alert('Failed to roll back: ' + (data.error || 'Unknown error'));
+                }
+              } catch (error) {
+                alert('Failed to roll back: ' + error.message);
+              }
+            }
+
+            async function deployAgain() {
+              try {
+                const response = await fetch('/publish/deploy', {
+                  method: 'POST',
+                  headers: { 'X-CSRF-Token': csrfToken }
+                });
+                const data = await response.json();
+                if (data.success) {
+                  window.location.reload();
+                } else {
+                  const failed = (data.deployments || []).filter(d => d.error).map(d => d.target + ': ' + d.error);
+                  alert('Failed to deploy: ' + (failed.join('; ') || data.error || 'Unknown error'));
+                  window.location.reload();
+                }
+              } catch (error) {
+                alert('Failed to deploy: ' + error.message);
+              }
+            }
+
+            let diffPagePath = null;
+
+            function renderDiff(diff) {
+              const pre = document.getElementById('diff-output');
+              pre.textContent = '';
+              if (!diff) {
+                pre.textContent = 'No differences.';
+                return;
+              }
+              diff.split('\\n').forEach(line => {
+                const span = document.createElement('span');
+                span.className = line.startsWith('@@') ? 'text-info'
+                  : line.startsWith('+') ? 'text-success'
+                  : line.startsWith('-') ? 'text-danger'
+                  : 'text-body-secondary';
+                span.textContent = line + '\\n';
+                pre.appendChild(span);
+              });
+            }
+
+            async function loadDiff(mode) {
+              document.querySelectorAll('[data-diff-mode]').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.diffMode === mode);
+              });
+              try {
+                const response = await fetch('/publish/diff/' + diffPagePath + '?mode=' + mode);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Unknown error');
+                document.getElementById('diff-stats').textContent =
+                  '+' + data.additions + ' / -' + data.deletions + ' lines';
+                renderDiff(data.diff);
+              } catch (error) {
+                document.getElementById('diff-output').textContent = 'Failed to load diff: ' + error.message;
+              }
+            }
+
+            function showDiff(pagePath) {
+              diffPagePath = pagePath;
+              document.getElementById('diff-modal-title').textContent = pagePath + ': changes since publish';
+              bootstrap.Modal.getOrCreateInstance(document.getElementById('diff-modal')).show();
+              loadDiff('text');
+            }
+
+            document.querySelectorAll('[data-diff-mode]').forEach(btn => {
+              btn.addEventListener('click', () => loadDiff(btn.dataset.diffMode));
+            });
+
+            document.getElementById('schedule-form')?.addEventListener('submit', scheduleJob);
+
+            // Show scheduled times in the browser's time zone
+            document.querySelectorAll('.js-local-time').forEach(el => {
+              el.textContent = new Date(el.getAttribute('datetime')).toLocaleString();
+            });
           </script>
         </body>
         </html>
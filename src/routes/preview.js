@@ -1,9 +1,14 @@
 import { Elysia } from 'elysia';
 import { logger } from '../lib/logger.js';
+import { requireTwoFactorEnrollment } from '../middleware/auth.js';
 import { getCsrfToken } from '../middleware/csrf.js';
 import { injectEditor } from '../middleware/inject-editor.js';
 import { createSessionCookie, saveSession } from '../middleware/session.js';
+import { getUserRole, hasRole } from '../services/auth.js';
 import { getPage } from '../services/pages.js';
+import { resolveIncludes } from '../services/partials.js';
+import { hashContent } from '../services/revisions.js';
+import { applySiteSettings } from '../services/site-settings.js';
 
 const log = logger.child('preview');
 
@@ -72,8 +77,13 @@ export async function handleDraftPreview({ path, query, session, set }) {
       return 'Page not found in drafts';
     }
 
+    const { html: resolvedHtml, errors } = await resolveIncludes(html);
+    if (errors.length > 0) {
+      log.warn('Unresolved partials in draft preview', { pagePath, errors });
+    }
+
     set.headers['Content-Type'] = 'text/html';
-    return rewriteDraftAssetPaths(html);
+    return rewriteDraftAssetPaths(applySiteSettings(resolvedHtml, { analytics: false }));
   } catch (error) {
     log.error('Draft preview error', { error: error.message });
     set.status = 500;
@@ -84,7 +94,7 @@ export async function handleDraftPreview({ path, query, session, set }) {
 /**
  * Handle edit mode
  */
-export async function handleEditMode({ path, query, session, set }) {
+export async function handleEditMode({ path, query, session, set, request }) {
   // Only handle requests with ?edit=true
   if (query.edit !== 'true') {
     return null;
@@ -104,6 +114,15 @@ export async function handleEditMode({ path, query, session, set }) {
     });
   }
 
+  const twoFactorResult = requireTwoFactorEnrollment({ session, path, request, set });
+  if (twoFactorResult !== undefined) return twoFactorResult;
+
+  const role = getUserRole(session.userId);
+  if (!hasRole(role, 'editor')) {
+    set.status = 403;
+    return 'Forbidden: this requires the editor role';
+  }
+
   const pagePath = normalizePath(path);
 
   try {
@@ -114,9 +133,14 @@ export async function handleEditMode({ path, query, session, set }) {
       return 'Page not found in drafts';
     }
 
-    // Rewrite asset paths and inject the editor UI into the HTML
-    const draftHtml = rewriteDraftAssetPaths(html);
-    const modifiedHtml = injectEditor(draftHtml, pagePath, getCsrfToken(session));
+    // Resolve partials (marked, so the editor knows which elements are shared),
+    // rewrite asset paths and inject the editor UI into the HTML
+    const { html: resolvedHtml } = await resolveIncludes(html, { annotate: true });
+    const draftHtml = rewriteDraftAssetPaths(resolvedHtml);
+    const modifiedHtml = injectEditor(draftHtml, pagePath, getCsrfToken(session), {
+      canPublish: hasRole(role, 'publisher'),
+      pageHash: hashContent(html)
+    });
 
     set.headers['Content-Type'] = 'text/html';
     return modifiedHtml;
@@ -1,16 +1,27 @@
-import crypto from 'crypto';
 import { Elysia } from 'elysia';
 import fs from 'fs/promises';
 import path from 'path';
-import { brotliCompressSync } from 'zlib';
 import { fileURLToPath } from 'url';
 import { logger } from '../lib/logger.js';
 import { safePath, PathTraversalError } from '../lib/safe-path.js';
-import { requireAuth, requirePasswordChanged } from '../middleware/auth.js';
+import { requireAuth, requirePasswordChanged, requireRole, requireTwoFactorEnrollment } from '../middleware/auth.js';
 import { verifyCsrfRequest } from '../middleware/csrf.js';
-import { loadManifest } from '../services/asset-manifest.js';
+import { auditActor, recordAudit } from '../services/audit.js';
+import { deployPublicSite, listDeployTargets } from '../services/deploy/index.js';
+import { EXPORT_FORMATS, exportSite } from '../services/export.js';
 import { listPages } from '../services/pages.js';
-import { generateSitemap } from '../services/sitemap.js';
+import { StagingError } from '../services/public-staging.js';
+import { diffDraftAgainstPublished, DIFF_MODES, getPublishState } from '../services/publish-diff.js';
+import { hashPublicPage, publishPages, unpublishPage } from '../services/publish.js';
+import {
+  cancelPublishJob,
+  getPublishJob,
+  listPublishJobs,
+  PUBLISH_JOB_ACTIONS,
+  PUBLISH_JOB_STATUSES,
+  schedulePublishJob
+} from '../services/publish-jobs.js';
+import { getSnapshot, listSnapshots, rollbackToSnapshot, SnapshotError } from '../services/publish-snapshots.js';
 
 const log = logger.child('publish');
 
@@ -18,98 +29,66 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const DRAFTS_DIR = path.join(__dirname, '../../data/drafts');
-const PUBLIC_DIR = path.join(__dirname, '../../data/public');
-const DB_DIR = path.join(__dirname, '../../data/db');
-const DRAFTS_ASSETS_DIR = path.join(DRAFTS_DIR, 'assets');
-const PUBLIC_ASSETS_DIR = path.join(PUBLIC_DIR, 'assets');
-const MD_FINGERPRINT_LENGTH = 8;
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
 
 /**
- * Recursively list all file paths under dir, relative to dir
+ * The author recorded on revisions created by the current session
  */
-async function listFilesRecursive(dir, base = '') {
-  const entries = await fs.readdir(path.join(dir, base), { withFileTypes: true });
-  const files = [];
-  for (const e of entries) {
-    const rel = base ? `${base}/${e.name}` : e.name;
-    if (e.isDirectory()) {
-      files.push(...(await listFilesRecursive(dir, rel)));
-    } else {
-      files.push(rel);
-    }
-  }
-  return files;
+function sessionUser(session) {
+  return { id: session.userId, username: session.username };
 }
 
 /**
- * Return fingerprinted filename: insert .<hash> before the last extension.
- * e.g. "css/bootstrap.min.css" + hash -> "css/bootstrap.min.<hash>.css"
+ * Parse a numeric route parameter, returning null if it is not a positive integer
  */
-function fingerprintedName(relativePath, hash) {
-  const dir = path.dirname(relativePath);
-  const base = path.basename(relativePath);
-  const lastDot = base.lastIndexOf('.');
-  if (lastDot <= 0) return path.join(dir, `${base}.${hash}`);
-  const nameWithoutExt = base.slice(0, lastDot);
-  const ext = base.slice(lastDot);
-  const newBase = `${nameWithoutExt}.${hash}${ext}`;
-  return dir ? path.join(dir, newBase) : newBase;
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
 }
 
 /**
- * Publish all drafts/assets/ files to public/assets/ with shortened MD5 fingerprints.
- * For each file: copy as <name>.<hash>.<ext> and create a Brotli-compressed .br version.
- * Existing .br files from drafts are skipped (regenerated from the source).
+ * Check a scheduling request
+ *
+ * @returns {Promise<{ error: string, status: number }|null>} What is wrong with it, or null
  */
-async function publishDraftAssets() {
-  let entries;
-  try {
-    entries = await listFilesRecursive(DRAFTS_ASSETS_DIR);
-  } catch (err) {
-    if (err.code === 'ENOENT') return; // no drafts/assets
-    throw err;
+async function checkScheduleRequest(action, pagePath, runAt) {
+  if (!PUBLISH_JOB_ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of: ${PUBLISH_JOB_ACTIONS.join(', ')}` };
   }
 
-  const hashByBasePath = new Map(); // relative path -> hash
-
-  for (const rel of entries) {
-    // Skip existing .br files from drafts — we generate fresh ones below
-    if (rel.endsWith('.br')) continue;
-
-    const fullPath = path.join(DRAFTS_ASSETS_DIR, rel);
-    const content = await fs.readFile(fullPath);
-    const hash = crypto
-      .createHash('md5')
-      .update(content)
-      .digest('hex')
-      .slice(0, MD_FINGERPRINT_LENGTH);
-    hashByBasePath.set(rel, hash);
+  if (Number.isNaN(runAt.getTime())) {
+    return { status: 400, error: 'runAt must be a date and time, e.g. 2025-06-01T09:00:00Z' };
+  }
 
-    const outName = fingerprintedName(rel, hash);
-    const outPath = path.join(PUBLIC_ASSETS_DIR, outName);
-    await fs.mkdir(path.dirname(outPath), { recursive: true });
+  if (runAt.getTime() <= Date.now()) {
+    return { status: 400, error: 'runAt must be in the future' };
+  }
 
-    // Write the fingerprinted file
-    await fs.writeFile(outPath, content);
+  if (!pagePath) {
+    return action === 'publish'
+      ? null
+      : { status: 400, error: 'pagePath is required to schedule an unpublish' };
+  }
 
-    // Write a Brotli-compressed version alongside it
-    const compressed = brotliCompressSync(content);
-    await fs.writeFile(outPath + '.br', compressed);
+  try {
+    safePath(DRAFTS_DIR, pagePath);
+    safePath(PUBLIC_DIR, pagePath);
+  } catch (err) {
+    if (err instanceof PathTraversalError) {
+      return { status: 400, error: 'Invalid page path' };
+    }
+    throw err;
   }
 
-  // Write asset manifest mapping original paths to fingerprinted paths
-  const manifest = {};
-  for (const [rel, hash] of hashByBasePath) {
-    manifest[rel] = fingerprintedName(rel, hash);
+  if (action === 'publish') {
+    try {
+      await fs.access(path.join(DRAFTS_DIR, pagePath));
+    } catch {
+      return { status: 404, error: 'Page not found in drafts' };
+    }
   }
-  await fs.mkdir(DB_DIR, { recursive: true });
-  await fs.writeFile(
-    path.join(DB_DIR, 'asset-manifest.json'),
-    JSON.stringify(manifest, null, 2)
-  );
-
-  // Reload in-memory manifest so the server picks up the new fingerprints
-  await loadManifest();
+
+  return null;
 }
 
 /**
@@ -127,13 +106,20 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
     const pwResult = requirePasswordChanged({ session, path: fullPath, request, set });
     if (pwResult !== undefined) return pwResult;
 
+    const twoFactorResult = requireTwoFactorEnrollment({ session, path: fullPath, request, set });
+    if (twoFactorResult !== undefined) return twoFactorResult;
+
+    // Viewers may see publish status, diffs and history; changing the live site takes a publisher
+    const roleResult = requireRole(request.method === 'GET' ? 'viewer' : 'publisher')({ session, path: fullPath, request, set });
+    if (roleResult !== undefined) return roleResult;
+
     return verifyCsrfRequest(context);
   })
 
   /**
    * POST /publish - Publish all drafts to public directory
    */
-  .post('/', async ({ set }) => {
+  .post('/', async ({ session, set, request, server }) => {
     try {
       const pages = await listPages();
 
@@ -142,49 +128,225 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
         return { error: 'No pages to publish' };
       }
 
-      await fs.mkdir(PUBLIC_DIR, { recursive: true });
+      const { published, sitemap, snapshotId, deployments } = await publishPages(pages, sessionUser(session));
+      recordAudit({
+        action: 'publish.all',
+        ...auditActor({ session, request, server }),
+        details: { pages: published.length, snapshotId }
+      });
 
-      const published = [];
-      const errors = [];
+      return { success: true, published, sitemap, snapshotId, deployments };
+    } catch (error) {
+      if (error instanceof StagingError) {
+        set.status = 422;
+        return { error: error.message, errors: error.errors };
+      }
+      log.error('Publish all error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to publish pages' };
+    }
+  })
 
-      for (const pagePath of pages) {
-        try {
-          const sourcePath = path.join(DRAFTS_DIR, pagePath);
-          const destPath = path.join(PUBLIC_DIR, pagePath);
+  /**
+   * GET /publish/jobs?status=pending - List scheduled publish jobs
+   */
+  .get('/jobs', ({ query, set }) => {
+    const { status } = query;
 
-          await fs.mkdir(path.dirname(destPath), { recursive: true });
-          await fs.copyFile(sourcePath, destPath);
-          published.push(pagePath);
-        } catch (error) {
-          log.error(`Failed to publish ${pagePath}`, { error: error.message });
-          errors.push({ path: pagePath, error: error.message });
-        }
-      }
+    if (status && !PUBLISH_JOB_STATUSES.includes(status)) {
+      set.status = 400;
+      return { error: `status must be one of: ${PUBLISH_JOB_STATUSES.join(', ')}` };
+    }
 
-      try {
-        await publishDraftAssets();
-      } catch (assetsError) {
-        log.error('Failed to publish draft assets', { error: assetsError.message });
-        errors.push({ path: 'assets', error: assetsError.message });
+    return { jobs: listPublishJobs({ status }) };
+  })
+
+  /**
+   * POST /publish/jobs - Schedule a publish or unpublish
+   * Body: { action: 'publish'|'unpublish', pagePath?: string, runAt: ISO date }
+   * Without pagePath, a publish job publishes every draft page.
+   */
+  .post('/jobs', async ({ body, session, set, request, server }) => {
+    const { action, pagePath = null } = body || {};
+    const runAt = new Date(body?.runAt ?? NaN);
+
+    if (pagePath !== null && typeof pagePath !== 'string') {
+      set.status = 400;
+      return { error: 'pagePath must be a string' };
+    }
+
+    try {
+      const invalid = await checkScheduleRequest(action, pagePath || null, runAt);
+      if (invalid) {
+        set.status = invalid.status;
+        return { error: invalid.error };
       }
 
-      let sitemap;
-      try {
-        sitemap = await generateSitemap();
-      } catch (sitemapError) {
-        log.error('Failed to generate sitemap', { error: sitemapError.message });
+      const job = schedulePublishJob({
+        action,
+        pagePath: pagePath || null,
+        runAt,
+        user: sessionUser(session)
+      });
+
+      log.info('Scheduled publish job', { id: job.id, action, pagePath: job.pagePath || '(all pages)', runAt: job.runAt });
+      recordAudit({
+        action: 'publish.schedule',
+        ...auditActor({ session, request, server }),
+        target: job.pagePath,
+        details: { jobId: job.id, action, runAt: job.runAt }
+      });
+      set.status = 201;
+      return { success: true, job };
+    } catch (error) {
+      log.error('Schedule publish job error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to schedule job' };
+    }
+  })
+
+  /**
+   * DELETE /publish/jobs/:id - Cancel a scheduled job that has not run yet
+   */
+  .delete('/jobs/:id', ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const job = id && getPublishJob(id);
+
+    if (!job) {
+      set.status = 404;
+      return { error: 'Job not found' };
+    }
+
+    if (!cancelPublishJob(job.id)) {
+      set.status = 409;
+      return { error: `Job is already ${job.status}` };
+    }
+
+    recordAudit({
+      action: 'publish.cancel',
+      ...auditActor({ session, request, server }),
+      target: job.pagePath,
+      details: { jobId: job.id, action: job.action }
+    });
+    return { success: true, job: getPublishJob(job.id) };
+  })
+
+  /**
+   * GET /publish/history - List snapshots of the public site, newest first
+   */
+  .get('/history', ({ set }) => {
+    try {
+      return { snapshots: listSnapshots() };
+    } catch (error) {
+      log.error('Publish history error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to load publish history' };
+    }
+  })
+
+  /**
+   * GET /publish/history/:id - Get a snapshot including the hashes of its pages
+   */
+  .get('/history/:id', ({ params, set }) => {
+    const id = parseId(params.id);
+    const snapshot = id && getSnapshot(id);
+
+    if (!snapshot) {
+      set.status = 404;
+      return { error: 'Snapshot not found' };
+    }
+
+    return { snapshot };
+  })
+
+  /**
+   * POST /publish/history/:id/rollback - Restore the public site to a snapshot
+   */
+  .post('/history/:id/rollback', async ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+
+    if (!id || !getSnapshot(id)) {
+      set.status = 404;
+      return { error: 'Snapshot not found' };
+    }
+
+    try {
+      const snapshot = await rollbackToSnapshot(id, sessionUser(session));
+      log.info('Rolled back public site', { restoredFrom: id, snapshotId: snapshot.id });
+      recordAudit({
+        action: 'publish.rollback',
+        ...auditActor({ session, request, server }),
+        details: { restoredFrom: id, snapshotId: snapshot.id }
+      });
+      const deployments = await deployPublicSite();
+      return { success: true, restoredFrom: id, snapshot, deployments };
+    } catch (error) {
+      if (error instanceof SnapshotError) {
+        set.status = 409;
+        return { error: error.message };
       }
+      log.error('Rollback error', { error: error.message, snapshotId: id });
+      set.status = 500;
+      return { error: 'Failed to roll back' };
+    }
+  })
+
+  /**
+   * GET /publish/targets - List the configured deploy targets and their last deploy
+   */
+  .get('/targets', () => {
+    return { targets: listDeployTargets() };
+  })
+
+  /**
+   * POST /publish/deploy - Push the public site to every deploy target again,
+   * e.g. after a failed deploy
+   */
+  .post('/deploy', async ({ session, set, request, server }) => {
+    if (listDeployTargets().length === 0) {
+      set.status = 400;
+      return { error: 'No deploy targets are configured' };
+    }
+
+    const deployments = await deployPublicSite();
+    recordAudit({
+      action: 'publish.deploy',
+      ...auditActor({ session, request, server }),
+      details: { targets: deployments.map(d => ({ target: d.target, error: d.error ?? null })) }
+    });
+    return { success: deployments.every(d => !d.error), deployments };
+  })
+
+  /**
+   * GET /publish/export?format=zip|tar.gz&cleanUrls=true - Download the public site as an archive
+   */
+  .get('/export', async ({ query, set }) => {
+    const format = query.format || 'zip';
+    const cleanUrls = query.cleanUrls === 'true' || query.cleanUrls === '1';
+
+    if (!EXPORT_FORMATS[format]) {
+      set.status = 400;
+      return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
 
-      return {
-        success: true,
-        published,
-        errors: errors.length > 0 ? errors : undefined,
-        sitemap
-      };
+    try {
+      const { data, filename, contentType, fileCount } = await exportSite({ format, cleanUrls });
+
+      log.info('Exported public site', { format, cleanUrls, fileCount });
+      return new Response(data, {
+        headers: {
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`
+        }
+      });
     } catch (error) {
-      log.error('Publish all error', { error: error.message });
+      if (error.code === 'ENOENT') {
+        set.status = 404;
+        return { error: 'Nothing has been published yet' };
+      }
+      log.error('Export error', { error: error.message });
       set.status = 500;
-      return { error: 'Failed to publish pages' };
+      return { error: 'Failed to export site' };
     }
   })
 
@@ -207,51 +369,64 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
     }
 
     try {
-      const draftPath = path.join(DRAFTS_DIR, pagePath);
-      const publicPath = path.join(PUBLIC_DIR, pagePath);
-
-      let draftExists = false;
-      try {
-        await fs.access(draftPath);
-        draftExists = true;
-      } catch {
-        draftExists = false;
-      }
+      const { draftExists, isPublished, hasUnpublishedChanges } = await getPublishState(pagePath);
 
       if (!draftExists) {
         set.status = 404;
         return { error: 'Page not found' };
       }
 
-      let isPublished = false;
-      try {
-        await fs.access(publicPath);
-        isPublished = true;
-      } catch {
-        isPublished = false;
+      return { pagePath, isPublished, hasUnpublishedChanges };
+    } catch (error) {
+      log.error('Status check error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to check publish status' };
+    }
+  })
+
+  /**
+   * GET /publish/diff/*?mode=html|text - Diff the published version of a page against its draft
+   */
+  .get('/diff/*', async ({ params, query, set }) => {
+    const pagePath = params['*'];
+    const mode = query.mode || 'html';
+
+    if (!DIFF_MODES.includes(mode)) {
+      set.status = 400;
+      return { error: `mode must be one of: ${DIFF_MODES.join(', ')}` };
+    }
+
+    try {
+      safePath(DRAFTS_DIR, pagePath);
+      safePath(PUBLIC_DIR, pagePath);
+    } catch (err) {
+      if (err instanceof PathTraversalError) {
+        set.status = 400;
+        return { error: 'Invalid page path' };
       }
+      throw err;
+    }
+
+    try {
+      const result = await diffDraftAgainstPublished(pagePath, mode);
 
-      let hasUnpublishedChanges = false;
-      if (isPublished) {
-        const [draftStat, publicStat] = await Promise.all([
-          fs.stat(draftPath),
-          fs.stat(publicPath)
-        ]);
-        hasUnpublishedChanges = draftStat.mtime > publicStat.mtime;
+      if (!result) {
+        set.status = 404;
+        return { error: 'Page not found' };
       }
 
-      return { pagePath, isPublished, hasUnpublishedChanges };
+      return result;
     } catch (error) {
-      log.error('Status check error', { error: error.message });
+      log.error('Publish diff error', { error: error.message, pagePath });
       set.status = 500;
-      return { error: 'Failed to check publish status' };
+      return { error: 'Failed to diff page' };
     }
   })
 
   /**
    * POST /publish/* - Publish a specific page
    */
-  .post('/*', async ({ params, set }) => {
+  .post('/*', async ({ params, session, set, request, server }) => {
     const pagePath = params['*'];
 
     // Skip the root publish route
@@ -271,7 +446,6 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
 
     try {
       const sourcePath = path.join(DRAFTS_DIR, pagePath);
-      const destPath = path.join(PUBLIC_DIR, pagePath);
 
       try {
         await fs.access(sourcePath);
@@ -280,24 +454,23 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
         return { error: 'Page not found in drafts' };
       }
 
-      await fs.mkdir(path.dirname(destPath), { recursive: true });
-      await fs.copyFile(sourcePath, destPath);
-
-      try {
-        await publishDraftAssets();
-      } catch (assetsError) {
-        log.error('Failed to publish draft assets', { error: assetsError.message });
-      }
-
-      let sitemap;
-      try {
-        sitemap = await generateSitemap();
-      } catch (sitemapError) {
-        log.error('Failed to generate sitemap', { error: sitemapError.message });
-      }
-
-      return { success: true, published: pagePath, sitemap };
+      const beforeHash = await hashPublicPage(pagePath);
+      const { sitemap, snapshotId, deployments } = await publishPages([pagePath], sessionUser(session));
+      recordAudit({
+        action: 'publish.page',
+        ...auditActor({ session, request, server }),
+        target: pagePath,
+        details: { snapshotId },
+        beforeHash,
+        afterHash: await hashPublicPage(pagePath)
+      });
+
+      return { success: true, published: pagePath, sitemap, snapshotId, deployments };
     } catch (error) {
+      if (error instanceof StagingError) {
+        set.status = 422;
+        return { error: error.message, errors: error.errors };
+      }
       log.error('Publish page error', { error: error.message, pagePath });
       set.status = 500;
       return { error: 'Failed to publish page' };
@@ -307,7 +480,7 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
   /**
    * DELETE /publish/* - Unpublish a specific page
    */
-  .delete('/*', async ({ params, set }) => {
+  .delete('/*', async ({ params, session, set, request, server }) => {
     const pagePath = params['*'];
 
     // Validate path against public directory
@@ -322,25 +495,23 @@ export const publishRoutes = new Elysia({ prefix: '/publish' })
     }
 
     try {
-      const publicPath = path.join(PUBLIC_DIR, pagePath);
+      const beforeHash = await hashPublicPage(pagePath);
+      const { unpublished, sitemap, snapshotId, deployments } = await unpublishPage(pagePath, sessionUser(session));
 
-      try {
-        await fs.access(publicPath);
-      } catch {
+      if (!unpublished) {
         set.status = 404;
         return { error: 'Page is not published' };
       }
 
-      await fs.unlink(publicPath);
-
-      let sitemap;
-      try {
-        sitemap = await generateSitemap();
-      } catch (sitemapError) {
-        log.error('Failed to generate sitemap', { error: sitemapError.message });
-      }
+      recordAudit({
+        action: 'publish.unpublish',
+        ...auditActor({ session, request, server }),
+        target: pagePath,
+        details: { snapshotId },
+        beforeHash
+      });
 
-      return { success: true, unpublished: pagePath, sitemap };
+      return { success: true, unpublished: pagePath, sitemap, snapshotId, deployments };
     } catch (error) {
       log.error('Unpublish error', { error: error.message, pagePath });
       set.status = 500;
@@ -1,12 +1,198 @@
 import { Elysia } from 'elysia';
 import { escapeHtml } from '../lib/escape-html.js';
 import { logger } from '../lib/logger.js';
+import { generateTotpSecret } from '../lib/totp.js';
 import { getCsrfToken, verifyCsrfRequest } from '../middleware/csrf.js';
 import { createSessionCookie, saveSession } from '../middleware/session.js';
-import { updatePassword } from '../services/auth.js';
+import { getActiveProviderId, listProviders } from '../services/ai/index.js';
+import {
+  AUDIT_CATEGORIES,
+  auditActor,
+  listAuditAuthors,
+  listAuditEntries,
+  parseAuditQuery,
+  recordAudit
+} from '../services/audit.js';
+import { getUserRole, hasRole, listUsers, ROLES, updatePassword } from '../services/auth.js';
+import { getSiteSettings, SITE_SETTING_KEYS, updateSiteSettings } from '../services/site-settings.js';
+import {
+  describeTwoFactorSetup,
+  disableTwoFactor,
+  enableTwoFactor,
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  isTwoFactorRequiredForPublishers,
+  regenerateRecoveryCodes,
+  setTwoFactorRequiredForPublishers,
+  verifyTwoFactorCode
+} from '../services/two-factor.js';
 
 const log = logger.child('settings');
 
+// Audit entries shown on the users page
+const USER_AUDIT_LIMIT = 20;
+
+// Audit entries per page of the audit log
+const AUDIT_PAGE_SIZE = 100;
+
+/**
+ * Short form of a content hash for display
+ */
+function shortHash(hash) {
+  return hash ? `<code title="${escapeHtml(hash)}">${escapeHtml(hash.slice(0, 8))}</code>` : '<span class="text-body-secondary">&ndash;</span>';
+}
+
+/**
+ * Describe a user management audit entry
+ */
+function describeUserAuditEntry(entry) {
+  const target = `<span class="fw-medium">${escapeHtml(entry.target || '')}</span>`;
+  switch (entry.action) {
+    case 'user.create': return `Created ${target} as ${escapeHtml(entry.details?.role || '')}`;
+    case 'user.invite': return `Invited ${target} as ${escapeHtml(entry.details?.role || '')}`;
+    case 'user.role': return `Changed ${target} from ${escapeHtml(entry.details?.from || '')} to ${escapeHtml(entry.details?.to || '')}`;
+    case 'user.disable': return `Disabled ${target}`;
+    case 'user.enable': return `Enabled ${target}`;
+    case 'user.reset_password': return `Reset the password of ${target}`;
+    case 'user.delete': return `Deleted ${target}`;
+    case 'user.two_factor_enable': return `Turned on two-factor authentication for ${target}`;
+    case 'user.two_factor_disable': return `Turned off two-factor authentication for ${target}`;
+    case 'user.reset_two_factor': return `Reset two-factor authentication of ${target}`;
+    case 'user.two_factor_policy': return entry.details?.required
+      ? 'Required two-factor authentication for publishers and admins'
+      : 'Made two-factor authentication optional for publishers and admins';
+    default: return `${escapeHtml(entry.action)} ${target}`;
+  }
+}
+
+/**
+ * Redirect back to /settings with a success message or an error
+ */
+function redirectToSettings({ message, error }) {
+  const query = message ? 'message=' + encodeURIComponent(message) : 'error=' + encodeURIComponent(error);
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': '/settings?' + query }
+  });
+}
+
+/**
+ * Render the two-factor authentication card: set up, recovery codes, turn off
+ *
+ * @param {object} params
+ * @param {string} params.csrfToken
+ * @param {string} params.username
+ * @param {{ enabled: boolean, recoveryCodesLeft: number }} params.status
+ * @param {string|undefined} params.pendingSecret - Secret being set up, if any
+ * @param {string[]|undefined} params.recoveryCodes - New recovery codes to show once
+ * @param {boolean} params.required - Whether the policy requires 2FA for this user
+ */
+function renderTwoFactorCard({ csrfToken, username, status, pendingSecret, recoveryCodes, required }) {
+  const codeInput = (id) => `
+    <input type="text" name="code" id="${id}" required autocomplete="one-time-code" placeholder="Code" class="form-control form-control-sm w-auto">
+  `;
+
+  let content;
+  if (status.enabled) {
+    content = `
+      <p class="text-body-secondary">
+        <span class="badge text-bg-success">On</span>
+        ${status.recoveryCodesLeft} recovery code${status.recoveryCodesLeft === 1 ? '' : 's'} left
+      </p>
+      <form method="POST" action="/settings/two-factor/recovery-codes" class="d-flex gap-2 mb-2">
+        <input type="hidden" name="_csrf" value="${csrfToken}">
+        ${codeInput('recovery-codes-code')}
+        <button type="submit" class="btn btn-outline-secondary btn-sm">New recovery codes</button>
+      </form>
+      ${required ? `
+        <p class="form-text mb-0">Two-factor authentication is required for your role.</p>
+      ` : `
+        <form method="POST" action="/settings/two-factor/disable" class="d-flex gap-2">
+          <input type="hidden" name="_csrf" value="${csrfToken}">
+          ${codeInput('disable-two-factor-code')}
+          <button type="submit" class="btn btn-outline-danger btn-sm">Turn off</button>
+        </form>
+      `}
+    `;
+  } else if (pendingSecret) {
+    const setup = describeTwoFactorSetup(username, pendingSecret);
+    content = `
+      <p class="text-body-secondary">Scan the QR code with an authenticator app, then enter the code it shows.</p>
+      <div class="mb-3">${setup.qrSvg}</div>
+      <p class="small text-body-secondary">Can't scan it? Enter this key instead: <code class="user-select-all">${escapeHtml(setup.secret)}</code></p>
+      <form method="POST" action="/settings/two-factor/enable" class="d-flex gap-2">
+        <input type="hidden" name="_csrf" value="${csrfToken}">
+        ${codeInput('enable-two-factor-code')}
+        <button type="submit" class="btn btn-primary btn-sm">Turn on</button>
+      </form>
+    `;
+  } else {
+    content = `
+      <p class="text-body-secondary">
+        ${required ? 'Two-factor authentication is required for your role. ' : ''}Sign in with a code from an authenticator app as well as your password.
+      </p>
+      <form method="POST" action="/settings/two-factor/setup">
+        <input type="hidden" name="_csrf" value="${csrfToken}">
+        <button type="submit" class="btn btn-primary btn-sm">Set up</button>
+      </form>
+    `;
+  }
+
+  return `
+    <div class="card mb-4" id="two-factor">
+      <div class="card-body">
+        <h2 class="h5 card-title mb-3">Two-Factor Authentication</h2>
+        ${recoveryCodes ? `
+          <div class="alert alert-warning" role="alert">
+            <p class="mb-2">Save these recovery codes somewhere safe. Each one can be used once to sign in without your authenticator app. They are not shown again.</p>
+            <pre class="mb-0 user-select-all">${recoveryCodes.map(escapeHtml).join('\n')}</pre>
+          </div>
+        ` : ''}
+        ${content}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the navbar shared by the settings pages
+ */
+function renderSettingsNav(csrfToken, isAdmin) {
+  return `
+    <nav class="navbar navbar-expand-lg navbar-light bg-light">
+      <div class="container py-3">
+        <a class="navbar-brand" href="/settings">Settings</a>
+        <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#settingsNavbar"
+          aria-controls="settingsNavbar" aria-expanded="false" aria-label="Toggle navigation">
+          <span class="navbar-toggler-icon"></span>
+        </button>
+        <div class="collapse navbar-collapse" id="settingsNavbar">
+          <ul class="navbar-nav me-auto mb-2 mb-lg-0">
+            <li class="nav-item">
+              <a class="nav-link" href="/pages">Pages</a>
+            </li>
+            <li class="nav-item">
+              <a class="nav-link" href="/design-system">Design System</a>
+            </li>
+            ${isAdmin ? `
+            <li class="nav-item">
+              <a class="nav-link" href="/settings/users">Users</a>
+            </li>
+            <li class="nav-item">
+              <a class="nav-link" href="/settings/audit">Audit Log</a>
+            </li>
+            ` : ''}
+          </ul>
+          <form method="POST" action="/auth/logout" class="d-flex">
+            <input type="hidden" name="_csrf" value="${csrfToken}">
+            <button type="submit" class="btn btn-outline-secondary btn-sm">Sign out</button>
+          </form>
+        </div>
+      </div>
+    </nav>
+  `;
+}
+
 /**
  * Settings routes plugin for Elysia
  */
@@ -35,23 +221,22 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
     const csrfToken = getCsrfToken(session);
 
     // AI provider configuration status
-    const aiProvider = process.env.AI_PROVIDER || 'openai';
-    const providers = [
-      {
-        name: 'OpenAI',
-        id: 'openai',
-        model: process.env.OPENAI_MODEL || 'gpt-4o',
-        active: aiProvider === 'openai',
-        modelsUrl: 'https://platform.openai.com/docs/models',
-      },
-      {
-        name: 'Anthropic',
-        id: 'anthropic',
-        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
-        active: aiProvider === 'anthropic',
-        modelsUrl: 'https://docs.anthropic.com/en/docs/about-claude/models',
-      },
-    ];
+    const activeProviderId = getActiveProviderId();
+    const providers = listProviders().map(provider => ({
+      name: provider.name,
+      id: provider.id,
+      model: provider.model(),
+      endpoint: provider.endpoint(),
+      active: provider.id === activeProviderId,
+      modelsUrl: provider.modelsUrl,
+    }));
+
+    const role = getUserRole(session.userId);
+    const site = getSiteSettings();
+
+    // New recovery codes are shown once
+    const recoveryCodes = session.newRecoveryCodes;
+    if (recoveryCodes) delete session.newRecoveryCodes;
 
     set.headers['Content-Type'] = 'text/html';
     return `
@@ -65,29 +250,7 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
         <script src="/static/js/bootstrap.bundle.min.js"></script>
       </head>
         <body class="bg-body-tertiary">
-          <nav class="navbar navbar-expand-lg navbar-light bg-light">
-            <div class="container py-3">
-              <a class="navbar-brand" href="/settings">Settings</a>
-              <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#settingsNavbar"
-                aria-controls="settingsNavbar" aria-expanded="false" aria-label="Toggle navigation">
-                <span class="navbar-toggler-icon"></span>
-              </button>
-              <div class="collapse navbar-collapse" id="settingsNavbar">
-                <ul class="navbar-nav me-auto mb-2 mb-lg-0">
-                  <li class="nav-item">
-                    <a class="nav-link" href="/pages">Pages</a>
-                  </li>
-                  <li class="nav-item">
-                    <a class="nav-link" href="/design-system">Design System</a>
-                  </li>
-                </ul>
-                <form method="POST" action="/auth/logout" class="d-flex">
-                  <input type="hidden" name="_csrf" value="${csrfToken}">
-                  <button type="submit" class="btn btn-outline-secondary btn-sm">Sign out</button>
-                </form>
-              </div>
-            </div>
-          </nav>
+          ${renderSettingsNav(csrfToken, hasRole(role, 'admin'))}
           <div class="container">
 
           ${message ? `
@@ -105,10 +268,77 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
           <div class="card mb-4">
             <div class="card-body">
               <h2 class="h5 card-title mb-3">Account Information</h2>
-              <p class="text-body-secondary mb-0"><span class="fw-medium">Username:</span> ${escapeHtml(session.username)}</p>
+              <p class="text-body-secondary mb-1"><span class="fw-medium">Username:</span> ${escapeHtml(session.username)}</p>
+              <p class="text-body-secondary mb-0"><span class="fw-medium">Role:</span> ${escapeHtml(role || '')}</p>
+            </div>
+          </div>
+
+          ${renderTwoFactorCard({
+            csrfToken,
+            username: session.username,
+            status: getTwoFactorStatus(session.userId),
+            pendingSecret: session.pendingTotpSecret,
+            recoveryCodes,
+            required: isTwoFactorRequired(role)
+          })}
+
+          ${hasRole(role, 'admin') ? `
+          <div class="card mb-4">
+            <div class="card-body">
+              <h2 class="h5 card-title mb-3">Security</h2>
+              <form method="POST" action="/settings/two-factor/policy">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="form-check mb-3">
+                  <input class="form-check-input" type="checkbox" name="required" value="true" id="requireTwoFactor"${isTwoFactorRequiredForPublishers() ? ' checked' : ''}>
+                  <label class="form-check-label" for="requireTwoFactor">Require two-factor authentication for publishers and admins</label>
+                  <div class="form-text">They must set it up before they can do anything else</div>
+                </div>
+                <button type="submit" class="btn btn-primary">Save Security Settings</button>
+              </form>
             </div>
           </div>
 
+          <div class="card mb-4">
+            <div class="card-body">
+              <h2 class="h5 card-title mb-3">Site</h2>
+              <form method="POST" action="/settings/site">
+                <input type="hidden" name="_csrf" value="${csrfToken}">
+                <div class="row g-3 mb-3">
+                  <div class="col-md-6">
+                    <label for="siteTitle" class="form-label">Site Title</label>
+                    <input type="text" name="siteTitle" id="siteTitle" maxlength="200" value="${escapeHtml(site.siteTitle)}" class="form-control">
+                  </div>
+                  <div class="col-md-6">
+                    <label for="baseUrl" class="form-label">Base URL</label>
+                    <input type="url" name="baseUrl" id="baseUrl" value="${escapeHtml(site.baseUrl)}" placeholder="https://example.com" class="form-control">
+                    <div class="form-text">Used for the sitemap. Leave empty to use <code>SITE_URL</code></div>
+                  </div>
+                  <div class="col-md-4">
+                    <label for="defaultLang" class="form-label">Default Language</label>
+                    <input type="text" name="defaultLang" id="defaultLang" value="${escapeHtml(site.defaultLang)}" placeholder="en" class="form-control">
+                    <div class="form-text">For pages without a <code>lang</code> attribute</div>
+                  </div>
+                  <div class="col-md-4">
+                    <label for="faviconUrl" class="form-label">Favicon</label>
+                    <input type="text" name="faviconUrl" id="faviconUrl" value="${escapeHtml(site.faviconUrl)}" placeholder="/assets/favicon.ico" class="form-control">
+                  </div>
+                  <div class="col-md-4">
+                    <label for="ogImageUrl" class="form-label">Default Open Graph Image</label>
+                    <input type="text" name="ogImageUrl" id="ogImageUrl" value="${escapeHtml(site.ogImageUrl)}" placeholder="/assets/og.png" class="form-control">
+                  </div>
+                  <div class="col-12">
+                    <label for="analyticsSnippet" class="form-label">Analytics Snippet</label>
+                    <textarea name="analyticsSnippet" id="analyticsSnippet" rows="4" class="form-control font-monospace small">${escapeHtml(site.analyticsSnippet)}</textarea>
+                    <div class="form-text">Added to the <code>&lt;head&gt;</code> of published pages, not to previews</div>
+                  </div>
+                </div>
+                <p class="form-text">Pages pick up changes the next time they are published.</p>
+                <button type="submit" class="btn btn-primary">Save Site Settings</button>
+              </form>
+            </div>
+          </div>
+          ` : ''}
+
           <div class="card mb-4">
             <div class="card-body">
               <h2 class="h5 card-title mb-3">AI Providers</h2>
@@ -120,7 +350,8 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
                   </div>
                   <div class="d-flex align-items-center gap-2">
                     <span class="text-body-secondary">${escapeHtml(p.model)}</span>
-                    <a href="${escapeHtml(p.modelsUrl)}" target="_blank" rel="noopener noreferrer" class="btn btn-link btn-sm">View all models &#8599;</a>
+                    ${p.endpoint ? `<span class="font-monospace small text-body-secondary">${escapeHtml(p.endpoint)}</span>` : ''}
+                    ${p.modelsUrl ? `<a href="${escapeHtml(p.modelsUrl)}" target="_blank" rel="noopener noreferrer" class="btn btn-link btn-sm">View all models &#8599;</a>` : ''}
                   </div>
                 </div>
               `).join('')}
@@ -155,10 +386,623 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
     `;
   })
 
+  /**
+   * GET /settings/users - Render user management (admins only)
+   */
+  .get('/users', ({ session, set }) => {
+    // Auth check
+    if (!session.userId) {
+      session.returnTo = '/settings/users';
+      // Manually save session and return redirect with cookie
+      saveSession(session._sessionId, session._getData());
+      return new Response(null, {
+        status: 302,
+        headers: {
+          'Location': '/auth/login',
+          'Set-Cookie': createSessionCookie(session._sessionId)
+        }
+      });
+    }
+
+    if (!hasRole(getUserRole(session.userId), 'admin')) {
+      set.status = 403;
+      return 'Forbidden: this requires the admin role';
+    }
+
+    const csrfToken = getCsrfToken(session);
+    const users = listUsers();
+    const auditEntries = listAuditEntries({ actionPrefix: 'user.', limit: USER_AUDIT_LIMIT });
+    const roleOptions = (selected) => ROLES.map(r =>
+      `<option value="${r}"${r === selected ? ' selected' : ''}>${r}</option>`
+    ).join('');
+
+    set.headers['Content-Type'] = 'text/html';
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Users - Capuzzella</title>
+        <link rel="stylesheet" href="/static/css/bootstrap.min.css">
+        <script src="/static/js/bootstrap.bundle.min.js"></script>
+      </head>
+        <body class="bg-body-tertiary">
+          ${renderSettingsNav(csrfToken, true)}
+          <div class="container">
+
+          <div id="temporary-password" class="alert alert-warning d-none" role="alert"></div>
+
+          <div class="card mb-4">
+            <div class="card-body">
+              <h2 class="h5 card-title mb-3">Users</h2>
+              <table class="table align-middle mb-0">
+                <thead class="table-light">
+                  <tr>
+                    <th scope="col">Username</th>
+                    <th scope="col">Role</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">2FA</th>
+                    <th scope="col">Created</th>
+                    <th scope="col" class="text-end"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${users.map(user => `
+                    <tr>
+                      <td class="fw-medium">${escapeHtml(user.username)}${user.id === session.userId ? ' <span class="badge text-bg-light">You</span>' : ''}</td>
+                      <td>
+                        <select class="form-select form-select-sm w-auto" onchange="updateUser(${user.id}, { role: this.value })"${user.id === session.userId ? ' disabled' : ''}>
+                          ${roleOptions(user.role)}
+                        </select>
+                      </td>
+                      <td>
+                        ${user.disabled
+                          ? '<span class="badge text-bg-secondary">Disabled</span>'
+                          : user.mustChangePassword
+                            ? '<span class="badge text-bg-warning">Must change password</span>'
+                            : '<span class="badge text-bg-success">Active</span>'}
+                      </td>
+                      <td>${user.twoFactorEnabled ? '<span class="badge text-bg-success">On</span>' : '<span class="text-body-secondary small">Off</span>'}</td>
+                      <td><time class="js-local-time" datetime="${escapeHtml(user.createdAt.replace(' ', 'T'))}Z">${escapeHtml(user.createdAt)} UTC</time></td>
+                      <td class="text-end">
+                        ${user.id === session.userId ? '' : `
+                          <button onclick="resetPassword(${user.id}, this.dataset.username)" data-username="${escapeHtml(user.username)}" class="btn btn-outline-secondary btn-sm">Reset password</button>
+                          ${user.twoFactorEnabled ? `<button onclick="resetTwoFactor(${user.id}, this.dataset.username)" data-username="${escapeHtml(user.username)}" class="btn btn-outline-secondary btn-sm">Reset 2FA</button>` : ''}
+                          <button onclick="updateUser(${user.id}, { disabled: ${!user.disabled} })" class="btn btn-outline-secondary btn-sm">${user.disabled ? 'Enable' : 'Disable'}</button>
+                          <button onclick="deleteUser(${user.id}, this.dataset.username)" data-username="${escapeHtml(user.username)}" class="btn btn-outline-danger btn-sm">Delete</button>
+                        `}
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div class="card mb-4">
+            <div class="card-body">
+              <h2 class="h5 card-title mb-3">Add User</h2>
+              <form id="create-user-form">
+                <div class="row g-3 mb-3">
+                  <div class="col-md-4">
+                    <label for="new-username" class="form-label">Username</label>
+                    <input type="text" id="new-username" required maxlength="64" pattern="\\S+" class="form-control">
+                  </div>
+                  <div class="col-md-4">
+                    <label for="new-role" class="form-label">Role</label>
+                    <select id="new-role" class="form-select">${roleOptions('editor')}</select>
+                  </div>
+                  <div class="col-md-4">
+                    <label for="new-email" class="form-label">Email <span class="text-body-secondary">(optional)</span></label>
+                    <input type="email" id="new-email" class="form-control">
+                    <div class="form-text">Invitations are emailed here</div>
+                  </div>
+                  <div class="col-md-6">
+                    <label for="new-password" class="form-label">Password <span class="text-body-secondary">(optional)</span></label>
+                    <input type="password" id="new-password" minlength="6" class="form-control" autocomplete="new-password">
+                    <div class="form-text">Leave empty to invite the user with a temporary password</div>
+                  </div>
+                  <div class="col-md-6 d-flex align-items-center">
+                    <div class="form-check mt-md-3">
+                      <input class="form-check-input" type="checkbox" id="new-must-change" checked>
+                      <label class="form-check-label" for="new-must-change">Must change password on first login</label>
+                    </div>
+                  </div>
+                </div>
+                <button type="submit" class="btn btn-primary">Add User</button>
+              </form>
+            </div>
+          </div>
+
+          <div class="card mb-4">
+            <div class="card-body">
+              <div class="d-flex justify-content-between align-items-baseline mb-3">
+                <h2 class="h5 card-title mb-0">Recent Changes</h2>
+                <a href="/settings/audit?category=user" class="small">Full audit log</a>
+              </div>
+              ${auditEntries.length === 0 ? `
+                <p class="text-body-secondary small mb-0">No user changes recorded yet.</p>
+              ` : `
+                <ul class="list-unstyled small mb-0">
+                  ${auditEntries.map(entry => `
+                    <li class="py-1">
+                      <time class="js-local-time text-body-secondary" datetime="${escapeHtml(entry.createdAt.replace(' ', 'T'))}Z">${escapeHtml(entry.createdAt)} UTC</time>
+                      &middot; ${describeUserAuditEntry(entry)}
+                      <span class="text-body-secondary">by ${escapeHtml(entry.author || 'unknown')}</span>
+                    </li>
+                  `).join('')}
+                </ul>
+              `}
+            </div>
+          </div>
+        </div>
+
+        <script>
+          const csrfToken = '${csrfToken}';
+
+          async function callUsersApi(path, options = {}) {
+            const response = await fetch('/api/users' + path, {
+              ...options,
+              headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken }
+            });
+            return response.json();
+          }
+
+          // Temporary passwords are shown once; the page reloads when dismissed
+          function showTemporaryPassword(message, password) {
+            const box = document.getElementById('temporary-password');
+            box.innerHTML = '<p class="mb-2"></p><code class="fs-5 user-select-all"></code>' +
+              '<div class="mt-3"><button type="button" class="btn btn-warning btn-sm">Done</button></div>';
+            box.querySelector('p').textContent = message;
+            box.querySelector('code').textContent = password;
+            box.querySelector('button').addEventListener('click', () => window.location.reload());
+            box.classList.remove('d-none');
+            box.scrollIntoView();
+          }
+
+          async function updateUser(id, changes) {
+            try {
+              const data = await callUsersApi('/' + id, { method: 'PATCH', body: JSON.stringify(changes) });
+              if (!data.success) alert('Failed to update user: ' + (data.error || 'Unknown error'));
+            } catch (error) {
+              alert('Failed to update user: ' + error.message);
+            }
+            window.location.reload();
+          }
+
+          async function resetPassword(id, username) {
+            if (!confirm('Reset the password of ' + username + '? They will be signed out.')) return;
+            try {
+              const data = await callUsersApi('/' + id + '/reset-password', { method: 'POST' });
+              if (data.success) {
+                showTemporaryPassword('Temporary password for ' + username + ' (they must change it on next login):', data.temporaryPassword);
+              } else {
+                alert('Failed to reset password: ' + (data.error || 'Unknown error'));
+              }
+            } catch (error) {
+              alert('Failed to reset password: ' + error.message);
+            }
+          }
+
+          async function resetTwoFactor(id, username) {
+            if (!confirm('Turn off two-factor authentication for ' + username + '? They will be signed out.')) return;
+            try {
+              const data = await callUsersApi('/' + id + '/reset-two-factor', { method: 'POST' });
+              if (!data.success) alert('Failed to reset two-factor authentication: ' + (data.error || 'Unknown error'));
+            } catch (error) {
+              alert('Failed to reset two-factor authentication: ' + error.message);
+            }
+            window.location.reload();
+          }
+
+          async function deleteUser(id, username) {
+            if (!confirm('Delete ' + username + '? Their AI conversations are deleted too.')) return;
+            try {
+              const data = await callUsersApi('/' + id, { method: 'DELETE' });
+              if (data.success) {
+                window.location.reload();
+              } else {
+                alert('Failed to delete user: ' + (data.error || 'Unknown error'));
+              }
+            } catch (error) {
+              alert('Failed to delete user: ' + error.message);
+            }
+          }
+
+          document.getElementById('create-user-form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const password = document.getElementById('new-password').value;
+            const body = {
+              username: document.getElementById('new-username').value.trim(),
+              role: document.getElementById('new-role').value,
+              email: document.getElementById('new-email').value.trim(),
+              ...(password && {
+                password,
+                mustChangePassword: document.getElementById('new-must-change').checked
+              })
+            };
+            try {
+              const data = await callUsersApi('', { method: 'POST', body: JSON.stringify(body) });
+              if (!data.success) {
+                alert('Failed to add user: ' + (data.error || 'Unknown error'));
+              } else if (data.temporaryPassword) {
+                showTemporaryPassword(
+                  'Invited ' + data.user.username + '.' + (data.emailed ? ' An invitation was emailed.' : '') +
+                  ' Temporary password (shown once):',
+                  data.temporaryPassword
+                );
+              } else {
+                window.location.reload();
+              }
+            } catch (error) {
+              alert('Failed to add user: ' + error.message);
+            }
+          });
+
+          document.querySelectorAll('.js-local-time').forEach(el => {
+            el.textContent = new Date(el.getAttribute('datetime')).toLocaleString();
+          });
+        </script>
+      </body>
+      </html>
+    `;
+  })
+
+  /**
+   * GET /settings/audit - Render the audit log with filters (admins only)
+   */
+  .get('/audit', ({ query, session, set }) => {
+    // Auth check
+    if (!session.userId) {
+      session.returnTo = '/settings/audit';
+      // Manually save session and return redirect with cookie
+      saveSession(session._sessionId, session._getData());
+      return new Response(null, {
+        status: 302,
+        headers: {
+          'Location': '/auth/login',
+          'Set-Cookie': createSessionCookie(session._sessionId)
+        }
+      });
+    }
+
+    if (!hasRole(getUserRole(session.userId), 'admin')) {
+      set.status = 403;
+      return 'Forbidden: this requires the admin role';
+    }
+
+    const { filters, error } = parseAuditQuery(query);
+    const entries = error ? [] : listAuditEntries({ ...filters, limit: AUDIT_PAGE_SIZE });
+    const csrfToken = getCsrfToken(session);
+
+    // The current filters, to keep them in the export and paging links
+    const filterParams = new URLSearchParams();
+    for (const key of ['category', 'user', 'target', 'since', 'until']) {
+      if (query[key]) filterParams.set(key, query[key]);
+    }
+    const exportLink = (format) => `/api/audit/export?${new URLSearchParams([...filterParams, ['format', format]])}`;
+    const olderLink = entries.length === AUDIT_PAGE_SIZE
+      ? `/settings/audit?${new URLSearchParams([...filterParams, ['beforeId', entries[entries.length - 1].id]])}`
+      : null;
+
+    const option = (value, label, selected) =>
+      `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+    set.headers['Content-Type'] = 'text/html';
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Audit Log - Capuzzella</title>
+        <link rel="stylesheet" href="/static/css/bootstrap.min.css">
+        <script src="/static/js/bootstrap.bundle.min.js"></script>
+      </head>
+        <body class="bg-body-tertiary">
+          ${renderSettingsNav(csrfToken, true)}
+          <div class="container">
+
+          ${error ? `<div class="alert alert-danger" role="alert">${escapeHtml(error)}</div>` : ''}
+
+          <div class="card mb-4">
+            <div class="card-body">
+              <form method="GET" action="/settings/audit" class="row g-3 align-items-end">
+                <div class="col-md-2">
+                  <label for="audit-category" class="form-label">Category</label>
+                  <select id="audit-category" name="category" class="form-select">
+                    ${option('', 'All', query.category || '')}
+                    ${AUDIT_CATEGORIES.map(category => option(category, category, query.category)).join('')}
+                  </select>
+                </div>
+                <div class="col-md-2">
+                  <label for="audit-user" class="form-label">User</label>
+                  <select id="audit-user" name="user" class="form-select">
+                    ${option('', 'Anyone', query.user || '')}
+                    ${listAuditAuthors().map(author => option(author, author, query.user)).join('')}
+                  </select>
+                </div>
+                <div class="col-md-3">
+                  <label for="audit-target" class="form-label">Page or target</label>
+                  <input type="text" id="audit-target" name="target" value="${escapeHtml(query.target || '')}" placeholder="about.html" class="form-control">
+                </div>
+                <div class="col-md-2">
+                  <label for="audit-since" class="form-label">From</label>
+                  <input type="date" id="audit-since" name="since" value="${escapeHtml(query.since || '')}" class="form-control">
+                </div>
+                <div class="col-md-2">
+                  <label for="audit-until" class="form-label">To</label>
+                  <input type="date" id="audit-until" name="until" value="${escapeHtml(query.until || '')}" class="form-control">
+                </div>
+                <div class="col-md-1">
+                  <button type="submit" class="btn btn-primary w-100">Filter</button>
+                </div>
+              </form>
+            </div>
+          </div>
+
+          <div class="card mb-4">
+            <div class="card-body">
+              <div class="d-flex justify-content-between align-items-baseline mb-3">
+                <h2 class="h5 card-title mb-0">Audit Log</h2>
+                <div class="small">
+                  Export: <a href="${escapeHtml(exportLink('csv'))}">CSV</a> &middot; <a href="${escapeHtml(exportLink('json'))}">JSON</a>
+                </div>
+              </div>
+              ${entries.length === 0 ? `
+                <p class="text-body-secondary small mb-0">No entries match these filters.</p>
+              ` : `
+                <div class="table-responsive">
+                  <table class="table table-sm align-middle small mb-0">
+                    <thead class="table-light">
+                      <tr>
+                        <th scope="col">Time</th>
+                        <th scope="col">User</th>
+                        <th scope="col">Action</th>
+                        <th scope="col">Target</th>
+                        <th scope="col">IP</th>
+                        <th scope="col">Before</th>
+                        <th scope="col">After</th>
+                        <th scope="col">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${entries.map(entry => `
+                        <tr>
+                          <td class="text-nowrap"><time class="js-local-time" datetime="${escapeHtml(entry.createdAt.replace(' ', 'T'))}Z">${escapeHtml(entry.createdAt)} UTC</time></td>
+                          <td>${entry.author ? escapeHtml(entry.author) : '<span class="text-body-secondary">&ndash;</span>'}</td>
+                          <td><code>${escapeHtml(entry.action)}</code></td>
+                          <td class="text-break">${escapeHtml(entry.target || '')}</td>
+                          <td class="text-nowrap">${escapeHtml(entry.ip || '')}</td>
+                          <td>${shortHash(entry.beforeHash)}</td>
+                          <td>${shortHash(entry.afterHash)}</td>
+                          <td class="text-break text-body-secondary">${entry.details ? escapeHtml(JSON.stringify(entry.details)) : ''}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>
+                </div>
+              `}
+              ${olderLink ? `<a href="${escapeHtml(olderLink)}" class="btn btn-outline-secondary btn-sm mt-3">Older entries</a>` : ''}
+            </div>
+          </div>
+        </div>
+
+        <script>
+          document.querySelectorAll('.js-local-time').forEach(el => {
+            el.textContent = new Date(el.getAttribute('datetime')).toLocaleString();
+          });
+        </script>
+      </body>
+      </html>
+    `;
+  })
+
+  /**
+   * POST /settings/site - Save the site settings (admins only)
+   */
+  .post('/site', ({ body, session, set, request, server }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (!hasRole(getUserRole(session.userId), 'admin')) {
+      set.status = 403;
+      return 'Forbidden: this requires the admin role';
+    }
+
+    const values = {};
+    for (const key of SITE_SETTING_KEYS) {
+      if (typeof body?.[key] === 'string') values[key] = body[key];
+    }
+
+    try {
+      const before = getSiteSettings();
+      const result = updateSiteSettings(values);
+
+      if (!result.success) {
+        return new Response(null, {
+          status: 302,
+          headers: { 'Location': '/settings?error=' + encodeURIComponent(result.error) }
+        });
+      }
+
+      const changed = SITE_SETTING_KEYS.filter(key => result.settings[key] !== before[key]);
+      if (changed.length > 0) {
+        recordAudit({
+          action: 'settings.site',
+          ...auditActor({ session, request, server }),
+          details: { changed }
+        });
+      }
+
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/settings?message=' + encodeURIComponent('Site settings saved') }
+      });
+    } catch (error) {
+      log.error('Site settings update error', { error: error.message });
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/settings?error=' + encodeURIComponent('Failed to save site settings') }
+      });
+    }
+  })
+
+  /**
+   * POST /settings/two-factor/policy - Require 2FA for publishers and admins (admins only)
+   */
+  .post('/two-factor/policy', ({ body, session, set, request, server }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (!hasRole(getUserRole(session.userId), 'admin')) {
+      set.status = 403;
+      return 'Forbidden: this requires the admin role';
+    }
+
+    const required = body?.required === 'true';
+    if (required !== isTwoFactorRequiredForPublishers()) {
+      setTwoFactorRequiredForPublishers(required);
+      recordAudit({
+        action: 'user.two_factor_policy',
+        ...auditActor({ session, request, server }),
+        details: { required }
+      });
+    }
+
+    return redirectToSettings({ message: 'Security settings saved' });
+  })
+
+  /**
+   * POST /settings/two-factor/setup - Start setting up 2FA with a new secret
+   */
+  .post('/two-factor/setup', ({ session }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (getTwoFactorStatus(session.userId).enabled) {
+      return redirectToSettings({ error: 'Two-factor authentication is already on' });
+    }
+
+    // Kept in the session until a code confirms the app has it
+    session.pendingTotpSecret = generateTotpSecret();
+    saveSession(session._sessionId, session._getData());
+
+    return new Response(null, {
+      status: 302,
+      headers: { 'Location': '/settings#two-factor' }
+    });
+  })
+
+  /**
+   * POST /settings/two-factor/enable - Confirm a code and turn 2FA on
+   */
+  .post('/two-factor/enable', ({ body, session, request, server }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (!session.pendingTotpSecret) {
+      return redirectToSettings({ error: 'Start setting up two-factor authentication first' });
+    }
+
+    try {
+      const result = enableTwoFactor(session.userId, session.pendingTotpSecret, body?.code || '');
+      if (!result.success) {
+        return redirectToSettings({ error: result.error });
+      }
+
+      delete session.pendingTotpSecret;
+      session.newRecoveryCodes = result.recoveryCodes;
+      saveSession(session._sessionId, session._getData());
+      recordAudit({
+        action: 'user.two_factor_enable',
+        ...auditActor({ session, request, server }),
+        target: session.username
+      });
+
+      return redirectToSettings({ message: 'Two-factor authentication is on' });
+    } catch (error) {
+      log.error('Two-factor enable error', { error: error.message });
+      return redirectToSettings({ error: 'Failed to turn on two-factor authentication' });
+    }
+  })
+
+  /**
+   * POST /settings/two-factor/recovery-codes - Replace the recovery codes
+   */
+  .post('/two-factor/recovery-codes', ({ body, session }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (!verifyTwoFactorCode(session.userId, body?.code).success) {
+      return redirectToSettings({ error: 'Invalid code' });
+    }
+
+    session.newRecoveryCodes = regenerateRecoveryCodes(session.userId);
+    saveSession(session._sessionId, session._getData());
+    return redirectToSettings({ message: 'New recovery codes created; the old ones no longer work' });
+  })
+
+  /**
+   * POST /settings/two-factor/disable - Turn 2FA off, unless the policy requires it
+   */
+  .post('/two-factor/disable', ({ body, session, request, server }) => {
+    // Auth check
+    if (!session.userId) {
+      return new Response(null, {
+        status: 302,
+        headers: { 'Location': '/auth/login' }
+      });
+    }
+
+    if (isTwoFactorRequired(getUserRole(session.userId))) {
+      return redirectToSettings({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!verifyTwoFactorCode(session.userId, body?.code).success) {
+      return redirectToSettings({ error: 'Invalid code' });
+    }
+
+    disableTwoFactor(session.userId);
+    recordAudit({
+      action: 'user.two_factor_disable',
+      ...auditActor({ session, request, server }),
+      target: session.username
+    });
+
+    return redirectToSettings({ message: 'Two-factor authentication is off' });
+  })
+
   /**
    * POST /settings/password - Handle password change
    */
-  .post('/password', async ({ body, session }) => {
+  .post('/password', async ({ body, session, request, server }) => {
     // Auth check
     if (!session.userId) {
       return new Response(null, {
@@ -187,6 +1031,11 @@ export const settingsRoutes = new Elysia({ prefix: '/settings' })
       const result = await updatePassword(session.userId, currentPassword, newPassword);
 
       if (result.success) {
+        recordAudit({
+          action: 'auth.password_change',
+          ...auditActor({ session, request, server }),
+          target: session.username
+        });
         session.mustChangePassword = false;
         // Save session with updated flag and redirect
         saveSession(session._sessionId, session._getData());
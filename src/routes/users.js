@@ -0,0 +1,322 @@
+import { Elysia } from 'elysia';
+import { logger } from '../lib/logger.js';
+import { requireAuth, requirePasswordChanged, requireRole, requireTwoFactorEnrollment } from '../middleware/auth.js';
+import { verifyCsrfRequest } from '../middleware/csrf.js';
+import { destroyUserSessions } from '../middleware/session.js';
+import { auditActor, listAuditEntries, recordAudit } from '../services/audit.js';
+import {
+  countActiveAdmins,
+  createUser,
+  deleteUser,
+  generatePassword,
+  getUserById,
+  isValidRole,
+  listUsers,
+  resetPassword,
+  ROLES,
+  setUserDisabled,
+  updateUserRole,
+  usernameExists
+} from '../services/auth.js';
+import { sendInviteEmail } from '../services/email.js';
+import { disableTwoFactor, getTwoFactorStatus } from '../services/two-factor.js';
+
+const log = logger.child('users');
+
+/**
+ * Usernames: 1-64 characters without whitespace
+ */
+const USERNAME_PATTERN = /^\S{1,64}$/;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Audit entries shown with the user list
+const AUDIT_LIMIT = 20;
+
+/**
+ * Parse a positive integer ID from a route parameter
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Check a change that would take away a user's admin access (demote, disable,
+ * delete). Admins cannot do this to themselves, and the last active admin
+ * must stay.
+ *
+ * @returns {{ error: string, status: number }|null} What is wrong with it, or null
+ */
+function checkAdminRemoval(user, session) {
+  if (user.id === session.userId) {
+    return { error: 'You cannot do this to your own account', status: 400 };
+  }
+  if (user.role === 'admin' && !user.disabled && countActiveAdmins() <= 1) {
+    return { error: 'At least one active admin is required', status: 409 };
+  }
+  return null;
+}
+
+/**
+ * User management routes plugin for Elysia (admins only)
+ */
+export const usersRoutes = new Elysia({ prefix: '/api/users' })
+  .onBeforeHandle((context) => {
+    const { session, request, set } = context;
+    const url = new URL(request.url);
+    const fullPath = url.pathname;
+
+    const authResult = requireAuth({ session, path: fullPath, request, set });
+    if (authResult !== undefined) return authResult;
+
+    const pwResult = requirePasswordChanged({ session, path: fullPath, request, set });
+    if (pwResult !== undefined) return pwResult;
+
+    const twoFactorResult = requireTwoFactorEnrollment({ session, path: fullPath, request, set });
+    if (twoFactorResult !== undefined) return twoFactorResult;
+
+    const roleResult = requireRole('admin')({ session, path: fullPath, request, set });
+    if (roleResult !== undefined) return roleResult;
+
+    return verifyCsrfRequest(context);
+  })
+
+  /**
+   * GET /api/users - List users and recent user management audit entries
+   */
+  .get('/', () => {
+    return {
+      users: listUsers(),
+      roles: ROLES,
+      audit: listAuditEntries({ actionPrefix: 'user.', limit: AUDIT_LIMIT })
+    };
+  })
+
+  /**
+   * POST /api/users - Create a user
+   *
+   * Body: { username, role, password?, mustChangePassword?, email? }
+   * Without a password the user is invited: they get a temporary password
+   * that must be changed on first login, emailed to them if an email address
+   * is given and email is configured. The temporary password is returned once.
+   */
+  .post('/', async ({ body, session, set, request, server }) => {
+    const { username, role = 'editor', password, mustChangePassword = false, email } = body || {};
+
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      set.status = 400;
+      return { error: 'Username must be 1-64 characters without spaces' };
+    }
+
+    if (!isValidRole(role)) {
+      set.status = 400;
+      return { error: `Role must be one of ${ROLES.join(', ')}` };
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      set.status = 400;
+      return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    if (email !== undefined && email !== '' && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+      set.status = 400;
+      return { error: 'Invalid email address' };
+    }
+
+    if (usernameExists(username)) {
+      set.status = 409;
+      return { error: `Username "${username}" already exists` };
+    }
+
+    const invited = password === undefined;
+    const temporaryPassword = invited ? generatePassword() : null;
+
+    try {
+      const user = await createUser(username, password ?? temporaryPassword, invited || !!mustChangePassword, role);
+
+      recordAudit({
+        action: invited ? 'user.invite' : 'user.create',
+        ...auditActor({ session, request, server }),
+        target: user.username,
+        details: { role, ...(email && { email }) }
+      });
+
+      let emailed = false;
+      if (invited && email) {
+        const loginUrl = new URL('/auth/login', request.url).href;
+        const result = await sendInviteEmail({ to: email, username, password: temporaryPassword, loginUrl });
+        emailed = result.success;
+      }
+
+      set.status = 201;
+      return {
+        success: true,
+        user: listUsers().find(u => u.id === user.id),
+        ...(invited && { temporaryPassword, emailed })
+      };
+    } catch (error) {
+      log.error('Create user error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to create user' };
+    }
+  })
+
+  /**
+   * PATCH /api/users/:id - Change a user's role or disable/enable them
+   *
+   * Body: { role?, disabled? }
+   */
+  .patch('/:id', ({ params, body, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const user = id && getUserById(id);
+
+    if (!user) {
+      set.status = 404;
+      return { error: 'User not found' };
+    }
+
+    const { role, disabled } = body || {};
+
+    if (role !== undefined && !isValidRole(role)) {
+      set.status = 400;
+      return { error: `Role must be one of ${ROLES.join(', ')}` };
+    }
+
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      set.status = 400;
+      return { error: 'disabled must be true or false' };
+    }
+
+    const changesRole = role !== undefined && role !== user.role;
+    const changesDisabled = disabled !== undefined && disabled !== user.disabled;
+
+    if ((changesRole && user.role === 'admin') || (changesDisabled && disabled)) {
+      const problem = checkAdminRemoval(user, session);
+      if (problem) {
+        set.status = problem.status;
+        return { error: problem.error };
+      }
+    }
+
+    if (changesRole) {
+      updateUserRole(user.id, role);
+      recordAudit({
+        action: 'user.role',
+        ...auditActor({ session, request, server }),
+        target: user.username,
+        details: { from: user.role, to: role }
+      });
+    }
+
+    if (changesDisabled) {
+      setUserDisabled(user.id, disabled);
+      if (disabled) destroyUserSessions(user.id);
+      recordAudit({
+        action: disabled ? 'user.disable' : 'user.enable',
+        ...auditActor({ session, request, server }),
+        target: user.username
+      });
+    }
+
+    return { success: true, user: listUsers().find(u => u.id === user.id) };
+  })
+
+  /**
+   * POST /api/users/:id/reset-password - Give a user a new temporary password
+   *
+   * The user is logged out and must change the password on next login.
+   * The temporary password is returned once.
+   */
+  .post('/:id/reset-password', async ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const user = id && getUserById(id);
+
+    if (!user) {
+      set.status = 404;
+      return { error: 'User not found' };
+    }
+
+    if (user.id === session.userId) {
+      set.status = 400;
+      return { error: 'Change your own password in the settings' };
+    }
+
+    try {
+      const temporaryPassword = generatePassword();
+      await resetPassword(user.id, temporaryPassword);
+      destroyUserSessions(user.id);
+
+      recordAudit({ action: 'user.reset_password', ...auditActor({ session, request, server }), target: user.username });
+
+      return { success: true, temporaryPassword };
+    } catch (error) {
+      log.error('Reset password error', { error: error.message });
+      set.status = 500;
+      return { error: 'Failed to reset password' };
+    }
+  })
+
+  /**
+   * POST /api/users/:id/reset-two-factor - Turn off a user's two-factor authentication
+   *
+   * For users who lost their authenticator app and recovery codes. They are
+   * logged out, and must set it up again if the policy requires it.
+   */
+  .post('/:id/reset-two-factor', ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const user = id && getUserById(id);
+
+    if (!user) {
+      set.status = 404;
+      return { error: 'User not found' };
+    }
+
+    if (user.id === session.userId) {
+      set.status = 400;
+      return { error: 'Change your own two-factor authentication in the settings' };
+    }
+
+    if (!getTwoFactorStatus(user.id).enabled) {
+      set.status = 400;
+      return { error: 'Two-factor authentication is not on for this user' };
+    }
+
+    disableTwoFactor(user.id);
+    destroyUserSessions(user.id);
+    recordAudit({ action: 'user.reset_two_factor', ...auditActor({ session, request, server }), target: user.username });
+
+    return { success: true };
+  })
+
+  /**
+   * DELETE /api/users/:id - Delete a user
+   */
+  .delete('/:id', ({ params, session, set, request, server }) => {
+    const id = parseId(params.id);
+    const user = id && getUserById(id);
+
+    if (!user) {
+      set.status = 404;
+      return { error: 'User not found' };
+    }
+
+    const problem = checkAdminRemoval(user, session);
+    if (problem) {
+      set.status = problem.status;
+      return { error: problem.error };
+    }
+
+    destroyUserSessions(user.id);
+    deleteUser(user.id);
+    recordAudit({
+      action: 'user.delete',
+      ...auditActor({ session, request, server }),
+      target: user.username,
+      details: { role: user.role }
+    });
+
+    return { success: true };
+  });
+
+export default usersRoutes;
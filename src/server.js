@@ -10,15 +10,19 @@ import { requestLoggerPlugin } from './middleware/request-logger.js';
 import { createSessionCookie, initSessionTable, saveSession, sessionPlugin, startSessionCleanup } from './middleware/session.js';
 import { handleDraftPreview, handleEditMode } from './routes/preview.js';
 import { loadManifest, rewriteAssetPaths } from './services/asset-manifest.js';
+import { ensureLiveSite } from './services/public-staging.js';
+import { startPublishScheduler } from './services/publish-jobs.js';
 
 // Import route plugins
 import { apiRoutes } from './routes/api.js';
+import { auditRoutes } from './routes/audit.js';
 import { authRoutes } from './routes/auth.js';
 import { designSystemRoutes } from './routes/design-system.js';
 import { formRoutes } from './routes/forms.js';
 import { pagesRoutes } from './routes/pages.js';
 import { publishRoutes } from './routes/publish.js';
 import { settingsRoutes } from './routes/settings.js';
+import { usersRoutes } from './routes/users.js';
 
 const log = logger.child('server');
 
@@ -42,7 +46,7 @@ const BASE_CONTENT_SECURITY_POLICY = [
 ].join('; ');
 
 // Static file directories
-const PUBLIC_DIR = path.join(__dirname, '../data/public');
+const PUBLIC_DIR = path.join(__dirname, '../data/public-live');
 const DRAFTS_DIR = path.join(__dirname, '../data/drafts');
 const EDITOR_DIR = path.join(__dirname, './editor');
 const STATIC_DIR = path.join(__dirname, './static');
@@ -52,9 +56,15 @@ getDb();
 initSessionTable();
 startSessionCleanup();
 
+// Serve the seed site in data/public until the first publish
+await ensureLiveSite();
+
 // Load asset manifest (fingerprinted asset paths) into memory
 await loadManifest();
 
+// Run scheduled publish jobs in the background
+startPublishScheduler();
+
 /**
  * Get MIME type for a file based on extension
  */
@@ -264,6 +274,8 @@ const app = new Elysia()
   .use(pagesRoutes)
   .use(publishRoutes)
   .use(settingsRoutes)
+  .use(usersRoutes)
+  .use(auditRoutes)
   .use(designSystemRoutes)
 
   // Handle all other requests (preview modes and static files)
@@ -273,7 +285,7 @@ const app = new Elysia()
     if (draftResult !== null) return draftResult;
 
     // Handle edit mode
-    const editResult = await handleEditMode({ path: reqPath, query, session, set });
+    const editResult = await handleEditMode({ path: reqPath, query, session, set, request });
     if (editResult !== null) return editResult;
 
     // Try static files
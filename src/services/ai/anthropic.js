@@ -1,6 +1,7 @@
 import Anthropic from '@anthropic-ai/sdk';
-import { AI_TOOLS, fallbackResult, formatComponentResult, parseToolCall } from './prompts.js';
-import { loadComponents } from '../components.js';
+import { AI_TOOLS } from './prompts.js';
+import { describeToolStart } from './progress.js';
+import { registerProvider } from './registry.js';
 
 let anthropicClient = null;
 
@@ -11,66 +12,83 @@ function getClient() {
   return anthropicClient;
 }
 
-function createRequest(model, systemPrompt, messages) {
-  return getClient().messages.create({
-    model,
+function getModel() {
+  return process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+}
+
+function requestParams(systemPrompt, messages) {
+  return {
+    model: getModel(),
     max_tokens: 16000,
     temperature: 0.2,
     system: systemPrompt,
     tools: AI_TOOLS.anthropic,
     tool_choice: { type: 'any' },
     messages
-  });
+  };
 }
 
 /**
- * Extract the first tool use block from an Anthropic response, or null.
+ * Stream a request, reporting tool starts, text and the partial explanation
+ * as they arrive. Resolves to the same final message as a non-streaming request.
  */
-function extractToolCall(response) {
-  if (response.stop_reason === 'max_tokens') {
-    throw new Error('AI response was truncated due to length limits. Please try a simpler request.');
-  }
+function createStreamingRequest(params, progress) {
+  const stream = getClient().messages.stream(params);
+  let toolJson = '';
 
-  const toolUse = response.content.find(b => b.type === 'tool_use');
-  if (toolUse) {
-    return { content: response.content, toolCall: { id: toolUse.id, name: toolUse.name, args: toolUse.input } };
-  }
+  stream.on('streamEvent', (event) => {
+    if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+      toolJson = '';
+      progress.emit({ type: 'status', message: describeToolStart(event.content_block.name) });
+    }
+  });
+  stream.on('text', (delta) => progress.emit({ type: 'text', delta }));
+  stream.on('inputJson', (delta) => {
+    toolJson += delta;
+    progress.explanation(toolJson);
+  });
 
-  const textBlock = response.content.find(b => b.type === 'text');
-  return { content: response.content, toolCall: null, text: textBlock?.text };
+  return stream.finalMessage();
 }
 
 /**
- * Process a message using Anthropic with tool use.
- *
- * @param {string} systemPrompt
- * @param {Array<{role: string, content: string}>} conversationMessages
+ * Normalize an Anthropic response: the first tool use block, or the text.
  */
-export async function processWithAnthropic(systemPrompt, conversationMessages) {
-  const model = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
-  const messages = [...conversationMessages];
-
-  const response = await createRequest(model, systemPrompt, messages);
-  const { content, toolCall, text } = extractToolCall(response);
+function toReply(response) {
+  const toolUse = response.content.find(b => b.type === 'tool_use');
+  const textBlock = response.content.find(b => b.type === 'text');
 
-  if (!toolCall) return fallbackResult(text);
+  return {
+    toolCall: toolUse ? { id: toolUse.id, name: toolUse.name, args: toolUse.input } : null,
+    text: textBlock?.text || null,
+    truncated: response.stop_reason === 'max_tokens',
+    message: { role: 'assistant', content: response.content }
+  };
+}
 
-  if (toolCall.name === 'get_components') {
-    const components = await loadComponents(toolCall.args.names || []);
+registerProvider({
+  id: 'anthropic',
+  name: 'Anthropic',
+  modelsUrl: 'https://docs.anthropic.com/en/docs/about-claude/models',
+  model: getModel,
+  endpoint: () => null,
 
-    messages.push({ role: 'assistant', content });
-    messages.push({
-      role: 'user',
-      content: [{ type: 'tool_result', tool_use_id: toolCall.id, content: formatComponentResult(components) }]
-    });
+  async send(systemPrompt, messages, { stream, progress }) {
+    const params = requestParams(systemPrompt, messages);
+    const response = stream
+      ? await createStreamingRequest(params, progress)
+      : await getClient().messages.create(params);
+    return toReply(response);
+  },
 
-    const followUp = await createRequest(model, systemPrompt, messages);
-    const { toolCall: followUpCall, text: followUpText } = extractToolCall(followUp);
+  toolResultMessages(reply, content) {
+    // Every tool use in the assistant turn needs a result, so keep only the answered one
+    const assistantContent = reply.message.content
+      .filter(b => b.type !== 'tool_use' || b.id === reply.toolCall.id);
 
-    return followUpCall
-      ? parseToolCall(followUpCall.name, followUpCall.args)
-      : fallbackResult(followUpText);
+    return [
+      { role: 'assistant', content: assistantContent },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: reply.toolCall.id, content }] }
+    ];
   }
-
-  return parseToolCall(toolCall.name, toolCall.args);
-}
+});
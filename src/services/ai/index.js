@@ -1,115 +1,101 @@
-import { randomUUID } from 'crypto';
 import { logger } from '../../lib/logger.js';
+import { PathTraversalError } from '../../lib/safe-path.js';
 import { listComponentNames } from '../components.js';
-import { processWithAnthropic } from './anthropic.js';
-import { processWithOpenAI } from './openai.js';
+import { appendMessages, createConversation, getRecentMessages, getUserConversation } from '../conversations.js';
+import { applyDomOperation, describeDomOperation, isDomOperation } from '../dom-edit.js';
+import { getPage } from '../pages.js';
+import { getPartial, isValidPartialName } from '../partials.js';
+import { getSiteSettings } from '../site-settings.js';
 import { buildSystemPrompt } from './prompts.js';
+import { getActiveProvider } from './registry.js';
+import { runToolLoop } from './tool-loop.js';
+
+// Providers register themselves on import
+import './openai.js';
+import './anthropic.js';
+import './openai-compatible.js';
+import './mock.js';
+
+export { getActiveProviderId, listProviders } from './registry.js';
 
 const log = logger.child('ai');
 
 /**
  * @typedef {Object} ChatResult
- * @property {string} action - The action type: 'edit', 'create', or 'respond'
+ * @property {string} action - The action type: 'edit', 'edit_pages', 'edit_partial', 'create', or 'respond'
  * @property {string} assistantMessage - Message from the AI
  * @property {string|null} updatedHtml - Updated or new HTML content
  * @property {string|null} newPagePath - Path for new page (only for 'create' action)
+ * @property {Array<object>|null} changes - Search/replace changes and DOM operations (only for 'edit' action)
+ * @property {Array<{applied: boolean, fuzzy: boolean}>|null} changeResults - Per-change outcome of applyDiffs() (only for 'edit' action)
+ * @property {PageEditResult[]} [pageResults] - Outcome per page (only for 'edit_pages' action)
+ * @property {boolean} [pagesApplied] - Whether every page of an 'edit_pages' action can be saved
+ * @property {string} [partialName] - The partial changed by an 'edit_partial' action
+ * @property {string|null} [partialHtml] - Its content after the changes, or null if they can't be applied
  * @property {string} conversationId - The conversation ID for maintaining history
+ * @property {number[]} messageIds - Ids of the stored user and assistant messages of this turn
  */
 
-// ─── Conversation History Store ──────────────────────────────────────────────
+// ─── Conversation History ────────────────────────────────────────────────────
 
-/** Maximum number of message pairs (user + assistant) to keep per conversation */
+/** Maximum number of message pairs (user + assistant) sent to the provider as history */
 const MAX_HISTORY_PAIRS = 10;
 
-/** Conversations expire after 30 minutes of inactivity */
-const CONVERSATION_TTL_MS = 30 * 60 * 1000;
-
-/**
- * In-memory conversation store.
- * Key: conversationId, Value: { messages: Array<{role, content}>, lastAccess: number }
- */
-const conversations = new Map();
-
-/**
- * Clean up expired conversations
- */
-function cleanupExpiredConversations() {
-  const now = Date.now();
-  for (const [id, convo] of conversations) {
-    if (now - convo.lastAccess > CONVERSATION_TTL_MS) {
-      conversations.delete(id);
-    }
-  }
-}
-
 /**
- * Get or create a conversation
- * 
- * @param {string|null} conversationId - Existing conversation ID, or null to create new
- * @returns {{ id: string, messages: Array<{role: string, content: string}> }}
- */
-function getConversation(conversationId) {
-  // Periodically clean up
-  if (Math.random() < 0.1) {
-    cleanupExpiredConversations();
-  }
-
-  if (conversationId && conversations.has(conversationId)) {
-    const convo = conversations.get(conversationId);
-    convo.lastAccess = Date.now();
-    return { id: conversationId, messages: convo.messages };
-  }
-
-  // Create new conversation
-  const id = conversationId || randomUUID();
-  const convo = { messages: [], lastAccess: Date.now() };
-  conversations.set(id, convo);
-  return { id, messages: convo.messages };
-}
-
-/**
- * Append messages to a conversation and trim to max history
- * 
- * @param {string} conversationId
- * @param {Array<{role: string, content: string}>} newMessages
+ * Get the conversation to continue. Returns null (start a new one) when the id
+ * is missing, unknown, owned by another user or about a different page.
+ *
+ * @param {string|null} conversationId
+ * @param {string} pagePath
+ * @param {number} userId
+ * @returns {object|null}
  */
-function appendToConversation(conversationId, newMessages) {
-  const convo = conversations.get(conversationId);
-  if (!convo) return;
-
-  convo.messages.push(...newMessages);
-  convo.lastAccess = Date.now();
-
-  // Trim to keep only the last N message pairs (user + assistant = 2 messages per pair)
-  const maxMessages = MAX_HISTORY_PAIRS * 2;
-  if (convo.messages.length > maxMessages) {
-    convo.messages = convo.messages.slice(-maxMessages);
-  }
+function findConversation(conversationId, pagePath, userId) {
+  const existing = conversationId ? getUserConversation(conversationId, userId) : null;
+  return existing?.pagePath === pagePath ? existing : null;
 }
 
 // ─── Diff Application ────────────────────────────────────────────────────────
 
 /**
- * Apply search-and-replace changes to HTML content.
+ * Apply search-and-replace changes and DOM operations to HTML content.
  * 
- * For each change, tries an exact match first. If that fails, retries with
- * flexible whitespace matching (allowing different amounts of whitespace) as
- * a fallback.
+ * For each search/replace change, tries an exact match first. If that fails,
+ * retries with flexible whitespace matching (allowing different amounts of
+ * whitespace) as a fallback. DOM operations (see dom-edit.js) must target
+ * exactly one element.
  * 
  * @param {string} html - The current HTML content
- * @param {Array<{search: string, replace: string}>} changes - Ordered list of changes
- * @returns {{ html: string, appliedCount: number, failedSearches: string[] }}
+ * @param {Array<object>} changes - Ordered list of {search, replace} changes and DOM operations
+ * @returns {{ html: string, appliedCount: number, failedSearches: string[], results: Array<{applied: boolean, fuzzy: boolean, error?: string}> }}
  */
 export function applyDiffs(html, changes) {
   let result = html;
   let appliedCount = 0;
   const failedSearches = [];
+  const results = [];
 
   for (const change of changes) {
+    if (isDomOperation(change)) {
+      const outcome = applyDomOperation(result, change);
+
+      if (outcome.applied) {
+        result = outcome.html;
+        appliedCount++;
+        results.push({ applied: true, fuzzy: false });
+      } else {
+        log.warn('Could not apply DOM operation', { operation: describeDomOperation(change), error: outcome.error });
+        failedSearches.push(`${describeDomOperation(change)}: ${outcome.error}`);
+        results.push({ applied: false, fuzzy: false, error: outcome.error });
+      }
+      continue;
+    }
+
     const { search, replace } = change;
 
     if (!search && search !== '') {
       log.warn('Skipping change with missing search field');
+      results.push({ applied: false, fuzzy: false });
       continue;
     }
 
@@ -117,6 +103,7 @@ export function applyDiffs(html, changes) {
     if (result.includes(search)) {
       result = result.replace(search, replace);
       appliedCount++;
+      results.push({ applied: true, fuzzy: false });
       continue;
     }
 
@@ -131,6 +118,7 @@ export function applyDiffs(html, changes) {
       if (match) {
         result = result.replace(flexRegex, replace);
         appliedCount++;
+        results.push({ applied: true, fuzzy: true });
         log.debug('Applied change with whitespace-tolerant matching', {
           searchPreview: search.substring(0, 80)
         });
@@ -145,9 +133,123 @@ export function applyDiffs(html, changes) {
       searchPreview: search.substring(0, 120)
     });
     failedSearches.push(search.substring(0, 120));
+    results.push({ applied: false, fuzzy: false });
   }
 
-  return { html: result, appliedCount, failedSearches };
+  return { html: result, appliedCount, failedSearches, results };
+}
+
+/**
+ * Why DOM operations failed, e.g. "; replace .card: Ambiguous: 3 elements match",
+ * so the AI can target them better in its next turn
+ *
+ * @param {Array<object>} changes
+ * @param {Array<{applied: boolean, error?: string}>} results - From applyDiffs()
+ * @returns {string} Empty if no DOM operation failed
+ */
+function describeOperationFailures(changes, results) {
+  return changes
+    .map((change, i) => results[i]?.error ? `; ${describeDomOperation(change)}: ${results[i].error}` : '')
+    .join('');
+}
+
+/**
+ * @typedef {Object} PageEditResult
+ * @property {string} pagePath
+ * @property {number} changeCount - Number of changes requested for the page
+ * @property {number} appliedCount - Number of changes that matched
+ * @property {string|null} originalHtml - Draft content the changes were applied to
+ * @property {string|null} updatedHtml - Content after the changes, or null if the page failed
+ * @property {string|null} error - Why the page can't be changed, or null
+ */
+
+/**
+ * Apply the change sets of an edit_pages call to each page's draft.
+ * A page fails if it can't be read or any of its changes doesn't match;
+ * the caller saves nothing unless every page succeeds.
+ *
+ * @param {Array<{path: string, changes: Array<{search: string, replace: string}>}>} pageChanges
+ * @returns {Promise<PageEditResult[]>}
+ */
+async function applyPageChanges(pageChanges) {
+  const seen = new Set();
+  const results = [];
+
+  for (const entry of pageChanges) {
+    const pagePath = typeof entry?.path === 'string' ? entry.path.replace(/^\//, '') : '';
+    const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+    const result = { pagePath, changeCount: changes.length, appliedCount: 0, originalHtml: null, updatedHtml: null, error: null };
+    results.push(result);
+
+    if (seen.has(pagePath)) {
+      result.error = 'Page is listed more than once';
+      continue;
+    }
+    seen.add(pagePath);
+
+    if (changes.length === 0) {
+      result.error = 'No changes given';
+      continue;
+    }
+
+    try {
+      result.originalHtml = await getPage(pagePath);
+    } catch (error) {
+      if (!(error instanceof PathTraversalError)) throw error;
+      result.error = 'Invalid page path';
+      continue;
+    }
+
+    if (result.originalHtml === null) {
+      result.error = 'Page not found';
+      continue;
+    }
+
+    const { html, appliedCount, failedSearches, results: changeResults } = applyDiffs(result.originalHtml, changes);
+    result.appliedCount = appliedCount;
+
+    if (failedSearches.length > 0) {
+      result.error = `${failedSearches.length} of ${changes.length} changes could not be matched${describeOperationFailures(changes, changeResults)}`;
+      continue;
+    }
+
+    result.updatedHtml = html;
+  }
+
+  return results;
+}
+
+/**
+ * Apply the changes of an edit_partial call to the partial. As the partial is
+ * shared by several pages, every change must match or none is applied.
+ *
+ * @param {string} name
+ * @param {Array<object>} changes
+ * @returns {Promise<{ html: string|null, error: string|null }>}
+ */
+async function applyPartialChanges(name, changes) {
+  if (!isValidPartialName(name)) {
+    return { html: null, error: `"${name}" is not a valid partial name` };
+  }
+
+  const partialHtml = await getPartial(name);
+  if (partialHtml === null) {
+    return { html: null, error: `there is no partial "${name}"` };
+  }
+
+  if (changes.length === 0) {
+    return { html: null, error: 'no changes were given' };
+  }
+
+  const { html, failedSearches, results } = applyDiffs(partialHtml, changes);
+  if (failedSearches.length > 0) {
+    return {
+      html: null,
+      error: `${failedSearches.length} of ${changes.length} changes could not be matched in the partial${describeOperationFailures(changes, results)}`
+    };
+  }
+
+  return { html, error: null };
 }
 
 // ─── Main Entry Point ────────────────────────────────────────────────────────
@@ -159,61 +261,93 @@ export function applyDiffs(html, changes) {
  * @param {string|null} currentHtml - Current HTML of the page (null if creating new page without context)
  * @param {string} pagePath - Path to the current page
  * @param {string|null} conversationId - Existing conversation ID for history, or null
+ * @param {object} options
+ * @param {number} options.userId - The user the conversation belongs to
+ * @param {Function} [options.onProgress] - Receives progress events while the response streams (see progress.js)
+ * @param {{selector: string, html: string, partial?: string}|null} [options.selection] - Element picked in the editor that the request is about
  * @returns {Promise<ChatResult>}
  */
-export async function processChat(message, currentHtml, pagePath, conversationId = null) {
-  const provider = process.env.AI_PROVIDER || 'openai';
+export async function processChat(message, currentHtml, pagePath, conversationId, { userId, onProgress, selection = null }) {
+  const provider = getActiveProvider();
 
   const componentNames = await listComponentNames();
-  const systemPrompt = buildSystemPrompt(componentNames);
+  const systemPrompt = buildSystemPrompt(componentNames, getSiteSettings());
 
-  // Get or create conversation
-  const conversation = getConversation(conversationId);
+  // Continue the user's conversation, if any
+  const existingConversation = findConversation(conversationId, pagePath, userId);
 
   // Build the new user message with current HTML context
-  const userMessageContent = buildUserMessage(message, currentHtml, pagePath);
+  const userMessageContent = buildUserMessage(message, currentHtml, pagePath, selection);
 
-  // Prepare messages: conversation history + new user message
+  // Prepare messages: recent conversation history + new user message
   const conversationMessages = [
-    ...conversation.messages,
+    ...(existingConversation ? getRecentMessages(existingConversation.id, MAX_HISTORY_PAIRS * 2) : []),
     { role: 'user', content: userMessageContent }
   ];
 
-  let result;
+  onProgress?.({ type: 'status', message: 'Thinking…' });
 
-  if (provider === 'anthropic') {
-    result = await processWithAnthropic(systemPrompt, conversationMessages);
-  } else {
-    result = await processWithOpenAI(systemPrompt, conversationMessages);
-  }
+  let result = await runToolLoop(provider, systemPrompt, conversationMessages, { onProgress });
 
   // If it was an edit action, apply diffs to produce the final HTML
   if (result.action === 'edit' && result.changes && currentHtml) {
-    const { html: updatedHtml, appliedCount, failedSearches } = applyDiffs(currentHtml, result.changes);
+    const count = result.changes.length;
+    onProgress?.({ type: 'status', message: `Applying ${count} ${count === 1 ? 'change' : 'changes'}…` });
+    const { html: updatedHtml, appliedCount, failedSearches, results } = applyDiffs(currentHtml, result.changes);
 
     if (appliedCount === 0) {
       // None of the changes could be applied
       log.warn('No changes could be applied', { failedSearches });
-      return {
+      result = {
         action: 'respond',
-        assistantMessage: 'I was unable to apply the requested changes — the HTML content may have changed. Please try again.',
+        assistantMessage: `I was unable to apply the requested changes — the HTML content may have changed${describeOperationFailures(result.changes, results)}. Please try again.`,
         updatedHtml: null,
-        newPagePath: null,
-        conversationId: conversation.id
+        newPagePath: null
       };
+    } else {
+      if (failedSearches.length > 0) {
+        result.assistantMessage += ` (Note: ${failedSearches.length} of ${result.changes.length} changes could not be matched and were skipped${describeOperationFailures(result.changes, results)}.)`;
+      }
+
+      result.updatedHtml = updatedHtml;
+      result.changeResults = results;
     }
+  }
 
-    if (failedSearches.length > 0) {
-      result.assistantMessage += ` (Note: ${failedSearches.length} of ${result.changes.length} changes could not be matched and were skipped.)`;
+  // Multi-page edit: all pages must apply cleanly, otherwise none are changed
+  if (result.action === 'edit_pages') {
+    const count = result.pageChanges.length;
+    onProgress?.({ type: 'status', message: `Applying changes to ${count} ${count === 1 ? 'page' : 'pages'}…` });
+    result.pageResults = await applyPageChanges(result.pageChanges);
+
+    const failed = result.pageResults.filter(r => r.error);
+    result.pagesApplied = count > 0 && failed.length === 0;
+
+    if (!result.pagesApplied) {
+      log.warn('Multi-page edit could not be applied', { failed: failed.map(r => ({ pagePath: r.pagePath, error: r.error })) });
+      result.assistantMessage = count === 0
+        ? 'I was unable to apply the requested changes — no pages were given.'
+        : `I was unable to apply the requested changes to ${failed.length} of ${count} pages, so no pages were changed.`;
     }
+  }
 
-    result.updatedHtml = updatedHtml;
+  // Partial edit: changes every page that includes it, so all changes must apply
+  if (result.action === 'edit_partial') {
+    onProgress?.({ type: 'status', message: `Applying changes to partial ${result.partialName}…` });
+    const { html, error } = await applyPartialChanges(result.partialName, result.changes);
+    result.partialHtml = html;
+
+    if (error) {
+      log.warn('Partial edit could not be applied', { partial: result.partialName, error });
+      result.assistantMessage = `I was unable to apply the requested changes — ${error}, so the partial was not changed.`;
+    }
   }
 
   // Store the conversation turn (user message + summarized assistant response)
-  appendToConversation(conversation.id, [
-    { role: 'user', content: userMessageContent },
-    { role: 'assistant', content: result.assistantMessage }
+  const conversation = existingConversation || createConversation(pagePath, userId, message);
+  result.messageIds = appendMessages(conversation.id, [
+    { role: 'user', content: userMessageContent, displayText: message },
+    { role: 'assistant', content: result.assistantMessage, displayText: result.assistantMessage }
   ]);
 
   // Attach conversation ID to result
@@ -228,23 +362,36 @@ export async function processChat(message, currentHtml, pagePath, conversationId
  * @param {string} message - User's message
  * @param {string|null} currentHtml - Current HTML content (can be null)
  * @param {string} pagePath - Path to the page
+ * @param {{selector: string, html: string, partial?: string}|null} [selection] - Element the user picked in the editor
  * @returns {string}
  */
-function buildUserMessage(message, currentHtml, pagePath) {
+function buildUserMessage(message, currentHtml, pagePath, selection = null) {
   const htmlContext = currentHtml
     ? `Current HTML:\n\`\`\`html\n${currentHtml}\n\`\`\``
     : 'No current page content (this may be a request to create a new page).';
 
+  const partialContext = selection?.partial
+    ? `\nThe element comes from the partial "${selection.partial}" (<!-- capuzzella:include ${selection.partial} -->), so change it with edit_partial. The selector above only applies to the page.`
+    : '';
+
+  const selectionContext = selection
+    ? `\n\nSelected element: the user picked this element in the preview, so the request is about it. Change only this element (and its contents) unless the request clearly says otherwise. Prefer targeting it with its selector in operations: its HTML below was serialized by the browser and may differ slightly from the page source.\nSelector: ${selection.selector}${partialContext}\n\`\`\`html\n${selection.html}\n\`\`\``
+    : '';
+
   return `
 Current page: ${pagePath}
 
-${htmlContext}
+${htmlContext}${selectionContext}
 
 User request: ${message}
 
 Use the appropriate tool to respond:
 - Use edit_page if modifying the current page (provide search/replace changes)
+- Use edit_pages if the request also changes other pages
+- Use edit_partial if the request changes a shared partial (an <!-- capuzzella:include name --> marker in the page)
 - Use create_page if creating a new page (provide a path and complete HTML)
 - Use respond if no page changes are needed
+
+If you need other pages, the site navigation, assets or components first, look them up with the read-only tools.
 `.trim();
 }
@@ -0,0 +1,200 @@
+import { PathTraversalError } from '../../lib/safe-path.js';
+import { loadComponents } from '../components.js';
+import { getPage, listAssets, listPages } from '../pages.js';
+import { findIncludes, getPartial, isValidPartialName, listPartialNames, listPartialUsage, resolveIncludes } from '../partials.js';
+import { formatComponentResult } from './prompts.js';
+
+/** Longest page HTML returned by read_page; longer pages are cut off with a note */
+const MAX_READ_PAGE_LENGTH = 60000;
+
+/** Elements whose links count as site navigation */
+const NAVIGATION_ELEMENTS = ['nav', 'header', 'footer'];
+
+/**
+ * Text content of an HTML snippet, with whitespace collapsed
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function textContent(html) {
+  return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the <title> of a page
+ *
+ * @param {string} html
+ * @returns {string|null}
+ */
+function pageTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? textContent(match[1]) : null;
+}
+
+/**
+ * Collect the links inside a page's navigation elements
+ *
+ * @param {string} html
+ * @returns {Array<{ element: string, links: Array<{ href: string, text: string }> }>}
+ */
+function extractNavigation(html) {
+  const sections = [];
+
+  for (const element of NAVIGATION_ELEMENTS) {
+    const pattern = new RegExp(`<${element}\\b[^>]*>([\\s\\S]*?)<\\/${element}>`, 'gi');
+
+    for (const [, inner] of html.matchAll(pattern)) {
+      const links = [...inner.matchAll(/<a\b[^>]*\bhref\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi)]
+        .map(([, href, text]) => ({ href, text: textContent(text) }));
+      sections.push({ element, links });
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Read a draft page, turning a bad or unknown path into a message for the AI
+ *
+ * @param {string} pagePath
+ * @returns {Promise<string>}
+ */
+async function readPage(pagePath) {
+  let html;
+  try {
+    html = await getPage(pagePath);
+  } catch (error) {
+    if (error instanceof PathTraversalError) {
+      return `Invalid page path: ${pagePath}`;
+    }
+    throw error;
+  }
+
+  if (html === null) {
+    return `Page not found: ${pagePath}. Use list_pages to see the available pages.`;
+  }
+
+  if (html.length > MAX_READ_PAGE_LENGTH) {
+    return `${html.slice(0, MAX_READ_PAGE_LENGTH)}\n\n(Page truncated: showing the first ${MAX_READ_PAGE_LENGTH} of ${html.length} characters.)`;
+  }
+
+  return html;
+}
+
+/**
+ * Describe the navigation of every page, partials included, and which pages
+ * no navigation links to
+ *
+ * @returns {Promise<string>}
+ */
+async function describeSiteNavigation() {
+  const pagePaths = await listPages();
+  if (pagePaths.length === 0) return 'The site has no pages yet.';
+
+  const linkedPages = new Set();
+  const blocks = [];
+
+  for (const pagePath of pagePaths) {
+    const source = await getPage(pagePath) || '';
+    const partials = findIncludes(source);
+    const sections = extractNavigation((await resolveIncludes(source)).html);
+    const lines = [`### ${pagePath}`];
+
+    if (partials.length > 0) {
+      lines.push(`(includes partials: ${partials.join(', ')}; change their links with edit_partial)`);
+    }
+
+    if (sections.length === 0) {
+      lines.push('(no nav, header or footer element)');
+    }
+
+    for (const { element, links } of sections) {
+      lines.push(links.length === 0 ? `${element}: (no links)` : `${element}:`);
+      for (const { href, text } of links) {
+        lines.push(`- ${text || '(no text)'} → ${href}`);
+        linkedPages.add(href.replace(/^\.?\//, '').replace(/[?#].*$/, ''));
+      }
+    }
+
+    blocks.push(lines.join('\n'));
+  }
+
+  const unlinked = pagePaths.filter(p => !linkedPages.has(p));
+  if (unlinked.length > 0) {
+    blocks.push(`Pages not linked from any navigation: ${unlinked.join(', ')}`);
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * List the partials with the pages that include them
+ *
+ * @returns {Promise<string>}
+ */
+async function describePartials() {
+  const names = await listPartialNames();
+  if (names.length === 0) return 'The site has no partials.';
+
+  const usage = await listPartialUsage();
+  const lines = names.map(name => {
+    const pagePaths = usage.get(name) || [];
+    return `- ${name} — ${pagePaths.length > 0 ? `included by ${pagePaths.join(', ')}` : 'not included by any page'}`;
+  });
+
+  return `${lines.join('\n')}\n\nPages include a partial with <!-- capuzzella:include name -->.`;
+}
+
+/**
+ * Read a partial, turning a bad or unknown name into a message for the AI
+ *
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function readPartial(name) {
+  if (!isValidPartialName(name)) {
+    return `Invalid partial name: ${name}`;
+  }
+
+  const html = await getPartial(name);
+  return html === null
+    ? `Partial not found: ${name}. Use list_partials to see the available partials.`
+    : html;
+}
+
+/**
+ * Read-only tools the AI may call before choosing an action.
+ * Each handler receives the tool arguments and returns the text sent back to
+ * the AI as the tool result.
+ */
+export const LOOKUP_TOOLS = {
+  get_components: async (args) => formatComponentResult(await loadComponents(args.names || [])),
+
+  list_pages: async () => {
+    const pagePaths = await listPages();
+    if (pagePaths.length === 0) return 'The site has no pages yet.';
+
+    const lines = [];
+    for (const pagePath of pagePaths) {
+      const title = pageTitle(await getPage(pagePath) || '');
+      lines.push(title ? `- ${pagePath} — ${title}` : `- ${pagePath}`);
+    }
+    return lines.join('\n');
+  },
+
+  read_page: async (args) => readPage(String(args.path || '')),
+
+  list_assets: async () => {
+    const assets = await listAssets();
+    if (assets.length === 0) return 'The site has no assets.';
+
+    const lines = assets.map(a => `- assets/${a.path} (${Math.ceil(a.size / 1024)} KB)`);
+    return `${lines.join('\n')}\n\nReference assets from pages with relative paths such as "assets/css/theme.css".`;
+  },
+
+  get_site_navigation: async () => describeSiteNavigation(),
+
+  list_partials: async () => describePartials(),
+
+  read_partial: async (args) => readPartial(String(args.name || ''))
+};
@@ -0,0 +1,187 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../../lib/logger.js';
+import { describeToolStart } from './progress.js';
+import { registerProvider } from './registry.js';
+import { parseToolArguments } from './tool-loop.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../../../fixtures/ai');
+
+const log = logger.child('ai-mock');
+
+/**
+ * Scripted provider that replays tool calls from JSON fixtures instead of
+ * calling an AI service. Select it with AI_PROVIDER=mock; AI_MOCK_FIXTURES
+ * points at a fixture file or a directory of them (default: fixtures/ai).
+ *
+ * A fixture file contains an array of fixtures:
+ *
+ *   {
+ *     "prompt": "make the heading shorter",   // exact user request (case-insensitive), or
+ *     "contains": "heading",                  // substring of the user request
+ *     "responses": [                           // one per AI request of the chat turn
+ *       { "tool": "get_components", "args": { "names": ["card"] } },
+ *       { "tool": "edit_page", "args": { "explanation": "...", "changes": [...] } }
+ *     ]
+ *   }
+ *
+ * Fixtures without "prompt" or "contains" form a sequence: unmatched requests
+ * take them in order, starting over after the last one. A response can also be
+ * { "text": "..." } (no tool call), { "truncated": true }, and may set "delayMs".
+ * A tool call with "rawArgs" (a string) instead of "args" sends those raw
+ * arguments, e.g. malformed JSON as some models produce.
+ */
+
+let fixtures = null;
+let sequenceIndex = 0;
+
+/** Replies for the chat turn in progress, keyed by its user message */
+const activeTurns = new WeakMap();
+
+function getFixturesPath() {
+  return process.env.AI_MOCK_FIXTURES
+    ? path.resolve(process.env.AI_MOCK_FIXTURES)
+    : DEFAULT_FIXTURES_PATH;
+}
+
+/**
+ * Read all fixtures from the configured file or directory (files in name order)
+ *
+ * @returns {object[]}
+ */
+function loadFixtures() {
+  if (fixtures) return fixtures;
+
+  const fixturesPath = getFixturesPath();
+  const files = fs.statSync(fixturesPath).isDirectory()
+    ? fs.readdirSync(fixturesPath).filter(f => f.endsWith('.json')).sort().map(f => path.join(fixturesPath, f))
+    : [fixturesPath];
+
+  fixtures = files.flatMap(file => {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (!Array.isArray(parsed)) {
+      throw new Error(`Mock fixture file must contain an array: ${file}`);
+    }
+    return parsed;
+  });
+
+  log.info('Loaded mock AI fixtures', { path: fixturesPath, count: fixtures.length });
+  return fixtures;
+}
+
+/**
+ * Forget loaded fixtures and restart the sequence, e.g. between test runs
+ */
+export function resetMockProvider() {
+  fixtures = null;
+  sequenceIndex = 0;
+}
+
+/**
+ * The user's request from a message built by buildUserMessage() in index.js
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function extractUserRequest(content) {
+  const match = content.match(/^User request: ([\s\S]*?)\n\nUse the appropriate tool/m);
+  return (match ? match[1] : content).trim();
+}
+
+/**
+ * Pick the fixture for a user request: an exact prompt match, then a
+ * substring match, then the next fixture of the sequence.
+ *
+ * @param {string} request
+ * @returns {object|null}
+ */
+function findFixture(request) {
+  const all = loadFixtures();
+  const normalized = request.toLowerCase();
+
+  const keyed = all.find(f => typeof f.prompt === 'string' && f.prompt.trim().toLowerCase() === normalized) ||
+    all.find(f => typeof f.contains === 'string' && normalized.includes(f.contains.toLowerCase()));
+  if (keyed) return keyed;
+
+  const sequence = all.filter(f => f.prompt === undefined && f.contains === undefined);
+  if (sequence.length === 0) return null;
+
+  const fixture = sequence[sequenceIndex % sequence.length];
+  sequenceIndex++;
+  return fixture;
+}
+
+/**
+ * Get the next scripted response for a request. A chat turn starts at its
+ * user message; each tool result appended after it advances to the next response.
+ */
+function nextResponse(messages) {
+  const turnStart = messages.findLastIndex(m => m.role === 'user' && typeof m.content === 'string');
+  const userMessage = messages[turnStart];
+  const round = messages.slice(turnStart + 1).filter(m => m.role === 'tool').length;
+
+  let turn = activeTurns.get(userMessage);
+  if (!turn) {
+    const request = extractUserRequest(userMessage.content);
+    turn = { request, fixture: findFixture(request) };
+    activeTurns.set(userMessage, turn);
+  }
+
+  if (!turn.fixture) {
+    return { text: `No mock fixture matches "${turn.request}".` };
+  }
+
+  const response = turn.fixture.responses?.[round];
+  return response || { text: 'The mock fixture has no more responses for this request.' };
+}
+
+registerProvider({
+  id: 'mock',
+  name: 'Mock (fixtures)',
+  modelsUrl: null,
+  model: () => 'fixtures',
+  endpoint: () => path.relative(process.cwd(), getFixturesPath()) || '.',
+
+  async send(systemPrompt, messages, { stream, progress }) {
+    const response = nextResponse(messages);
+
+    if (response.delayMs) {
+      await Bun.sleep(response.delayMs);
+    }
+
+    const toolCall = response.tool
+      ? {
+        id: `mock_${randomUUID()}`,
+        name: response.tool,
+        ...(typeof response.rawArgs === 'string' ? parseToolArguments(response.rawArgs) : { args: response.args || {} })
+      }
+      : null;
+
+    if (stream) {
+      if (toolCall) {
+        progress.emit({ type: 'status', message: describeToolStart(toolCall.name) });
+        progress.explanation(JSON.stringify(toolCall.args));
+      } else if (response.text) {
+        progress.emit({ type: 'text', delta: response.text });
+      }
+    }
+
+    return {
+      toolCall,
+      text: response.text || null,
+      truncated: !!response.truncated,
+      message: { role: 'assistant', toolCall }
+    };
+  },
+
+  toolResultMessages(reply, content) {
+    return [
+      reply.message,
+      { role: 'tool', toolCallId: reply.toolCall.id, content }
+    ];
+  }
+});
@@ -0,0 +1,29 @@
+import { createOpenAIProvider } from './openai.js';
+import { registerProvider } from './registry.js';
+
+/**
+ * Any server implementing the OpenAI chat completions API with tool calling,
+ * e.g. a self-hosted llama.cpp or Ollama instance, or a local mock for tests.
+ *
+ * OPENAI_COMPATIBLE_BASE_URL     API base URL, e.g. http://localhost:11434/v1
+ * OPENAI_COMPATIBLE_MODEL        model name as known to the server
+ * OPENAI_COMPATIBLE_API_KEY      optional; most local servers ignore it
+ * OPENAI_COMPATIBLE_TOOL_CHOICE  'required' (default) or 'auto' for servers that
+ *                                don't support forcing a tool call
+ */
+registerProvider(createOpenAIProvider({
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible',
+  model: () => process.env.OPENAI_COMPATIBLE_MODEL || 'local-model',
+  clientOptions: () => {
+    if (!process.env.OPENAI_COMPATIBLE_BASE_URL) {
+      throw new Error('OPENAI_COMPATIBLE_BASE_URL must be set to use the openai-compatible provider');
+    }
+    return {
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+    };
+  },
+  endpoint: () => process.env.OPENAI_COMPATIBLE_BASE_URL || null,
+  toolChoice: () => process.env.OPENAI_COMPATIBLE_TOOL_CHOICE || 'required'
+}));
@@ -1,77 +1,143 @@
 import OpenAI from 'openai';
-import { AI_TOOLS, fallbackResult, formatComponentResult, parseToolCall } from './prompts.js';
-import { loadComponents } from '../components.js';
+import { AI_TOOLS } from './prompts.js';
+import { describeToolStart } from './progress.js';
+import { registerProvider } from './registry.js';
+import { parseToolArguments } from './tool-loop.js';
 
-let openaiClient = null;
+/**
+ * Stream a request, reporting tool starts, text and the partial explanation
+ * as they arrive. The chunks are accumulated into the same response shape
+ * that a non-streaming request resolves to.
+ */
+async function createStreamingRequest(client, params, progress) {
+  const stream = await client.chat.completions.create({ ...params, stream: true });
+  const message = { role: 'assistant', content: null, tool_calls: [] };
+  let finishReason = null;
+
+  for await (const chunk of stream) {
+    const choice = chunk.choices[0];
+    if (!choice) continue;
 
-function getClient() {
-  if (!openaiClient) {
-    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const delta = choice.delta || {};
+    if (delta.content) {
+      message.content = (message.content || '') + delta.content;
+      progress.emit({ type: 'text', delta: delta.content });
+    }
+
+    for (const part of delta.tool_calls || []) {
+      let call = message.tool_calls[part.index];
+      if (!call) {
+        call = { id: part.id, type: 'function', function: { name: '', arguments: '' } };
+        message.tool_calls[part.index] = call;
+      }
+      if (part.function?.name) {
+        call.function.name += part.function.name;
+        progress.emit({ type: 'status', message: describeToolStart(call.function.name) });
+      }
+      if (part.function?.arguments) {
+        call.function.arguments += part.function.arguments;
+        if (part.index === 0) progress.explanation(call.function.arguments);
+      }
+    }
+
+    if (choice.finish_reason) finishReason = choice.finish_reason;
   }
-  return openaiClient;
-}
 
-function createRequest(model, messages) {
-  return getClient().chat.completions.create({
-    model,
-    messages,
-    tools: AI_TOOLS.openai,
-    tool_choice: 'required',
-    temperature: 0.2,
-    max_tokens: 16000
-  });
+  if (message.tool_calls.length === 0) delete message.tool_calls;
+  return { choices: [{ finish_reason: finishReason, message }] };
 }
 
 /**
- * Extract the first tool call name + args from an OpenAI response, or null.
+ * Normalize a chat completions response: the first tool call, or the text.
  */
-function extractToolCall(response) {
-  if (response.choices[0]?.finish_reason === 'length') {
-    throw new Error('AI response was truncated due to length limits. Please try a simpler request.');
-  }
-
-  const message = response.choices[0]?.message;
-  if (!message?.tool_calls?.length) return { message, toolCall: null };
+function toReply(response) {
+  const choice = response.choices[0];
+  const message = choice?.message;
+  const toolCall = message?.tool_calls?.[0];
+  const truncated = choice?.finish_reason === 'length';
 
-  const toolCall = message.tool_calls[0];
   return {
-    message,
-    toolCall: {
-      id: toolCall.id,
-      name: toolCall.function.name,
-      args: JSON.parse(toolCall.function.arguments)
-    }
+    toolCall: toolCall && !truncated
+      ? { id: toolCall.id, name: toolCall.function.name, ...parseToolArguments(toolCall.function.arguments) }
+      : null,
+    text: message?.content || null,
+    truncated,
+    message
   };
 }
 
 /**
- * Process a message using OpenAI with function calling.
+ * Create a provider for an API that speaks the OpenAI chat completions protocol.
  *
- * @param {string} systemPrompt
- * @param {Array<{role: string, content: string}>} conversationMessages
+ * @param {object} options
+ * @param {string} options.id
+ * @param {string} options.name
+ * @param {string|null} [options.modelsUrl]
+ * @param {() => string} options.model - Model name, read per request
+ * @param {() => {apiKey?: string, baseURL?: string}} options.clientOptions - Client settings, read once
+ * @param {() => string|null} [options.endpoint] - Base URL shown on the settings page
+ * @param {() => string} [options.toolChoice] - tool_choice value; 'required' unless the server lacks support
+ * @returns {object} A provider for registerProvider()
  */
-export async function processWithOpenAI(systemPrompt, conversationMessages) {
-  const model = process.env.OPENAI_MODEL || 'gpt-4o';
-  const messages = [{ role: 'system', content: systemPrompt }, ...conversationMessages];
-
-  const response = await createRequest(model, messages);
-  const { message, toolCall } = extractToolCall(response);
+export function createOpenAIProvider({
+  id,
+  name,
+  modelsUrl = null,
+  model,
+  clientOptions,
+  endpoint = () => null,
+  toolChoice = () => 'required'
+}) {
+  let client = null;
 
-  if (!toolCall) return fallbackResult(message?.content);
+  function getClient() {
+    if (!client) {
+      client = new OpenAI(clientOptions());
+    }
+    return client;
+  }
 
-  if (toolCall.name === 'get_components') {
-    const components = await loadComponents(toolCall.args.names || []);
+  return {
+    id,
+    name,
+    modelsUrl,
+    model,
+    endpoint,
 
-    messages.push(message);
-    messages.push({ role: 'tool', tool_call_id: toolCall.id, content: formatComponentResult(components) });
+    async send(systemPrompt, messages, { stream, progress }) {
+      const params = {
+        model: model(),
+        messages: [{ role: 'system', content: systemPrompt }, ...messages],
+        tools: AI_TOOLS.openai,
+        tool_choice: toolChoice(),
+        temperature: 0.2,
+        max_tokens: 16000
+      };
 
-    const followUp = await createRequest(model, messages);
-    const { message: followUpMsg, toolCall: followUpCall } = extractToolCall(followUp);
+      const response = stream
+        ? await createStreamingRequest(getClient(), params, progress)
+        : await getClient().chat.completions.create(params);
+      return toReply(response);
+    },
 
-    return followUpCall
-      ? parseToolCall(followUpCall.name, followUpCall.args)
-      : fallbackResult(followUpMsg?.content);
-  }
+    toolResultMessages(reply, content) {
+      // Every tool call in the assistant turn needs a result, so keep only the answered one
+      const toolCall = reply.message.tool_calls.find(call => call.id === reply.toolCall.id);
 
-  return parseToolCall(toolCall.name, toolCall.args);
+      return [
+        { ...reply.message, tool_calls: [toolCall] },
+        { role: 'tool', tool_call_id: reply.toolCall.id, content }
+      ];
+    }
+  };
 }
+
+registerProvider(createOpenAIProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  modelsUrl: 'https://platform.openai.com/docs/models',
+  model: () => process.env.OPENAI_MODEL || 'gpt-4o',
+  clientOptions: () => ({ apiKey: process.env.OPENAI_API_KEY }),
+  // The SDK picks up OPENAI_BASE_URL by itself
+  endpoint: () => process.env.OPENAI_BASE_URL || null
+}));
@@ -0,0 +1,102 @@
+/**
+ * Progress reporting helpers for streamed chat requests.
+ *
+ * Providers call onProgress(event) while a response streams in. Events are
+ * plain objects relayed to the editor as Server-Sent Events:
+ * - { type: 'status', message }      human-readable step ("Loading components card…")
+ * - { type: 'text', delta }          plain assistant text as it arrives
+ * - { type: 'explanation', text }    the explanation/message tool argument so far
+ */
+
+/**
+ * Status shown when a tool call starts streaming, before its arguments are known
+ */
+const TOOL_START_MESSAGES = {
+  get_components: 'Loading components…',
+  list_pages: 'Listing pages…',
+  read_page: 'Reading page…',
+  list_assets: 'Listing assets…',
+  get_site_navigation: 'Reading site navigation…',
+  list_partials: 'Listing partials…',
+  read_partial: 'Reading partial…',
+  edit_page: 'Writing changes…',
+  edit_pages: 'Writing changes for several pages…',
+  edit_partial: 'Writing changes to a partial…',
+  create_page: 'Writing new page…',
+  respond: 'Writing response…'
+};
+
+/**
+ * Status message for a tool call that has started
+ *
+ * @param {string} name - Tool name
+ * @returns {string}
+ */
+export function describeToolStart(name) {
+  return TOOL_START_MESSAGES[name] || `Running ${name}…`;
+}
+
+/**
+ * Status message for a tool call whose arguments are complete
+ *
+ * @param {string} name - Tool name
+ * @param {object} args - Parsed tool arguments
+ * @returns {string|null} A message, or null if there is nothing more specific to say
+ */
+export function describeToolCall(name, args) {
+  if (name === 'get_components') {
+    const names = Array.isArray(args?.names) ? args.names : [];
+    return names.length > 0 ? `Loading components ${names.join(', ')}…` : 'Loading components…';
+  }
+  if (name === 'read_page' && typeof args?.path === 'string') {
+    return `Reading ${args.path}…`;
+  }
+  if (name === 'read_partial' && typeof args?.name === 'string') {
+    return `Reading partial ${args.name}…`;
+  }
+  return null;
+}
+
+/**
+ * Pull the (possibly incomplete) explanation or message string out of
+ * partially streamed tool-call JSON.
+ *
+ * @param {string} partialJson - Tool arguments received so far
+ * @returns {string|null} Decoded text so far, or null if the field hasn't started
+ */
+export function extractPartialExplanation(partialJson) {
+  const match = partialJson.match(/"(?:explanation|message)"\s*:\s*"((?:[^"\\]|\\.)*)(\\?)/);
+  if (!match) return null;
+
+  try {
+    return JSON.parse(`"${match[1]}"`);
+  } catch {
+    // An escape sequence (e.g. \u00) was cut off mid-stream; show what decodes
+    return match[1].replace(/\\(.)/g, '$1');
+  }
+}
+
+/**
+ * Wrap an onProgress callback so explanation events are only emitted when the
+ * text actually grows. Returns a no-op when no callback is given.
+ *
+ * @param {Function|undefined} onProgress
+ * @returns {{ emit: Function, explanation: Function }}
+ */
+export function createProgressReporter(onProgress) {
+  let lastExplanation = '';
+
+  return {
+    emit(event) {
+      if (onProgress) onProgress(event);
+    },
+    explanation(partialJson) {
+      if (!onProgress) return;
+      const text = extractPartialExplanation(partialJson);
+      if (text && text !== lastExplanation) {
+        lastExplanation = text;
+        onProgress({ type: 'explanation', text });
+      }
+    }
+  };
+}
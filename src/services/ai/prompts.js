@@ -24,10 +24,102 @@ const CHANGES_SCHEMA = {
   }
 };
 
+/**
+ * Shared schema for the DOM operations array of edit_page and edit_pages
+ * (applied by services/dom-edit.js before the search-and-replace changes)
+ */
+const OPERATIONS_SCHEMA = {
+  type: 'array',
+  description: 'Ordered list of structured edits, each targeting exactly one element by CSS selector or id. Applied before the search-and-replace changes. An operation whose target matches no element or several elements is rejected.',
+  items: {
+    type: 'object',
+    properties: {
+      op: {
+        type: 'string',
+        enum: ['replace', 'insert-before', 'insert-after', 'remove', 'set-attribute', 'set-text'],
+        description: 'replace the element with html, insert html before/after it, remove it, set one attribute, or set its text content'
+      },
+      selector: {
+        type: 'string',
+        description: 'CSS selector matching exactly one element (e.g. "#features .card:nth-child(2) h5"). Use either selector or id.'
+      },
+      id: {
+        type: 'string',
+        description: 'The id attribute of the target element, without "#". Use either selector or id.'
+      },
+      html: {
+        type: 'string',
+        description: 'HTML for replace, insert-before and insert-after'
+      },
+      text: {
+        type: 'string',
+        description: 'Plain text for set-text (HTML is escaped)'
+      },
+      attribute: {
+        type: 'string',
+        description: 'Attribute name for set-attribute'
+      },
+      value: {
+        type: ['string', 'null'],
+        description: 'Attribute value for set-attribute; null removes the attribute'
+      }
+    },
+    required: ['op']
+  }
+};
+
+/**
+ * Schema for the edit_pages pages array: one change set per page
+ */
+const PAGE_CHANGES_SCHEMA = {
+  type: 'array',
+  description: 'The pages to edit, each with its own ordered list of search-and-replace operations',
+  items: {
+    type: 'object',
+    properties: {
+      path: {
+        type: 'string',
+        description: 'Path of the page to edit as returned by list_pages (e.g. "index.html")'
+      },
+      changes: {
+        ...CHANGES_SCHEMA,
+        description: 'Ordered list of search-and-replace operations to apply to this page\'s HTML'
+      },
+      operations: OPERATIONS_SCHEMA
+    },
+    required: ['path']
+  }
+};
+
+const EDIT_PAGES_DESCRIPTION = 'Edit several pages at once, e.g. to add a link to the navigation of every page. Read each page with read_page first so the search strings match. Either all pages are changed or none are.';
+
+const EDIT_PAGES_EXPLANATION_DESCRIPTION = 'A brief explanation of the changes made across all pages';
+
 const GET_COMPONENTS_DESCRIPTION = 'Load HTML templates from the design system component library. Call this BEFORE edit_page or create_page when you need component markup as reference. Only request the components you actually need.';
 
 const GET_COMPONENTS_NAMES_DESCRIPTION = 'Array of component names to load (e.g. ["card", "button"]). Only include components relevant to the current request.';
 
+const LIST_PAGES_DESCRIPTION = 'List all pages of the site with their titles. Use this to find pages to link to or to check whether a page already exists.';
+
+const READ_PAGE_DESCRIPTION = 'Read the full HTML of another page of the site, e.g. to copy its footer or match its layout. The current page is already included in the request.';
+
+const READ_PAGE_PATH_DESCRIPTION = 'Path of the page to read as returned by list_pages (e.g. "index.html")';
+
+const LIST_ASSETS_DESCRIPTION = 'List the asset files (CSS, JavaScript, images) available to pages under assets/.';
+
+const GET_SITE_NAVIGATION_DESCRIPTION = 'Get the links in the nav, header and footer elements of every page, and which pages no navigation links to. Use this before changing navigation so all pages stay consistent.';
+
+const LIST_PARTIALS_DESCRIPTION = 'List the shared partials (e.g. navbar, footer) and the pages that include each of them.';
+
+const READ_PARTIAL_DESCRIPTION = 'Read the HTML of a partial before changing it with edit_partial.';
+
+const PARTIAL_NAME_DESCRIPTION = 'Name of the partial as returned by list_partials (e.g. "navbar")';
+
+const EDIT_PARTIAL_DESCRIPTION = 'Edit a shared partial (e.g. the navbar or footer) once; the change appears on every page that includes it. Read it with read_partial first so the search strings match.';
+
+/** Parameter schema for lookup tools without arguments */
+const NO_PARAMETERS = { type: 'object', properties: {} };
+
 export const AI_TOOLS = {
   openai: [
     {
@@ -48,11 +140,77 @@ export const AI_TOOLS = {
         }
       }
     },
+    {
+      type: 'function',
+      function: {
+        name: 'list_pages',
+        description: LIST_PAGES_DESCRIPTION,
+        parameters: NO_PARAMETERS
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'read_page',
+        description: READ_PAGE_DESCRIPTION,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: READ_PAGE_PATH_DESCRIPTION
+            }
+          },
+          required: ['path']
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'list_assets',
+        description: LIST_ASSETS_DESCRIPTION,
+        parameters: NO_PARAMETERS
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'get_site_navigation',
+        description: GET_SITE_NAVIGATION_DESCRIPTION,
+        parameters: NO_PARAMETERS
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'list_partials',
+        description: LIST_PARTIALS_DESCRIPTION,
+        parameters: NO_PARAMETERS
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'read_partial',
+        description: READ_PARTIAL_DESCRIPTION,
+        parameters: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: PARTIAL_NAME_DESCRIPTION
+            }
+          },
+          required: ['name']
+        }
+      }
+    },
     {
       type: 'function',
       function: {
         name: 'edit_page',
-        description: 'Edit the current page by applying targeted search-and-replace changes to its HTML',
+        description: 'Edit the current page with structured operations on elements and/or targeted search-and-replace changes to its HTML',
         parameters: {
           type: 'object',
           properties: {
@@ -60,9 +218,51 @@ export const AI_TOOLS = {
               type: 'string',
               description: 'A brief explanation of what changes were made'
             },
-            changes: CHANGES_SCHEMA
+            changes: CHANGES_SCHEMA,
+            operations: OPERATIONS_SCHEMA
           },
-          required: ['explanation', 'changes']
+          required: ['explanation']
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'edit_pages',
+        description: EDIT_PAGES_DESCRIPTION,
+        parameters: {
+          type: 'object',
+          properties: {
+            explanation: {
+              type: 'string',
+              description: EDIT_PAGES_EXPLANATION_DESCRIPTION
+            },
+            pages: PAGE_CHANGES_SCHEMA
+          },
+          required: ['explanation', 'pages']
+        }
+      }
+    },
+    {
+      type: 'function',
+      function: {
+        name: 'edit_partial',
+        description: EDIT_PARTIAL_DESCRIPTION,
+        parameters: {
+          type: 'object',
+          properties: {
+            explanation: {
+              type: 'string',
+              description: 'A brief explanation of what changes were made'
+            },
+            name: {
+              type: 'string',
+              description: PARTIAL_NAME_DESCRIPTION
+            },
+            changes: CHANGES_SCHEMA,
+            operations: OPERATIONS_SCHEMA
+          },
+          required: ['explanation', 'name']
         }
       }
     },
@@ -125,9 +325,57 @@ export const AI_TOOLS = {
         required: ['names']
       }
     },
+    {
+      name: 'list_pages',
+      description: LIST_PAGES_DESCRIPTION,
+      input_schema: NO_PARAMETERS
+    },
+    {
+      name: 'read_page',
+      description: READ_PAGE_DESCRIPTION,
+      input_schema: {
+        type: 'object',
+        properties: {
+          path: {
+            type: 'string',
+            description: READ_PAGE_PATH_DESCRIPTION
+          }
+        },
+        required: ['path']
+      }
+    },
+    {
+      name: 'list_assets',
+      description: LIST_ASSETS_DESCRIPTION,
+      input_schema: NO_PARAMETERS
+    },
+    {
+      name: 'get_site_navigation',
+      description: GET_SITE_NAVIGATION_DESCRIPTION,
+      input_schema: NO_PARAMETERS
+    },
+    {
+      name: 'list_partials',
+      description: LIST_PARTIALS_DESCRIPTION,
+      input_schema: NO_PARAMETERS
+    },
+    {
+      name: 'read_partial',
+      description: READ_PARTIAL_DESCRIPTION,
+      input_schema: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: PARTIAL_NAME_DESCRIPTION
+          }
+        },
+        required: ['name']
+      }
+    },
     {
       name: 'edit_page',
-      description: 'Edit the current page by applying targeted search-and-replace changes to its HTML',
+      description: 'Edit the current page with structured operations on elements and/or targeted search-and-replace changes to its HTML',
       input_schema: {
         type: 'object',
         properties: {
@@ -135,9 +383,45 @@ export const AI_TOOLS = {
             type: 'string',
             description: 'A brief explanation of what changes were made'
           },
-          changes: CHANGES_SCHEMA
+          changes: CHANGES_SCHEMA,
+          operations: OPERATIONS_SCHEMA
         },
-        required: ['explanation', 'changes']
+        required: ['explanation']
+      }
+    },
+    {
+      name: 'edit_pages',
+      description: EDIT_PAGES_DESCRIPTION,
+      input_schema: {
+        type: 'object',
+        properties: {
+          explanation: {
+            type: 'string',
+            description: EDIT_PAGES_EXPLANATION_DESCRIPTION
+          },
+          pages: PAGE_CHANGES_SCHEMA
+        },
+        required: ['explanation', 'pages']
+      }
+    },
+    {
+      name: 'edit_partial',
+      description: EDIT_PARTIAL_DESCRIPTION,
+      input_schema: {
+        type: 'object',
+        properties: {
+          explanation: {
+            type: 'string',
+            description: 'A brief explanation of what changes were made'
+          },
+          name: {
+            type: 'string',
+            description: PARTIAL_NAME_DESCRIPTION
+          },
+          changes: CHANGES_SCHEMA,
+          operations: OPERATIONS_SCHEMA
+        },
+        required: ['explanation', 'name']
       }
     },
     {
@@ -194,12 +478,26 @@ export function formatComponentResult(components) {
     .join('\n\n');
 }
 
+/**
+ * Combine the operations and search-and-replace changes of an edit into one
+ * ordered list for applyDiffs(): operations first, as the tools describe.
+ *
+ * @param {{ operations?: Array, changes?: Array }} args
+ * @returns {Array}
+ */
+function mergeChanges(args) {
+  return [
+    ...(Array.isArray(args.operations) ? args.operations : []),
+    ...(Array.isArray(args.changes) ? args.changes : [])
+  ];
+}
+
 /**
  * Parse a tool call into a standardized result.
  *
  * @param {string} name - Tool / function name
  * @param {object} args - Tool arguments / input
- * @returns {{ action: string, assistantMessage: string, changes: Array|null, updatedHtml: string|null, newPagePath: string|null }}
+ * @returns {{ action: string, assistantMessage: string, changes: Array|null, pageChanges?: Array, partialName?: string, updatedHtml: string|null, newPagePath: string|null }}
  */
 export function parseToolCall(name, args) {
   switch (name) {
@@ -207,7 +505,29 @@ export function parseToolCall(name, args) {
       return {
         action: 'edit',
         assistantMessage: args.explanation,
-        changes: args.changes,
+        changes: mergeChanges(args),
+        updatedHtml: null,
+        newPagePath: null
+      };
+
+    case 'edit_pages':
+      return {
+        action: 'edit_pages',
+        assistantMessage: args.explanation,
+        changes: null,
+        pageChanges: Array.isArray(args.pages)
+          ? args.pages.map(page => ({ path: page?.path, changes: mergeChanges(page || {}) }))
+          : [],
+        updatedHtml: null,
+        newPagePath: null
+      };
+
+    case 'edit_partial':
+      return {
+        action: 'edit_partial',
+        assistantMessage: args.explanation,
+        changes: mergeChanges(args),
+        partialName: typeof args.name === 'string' ? args.name : '',
         updatedHtml: null,
         newPagePath: null
       };
@@ -250,9 +570,10 @@ export function fallbackResult(message) {
  * Build the system prompt for the AI
  * 
  * @param {string[]} componentNames - Available component names from the components/ directory
+ * @param {{ siteTitle: string, baseUrl: string, defaultLang: string }} [site] - Site settings (see site-settings.js)
  * @returns {string}
  */
-export function buildSystemPrompt(componentNames = []) {
+export function buildSystemPrompt(componentNames = [], site = { siteTitle: '', baseUrl: '', defaultLang: 'en' }) {
   const componentList = componentNames.length > 0
     ? componentNames.map(n => `  - ${n}`).join('\n')
     : '  (none available)';
@@ -269,14 +590,35 @@ You are Capuzzella, an AI assistant that helps users build and edit their websit
 5. **Restructure layout**: Rearrange sections and elements using Bootstrap's grid system
 6. **Create new pages**: Generate complete new pages from scratch when requested
 
+## Site
+
+- Site title: ${site.siteTitle || '(not set)'}
+- Base URL: ${site.baseUrl || '(not set)'}
+- Default language: ${site.defaultLang}
+
+Write new content in the default language unless the user asks otherwise. The favicon, Open Graph site name and image, and the analytics snippet are added to every page when it is published; do not add them to pages yourself.
+
 ## Available Tools
 
 You MUST use one of these tools to respond:
 
-1. **get_components**: Load HTML templates from the design system. Call this FIRST when you need to add or modify components like cards, buttons, etc. Only request the components you need for the current task.
-2. **edit_page**: Use this to modify the current page by providing an array of search-and-replace changes. Each change has a \`search\` string (the exact HTML to find) and a \`replace\` string (the HTML to replace it with). Changes are applied in order.
-3. **create_page**: Use this to create a brand new page at a specified path. Provide the complete HTML document.
-4. **respond**: Use this when no page changes are needed (e.g., answering questions, clarifying requests)
+1. **edit_page**: Use this to modify the current page by providing an array of search-and-replace changes and/or structured operations (see below). Each change has a \`search\` string (the exact HTML to find) and a \`replace\` string (the HTML to replace it with). Changes are applied in order.
+2. **edit_pages**: Use this when a request affects several pages (e.g. "add the new page to the navbar on every page"). Provide a list of pages, each with its own \`changes\`.
+3. **edit_partial**: Use this to change a shared partial such as the navbar or footer (see Partials below). Provide the partial \`name\` and its \`changes\`.
+4. **create_page**: Use this to create a brand new page at a specified path. Provide the complete HTML document.
+5. **respond**: Use this when no page changes are needed (e.g., answering questions, clarifying requests)
+
+Before acting, you can gather information with these read-only tools, one call at a time:
+
+- **get_components**: Load HTML templates from the design system. Call this FIRST when you need to add or modify components like cards, buttons, etc. Only request the components you need for the current task.
+- **list_pages**: List the pages of the site with their titles.
+- **read_page**: Read the HTML of another page, e.g. to copy its footer or match its layout.
+- **list_assets**: List the CSS, JavaScript and image files under assets/.
+- **get_site_navigation**: See the nav, header and footer links of every page. Use it before adding or changing links so navigation stays consistent across pages.
+- **list_partials**: List the shared partials and the pages that include them.
+- **read_partial**: Read the HTML of a partial.
+
+The number of lookups per request is limited, so only look up what the request needs, then act.
 
 ## Design System Components
 
@@ -296,6 +638,32 @@ The edit_page tool uses a **search-and-replace** approach:
 - To remove a section, set \`replace\` to an empty string.
 - To add new content, find the element just before or after where you want to insert, and include it in \`search\`, then include it plus the new content in \`replace\`.
 
+## Editing Several Pages
+
+Use edit_pages instead of edit_page when the change is not limited to the current page:
+- Read every page you are going to change with read_page first; its \`search\` strings must match that page's HTML exactly. Use get_site_navigation to find the navigation of each page.
+- Include the current page in \`pages\` if it needs the change too.
+- List each page only once, with all of its changes.
+- The edit is all-or-nothing: if a change cannot be matched on any page, no page is changed.
+
+## Partials
+
+Sections shared by several pages (navbar, footer, ...) can live in partials. A page includes a partial with a marker comment such as \`<!-- capuzzella:include navbar -->\`, which is replaced by the partial's HTML in the preview and when publishing.
+- If the section to change comes from a partial (the page HTML shows the marker instead of the section), change it once with edit_partial. Do NOT copy the partial's HTML into pages, and do NOT use edit_pages for it.
+- Read the partial with read_partial first; its \`search\` strings must match the partial's HTML exactly.
+- Keep include markers in pages unless the user asks to remove the section.
+- In edit_partial, operation selectors are matched within the partial's HTML, so do not start them with \`body\`.
+
+## Structured Operations
+
+Instead of (or together with) search-and-replace changes, edit_page and edit_pages accept \`operations\` that target one element by CSS selector or id:
+- \`replace\`, \`insert-before\`, \`insert-after\` with \`html\`
+- \`remove\`
+- \`set-attribute\` with \`attribute\` and \`value\` (null removes the attribute)
+- \`set-text\` with plain \`text\`
+
+Prefer operations when the target element has an id or a distinctive selector, and when the same snippet appears several times on the page (search-and-replace only changes the first occurrence). The selector must match exactly one element, otherwise the operation is rejected. Supported selectors: tag, #id, .class, [attribute], [attribute="value"], descendant and child (\`>\`) combinators, :nth-child(), :first-child, :not().
+
 ## Critical Rules
 
 - The \`search\` field MUST match the current HTML EXACTLY, including all whitespace, indentation, and line breaks.
@@ -377,7 +745,7 @@ Use this exact template as a starting point for every new page:
 
 \`\`\`html
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${site.defaultLang}">
 
 <head>
   <meta charset="UTF-8">
@@ -397,7 +765,7 @@ Use this exact template as a starting point for every new page:
 
 Every new page MUST include:
 1. \`<!DOCTYPE html>\` as the very first line
-2. \`<html lang="en">\`
+2. \`<html lang="${site.defaultLang}">\`
 3. A \`<head>\` with charset, viewport meta tags, and a \`<title>\`
 4. Bootstrap CSS link: \`<link rel="stylesheet" href="assets/css/bootstrap.min.css">\`
 5. Theme CSS link: \`<link rel="stylesheet" href="assets/css/theme.css">\` (after bootstrap)
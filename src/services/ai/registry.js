@@ -0,0 +1,78 @@
+/**
+ * AI provider registry.
+ *
+ * Provider modules call registerProvider() when they are imported. A provider
+ * is an object with:
+ * - id, name:                     identifiers used by AI_PROVIDER and the settings page
+ * - modelsUrl:                    link to the provider's model list, or null
+ * - model():                      the model used for requests
+ * - endpoint():                   custom API base URL, or null for the provider default
+ * - send(systemPrompt, messages, { stream, progress }):
+ *                                 make one request with the conversation so far; resolves to
+ *                                 { toolCall: {id, name, args, argsError?}|null, text, truncated, message };
+ *                                 argsError (see parseToolArguments() in tool-loop.js) marks
+ *                                 arguments that could not be parsed
+ * - toolResultMessages(reply, content):
+ *                                 messages to append so the AI sees a tool result
+ *
+ * The shared tool loop in tool-loop.js drives these methods.
+ */
+
+const providers = new Map();
+
+/**
+ * Register an AI provider
+ *
+ * @param {object} provider
+ */
+export function registerProvider(provider) {
+  if (providers.has(provider.id)) {
+    throw new Error(`AI provider "${provider.id}" is already registered`);
+  }
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get a registered provider by id
+ *
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * List all registered providers in registration order
+ *
+ * @returns {object[]}
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * The provider id selected by AI_PROVIDER
+ *
+ * @returns {string}
+ */
+export function getActiveProviderId() {
+  return process.env.AI_PROVIDER || 'openai';
+}
+
+/**
+ * Get the provider selected by AI_PROVIDER
+ *
+ * @returns {object}
+ * @throws {Error} If no provider with that id is registered
+ */
+export function getActiveProvider() {
+  const id = getActiveProviderId();
+  const provider = getProvider(id);
+
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${id}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+
+  return provider;
+}
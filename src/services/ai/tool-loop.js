@@ -0,0 +1,108 @@
+import { logger } from '../../lib/logger.js';
+import { LOOKUP_TOOLS } from './lookup-tools.js';
+import { fallbackResult, parseToolCall } from './prompts.js';
+import { createProgressReporter, describeToolCall } from './progress.js';
+
+const log = logger.child('ai');
+
+/** Maximum number of provider requests per chat message: lookups plus the final action */
+const MAX_TOOL_ROUNDS = 8;
+
+/** Appended to the last lookup result so the AI acts instead of looking up more */
+const LAST_ROUND_NOTICE = '\n\n(No more lookups are available for this request. Now call edit_page, edit_pages, edit_partial, create_page or respond.)';
+
+/**
+ * Parse the JSON arguments of a tool call. Local and OpenAI-compatible models
+ * sometimes send malformed JSON; instead of throwing, the problem is returned
+ * as argsError so the tool loop can ask the AI to try again.
+ *
+ * @param {string|undefined} json
+ * @returns {{ args: object|null, argsError?: string }}
+ */
+export function parseToolArguments(json) {
+  let args;
+  try {
+    args = JSON.parse(json || '{}');
+  } catch (error) {
+    return { args: null, argsError: error.message };
+  }
+
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return { args: null, argsError: 'the arguments must be a JSON object' };
+  }
+  return { args };
+}
+
+/**
+ * Run a lookup tool, reporting failures back to the AI instead of failing the request
+ *
+ * @param {Function} lookup
+ * @param {{ name: string, args: object }} toolCall
+ * @returns {Promise<string>}
+ */
+async function runLookup(lookup, toolCall) {
+  try {
+    return await lookup(toolCall.args || {});
+  } catch (error) {
+    log.warn('Lookup tool failed', { tool: toolCall.name, error: error.message });
+    return `The ${toolCall.name} tool failed: ${error.message}`;
+  }
+}
+
+/**
+ * Run a chat request against a provider: answer lookup tool calls (see
+ * lookup-tools.js) until the AI picks an action (edit_page, edit_pages,
+ * edit_partial, create_page or respond), for at most MAX_TOOL_ROUNDS requests.
+ *
+ * @param {object} provider - A registered provider (see registry.js)
+ * @param {string} systemPrompt
+ * @param {Array<{role: string, content: string}>} conversationMessages
+ * @param {{ onProgress?: Function }} [options] - Stream responses, reporting progress events
+ * @returns {Promise<{ action: string, assistantMessage: string, changes: Array|null, updatedHtml: string|null, newPagePath: string|null }>}
+ */
+export async function runToolLoop(provider, systemPrompt, conversationMessages, { onProgress } = {}) {
+  const progress = createProgressReporter(onProgress);
+  const messages = [...conversationMessages];
+
+  for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+    const reply = await provider.send(systemPrompt, messages, { stream: !!onProgress, progress });
+
+    if (reply.truncated) {
+      throw new Error('AI response was truncated due to length limits. Please try a simpler request.');
+    }
+
+    const { toolCall } = reply;
+    if (!toolCall) return fallbackResult(reply.text);
+
+    // Malformed arguments: report them back and let the AI call the tool again
+    if (toolCall.argsError) {
+      log.warn('AI sent invalid tool arguments', { tool: toolCall.name, error: toolCall.argsError });
+      if (round === MAX_TOOL_ROUNDS) break;
+
+      let content = `The ${toolCall.name} call was not run: its arguments are not valid (${toolCall.argsError}). Call it again with valid JSON arguments.`;
+      if (round === MAX_TOOL_ROUNDS - 1) content += LAST_ROUND_NOTICE;
+
+      messages.push(...provider.toolResultMessages(reply, content));
+      continue;
+    }
+
+    const lookup = LOOKUP_TOOLS[toolCall.name];
+    if (!lookup) return parseToolCall(toolCall.name, toolCall.args);
+
+    // Out of rounds: the AI kept looking things up instead of acting
+    if (round === MAX_TOOL_ROUNDS) {
+      log.warn('AI did not act within the tool round limit', { rounds: MAX_TOOL_ROUNDS, lastTool: toolCall.name });
+      break;
+    }
+
+    const status = describeToolCall(toolCall.name, toolCall.args);
+    if (status) progress.emit({ type: 'status', message: status });
+
+    let content = await runLookup(lookup, toolCall);
+    if (round === MAX_TOOL_ROUNDS - 1) content += LAST_ROUND_NOTICE;
+
+    messages.push(...provider.toolResultMessages(reply, content));
+  }
+
+  return fallbackResult();
+}
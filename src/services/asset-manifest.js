@@ -8,7 +8,10 @@ const log = logger.child('asset-manifest');
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const MANIFEST_PATH = path.join(__dirname, '../../data/db/asset-manifest.json');
+// Manifest of the live site, written by publishes
+const MANIFEST_PATH = path.join(__dirname, '../../data/db/asset-manifest.live.json');
+// Manifest of the seed site in data/public, used until the first publish
+const SEED_MANIFEST_PATH = path.join(__dirname, '../../data/db/asset-manifest.json');
 
 /**
  * In-memory asset manifest: maps original relative paths to fingerprinted paths.
@@ -21,17 +24,21 @@ let manifest = {};
  * Call on server startup and after each publish.
  */
 export async function loadManifest() {
-  try {
-    const data = await fs.readFile(MANIFEST_PATH, 'utf-8');
-    manifest = JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      manifest = {};
-    } else {
-      log.error('Failed to load asset manifest', { error: err.message });
-      manifest = {};
+  for (const manifestPath of [MANIFEST_PATH, SEED_MANIFEST_PATH]) {
+    try {
+      const data = await fs.readFile(manifestPath, 'utf-8');
+      manifest = JSON.parse(data);
+      return;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.error('Failed to load asset manifest', { error: err.message });
+        manifest = {};
+        return;
+      }
     }
   }
+
+  manifest = {};
 }
 
 /**
@@ -44,12 +51,15 @@ export function getManifest() {
 /**
  * Rewrite asset paths in an HTML string using the manifest.
  * Replaces occurrences of "assets/<original>" with "assets/<fingerprinted>".
+ *
+ * @param {string} html
+ * @param {Object<string, string>} [assetManifest] - Defaults to the in-memory manifest
  */
-export function rewriteAssetPaths(html) {
-  if (!html || Object.keys(manifest).length === 0) return html;
+export function rewriteAssetPaths(html, assetManifest = manifest) {
+  if (!html || Object.keys(assetManifest).length === 0) return html;
 
   let result = html;
-  for (const [original, fingerprinted] of Object.entries(manifest)) {
+  for (const [original, fingerprinted] of Object.entries(assetManifest)) {
     // Replace both relative ("assets/css/...") and absolute ("/assets/css/...") references
     result = result.replaceAll(`assets/${original}`, `assets/${fingerprinted}`);
   }
@@ -0,0 +1,177 @@
+import { getDb } from '../db/index.js';
+import { getClientIp } from '../lib/get-client-ip.js';
+import { logger } from '../lib/logger.js';
+
+const log = logger.child('audit');
+
+/**
+ * Kinds of audited actions: the part of the action before the dot
+ * - auth:     logins, failed logins, logouts, password changes
+ * - page:     creating, editing, restoring and deleting draft pages
+ * - partial:  editing and deleting shared partials
+ * - publish:  publishing, unpublishing, rollbacks, scheduled jobs, deploys
+ * - settings: site settings
+ * - user:     user management and two-factor authentication
+ */
+export const AUDIT_CATEGORIES = ['auth', 'page', 'partial', 'publish', 'settings', 'user'];
+
+// Most entries returned by one listAuditEntries() call
+const MAX_LIMIT = 10000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Convert a database row into the public audit entry shape
+ */
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    target: row.target,
+    details: row.details ? JSON.parse(row.details) : null,
+    userId: row.user_id,
+    author: row.author,
+    ip: row.ip,
+    beforeHash: row.before_hash,
+    afterHash: row.after_hash,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Who is acting and from where, for recordAudit()
+ *
+ * @param {object} context - Elysia context
+ * @param {object} context.session
+ * @param {Request} context.request
+ * @param {import('bun').Server} [context.server]
+ * @returns {{ user: {id: number, username: string}|null, ip: string }}
+ */
+export function auditActor({ session, request, server }) {
+  return {
+    user: session?.userId ? { id: session.userId, username: session.username } : null,
+    ip: getClientIp(request, server)
+  };
+}
+
+/**
+ * Record an action in the audit log
+ *
+ * @param {object} entry
+ * @param {string} entry.action - What happened, e.g. 'page.edit' or 'user.delete'
+ * @param {{id: number, username: string}|null} entry.user - Who did it
+ * @param {string|null} [entry.ip] - Where they did it from
+ * @param {string|null} [entry.target] - What it was done to, e.g. a page path or username
+ * @param {object|null} [entry.details] - Anything else worth keeping, stored as JSON
+ * @param {string|null} [entry.beforeHash] - Hash of the page before the change
+ * @param {string|null} [entry.afterHash] - Hash of the page after the change
+ */
+export function recordAudit({ action, user, ip = null, target = null, details = null, beforeHash = null, afterHash = null }) {
+  const db = getDb();
+
+  db.query(`
+    INSERT INTO audit_log (action, target, details, user_id, author, ip, before_hash, after_hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    action,
+    target,
+    details ? JSON.stringify(details) : null,
+    user?.id ?? null,
+    user?.username ?? null,
+    ip,
+    beforeHash,
+    afterHash
+  );
+
+  log.info(action, { target, author: user?.username, ip });
+}
+
+/**
+ * List audit log entries, newest first
+ *
+ * @param {object} [options]
+ * @param {string} [options.actionPrefix] - Only actions starting with this, e.g. 'user.'
+ * @param {string} [options.author] - Only entries by this username
+ * @param {string} [options.target] - Only entries about this page, username, ...
+ * @param {string} [options.since] - Only entries on or after this UTC date (YYYY-MM-DD)
+ * @param {string} [options.until] - Only entries on or before this UTC date (YYYY-MM-DD)
+ * @param {number} [options.beforeId] - Only entries older than this one, for paging
+ * @param {number} [options.limit=50]
+ * @returns {Array<object>}
+ */
+export function listAuditEntries({ actionPrefix = '', author, target, since, until, beforeId, limit = 50 } = {}) {
+  const db = getDb();
+  const conditions = ['substr(action, 1, length(?1)) = ?1'];
+  const params = [actionPrefix];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `?${params.length}`));
+  };
+
+  if (author) addCondition('author = ?', author);
+  if (target) addCondition('target = ?', target);
+  if (since) addCondition('created_at >= ?', since);
+  if (until) addCondition("created_at < date(?, '+1 day')", until);
+  if (beforeId) addCondition('id < ?', beforeId);
+
+  params.push(Math.min(Math.max(limit, 1), MAX_LIMIT));
+
+  return db.query(`
+    SELECT * FROM audit_log
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id DESC
+    LIMIT ?${params.length}
+  `).all(...params).map(toAuditEntry);
+}
+
+/**
+ * Turn query parameters into listAuditEntries() filters:
+ * category, user, target, since, until (YYYY-MM-DD) and beforeId
+ *
+ * @param {Record<string, string>} query
+ * @returns {{ filters?: object, error?: string }}
+ */
+export function parseAuditQuery(query) {
+  const { category, user, target, since, until, beforeId } = query;
+  const filters = {};
+
+  if (category) {
+    if (!AUDIT_CATEGORIES.includes(category)) {
+      return { error: `category must be one of: ${AUDIT_CATEGORIES.join(', ')}` };
+    }
+    filters.actionPrefix = `${category}.`;
+  }
+
+  for (const [key, value] of Object.entries({ since, until })) {
+    if (!value) continue;
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+      return { error: `${key} must be a date such as 2025-06-01` };
+    }
+    filters[key] = value;
+  }
+
+  if (beforeId) {
+    const id = Number(beforeId);
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: 'beforeId must be a positive integer' };
+    }
+    filters.beforeId = id;
+  }
+
+  if (user) filters.author = user;
+  if (target) filters.target = target;
+
+  return { filters };
+}
+
+/**
+ * The usernames that appear in the audit log, for filtering by user
+ *
+ * @returns {string[]}
+ */
+export function listAuditAuthors() {
+  const db = getDb();
+  return db.query('SELECT DISTINCT author FROM audit_log WHERE author IS NOT NULL ORDER BY author').all()
+    .map(row => row.author);
+}
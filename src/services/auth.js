@@ -1,20 +1,52 @@
+import crypto from 'crypto';
 import { getDb } from '../db/index.js';
 
 const SALT_ROUNDS = 10;
 
+/**
+ * User roles, from least to most privileged. Each role may do everything
+ * the roles before it may:
+ * - viewer:    browse pages, previews, history and publish status
+ * - editor:    edit drafts (AI chat, inline edits, partials, undo, restore)
+ * - publisher: publish, unpublish, schedule, roll back, deploy and delete pages
+ * - admin:     change site settings and manage users
+ */
+export const ROLES = ['viewer', 'editor', 'publisher', 'admin'];
+
+/**
+ * Check a role name
+ *
+ * @param {unknown} role
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ *
+ * @param {string|null} role - The user's role
+ * @param {string} requiredRole - One of ROLES
+ * @returns {boolean}
+ */
+export function hasRole(role, requiredRole) {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
 /**
  * Authenticate a user with username and password
  * 
  * @param {string} username
  * @param {string} password
- * @returns {Promise<{id: number, username: string, mustChangePassword: boolean} | null>}
+ * @returns {Promise<{id: number, username: string, role: string, mustChangePassword: boolean} | null>}
  */
 export async function authenticateUser(username, password) {
   const db = getDb();
 
-  const user = db.query('SELECT id, username, password_hash, must_change_password FROM users WHERE username = ?').get(username);
+  const user = db.query('SELECT id, username, password_hash, role, must_change_password, disabled FROM users WHERE username = ?').get(username);
 
-  if (!user) {
+  if (!user || user.disabled) {
     return null;
   }
 
@@ -27,6 +59,7 @@ export async function authenticateUser(username, password) {
   return {
     id: user.id,
     username: user.username,
+    role: user.role,
     mustChangePassword: !!user.must_change_password
   };
 }
@@ -37,9 +70,14 @@ export async function authenticateUser(username, password) {
  * @param {string} username
  * @param {string} password
  * @param {boolean} mustChangePassword - Set to true if password is generated
- * @returns {Promise<{id: number, username: string, mustChangePassword: boolean}>}
+ * @param {string} [role='editor'] - One of ROLES
+ * @returns {Promise<{id: number, username: string, role: string, mustChangePassword: boolean}>}
  */
-export async function createUser(username, password, mustChangePassword = false) {
+export async function createUser(username, password, mustChangePassword = false, role = 'editor') {
+  if (!isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+
   const db = getDb();
 
   const passwordHash = await Bun.password.hash(password, {
@@ -47,8 +85,8 @@ export async function createUser(username, password, mustChangePassword = false)
     cost: SALT_ROUNDS
   });
 
-  const stmt = db.query('INSERT INTO users (username, password_hash, must_change_password) VALUES (?, ?, ?)');
-  stmt.run(username, passwordHash, mustChangePassword ? 1 : 0);
+  const stmt = db.query('INSERT INTO users (username, password_hash, must_change_password, role) VALUES (?, ?, ?, ?)');
+  stmt.run(username, passwordHash, mustChangePassword ? 1 : 0, role);
 
   // Get the last inserted row ID
   const lastRow = db.query('SELECT last_insert_rowid() as id').get();
@@ -56,6 +94,7 @@ export async function createUser(username, password, mustChangePassword = false)
   return {
     id: lastRow.id,
     username,
+    role,
     mustChangePassword
   };
 }
@@ -64,14 +103,121 @@ export async function createUser(username, password, mustChangePassword = false)
  * Get a user by ID
  * 
  * @param {number} id
- * @returns {{id: number, username: string} | null}
+ * @returns {{id: number, username: string, role: string, disabled: boolean} | null}
  */
 export function getUserById(id) {
   const db = getDb();
 
-  const user = db.query('SELECT id, username FROM users WHERE id = ?').get(id);
+  const user = db.query('SELECT id, username, role, disabled FROM users WHERE id = ?').get(id);
+
+  return user ? { ...user, disabled: !!user.disabled } : null;
+}
+
+/**
+ * Get the role of a user. Read on every request rather than kept in the
+ * session, so role changes apply without logging in again.
+ *
+ * @param {number|undefined} id
+ * @returns {string|null} null if there is no such user or the user is disabled
+ */
+export function getUserRole(id) {
+  if (!id) return null;
+  const user = getUserById(id);
+  return user && !user.disabled ? user.role : null;
+}
+
+/**
+ * List all users
+ *
+ * @returns {Array<{id: number, username: string, role: string, disabled: boolean, mustChangePassword: boolean, twoFactorEnabled: boolean, createdAt: string}>}
+ */
+export function listUsers() {
+  const db = getDb();
+
+  return db.query('SELECT id, username, role, disabled, must_change_password, totp_secret, created_at FROM users ORDER BY username').all()
+    .map(user => ({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      disabled: !!user.disabled,
+      mustChangePassword: !!user.must_change_password,
+      twoFactorEnabled: !!user.totp_secret,
+      createdAt: user.created_at
+    }));
+}
+
+/**
+ * Count the admins that can still log in
+ *
+ * @returns {number}
+ */
+export function countActiveAdmins() {
+  const db = getDb();
+
+  return db.query("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND disabled = 0").get().count;
+}
+
+/**
+ * Generate a temporary password for new or reset accounts
+ *
+ * @returns {string}
+ */
+export function generatePassword() {
+  return crypto.randomBytes(12).toString('base64').slice(0, 16);
+}
+
+/**
+ * Change a user's role
+ *
+ * @param {number} userId
+ * @param {string} role - One of ROLES
+ */
+export function updateUserRole(userId, role) {
+  if (!isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+
+  const db = getDb();
+  db.query('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(role, userId);
+}
+
+/**
+ * Disable or re-enable a user. Disabled users cannot log in.
+ *
+ * @param {number} userId
+ * @param {boolean} disabled
+ */
+export function setUserDisabled(userId, disabled) {
+  const db = getDb();
+  db.query('UPDATE users SET disabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(disabled ? 1 : 0, userId);
+}
+
+/**
+ * Replace a user's password with a new one they must change on next login
+ *
+ * @param {number} userId
+ * @param {string} password - Usually from generatePassword()
+ */
+export async function resetPassword(userId, password) {
+  const db = getDb();
 
-  return user || null;
+  const passwordHash = await Bun.password.hash(password, {
+    algorithm: 'bcrypt',
+    cost: SALT_ROUNDS
+  });
+
+  db.query('UPDATE users SET password_hash = ?, must_change_password = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(passwordHash, userId);
+}
+
+/**
+ * Delete a user. Their conversations are deleted with them; revisions,
+ * publish jobs and snapshots keep the author name.
+ *
+ * @param {number} userId
+ */
+export function deleteUser(userId) {
+  const db = getDb();
+  db.query('DELETE FROM users WHERE id = ?').run(userId);
 }
 
 /**
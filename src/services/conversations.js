@@ -0,0 +1,237 @@
+import { randomUUID } from 'crypto';
+import { getDb } from '../db/index.js';
+import { getActiveRevisionIds } from './revisions.js';
+
+/** Maximum length of a conversation title (taken from its first message) */
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Convert a database row into the public conversation shape
+ */
+function toConversation(row) {
+  return {
+    id: row.id,
+    pagePath: row.page_path,
+    userId: row.user_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Derive a conversation title from the first user message
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function titleFrom(text) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > MAX_TITLE_LENGTH
+    ? `${singleLine.slice(0, MAX_TITLE_LENGTH - 1)}…`
+    : singleLine;
+}
+
+/**
+ * Start a new conversation
+ *
+ * @param {string} pagePath - The page the conversation is about
+ * @param {number} userId - The owner
+ * @param {string} firstMessage - Used as the title
+ * @returns {object} The new conversation
+ */
+export function createConversation(pagePath, userId, firstMessage) {
+  const db = getDb();
+  const id = randomUUID();
+
+  db.query(`
+    INSERT INTO conversations (id, page_path, user_id, title)
+    VALUES (?, ?, ?, ?)
+  `).run(id, pagePath, userId, titleFrom(firstMessage));
+
+  return getConversation(id);
+}
+
+/**
+ * Get a conversation by id
+ *
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getConversation(id) {
+  const db = getDb();
+  const row = db.query('SELECT * FROM conversations WHERE id = ?').get(id);
+  return row ? toConversation(row) : null;
+}
+
+/**
+ * Get a conversation if it belongs to the given user
+ *
+ * @param {string} id
+ * @param {number} userId
+ * @returns {object|null}
+ */
+export function getUserConversation(id, userId) {
+  const conversation = getConversation(id);
+  return conversation?.userId === userId ? conversation : null;
+}
+
+/**
+ * List a user's conversations on a page, most recently active first
+ *
+ * @param {string} pagePath
+ * @param {number} userId
+ * @param {number} [limit=50]
+ * @returns {object[]}
+ */
+export function listConversations(pagePath, userId, limit = 50) {
+  const db = getDb();
+
+  const rows = db.query(`
+    SELECT c.*, (SELECT COUNT(*) FROM conversation_messages m WHERE m.conversation_id = c.id) AS message_count
+    FROM conversations c
+    WHERE c.page_path = ? AND c.user_id = ?
+    ORDER BY c.updated_at DESC, c.rowid DESC
+    LIMIT ?
+  `).all(pagePath, userId, limit);
+
+  return rows.map(row => ({ ...toConversation(row), messageCount: row.message_count }));
+}
+
+/**
+ * Append messages to a conversation
+ *
+ * @param {string} conversationId
+ * @param {Array<{role: string, content: string, displayText: string}>} messages
+ *   content is what the AI provider sees, displayText what the sidebar shows
+ * @returns {number[]} Ids of the inserted messages
+ */
+export function appendMessages(conversationId, messages) {
+  const db = getDb();
+  const insert = db.query(`
+    INSERT INTO conversation_messages (conversation_id, role, content, display_text)
+    VALUES (?, ?, ?, ?)
+  `);
+
+  const ids = db.transaction(() => {
+    const inserted = messages.map(({ role, content, displayText }) => {
+      insert.run(conversationId, role, content, displayText);
+      return db.query('SELECT last_insert_rowid() as id').get().id;
+    });
+    db.query('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(conversationId);
+    return inserted;
+  })();
+
+  return ids;
+}
+
+/**
+ * Get the most recent messages of a conversation in the form sent to the AI provider.
+ * The window always starts with a user message.
+ *
+ * @param {string} conversationId
+ * @param {number} maxMessages
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function getRecentMessages(conversationId, maxMessages) {
+  const db = getDb();
+
+  const rows = db.query(`
+    SELECT role, content FROM conversation_messages
+    WHERE conversation_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(conversationId, maxMessages).reverse();
+
+  while (rows.length > 0 && rows[0].role !== 'user') {
+    rows.shift();
+  }
+
+  return rows.map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Get the messages of a conversation as shown in the editor sidebar.
+ * Messages linked to a revision that has since been undone are marked reverted.
+ *
+ * @param {string} conversationId
+ * @returns {Array<{id: number, role: string, text: string, revisionId: number|null, reverted: boolean, createdAt: string}>}
+ */
+export function getConversationMessages(conversationId) {
+  const db = getDb();
+
+  const rows = db.query(`
+    SELECT m.id, m.role, m.display_text, m.revision_id, m.created_at, r.page_path AS revision_page_path
+    FROM conversation_messages m
+    LEFT JOIN page_revisions r ON r.id = m.revision_id
+    WHERE m.conversation_id = ?
+    ORDER BY m.id
+  `).all(conversationId);
+
+  // Revisions may belong to other pages (e.g. pages created from this conversation)
+  const activeByPage = new Map();
+  const isActive = (pagePath, revisionId) => {
+    if (!activeByPage.has(pagePath)) {
+      activeByPage.set(pagePath, getActiveRevisionIds(pagePath));
+    }
+    return activeByPage.get(pagePath).has(revisionId);
+  };
+
+  return rows.map(row => ({
+    id: row.id,
+    role: row.role,
+    text: row.display_text,
+    revisionId: row.revision_id,
+    reverted: row.revision_id ? !isActive(row.revision_page_path, row.revision_id) : false,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Link the messages of a chat turn to the revision it produced.
+ * Only messages in conversations owned by the given user are updated.
+ *
+ * @param {number[]} messageIds
+ * @param {number} revisionId
+ * @param {number} userId
+ */
+export function linkMessagesToRevision(messageIds, revisionId, userId) {
+  const db = getDb();
+  const update = db.query(`
+    UPDATE conversation_messages SET revision_id = ?
+    WHERE id = ? AND conversation_id IN (SELECT id FROM conversations WHERE user_id = ?)
+  `);
+
+  db.transaction(() => {
+    for (const id of messageIds) {
+      update.run(revisionId, id, userId);
+    }
+  })();
+}
+
+/**
+ * Append text to a stored message, to what the AI provider and the sidebar
+ * see, e.g. a note that the changes the message describes were not saved
+ *
+ * @param {number} messageId
+ * @param {string} text
+ */
+export function appendToMessage(messageId, text) {
+  const db = getDb();
+  db.query(`
+    UPDATE conversation_messages SET content = content || ?1, display_text = display_text || ?1
+    WHERE id = ?2
+  `).run(text, messageId);
+}
+
+/**
+ * Delete a conversation and its messages
+ *
+ * @param {string} id
+ * @returns {boolean} Whether a conversation was deleted
+ */
+export function deleteConversation(id) {
+  const db = getDb();
+  const result = db.query('DELETE FROM conversations WHERE id = ?').run(id);
+  return result.changes > 0;
+}
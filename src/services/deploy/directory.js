@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registerTargetType } from './registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../../../data');
+
+/**
+ * Recursively list the files below root with the MD5 hash of their content.
+ * Dotfiles and dot directories are left out, like in the published file list,
+ * so deploys neither replace nor delete files such as .htaccess or
+ * .well-known/acme-challenge/.
+ */
+async function listFiles(root, dir = '', files = new Map()) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      await listFiles(root, relativePath, files);
+    } else if (entry.isFile()) {
+      const content = await fs.readFile(path.join(root, relativePath));
+      files.set(relativePath, crypto.createHash('md5').update(content).digest('hex'));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Remove the directories a deleted file leaves empty, up to the root
+ */
+async function removeEmptyParents(root, filePath) {
+  let dir = path.dirname(filePath);
+
+  while (dir !== '.') {
+    try {
+      await fs.rmdir(path.join(root, dir));
+    } catch (error) {
+      if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST' || error.code === 'ENOENT') return;
+      throw error;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Mirror of the public site in another directory, e.g. the document root of
+ * a web server. Like rsync --delete, files that are no longer published are
+ * removed. Configured with DEPLOY_DIRECTORY.
+ */
+registerTargetType({
+  type: 'directory',
+  name: 'Directory',
+
+  fromEnv(env) {
+    return env.DEPLOY_DIRECTORY ? { root: path.resolve(env.DEPLOY_DIRECTORY) } : null;
+  },
+
+  create({ root }) {
+    const relativeToData = path.relative(DATA_DIR, root);
+    if (!relativeToData.startsWith('..') && !path.isAbsolute(relativeToData)) {
+      throw new Error(`DEPLOY_DIRECTORY must be outside ${DATA_DIR}`);
+    }
+
+    return {
+      type: 'directory',
+      name: 'Directory',
+      location: root,
+
+      list() {
+        return listFiles(root);
+      },
+
+      async put(filePath, data) {
+        const destPath = path.join(root, filePath);
+        const tempPath = `${destPath}.${crypto.randomUUID()}.tmp`;
+
+        // Write next to the file and rename, so the web server never serves half a file
+        await fs.mkdir(path.dirname(destPath), { recursive: true });
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, destPath);
+      },
+
+      async remove(filePath) {
+        await fs.rm(path.join(root, filePath), { force: true });
+        await removeEmptyParents(root, filePath);
+      }
+    };
+  }
+});
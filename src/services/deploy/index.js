@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../../lib/logger.js';
+import { rewriteAssetPaths } from '../asset-manifest.js';
+import { withLiveSite } from '../public-staging.js';
+import { listTargetTypes } from './registry.js';
+
+// Target types register themselves on import
+import './directory.js';
+import './s3.js';
+
+const log = logger.child('deploy');
+
+/**
+ * @typedef {Object} DeployResult
+ * @property {string} target - Target type
+ * @property {string} location - Where the target deploys to
+ * @property {number} uploaded - Files that were new or changed
+ * @property {number} deleted - Files removed because they are no longer published
+ * @property {number} unchanged - Files already up to date
+ * @property {string} [error] - Why the deploy failed; the target may be partly updated
+ * @property {string} finishedAt - ISO date
+ */
+
+/** Configured targets, created from the environment on first use */
+let targets = null;
+
+/** Last deploy result per target type */
+const lastResults = new Map();
+
+/** Deploys run one after another, so two publishes never push at the same time */
+let queue = Promise.resolve();
+
+/**
+ * The deploy targets configured through environment variables
+ *
+ * @returns {object[]}
+ */
+function getTargets() {
+  if (targets) return targets;
+
+  targets = [];
+  for (const targetType of listTargetTypes()) {
+    const config = targetType.fromEnv(process.env);
+    if (!config) continue;
+
+    try {
+      targets.push(targetType.create(config));
+    } catch (error) {
+      log.error('Invalid deploy target configuration', { type: targetType.type, error: error.message });
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Recursively list the files of the public site, relative to it
+ *
+ * @param {string} publicDir - The live release, from withLiveSite()
+ */
+async function listPublicFiles(publicDir, dir = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(publicDir, dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listPublicFiles(publicDir, relativePath)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Public files whose name already contains their content hash: the
+ * fingerprinted assets of the manifest and their Brotli versions
+ */
+function fingerprintedFiles(manifest) {
+  const files = new Set();
+  for (const fingerprinted of Object.values(manifest)) {
+    files.add(`assets/${fingerprinted}`);
+    files.add(`assets/${fingerprinted}.br`);
+  }
+  return files;
+}
+
+/**
+ * Read a public file as it is served: pages get their asset paths rewritten
+ * to the fingerprinted files, as in services/export.js
+ */
+async function readDeployFile(publicDir, file, manifest) {
+  const fullPath = path.join(publicDir, file);
+  if (!file.endsWith('.html')) {
+    return fs.readFile(fullPath);
+  }
+  return Buffer.from(rewriteAssetPaths(await fs.readFile(fullPath, 'utf-8'), manifest));
+}
+
+/**
+ * Mirror the public site onto one target. Only new and changed files are
+ * uploaded: a fingerprinted asset is skipped if the target has it, any other
+ * file if the target's copy has the same MD5 hash. Pages go up after the
+ * assets they reference, and removed files are deleted last.
+ *
+ * @param {object} target
+ * @param {string} publicDir - The live release, from withLiveSite()
+ * @param {Object<string, string>} manifest - Its asset manifest
+ * @returns {Promise<DeployResult>}
+ */
+async function deployToTarget(target, publicDir, manifest) {
+  const ignores = target.ignores || (() => false);
+  const localFiles = (await listPublicFiles(publicDir)).filter(file => !ignores(file));
+  const remoteFiles = await target.list();
+  const fingerprinted = fingerprintedFiles(manifest);
+
+  const uploads = [];
+  let unchanged = 0;
+
+  for (const file of localFiles) {
+    if (fingerprinted.has(file) && remoteFiles.has(file)) {
+      unchanged++;
+      continue;
+    }
+
+    const data = await readDeployFile(publicDir, file, manifest);
+    const hash = crypto.createHash('md5').update(data).digest('hex');
+    if (remoteFiles.get(file) === hash) {
+      unchanged++;
+    } else {
+      uploads.push({ file, data });
+    }
+  }
+
+  const isPage = file => file.endsWith('.html') || file === 'sitemap.xml';
+  uploads.sort((a, b) => isPage(a.file) - isPage(b.file));
+
+  for (const { file, data } of uploads) {
+    await target.put(file, data, Bun.file(path.join(publicDir, file)).type);
+  }
+
+  const published = new Set(localFiles);
+  const deletions = [...remoteFiles.keys()].filter(file => !published.has(file) && !ignores(file));
+  for (const file of deletions) {
+    await target.remove(file);
+  }
+
+  return { uploaded: uploads.length, deleted: deletions.length, unchanged };
+}
+
+/**
+ * Push the public site to every configured deploy target, all from the
+ * release that was live when the deploy started. A failing target is logged
+ * and reported, not thrown: the live site has already changed.
+ *
+ * @returns {Promise<DeployResult[]>} One result per target
+ */
+export function deployPublicSite() {
+  const run = queue.then(() => withLiveSite(async (publicDir, manifest) => {
+    const results = [];
+
+    for (const target of getTargets()) {
+      let result;
+      try {
+        result = { target: target.type, location: target.location, ...(await deployToTarget(target, publicDir, manifest)) };
+        log.info('Deployed public site', result);
+      } catch (error) {
+        result = { target: target.type, location: target.location, uploaded: 0, deleted: 0, unchanged: 0, error: error.message };
+        log.error('Deploy failed', result);
+      }
+
+      result.finishedAt = new Date().toISOString();
+      lastResults.set(target.type, result);
+      results.push(result);
+    }
+
+    return results;
+  }));
+
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * The configured deploy targets with the result of their last deploy
+ *
+ * @returns {Array<{ type: string, name: string, location: string, lastDeploy: DeployResult|null }>}
+ */
+export function listDeployTargets() {
+  return getTargets().map(target => ({
+    type: target.type,
+    name: target.name,
+    location: target.location,
+    lastDeploy: lastResults.get(target.type) || null
+  }));
+}
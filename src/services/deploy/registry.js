@@ -0,0 +1,44 @@
+/**
+ * Deploy target registry.
+ *
+ * Target type modules call registerTargetType() when they are imported. A
+ * target type is an object with:
+ * - type, name:        identifiers shown in logs and on the /pages screen
+ * - fromEnv(env):      the target's configuration read from environment
+ *                      variables, or null if it is not configured
+ * - create(config):    a target for that configuration
+ *
+ * A target is an object with:
+ * - type, name, location:  what it is and where it deploys to
+ * - list():                resolves to a Map of the files it holds, relative path → MD5 hex
+ *                          of the content (null if unknown)
+ * - put(filePath, data, contentType):
+ *                          store a file, replacing any existing one
+ * - remove(filePath):      delete a file
+ * - ignores(filePath):     optional; true for public files the target does not need
+ *
+ * index.js mirrors the public site onto every configured target.
+ */
+
+const targetTypes = new Map();
+
+/**
+ * Register a deploy target type
+ *
+ * @param {object} targetType
+ */
+export function registerTargetType(targetType) {
+  if (targetTypes.has(targetType.type)) {
+    throw new Error(`Deploy target type "${targetType.type}" is already registered`);
+  }
+  targetTypes.set(targetType.type, targetType);
+}
+
+/**
+ * List all registered target types in registration order
+ *
+ * @returns {object[]}
+ */
+export function listTargetTypes() {
+  return [...targetTypes.values()];
+}
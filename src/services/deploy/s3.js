@@ -0,0 +1,74 @@
+import { S3Client } from 'bun';
+import { registerTargetType } from './registry.js';
+
+/**
+ * An S3 ETag is the MD5 hex of the object, except for multipart uploads
+ * ("<hash>-<parts>"), whose content hash is unknown
+ */
+function etagToHash(etag) {
+  const hash = (etag || '').replaceAll('"', '');
+  return /^[0-9a-f]{32}$/i.test(hash) ? hash.toLowerCase() : null;
+}
+
+/**
+ * Bucket on Amazon S3 or an S3-compatible service (Cloudflare R2, MinIO, ...),
+ * typically served through a CDN. Configured with DEPLOY_S3_BUCKET and
+ * optionally DEPLOY_S3_ENDPOINT, DEPLOY_S3_REGION, DEPLOY_S3_PREFIX,
+ * DEPLOY_S3_ACCESS_KEY_ID and DEPLOY_S3_SECRET_ACCESS_KEY.
+ */
+registerTargetType({
+  type: 's3',
+  name: 'S3',
+
+  fromEnv(env) {
+    if (!env.DEPLOY_S3_BUCKET) return null;
+
+    return {
+      bucket: env.DEPLOY_S3_BUCKET,
+      endpoint: env.DEPLOY_S3_ENDPOINT || undefined,
+      region: env.DEPLOY_S3_REGION || undefined,
+      accessKeyId: env.DEPLOY_S3_ACCESS_KEY_ID || undefined,
+      secretAccessKey: env.DEPLOY_S3_SECRET_ACCESS_KEY || undefined,
+      prefix: (env.DEPLOY_S3_PREFIX || '').replace(/^\/+|\/+$/g, '')
+    };
+  },
+
+  create({ prefix, ...options }) {
+    const client = new S3Client(options);
+    const keyPrefix = prefix ? `${prefix}/` : '';
+
+    return {
+      type: 's3',
+      name: 'S3',
+      location: `s3://${options.bucket}/${keyPrefix}`,
+
+      async list() {
+        const files = new Map();
+        let continuationToken;
+
+        do {
+          const page = await client.list({ prefix: keyPrefix || undefined, continuationToken });
+          for (const object of page.contents || []) {
+            files.set(object.key.slice(keyPrefix.length), etagToHash(object.eTag));
+          }
+          continuationToken = page.isTruncated ? page.nextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return files;
+      },
+
+      async put(filePath, data, contentType) {
+        await client.write(keyPrefix + filePath, data, { type: contentType });
+      },
+
+      async remove(filePath) {
+        await client.delete(keyPrefix + filePath);
+      },
+
+      // Objects are served as stored; the CDN takes care of compression
+      ignores(filePath) {
+        return filePath.endsWith('.br');
+      }
+    };
+  }
+});
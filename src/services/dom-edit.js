@@ -0,0 +1,188 @@
+/**
+ * Structured page edits that target an element instead of an exact HTML snippet.
+ *
+ * An operation targets exactly one element, by CSS selector or by id:
+ *
+ *   { op: 'replace',       selector: '#hero h1', html: '<h1>New</h1>' }
+ *   { op: 'insert-before', id: 'features',      html: '<section>…</section>' }
+ *   { op: 'insert-after',  selector: 'footer',  html: '…' }
+ *   { op: 'remove',        selector: '.alert' }
+ *   { op: 'set-attribute', selector: 'main a.btn', attribute: 'href', value: 'contact.html' }  // value null removes it
+ *   { op: 'set-text',      id: 'tagline',       text: 'Plain text, HTML-escaped' }
+ *
+ * Pages are parsed with Bun's HTMLRewriter, so only the targeted element
+ * changes and the rest of the document keeps its exact formatting. A target
+ * that matches no element or more than one element is rejected.
+ */
+
+export const DOM_OPERATIONS = ['replace', 'insert-before', 'insert-after', 'remove', 'set-attribute', 'set-text'];
+
+/** The field holding each operation's content (what a reviewer may edit) */
+const CONTENT_FIELDS = {
+  'replace': 'html',
+  'insert-before': 'html',
+  'insert-after': 'html',
+  'remove': null,
+  'set-attribute': 'value',
+  'set-text': 'text'
+};
+
+/**
+ * Whether a change is a DOM operation (as opposed to a search/replace change)
+ *
+ * @param {object} change
+ * @returns {boolean}
+ */
+export function isDomOperation(change) {
+  return typeof change?.op === 'string';
+}
+
+/**
+ * The field holding an operation's content, or null for 'remove'
+ *
+ * @param {string} op
+ * @returns {string|null}
+ */
+export function contentField(op) {
+  return CONTENT_FIELDS[op] ?? null;
+}
+
+/**
+ * The element id an operation targets, or null if it targets a selector
+ *
+ * @param {object} operation
+ * @returns {string|null}
+ */
+function targetId(operation) {
+  return typeof operation.id === 'string' && operation.id !== ''
+    ? operation.id.replace(/^#/, '')
+    : null;
+}
+
+/**
+ * Check the shape of a DOM operation
+ *
+ * @param {object} operation
+ * @returns {string|null} What is wrong with it, or null if it is well-formed
+ */
+export function validateDomOperation(operation) {
+  const { op, selector } = operation;
+
+  if (!DOM_OPERATIONS.includes(op)) {
+    return `Unknown operation "${op}"`;
+  }
+
+  const hasSelector = typeof selector === 'string' && selector.trim() !== '';
+  if (hasSelector === (targetId(operation) !== null)) {
+    return 'Give either a selector or an id';
+  }
+
+  if (op === 'set-attribute') {
+    if (typeof operation.attribute !== 'string' || !/^[^\s"'>/=]+$/.test(operation.attribute)) {
+      return 'set-attribute needs a valid attribute name';
+    }
+    if (operation.value !== null && typeof operation.value !== 'string') {
+      return 'set-attribute needs a string value (or null to remove the attribute)';
+    }
+    return null;
+  }
+
+  const field = contentField(op);
+  if (field && typeof operation[field] !== 'string') {
+    return `${op} needs a string "${field}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Short description of an operation's target for logs and messages
+ *
+ * @param {object} operation
+ * @returns {string}
+ */
+export function describeDomOperation(operation) {
+  const id = targetId(operation);
+  return `${operation.op} ${id !== null ? `#${id}` : operation.selector}`;
+}
+
+/**
+ * Run a handler on every element the operation targets
+ *
+ * @param {string} html
+ * @param {object} operation
+ * @param {Function} handler - Called with each matching element
+ * @returns {string} The rewritten HTML
+ */
+function rewriteTargets(html, operation, handler) {
+  // Match ids by attribute value so ids need no CSS escaping
+  const id = targetId(operation);
+  const matches = id !== null
+    ? element => element.getAttribute('id') === id
+    : () => true;
+
+  return new HTMLRewriter()
+    .on(id !== null ? '[id]' : operation.selector, {
+      element(element) {
+        if (matches(element)) handler(element);
+      }
+    })
+    .transform(html);
+}
+
+/**
+ * Apply a single DOM operation to a page
+ *
+ * @param {string} html
+ * @param {object} operation
+ * @returns {{ html: string, applied: boolean, error: string|null }}
+ */
+export function applyDomOperation(html, operation) {
+  const invalid = validateDomOperation(operation);
+  if (invalid) {
+    return { html, applied: false, error: invalid };
+  }
+
+  let matchCount = 0;
+  try {
+    rewriteTargets(html, operation, () => { matchCount++; });
+  } catch (error) {
+    return { html, applied: false, error: `Invalid selector: ${error.message}` };
+  }
+
+  if (matchCount === 0) {
+    return { html, applied: false, error: 'No element matches' };
+  }
+  if (matchCount > 1) {
+    return { html, applied: false, error: `Ambiguous: ${matchCount} elements match` };
+  }
+
+  const updatedHtml = rewriteTargets(html, operation, element => {
+    switch (operation.op) {
+      case 'replace':
+        element.replace(operation.html, { html: true });
+        break;
+      case 'insert-before':
+        element.before(operation.html, { html: true });
+        break;
+      case 'insert-after':
+        element.after(operation.html, { html: true });
+        break;
+      case 'remove':
+        element.remove();
+        break;
+      case 'set-attribute':
+        if (operation.value === null) {
+          element.removeAttribute(operation.attribute);
+        } else {
+          element.setAttribute(operation.attribute, operation.value);
+        }
+        break;
+      case 'set-text':
+        element.setInnerContent(operation.text, { html: false });
+        break;
+    }
+  });
+
+  return { html: updatedHtml, applied: true, error: null };
+}
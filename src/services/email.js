@@ -67,6 +67,52 @@ export async function sendContactEmail(fields) {
   }
 }
 
+/**
+ * Send an invitation with a temporary password to a new user.
+ *
+ * @param {object} invite
+ * @param {string} invite.to - Email address of the new user
+ * @param {string} invite.username
+ * @param {string} invite.password - Temporary password, to be changed on first login
+ * @param {string} invite.loginUrl
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function sendInviteEmail({ to, username, password, loginUrl }) {
+  if (!process.env.EMAIL_FROM) {
+    return { success: false, error: 'EMAIL_FROM is not configured' };
+  }
+
+  const html = `
+    <h2>You have been invited to Capuzzella</h2>
+    <p>Sign in at <a href="${escapeHtml(loginUrl)}">${escapeHtml(loginUrl)}</a> with:</p>
+    <table style="border-collapse:collapse;">
+      <tr><td style="padding:6px 12px;font-weight:bold;">Username</td><td style="padding:6px 12px;">${escapeHtml(username)}</td></tr>
+      <tr><td style="padding:6px 12px;font-weight:bold;">Password</td><td style="padding:6px 12px;font-family:monospace;">${escapeHtml(password)}</td></tr>
+    </table>
+    <p>You will be asked to choose your own password after signing in.</p>
+  `;
+
+  try {
+    const { error } = await resend.emails.send({
+      from: process.env.EMAIL_FROM,
+      to,
+      subject: 'Your Capuzzella account',
+      html,
+    });
+
+    if (error) {
+      log.error('Resend API error', { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    log.info('Invite email sent', { to, username });
+    return { success: true };
+  } catch (err) {
+    log.error('Failed to send invite email', { error: err.message, stack: err.stack });
+    return { success: false, error: 'Failed to send email' };
+  }
+}
+
 /**
  * Turn a field name like "first_name" or "firstName" into "First Name".
  */
@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createTarGz, createZip } from '../lib/archive.js';
+import { rewriteAssetPaths } from './asset-manifest.js';
+import { withLiveSite } from './public-staging.js';
+
+/**
+ * Supported archive formats and how they are served
+ */
+export const EXPORT_FORMATS = {
+  'zip': { extension: 'zip', contentType: 'application/zip', create: createZip },
+  'tar.gz': { extension: 'tar.gz', contentType: 'application/gzip', create: createTarGz }
+};
+
+/**
+ * Matches relative URLs in href and src attributes: not absolute, protocol-relative,
+ * root-relative, a fragment, or a data:/mailto:/tel:/javascript: URL
+ */
+const RELATIVE_URL_PATTERN = /\b(href|src)\s*=\s*(["'])(?![a-z][a-z\d+.-]*:|\/\/|\/|#)([^"']*)\2/gi;
+
+/**
+ * Recursively list the files of the public site, relative to it. Dotfiles
+ * and Brotli sidecar files are left out; CDNs compress on their own.
+ *
+ * @param {string} publicDir - The live release, from withLiveSite()
+ */
+async function listPublicFiles(publicDir, dir = '') {
+  const entries = await fs.readdir(path.join(publicDir, dir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listPublicFiles(publicDir, relativePath)));
+    } else if (entry.isFile() && !entry.name.endsWith('.br')) {
+      files.push(relativePath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * The clean-URL location of a page, mirroring how tryServeStatic() in
+ * server.js resolves /about to about.html: about.html → about/index.html.
+ * index.html files keep their place.
+ *
+ * @param {string} pagePath
+ * @returns {string}
+ */
+function cleanUrlPath(pagePath) {
+  if (pagePath === 'index.html' || pagePath.endsWith('/index.html')) {
+    return pagePath;
+  }
+  return `${pagePath.slice(0, -'.html'.length)}/index.html`;
+}
+
+/**
+ * Rewrite a page's relative links for the clean-URL layout. Links to other
+ * pages point at their directory ("about/"), and pages that moved down a
+ * level get the extra "../" their asset links need.
+ *
+ * @param {string} html
+ * @param {string} pagePath - Where the page was
+ * @param {string} exportPath - Where the page is in the export
+ * @param {Map<string, string>} pageLocations - Original page path → export path
+ * @returns {string}
+ */
+function rewriteRelativeUrls(html, pagePath, exportPath, pageLocations) {
+  const fromDir = path.posix.dirname(pagePath);
+  const toDir = path.posix.dirname(exportPath);
+
+  return html.replace(RELATIVE_URL_PATTERN, (match, attribute, quote, url) => {
+    const [, target, suffix] = url.match(/^([^?#]*)(.*)$/);
+    if (!target) return match;
+
+    let resolved = path.posix.normalize(path.posix.join(fromDir, target));
+    if (resolved.startsWith('..')) return match;
+
+    if (pageLocations.has(resolved)) {
+      resolved = pageLocations.get(resolved).replace(/(^|\/)index\.html$/, '$1');
+    }
+
+    let relative = path.posix.relative(toDir, resolved || '.');
+    if (resolved === '' || resolved.endsWith('/')) {
+      relative = relative ? `${relative}/` : './';
+    }
+
+    return `${attribute}=${quote}${relative}${suffix}${quote}`;
+  });
+}
+
+/**
+ * Read the files of a release as archive entries: pages with their asset
+ * paths rewritten (and moved for clean URLs), other files as they are
+ *
+ * @param {string} publicDir - The live release, from withLiveSite()
+ * @param {Object<string, string>} manifest - Its asset manifest
+ * @param {boolean} cleanUrls
+ * @returns {Promise<Array<{ path: string, data: string|Buffer, mtime: Date }>>}
+ */
+async function readExportEntries(publicDir, manifest, cleanUrls) {
+  const files = await listPublicFiles(publicDir);
+  const pages = files.filter(f => f.endsWith('.html'));
+
+  const pageLocations = new Map(
+    pages.map(pagePath => [pagePath, cleanUrls ? cleanUrlPath(pagePath) : pagePath])
+  );
+
+  // about.html and about/index.html would both become about/index.html; the
+  // server answers /about with about.html, so the export keeps that one
+  if (cleanUrls) {
+    for (const pagePath of pages) {
+      if (pagePath.endsWith('/index.html') && pageLocations.has(`${pagePath.slice(0, -'/index.html'.length)}.html`)) {
+        pageLocations.delete(pagePath);
+      }
+    }
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const fullPath = path.join(publicDir, file);
+    const mtime = (await fs.stat(fullPath)).mtime;
+
+    if (!file.endsWith('.html')) {
+      entries.push({ path: file, data: await fs.readFile(fullPath), mtime });
+      continue;
+    }
+
+    const exportPath = pageLocations.get(file);
+    if (!exportPath) continue;
+
+    let html = rewriteAssetPaths(await fs.readFile(fullPath, 'utf-8'), manifest);
+    if (cleanUrls) {
+      html = rewriteRelativeUrls(html, file, exportPath, pageLocations);
+    }
+    entries.push({ path: exportPath, data: html, mtime });
+  }
+
+  return entries;
+}
+
+/**
+ * Build an archive of the published site for static hosting: fingerprinted
+ * assets, every HTML page with its asset paths rewritten via the manifest,
+ * and the sitemap. Everything is read from the release that was live when
+ * the export started.
+ *
+ * @param {object} [options]
+ * @param {string} [options.format='zip'] - A key of EXPORT_FORMATS
+ * @param {boolean} [options.cleanUrls=false] - Move about.html to about/index.html
+ * @returns {Promise<{ data: Uint8Array, filename: string, contentType: string, fileCount: number }>}
+ */
+export async function exportSite({ format = 'zip', cleanUrls = false } = {}) {
+  const archiveFormat = EXPORT_FORMATS[format];
+  if (!archiveFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const entries = await withLiveSite((publicDir, manifest) => readExportEntries(publicDir, manifest, cleanUrls));
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return {
+    data: archiveFormat.create(entries),
+    filename: `site-${date}.${archiveFormat.extension}`,
+    contentType: archiveFormat.contentType,
+    fileCount: entries.length
+  };
+}
@@ -0,0 +1,89 @@
+import { getDb } from '../db/index.js';
+
+/**
+ * Soft page locks: they show who is editing a page, but do not stop anyone
+ * else from editing it. Conflicting saves are caught by the draft hash check
+ * in routes/api.js instead.
+ */
+
+// A lock lasts this long unless the editor refreshes it (it does every 30 seconds)
+const LOCK_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Convert a database row into the public lock shape
+ */
+function toPageLock(row) {
+  return {
+    pagePath: row.page_path,
+    userId: row.user_id,
+    username: row.username,
+    acquiredAt: row.acquired_at,
+    expiresAt: new Date(row.expires_at).toISOString()
+  };
+}
+
+/**
+ * Take or refresh the lock on a page. If someone else holds it, it is left
+ * alone and returned so the editor can say who is editing.
+ *
+ * @param {string} pagePath
+ * @param {{id: number, username: string}} user
+ * @returns {{ acquired: boolean, lock: object }} The lock now on the page
+ */
+export function acquirePageLock(pagePath, user) {
+  const db = getDb();
+  const now = Date.now();
+
+  return db.transaction(() => {
+    db.query('DELETE FROM page_locks WHERE page_path = ? AND expires_at <= ?').run(pagePath, now);
+
+    const existing = db.query('SELECT * FROM page_locks WHERE page_path = ?').get(pagePath);
+    if (existing && existing.user_id !== user.id) {
+      return { acquired: false, lock: toPageLock(existing) };
+    }
+
+    db.query(`
+      INSERT INTO page_locks (page_path, user_id, username, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(page_path) DO UPDATE SET expires_at = excluded.expires_at
+    `).run(pagePath, user.id, user.username, now + LOCK_TTL_MS);
+
+    const lock = db.query('SELECT * FROM page_locks WHERE page_path = ?').get(pagePath);
+    return { acquired: true, lock: toPageLock(lock) };
+  })();
+}
+
+/**
+ * Release a user's lock on a page
+ *
+ * @param {string} pagePath
+ * @param {number} userId
+ * @returns {boolean} Whether the user held the lock
+ */
+export function releasePageLock(pagePath, userId) {
+  const db = getDb();
+  const result = db.query('DELETE FROM page_locks WHERE page_path = ? AND user_id = ?').run(pagePath, userId);
+  return result.changes > 0;
+}
+
+/**
+ * Get the current lock on a page
+ *
+ * @param {string} pagePath
+ * @returns {object|null} null if the page is not locked
+ */
+export function getPageLock(pagePath) {
+  const db = getDb();
+  const row = db.query('SELECT * FROM page_locks WHERE page_path = ? AND expires_at > ?').get(pagePath, Date.now());
+  return row ? toPageLock(row) : null;
+}
+
+/**
+ * Get all current page locks
+ *
+ * @returns {Map<string, object>} Lock by page path
+ */
+export function listPageLocks() {
+  const db = getDb();
+  const rows = db.query('SELECT * FROM page_locks WHERE expires_at > ? ORDER BY page_path').all(Date.now());
+  return new Map(rows.map(row => [row.page_path, toPageLock(row)]));
+}
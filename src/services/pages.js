@@ -8,6 +8,12 @@ const __dirname = path.dirname(__filename);
 
 const DRAFTS_DIR = path.join(__dirname, '../../data/drafts');
 
+/**
+ * Legacy `<name>.backup-<timestamp>.html` copies written by the old backupPage().
+ * Page history now lives in the page_revisions table (see services/revisions.js).
+ */
+const LEGACY_BACKUP_PATTERN = /\.backup-[^/]+\.html$/;
+
 /**
  * Ensure the drafts directory exists
  */
@@ -51,6 +57,37 @@ export async function savePage(pagePath, html) {
   await fs.writeFile(fullPath, html, 'utf-8');
 }
 
+/**
+ * Save several pages to drafts as one unit: if any write fails, the pages
+ * already written are put back to their previous content and the error is rethrown.
+ *
+ * @param {Array<{ pagePath: string, html: string, previousHtml: string|null }>} pages
+ *   previousHtml is the content to restore on failure (null deletes the page)
+ */
+export async function savePages(pages) {
+  const written = [];
+
+  try {
+    for (const page of pages) {
+      await savePage(page.pagePath, page.html);
+      written.push(page);
+    }
+  } catch (error) {
+    for (const page of written.reverse()) {
+      try {
+        if (page.previousHtml === null) {
+          await deletePage(page.pagePath);
+        } else {
+          await savePage(page.pagePath, page.previousHtml);
+        }
+      } catch {
+        // Keep rolling back the other pages; the original error is rethrown below
+      }
+    }
+    throw error;
+  }
+}
+
 /**
  * Delete a page from drafts
  * 
@@ -90,7 +127,7 @@ export async function listPages(dir = '') {
         // Recursively scan subdirectories
         const subPages = await listPages(relativePath);
         pages.push(...subPages);
-      } else if (entry.isFile() && entry.name.endsWith('.html')) {
+      } else if (entry.isFile() && entry.name.endsWith('.html') && !LEGACY_BACKUP_PATTERN.test(entry.name)) {
         pages.push(relativePath);
       }
     }
@@ -103,23 +140,36 @@ export async function listPages(dir = '') {
   return pages;
 }
 
+
 /**
- * Create a backup of a page before editing
- * 
- * @param {string} pagePath - Relative path to the page
- * @returns {Promise<string | null>} - Backup path or null if original doesn't exist
+ * List all asset files in drafts/assets (pre-compressed .br copies are skipped)
+ *
+ * @param {string} dir - Directory to scan (relative to drafts/assets)
+ * @returns {Promise<Array<{ path: string, size: number }>>} - Asset paths relative to drafts/assets
  */
-export async function backupPage(pagePath) {
-  const content = await getPage(pagePath);
-  
-  if (!content) {
-    return null;
+export async function listAssets(dir = '') {
+  const assetsDir = path.join(DRAFTS_DIR, 'assets');
+  const fullDir = dir ? safePath(assetsDir, dir) : assetsDir;
+  const assets = [];
+
+  try {
+    const entries = await fs.readdir(fullDir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        assets.push(...await listAssets(relativePath));
+      } else if (entry.isFile() && !entry.name.endsWith('.br')) {
+        const { size } = await fs.stat(path.join(fullDir, entry.name));
+        assets.push({ path: relativePath, size });
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
   }
-  
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupPath = pagePath.replace('.html', `.backup-${timestamp}.html`);
-  
-  await savePage(backupPath, content);
-  
-  return backupPath;
+
+  return assets.sort((a, b) => a.path.localeCompare(b.path));
 }
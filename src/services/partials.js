@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PathTraversalError } from '../lib/safe-path.js';
+import { getPage, listPages } from './pages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PARTIALS_DIR = path.join(__dirname, '../../data/partials');
+
+/**
+ * Partial names: lowercase letters, digits and dashes, e.g. "navbar" or "site-footer"
+ */
+const PARTIAL_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Include marker in a page or partial: <!-- capuzzella:include navbar -->
+ */
+const INCLUDE_PATTERN = /<!--\s*capuzzella:include\s+([^\s>]+)\s*-->/g;
+
+/** How deeply partials may include other partials */
+const MAX_INCLUDE_DEPTH = 5;
+
+/**
+ * Check a partial name
+ *
+ * @param {unknown} name
+ * @returns {boolean}
+ */
+export function isValidPartialName(name) {
+  return typeof name === 'string' && PARTIAL_NAME_PATTERN.test(name);
+}
+
+/**
+ * The file of a partial
+ *
+ * @throws {PathTraversalError} If the name is not a valid partial name
+ */
+function partialFile(name) {
+  if (!isValidPartialName(name)) {
+    throw new PathTraversalError(`Invalid partial name: ${name}`);
+  }
+  return path.join(PARTIALS_DIR, `${name}.html`);
+}
+
+/**
+ * List the names of all partials
+ *
+ * @returns {Promise<string[]>} Sorted names, e.g. ['footer', 'navbar']
+ */
+export async function listPartialNames() {
+  try {
+    const files = await fs.readdir(PARTIALS_DIR);
+    return files
+      .filter(f => f.endsWith('.html') && isValidPartialName(f.slice(0, -'.html'.length)))
+      .map(f => f.slice(0, -'.html'.length))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Get the HTML of a partial
+ *
+ * @param {string} name
+ * @returns {Promise<string|null>} null if the partial does not exist
+ * @throws {PathTraversalError} If the name is not a valid partial name
+ */
+export async function getPartial(name) {
+  try {
+    return await fs.readFile(partialFile(name), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Create or replace a partial
+ *
+ * @param {string} name
+ * @param {string} html
+ * @throws {PathTraversalError} If the name is not a valid partial name
+ */
+export async function savePartial(name, html) {
+  const file = partialFile(name);
+  await fs.mkdir(PARTIALS_DIR, { recursive: true });
+  await fs.writeFile(file, html, 'utf-8');
+}
+
+/**
+ * Delete a partial
+ *
+ * @param {string} name
+ * @returns {Promise<boolean>} false if it did not exist
+ * @throws {PathTraversalError} If the name is not a valid partial name
+ */
+export async function deletePartial(name) {
+  try {
+    await fs.unlink(partialFile(name));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * The names of the partials an HTML document includes directly
+ *
+ * @param {string} html
+ * @returns {string[]} Unique names in order of appearance
+ */
+export function findIncludes(html) {
+  return [...new Set([...html.matchAll(INCLUDE_PATTERN)].map(([, name]) => name))];
+}
+
+/**
+ * Run an HTML transformation that would drop comments (e.g. sanitize-html)
+ * without losing include markers: they are swapped for text placeholders
+ * before it runs and put back afterwards.
+ *
+ * @param {string} html
+ * @param {(html: string) => string} transform
+ * @returns {string}
+ */
+export function preserveIncludes(html, transform) {
+  const token = `capuzzella-include-${crypto.randomUUID()}`;
+  const protectedHtml = html.replace(INCLUDE_PATTERN, (marker, name) =>
+    isValidPartialName(name) ? `${token}[${name}]` : marker
+  );
+
+  return transform(protectedHtml).replace(
+    new RegExp(`${token}\\[([a-z0-9-]+)\\]`, 'g'),
+    (placeholder, name) => `<!-- capuzzella:include ${name} -->`
+  );
+}
+
+/**
+ * Which draft pages include each partial
+ *
+ * @returns {Promise<Map<string, string[]>>} Partial name → page paths
+ */
+export async function listPartialUsage() {
+  const usage = new Map();
+
+  for (const pagePath of await listPages()) {
+    for (const name of findIncludes(await getPage(pagePath) || '')) {
+      if (!usage.has(name)) usage.set(name, []);
+      usage.get(name).push(pagePath);
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Replace the include markers of a page with the partials they name. Partials
+ * may include other partials, up to MAX_INCLUDE_DEPTH levels.
+ *
+ * A marker that cannot be resolved (unknown partial, invalid name, include
+ * cycle) is left in place and reported in errors.
+ *
+ * @param {string} html
+ * @param {object} [options]
+ * @param {boolean} [options.annotate=false] - Surround each included partial with
+ *   <!-- capuzzella:partial name --> and <!-- /capuzzella:partial name --> comments,
+ *   so the editor can tell which elements come from a partial
+ * @returns {Promise<{ html: string, errors: Array<{ name: string, error: string }> }>}
+ */
+export async function resolveIncludes(html, { annotate = false } = {}) {
+  const cache = new Map();
+  const errors = [];
+
+  async function resolve(content, stack) {
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(INCLUDE_PATTERN)) {
+      const [marker, name] = match;
+      result += content.slice(lastIndex, match.index);
+      lastIndex = match.index + marker.length;
+
+      let error = null;
+      let partial = null;
+
+      if (!isValidPartialName(name)) {
+        error = 'Invalid partial name';
+      } else if (stack.includes(name)) {
+        error = `Include cycle: ${[...stack, name].join(' → ')}`;
+      } else if (stack.length >= MAX_INCLUDE_DEPTH) {
+        error = `Partials are nested more than ${MAX_INCLUDE_DEPTH} levels deep`;
+      } else {
+        if (!cache.has(name)) cache.set(name, await getPartial(name));
+        partial = cache.get(name);
+        if (partial === null) error = 'Partial not found';
+      }
+
+      if (error) {
+        errors.push({ name, error });
+        result += marker;
+        continue;
+      }
+
+      const included = await resolve(partial, [...stack, name]);
+      result += annotate
+        ? `<!-- capuzzella:partial ${name} -->${included}<!-- /capuzzella:partial ${name} -->`
+        : included;
+    }
+
+    return result + content.slice(lastIndex);
+  }
+
+  return { html: await resolve(html, []), errors };
+}
@@ -0,0 +1,258 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../lib/logger.js';
+import { getManifest, loadManifest } from './asset-manifest.js';
+
+const log = logger.child('public-staging');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The site shipped with the repository, live until the first publish. Never written to.
+const SEED_DIR = path.join(__dirname, '../../data/public');
+// Symlink to the live site: SEED_DIR or one of the releases
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
+// Each published version of the site
+const RELEASES_DIR = path.join(__dirname, '../../data/public-releases');
+const MANIFEST_PATH = path.join(__dirname, '../../data/db/asset-manifest.live.json');
+
+/**
+ * Matches asset references in href and src attributes, capturing the path below assets/
+ */
+const ASSET_REFERENCE_PATTERN = /\b(?:href|src)\s*=\s*["'](?:\.?\/)?assets\/([^"'?#]+)/gi;
+
+/**
+ * Error for a new public site that failed validation or could not be built.
+ * The live site is left as it was.
+ */
+export class StagingError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{ path: string, error: string }>} errors - What went wrong, per file
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'StagingError';
+    this.errors = errors;
+  }
+}
+
+/** Changes to the public site run one after another, see withPublicSiteLock() */
+let queue = Promise.resolve();
+
+/**
+ * Run a change to the public site once every earlier change has finished.
+ * Each change starts from a copy of the live site, so two running at once
+ * would drop each other's pages. Not reentrant: a task must not call
+ * anything that takes the lock itself.
+ *
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+export function withPublicSiteLock(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/** How many withLiveSite() tasks are reading each release */
+const readers = new Map();
+
+/** Releases replaced while they were being read, removed by their last reader */
+const retired = new Set();
+
+/**
+ * Point PUBLIC_DIR at the seed site if nothing has been published yet.
+ * Run once on server startup.
+ */
+export async function ensureLiveSite() {
+  try {
+    await fs.symlink(path.relative(path.dirname(PUBLIC_DIR), SEED_DIR), PUBLIC_DIR);
+    log.info('Serving the seed site', { path: SEED_DIR });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+}
+
+/**
+ * The directory the live site is in: the release PUBLIC_DIR links to, or
+ * SEED_DIR while PUBLIC_DIR does not exist yet
+ *
+ * @returns {Promise<string>}
+ */
+async function getLiveDir() {
+  try {
+    return path.resolve(path.dirname(PUBLIC_DIR), await fs.readlink(PUBLIC_DIR));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return SEED_DIR;
+  }
+}
+
+/**
+ * Run a task that reads the whole live site, such as an export or a deploy,
+ * against the release that is live when it starts. Read only from the
+ * directory passed in: a publish meanwhile links a new release, and the one
+ * being read is only removed after the task has finished.
+ *
+ * @template T
+ * @param {(liveDir: string, manifest: Object<string, string>) => Promise<T>} task - Gets the live directory and its asset manifest
+ * @returns {Promise<T>}
+ */
+export async function withLiveSite(task) {
+  const { liveDir, manifest } = await withPublicSiteLock(async () => {
+    const dir = await getLiveDir();
+    readers.set(dir, (readers.get(dir) || 0) + 1);
+    return { liveDir: dir, manifest: getManifest() };
+  });
+
+  try {
+    return await task(liveDir, manifest);
+  } finally {
+    const count = readers.get(liveDir) - 1;
+    if (count > 0) {
+      readers.set(liveDir, count);
+    } else {
+      readers.delete(liveDir);
+      if (retired.delete(liveDir)) await removeRelease(liveDir);
+    }
+  }
+}
+
+/**
+ * Remove a release that is no longer live, or leave that to the last
+ * withLiveSite() task still reading it. SEED_DIR is never removed.
+ *
+ * @param {string} releaseDir
+ */
+async function removeRelease(releaseDir) {
+  if (path.dirname(releaseDir) !== RELEASES_DIR) return;
+
+  if (readers.has(releaseDir)) {
+    retired.add(releaseDir);
+    return;
+  }
+
+  try {
+    await fs.rm(releaseDir, { recursive: true, force: true });
+  } catch (error) {
+    log.warn('Failed to remove the previous release', { path: releaseDir, error: error.message });
+  }
+}
+
+/**
+ * Start building a new public site: a copy of the live one in a new release
+ * directory (on the same filesystem as PUBLIC_DIR, so it can be linked in)
+ *
+ * @returns {Promise<string>} The staging directory
+ */
+export async function createStaging() {
+  const stagingDir = path.join(RELEASES_DIR, randomUUID());
+
+  await fs.mkdir(RELEASES_DIR, { recursive: true });
+  try {
+    await fs.cp(await getLiveDir(), stagingDir, { recursive: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    await fs.mkdir(stagingDir);
+  }
+
+  return stagingDir;
+}
+
+/**
+ * Remove a staging directory, unless it was swapped in and is now live
+ *
+ * @param {string} stagingDir
+ */
+export async function discardStaging(stagingDir) {
+  if (stagingDir === await getLiveDir()) return;
+  await fs.rm(stagingDir, { recursive: true, force: true });
+}
+
+/**
+ * Check a staged site before it goes live: every fingerprinted file in the
+ * manifest exists, and every asset the given pages reference is either in
+ * the manifest or present as a file
+ *
+ * @param {string} stagingDir
+ * @param {Object<string, string>} manifest - Asset manifest the site will be served with
+ * @param {string[]} pagePaths - The pages to check
+ * @returns {Promise<Array<{ path: string, error: string }>>} The problems found
+ */
+export async function validateStaging(stagingDir, manifest, pagePaths) {
+  const problems = [];
+  const assetsDir = path.join(stagingDir, 'assets');
+
+  for (const [original, fingerprinted] of Object.entries(manifest)) {
+    if (!(await Bun.file(path.join(assetsDir, fingerprinted)).exists())) {
+      problems.push({ path: `assets/${original}`, error: `Fingerprinted file assets/${fingerprinted} is missing` });
+    }
+  }
+
+  for (const pagePath of pagePaths) {
+    const html = await fs.readFile(path.join(stagingDir, pagePath), 'utf-8');
+    const missing = new Set();
+
+    for (const [, reference] of html.matchAll(ASSET_REFERENCE_PATTERN)) {
+      if (reference in manifest || missing.has(reference)) continue;
+      if (!(await Bun.file(path.join(assetsDir, reference)).exists())) {
+        missing.add(reference);
+      }
+    }
+
+    for (const reference of missing) {
+      problems.push({ path: pagePath, error: `References missing asset assets/${reference}` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Write the asset manifest of the live site and load it into memory
+ *
+ * @param {Object<string, string>|null} manifest - null for a site without fingerprinted assets
+ */
+async function installManifest(manifest) {
+  const tempPath = `${MANIFEST_PATH}.${randomUUID()}`;
+  await fs.mkdir(path.dirname(MANIFEST_PATH), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(manifest ?? {}, null, 2));
+  await fs.rename(tempPath, MANIFEST_PATH);
+
+  await loadManifest();
+}
+
+/**
+ * Make a staged site live. PUBLIC_DIR is a symlink to the live site; a new
+ * symlink to the staging directory is renamed over it, which is atomic, so
+ * visitors see either the old or the new site. The previous release is then
+ * removed (see removeRelease()).
+ *
+ * The manifest is installed after the swap. The staged site keeps the old
+ * fingerprinted assets, so pages render correctly with either manifest.
+ *
+ * @param {string} stagingDir - From createStaging()
+ * @param {Object<string, string>|null|undefined} manifest - The new asset manifest, null for none, undefined to keep the current one
+ */
+export async function swapInStaging(stagingDir, manifest) {
+  const previousDir = await getLiveDir();
+
+  const link = `${PUBLIC_DIR}.link-${randomUUID()}`;
+  try {
+    await fs.symlink(path.relative(path.dirname(PUBLIC_DIR), stagingDir), link);
+    await fs.rename(link, PUBLIC_DIR);
+  } catch (error) {
+    await fs.rm(link, { force: true });
+    throw error;
+  }
+
+  if (manifest !== undefined) {
+    await installManifest(manifest);
+  }
+
+  await removeRelease(previousDir);
+}
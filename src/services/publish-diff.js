@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createUnifiedDiff, diffLines, diffStats } from '../lib/diff.js';
+import { resolveIncludes } from './partials.js';
+import { applySiteSettings } from './site-settings.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DRAFTS_DIR = path.join(__dirname, '../../data/drafts');
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
+
+/**
+ * How a draft is compared with the published page:
+ * - html: the page source, line by line
+ * - text: the visible text, one block element per line
+ */
+export const DIFF_MODES = ['html', 'text'];
+
+/** Elements that start a new line in the text view */
+const BLOCK_ELEMENTS = 'address|article|aside|blockquote|br|dd|div|dl|dt|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|td|th|title|tr|ul';
+
+/**
+ * Read a file, returning null if it does not exist
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * The visible text of a page, one line per block element
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function pageText(html) {
+  return html
+    .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(new RegExp(`</?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Read the draft and the published version of a page. The draft is returned
+ * with its partials included and the site settings applied, as it would be published.
+ *
+ * @param {string} pagePath - Already validated against both directories
+ * @returns {Promise<{ draftHtml: string|null, publicHtml: string|null }>}
+ */
+async function readVersions(pagePath) {
+  const [draftSource, publicHtml] = await Promise.all([
+    readIfExists(path.join(DRAFTS_DIR, pagePath)),
+    readIfExists(path.join(PUBLIC_DIR, pagePath))
+  ]);
+  const draftHtml = draftSource === null ? null : applySiteSettings((await resolveIncludes(draftSource)).html);
+  return { draftHtml, publicHtml };
+}
+
+/**
+ * Publish status of a page. A published page has unpublished changes when
+ * its draft content, partials included, differs from the published file.
+ *
+ * @param {string} pagePath - Already validated against both directories
+ * @returns {Promise<{ draftExists: boolean, isPublished: boolean, hasUnpublishedChanges: boolean }>}
+ */
+export async function getPublishState(pagePath) {
+  const { draftHtml, publicHtml } = await readVersions(pagePath);
+
+  return {
+    draftExists: draftHtml !== null,
+    isPublished: publicHtml !== null,
+    hasUnpublishedChanges: draftHtml !== null && publicHtml !== null && draftHtml !== publicHtml
+  };
+}
+
+/**
+ * Diff the published version of a page against its draft. An unpublished
+ * page is compared with an empty page.
+ *
+ * @param {string} pagePath - Already validated against both directories
+ * @param {string} [mode='html'] - One of DIFF_MODES
+ * @returns {Promise<object|null>} The diff, or null if there is no draft
+ */
+export async function diffDraftAgainstPublished(pagePath, mode = 'html') {
+  const { draftHtml, publicHtml } = await readVersions(pagePath);
+  if (draftHtml === null) return null;
+
+  const toText = mode === 'text' ? pageText : html => html;
+  const oldText = publicHtml === null ? '' : toText(publicHtml);
+  const newText = toText(draftHtml);
+
+  return {
+    pagePath,
+    mode,
+    isPublished: publicHtml !== null,
+    modified: publicHtml !== draftHtml,
+    diff: createUnifiedDiff(oldText, newText, {
+      oldLabel: publicHtml === null ? 'not published' : `published ${pagePath}`,
+      newLabel: `draft ${pagePath}`
+    }),
+    ...diffStats(diffLines(oldText, newText))
+  };
+}
@@ -0,0 +1,268 @@
+import { getDb } from '../db/index.js';
+import { logger } from '../lib/logger.js';
+import { recordAudit } from './audit.js';
+import { listPages } from './pages.js';
+import { StagingError } from './public-staging.js';
+import { hashPublicPage, publishPages, unpublishPage } from './publish.js';
+
+const log = logger.child('publish-jobs');
+
+/**
+ * What a job does when it runs:
+ * - publish:   publish one page, or every draft page if the job has no page
+ * - unpublish: take one page offline
+ */
+export const PUBLISH_JOB_ACTIONS = ['publish', 'unpublish'];
+
+/**
+ * Job lifecycle: pending → running → done | failed, or pending → cancelled
+ */
+export const PUBLISH_JOB_STATUSES = ['pending', 'running', 'done', 'failed', 'cancelled'];
+
+// Check for due jobs every 30 seconds
+const SCHEDULER_INTERVAL = 30 * 1000;
+
+let schedulerTimer = null;
+let runningDueJobs = false;
+
+/**
+ * Convert a database row into the public job shape
+ */
+function toPublishJob(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    pagePath: row.page_path,
+    runAt: row.run_at,
+    status: row.status,
+    error: row.error,
+    userId: row.user_id,
+    author: row.author,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP does (UTC), so run_at
+ * compares correctly with datetime('now')
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Schedule a publish or unpublish
+ *
+ * @param {object} job
+ * @param {string} job.action - One of PUBLISH_JOB_ACTIONS
+ * @param {string|null} job.pagePath - The page, or null to publish the whole site
+ * @param {Date} job.runAt - When to run the job
+ * @param {{ id: number|null, username: string|null }} job.user - Who scheduled it
+ * @returns {object} The new job
+ */
+export function schedulePublishJob({ action, pagePath, runAt, user }) {
+  const db = getDb();
+
+  db.query(`
+    INSERT INTO publish_jobs (action, page_path, run_at, user_id, author)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(action, pagePath ?? null, toSqlTimestamp(runAt), user?.id ?? null, user?.username ?? null);
+
+  const lastRow = db.query('SELECT last_insert_rowid() as id').get();
+  return getPublishJob(lastRow.id);
+}
+
+/**
+ * Get a job by id
+ *
+ * @param {number} id
+ * @returns {object|null}
+ */
+export function getPublishJob(id) {
+  const db = getDb();
+  const row = db.query('SELECT * FROM publish_jobs WHERE id = ?').get(id);
+  return row ? toPublishJob(row) : null;
+}
+
+/**
+ * List jobs, pending ones in the order they will run and others most recent first
+ *
+ * @param {object} [options]
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {number} [options.limit=100]
+ * @returns {object[]}
+ */
+export function listPublishJobs({ status, limit = 100 } = {}) {
+  const db = getDb();
+  const order = status === 'pending' ? 'run_at ASC, id ASC' : 'id DESC';
+
+  const rows = status
+    ? db.query(`SELECT * FROM publish_jobs WHERE status = ? ORDER BY ${order} LIMIT ?`).all(status, limit)
+    : db.query(`SELECT * FROM publish_jobs ORDER BY ${order} LIMIT ?`).all(limit);
+
+  return rows.map(toPublishJob);
+}
+
+/**
+ * Cancel a job that has not run yet
+ *
+ * @param {number} id
+ * @returns {boolean} Whether a pending job was cancelled
+ */
+export function cancelPublishJob(id) {
+  const db = getDb();
+  const result = db.query(`
+    UPDATE publish_jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(id);
+
+  return result.changes > 0;
+}
+
+/**
+ * Record the outcome of a job
+ */
+function finishPublishJob(id, status, error = null) {
+  const db = getDb();
+  db.query(`
+    UPDATE publish_jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, error, id);
+}
+
+/**
+ * Carry out a job. What it changed is recorded in the audit log like a
+ * publish from the editor, as done by the user who scheduled it.
+ *
+ * @param {object} job
+ * @returns {Promise<string|null>} Why the job failed, or null if it succeeded
+ */
+async function executePublishJob(job) {
+  const user = { id: job.userId, username: job.author };
+
+  if (job.action === 'unpublish') {
+    const beforeHash = await hashPublicPage(job.pagePath);
+    const { unpublished, snapshotId } = await unpublishPage(job.pagePath, user);
+    if (!unpublished) return 'Page is not published';
+
+    recordAudit({
+      action: 'publish.unpublish',
+      user,
+      target: job.pagePath,
+      details: { scheduled: true, jobId: job.id, snapshotId },
+      beforeHash
+    });
+    return null;
+  }
+
+  const pagePaths = job.pagePath ? [job.pagePath] : await listPages();
+  if (pagePaths.length === 0) {
+    return 'No pages to publish';
+  }
+
+  try {
+    const beforeHash = job.pagePath ? await hashPublicPage(job.pagePath) : null;
+    const { published, snapshotId } = await publishPages(pagePaths, user);
+
+    if (job.pagePath) {
+      recordAudit({
+        action: 'publish.page',
+        user,
+        target: job.pagePath,
+        details: { scheduled: true, jobId: job.id, snapshotId },
+        beforeHash,
+        afterHash: await hashPublicPage(job.pagePath)
+      });
+    } else {
+      recordAudit({
+        action: 'publish.all',
+        user,
+        details: { scheduled: true, jobId: job.id, pages: published.length, snapshotId }
+      });
+    }
+    return null;
+  } catch (error) {
+    if (error instanceof StagingError) {
+      return error.errors.map(e => `${e.path}: ${e.error}`).join('; ') || error.message;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run every pending job whose time has come, oldest first
+ *
+ * @returns {Promise<number>} How many jobs ran
+ */
+export async function runDuePublishJobs() {
+  if (runningDueJobs) return 0;
+  runningDueJobs = true;
+
+  const db = getDb();
+  let count = 0;
+
+  try {
+    const rows = db.query(`
+      SELECT * FROM publish_jobs
+      WHERE status = 'pending' AND run_at <= datetime('now')
+      ORDER BY run_at ASC, id ASC
+    `).all();
+
+    for (const row of rows) {
+      // Claim the job so a concurrent cancel can no longer change it
+      const claimed = db.query(`
+        UPDATE publish_jobs SET status = 'running' WHERE id = ? AND status = 'pending'
+      `).run(row.id);
+      if (claimed.changes === 0) continue;
+
+      const job = toPublishJob(row);
+      count++;
+
+      try {
+        const error = await executePublishJob(job);
+        finishPublishJob(job.id, error ? 'failed' : 'done', error);
+        log.info('Ran scheduled job', { id: job.id, action: job.action, pagePath: job.pagePath || '(all pages)', error });
+      } catch (error) {
+        finishPublishJob(job.id, 'failed', error.message);
+        log.error('Scheduled job error', { id: job.id, action: job.action, error: error.message });
+      }
+    }
+  } finally {
+    runningDueJobs = false;
+  }
+
+  return count;
+}
+
+/**
+ * Start the background scheduler that runs due publish jobs. Jobs left
+ * running by a previous process are retried, since publishing is idempotent.
+ */
+export function startPublishScheduler() {
+  if (schedulerTimer) return;
+
+  getDb().query(`UPDATE publish_jobs SET status = 'pending' WHERE status = 'running'`).run();
+
+  const tick = () => {
+    runDuePublishJobs().catch(error => {
+      log.error('Publish scheduler error', { error: error.message });
+    });
+  };
+
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL);
+  tick();
+}
+
+/**
+ * Stop the background scheduler
+ */
+export function stopPublishScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
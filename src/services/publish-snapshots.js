@@ -0,0 +1,427 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb } from '../db/index.js';
+import { logger } from '../lib/logger.js';
+import { getManifest } from './asset-manifest.js';
+import { createStaging, discardStaging, swapInStaging, validateStaging, withPublicSiteLock } from './public-staging.js';
+import { hashContent } from './revisions.js';
+
+const log = logger.child('publish-snapshots');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
+const SNAPSHOTS_DIR = path.join(__dirname, '../../data/snapshots');
+
+const SITEMAP_FILE = 'sitemap.xml';
+const MANIFEST_FILE = 'asset-manifest.json';
+const PAGES_DIR = 'pages';
+
+/** Snapshots kept when PUBLISH_SNAPSHOT_LIMIT is not set */
+const DEFAULT_SNAPSHOT_LIMIT = 50;
+
+/** A fingerprinted asset path, <name>.<hash>.<ext> (see fingerprintedName() in publish.js) */
+const FINGERPRINTED_PATTERN = /\.[0-9a-f]{8}(?:\.[^./]+)?$/;
+
+/**
+ * What produced a snapshot of the public site:
+ * - initial:   the live site found before the first recorded publish
+ * - publish:   one or more pages were published
+ * - unpublish: a page was taken offline
+ * - rollback:  an earlier snapshot was restored
+ */
+export const SNAPSHOT_ACTIONS = ['initial', 'publish', 'unpublish', 'rollback'];
+
+/**
+ * Error for snapshots that cannot be restored
+ */
+export class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+/**
+ * Convert a database row into the public snapshot shape
+ */
+function toSnapshot(row, includePages = false) {
+  const snapshot = {
+    id: row.id,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    pageCount: row.page_count,
+    restoredFrom: row.restored_from,
+    userId: row.user_id,
+    author: row.author,
+    createdAt: row.created_at
+  };
+
+  if (includePages) {
+    snapshot.pages = JSON.parse(row.pages);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Recursively list the HTML pages of the public site (or a staged copy), relative to it
+ */
+async function listPublicPages(publicDir = PUBLIC_DIR, dir = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(publicDir, dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const pages = [];
+  for (const entry of entries) {
+    const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      pages.push(...(await listPublicPages(publicDir, relativePath)));
+    } else if (entry.isFile() && entry.name.endsWith('.html')) {
+      pages.push(relativePath);
+    }
+  }
+
+  return pages.sort();
+}
+
+/**
+ * Copy a file if it exists
+ *
+ * @returns {Promise<boolean>} Whether the file existed
+ */
+async function copyIfExists(source, destination) {
+  try {
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await fs.copyFile(source, destination);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+/**
+ * Compare the page hashes of two snapshots
+ *
+ * @param {Object<string, string>} before
+ * @param {Object<string, string>} after
+ * @returns {Array<{ path: string, change: 'added'|'updated'|'removed' }>}
+ */
+function comparePages(before, after) {
+  const changes = [];
+
+  for (const [pagePath, hash] of Object.entries(after)) {
+    if (!(pagePath in before)) {
+      changes.push({ path: pagePath, change: 'added' });
+    } else if (before[pagePath] !== hash) {
+      changes.push({ path: pagePath, change: 'updated' });
+    }
+  }
+
+  for (const pagePath of Object.keys(before)) {
+    if (!(pagePath in after)) {
+      changes.push({ path: pagePath, change: 'removed' });
+    }
+  }
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Directory holding the files of a snapshot
+ */
+function snapshotDir(id) {
+  return path.join(SNAPSHOTS_DIR, String(id));
+}
+
+/**
+ * How many snapshots to keep: PUBLISH_SNAPSHOT_LIMIT, a positive integer
+ */
+function getSnapshotLimit() {
+  const limit = Number.parseInt(process.env.PUBLISH_SNAPSHOT_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_SNAPSHOT_LIMIT;
+}
+
+/**
+ * Delete all but the newest snapshots, rows and files
+ */
+async function pruneSnapshots() {
+  const db = getDb();
+  const limit = getSnapshotLimit();
+
+  const rows = db.query('SELECT id FROM publish_snapshots ORDER BY id DESC LIMIT -1 OFFSET ?').all(limit);
+  if (rows.length === 0) return;
+
+  const ids = rows.map(row => row.id);
+  db.query('DELETE FROM publish_snapshots WHERE id <= ?').run(ids[0]);
+
+  for (const id of ids) {
+    await fs.rm(snapshotDir(id), { recursive: true, force: true });
+  }
+
+  log.info('Pruned old publish snapshots', { removed: ids.length, kept: limit });
+}
+
+/**
+ * Recursively list the files below dir, relative to it
+ */
+async function listFiles(dir, base = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, base), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relativePath = base ? `${base}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(dir, relativePath)));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read the asset manifest recorded with a snapshot
+ *
+ * @returns {Promise<Object<string, string>|null>} null if it has none
+ */
+async function readSnapshotManifest(id) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(snapshotDir(id), MANIFEST_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Remove the fingerprinted assets from a staged site that neither its own
+ * manifest, the live one nor the manifest of any recorded snapshot uses. Every release
+ * starts as a copy of the previous one, so without this old assets would
+ * pile up forever; the ones a snapshot needs stay, so it can still be rolled
+ * back to. A failure is logged: leftover assets only waste space.
+ *
+ * @param {string} stagingDir - From createStaging()
+ * @param {Object<string, string>} manifest - The manifest the staged site goes live with
+ */
+export async function pruneStagedAssets(stagingDir, manifest) {
+  try {
+    // The live manifest too: its pages are served until the swap
+    const used = new Set([...Object.values(manifest), ...Object.values(getManifest())]);
+    for (const { id } of getDb().query('SELECT id FROM publish_snapshots').all()) {
+      for (const fingerprinted of Object.values((await readSnapshotManifest(id)) ?? {})) {
+        used.add(fingerprinted);
+      }
+    }
+
+    const assetsDir = path.join(stagingDir, 'assets');
+    let removed = 0;
+    for (const file of await listFiles(assetsDir)) {
+      const asset = file.endsWith('.br') ? file.slice(0, -'.br'.length) : file;
+      if (!FINGERPRINTED_PATTERN.test(asset) || used.has(asset)) continue;
+
+      await fs.rm(path.join(assetsDir, file), { force: true });
+      removed++;
+    }
+
+    if (removed > 0) {
+      log.info('Removed fingerprinted assets no snapshot uses', { removed });
+    }
+  } catch (error) {
+    log.warn('Failed to remove unused fingerprinted assets', { error: error.message });
+  }
+}
+
+/**
+ * Get the most recent snapshot row
+ */
+function getLatestSnapshotRow() {
+  return getDb().query('SELECT * FROM publish_snapshots ORDER BY id DESC LIMIT 1').get();
+}
+
+/**
+ * Record the public site as it is now: its pages, sitemap and asset manifest.
+ * New releases keep the fingerprinted assets any snapshot's manifest uses (see
+ * pruneStagedAssets()), so the manifest is enough to restore the assets a
+ * snapshot's pages reference. Only the newest PUBLISH_SNAPSHOT_LIMIT
+ * snapshots are kept.
+ *
+ * @param {object} options
+ * @param {string} options.action - One of SNAPSHOT_ACTIONS
+ * @param {{ id: number|null, username: string|null }} [options.user]
+ * @param {number} [options.restoredFrom] - The snapshot a rollback restored
+ * @returns {Promise<object>} The new snapshot
+ */
+export async function captureSnapshot({ action, user = null, restoredFrom = null }) {
+  const db = getDb();
+  const tempDir = path.join(SNAPSHOTS_DIR, `.tmp-${randomUUID()}`);
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+
+    const pages = {};
+    for (const pagePath of await listPublicPages()) {
+      const html = await fs.readFile(path.join(PUBLIC_DIR, pagePath), 'utf-8');
+      const destination = path.join(tempDir, PAGES_DIR, pagePath);
+      await fs.mkdir(path.dirname(destination), { recursive: true });
+      await fs.writeFile(destination, html, 'utf-8');
+      pages[pagePath] = hashContent(html);
+    }
+
+    await copyIfExists(path.join(PUBLIC_DIR, SITEMAP_FILE), path.join(tempDir, SITEMAP_FILE));
+    await fs.writeFile(path.join(tempDir, MANIFEST_FILE), JSON.stringify(getManifest(), null, 2));
+
+    const previous = getLatestSnapshotRow();
+    const changes = comparePages(previous ? JSON.parse(previous.pages) : {}, pages);
+
+    db.query(`
+      INSERT INTO publish_snapshots (action, pages, changes, page_count, restored_from, user_id, author)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      action,
+      JSON.stringify(pages),
+      JSON.stringify(changes),
+      Object.keys(pages).length,
+      restoredFrom,
+      user?.id ?? null,
+      user?.username ?? null
+    );
+    const { id } = db.query('SELECT last_insert_rowid() as id').get();
+
+    try {
+      await fs.rename(tempDir, snapshotDir(id));
+    } catch (error) {
+      db.query('DELETE FROM publish_snapshots WHERE id = ?').run(id);
+      throw error;
+    }
+
+    log.info('Captured publish snapshot', { id, action, pages: Object.keys(pages).length, changes: changes.length });
+
+    // A snapshot left behind is only wasted space, so this does not fail the capture
+    try {
+      await pruneSnapshots();
+    } catch (error) {
+      log.warn('Failed to prune old publish snapshots', { error: error.message });
+    }
+
+    return getSnapshot(id);
+  } catch (error) {
+    await fs.rm(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Capture the live site before the first recorded publish changes it, so the
+ * site as it was can be rolled back to
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureInitialSnapshot() {
+  if (getLatestSnapshotRow()) return;
+  if ((await listPublicPages()).length === 0) return;
+
+  await captureSnapshot({ action: 'initial' });
+}
+
+/**
+ * Get a snapshot by id, including its page hashes
+ *
+ * @param {number} id
+ * @returns {object|null}
+ */
+export function getSnapshot(id) {
+  const row = getDb().query('SELECT * FROM publish_snapshots WHERE id = ?').get(id);
+  return row ? toSnapshot(row, true) : null;
+}
+
+/**
+ * List snapshots, newest first
+ *
+ * @param {number} [limit=50]
+ * @returns {object[]}
+ */
+export function listSnapshots(limit = 50) {
+  const rows = getDb().query('SELECT * FROM publish_snapshots ORDER BY id DESC LIMIT ?').all(limit);
+  return rows.map(row => toSnapshot(row));
+}
+
+/**
+ * Make the public site match a snapshot again and record the result as a new
+ * snapshot. The restored site is built and checked in a staging directory and
+ * then swapped in, so a failure leaves the live site as it was. Runs under
+ * the public site lock, after any publish in progress.
+ *
+ * @param {number} id
+ * @param {{ id: number|null, username: string|null }} user
+ * @returns {Promise<object>} The snapshot recording the rollback
+ * @throws {SnapshotError} If the snapshot does not exist or cannot be restored
+ */
+export function rollbackToSnapshot(id, user) {
+  return withPublicSiteLock(() => restoreSnapshot(id, user));
+}
+
+/**
+ * The body of rollbackToSnapshot(), run under the public site lock
+ */
+async function restoreSnapshot(id, user) {
+  const snapshot = getSnapshot(id);
+  if (!snapshot) {
+    throw new SnapshotError('Snapshot not found');
+  }
+
+  const sourceDir = snapshotDir(id);
+  const stagingDir = await createStaging();
+
+  try {
+    for (const pagePath of await listPublicPages(stagingDir)) {
+      if (!(pagePath in snapshot.pages)) {
+        await fs.unlink(path.join(stagingDir, pagePath));
+      }
+    }
+
+    for (const pagePath of Object.keys(snapshot.pages)) {
+      if (!(await copyIfExists(path.join(sourceDir, PAGES_DIR, pagePath), path.join(stagingDir, pagePath)))) {
+        throw new SnapshotError(`Snapshot #${id} is missing ${pagePath}`);
+      }
+    }
+
+    if (!(await copyIfExists(path.join(sourceDir, SITEMAP_FILE), path.join(stagingDir, SITEMAP_FILE)))) {
+      await fs.rm(path.join(stagingDir, SITEMAP_FILE), { force: true });
+    }
+
+    let manifest = null;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(sourceDir, MANIFEST_FILE), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await pruneStagedAssets(stagingDir, manifest ?? {});
+
+    const problems = await validateStaging(stagingDir, manifest ?? {}, Object.keys(snapshot.pages));
+    if (problems.length > 0) {
+      throw new SnapshotError(`Snapshot #${id} cannot be restored: ${problems.map(p => `${p.path}: ${p.error}`).join('; ')}`);
+    }
+
+    await swapInStaging(stagingDir, manifest);
+  } finally {
+    await discardStaging(stagingDir);
+  }
+
+  return captureSnapshot({ action: 'rollback', user, restoredFrom: id });
+}
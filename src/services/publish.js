@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { brotliCompressSync } from 'zlib';
+import { fileURLToPath } from 'url';
+import { logger } from '../lib/logger.js';
+import { getManifest } from './asset-manifest.js';
+import { deployPublicSite } from './deploy/index.js';
+import { resolveIncludes } from './partials.js';
+import { captureSnapshot, ensureInitialSnapshot, pruneStagedAssets } from './publish-snapshots.js';
+import { applySiteSettings } from './site-settings.js';
+import {
+  createStaging,
+  discardStaging,
+  StagingError,
+  swapInStaging,
+  validateStaging,
+  withPublicSiteLock
+} from './public-staging.js';
+import { hashContent, recordRevision } from './revisions.js';
+import { generateSitemap } from './sitemap.js';
+
+const log = logger.child('publish');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DRAFTS_DIR = path.join(__dirname, '../../data/drafts');
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
+const DRAFTS_ASSETS_DIR = path.join(DRAFTS_DIR, 'assets');
+const MD_FINGERPRINT_LENGTH = 8;
+
+/**
+ * Recursively list all file paths under dir, relative to dir
+ */
+async function listFilesRecursive(dir, base = '') {
+  const entries = await fs.readdir(path.join(dir, base), { withFileTypes: true });
+  const files = [];
+  for (const e of entries) {
+    const rel = base ? `${base}/${e.name}` : e.name;
+    if (e.isDirectory()) {
+      files.push(...(await listFilesRecursive(dir, rel)));
+    } else {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+/**
+ * Return fingerprinted filename: insert .<hash> before the last extension.
+ * e.g. "css/bootstrap.min.css" + hash -> "css/bootstrap.min.<hash>.css"
+ */
+function fingerprintedName(relativePath, hash) {
+  const dir = path.dirname(relativePath);
+  const base = path.basename(relativePath);
+  const lastDot = base.lastIndexOf('.');
+  if (lastDot <= 0) return path.join(dir, `${base}.${hash}`);
+  const nameWithoutExt = base.slice(0, lastDot);
+  const ext = base.slice(lastDot);
+  const newBase = `${nameWithoutExt}.${hash}${ext}`;
+  return dir ? path.join(dir, newBase) : newBase;
+}
+
+/**
+ * Publish all drafts/assets/ files to <publicDir>/assets/ with shortened MD5 fingerprints.
+ * For each file: copy as <name>.<hash>.<ext> and create a Brotli-compressed .br version.
+ * Existing .br files from drafts are skipped (regenerated from the source).
+ *
+ * @param {string} publicDir - The staged public directory
+ * @returns {Promise<Object<string, string>|undefined>} Asset manifest mapping original
+ *   paths to fingerprinted paths, or undefined if there are no draft assets
+ */
+async function publishDraftAssets(publicDir) {
+  let entries;
+  try {
+    entries = await listFilesRecursive(DRAFTS_ASSETS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return undefined; // no drafts/assets
+    throw err;
+  }
+
+  const hashByBasePath = new Map(); // relative path -> hash
+
+  for (const rel of entries) {
+    // Skip existing .br files from drafts — we generate fresh ones below
+    if (rel.endsWith('.br')) continue;
+
+    const fullPath = path.join(DRAFTS_ASSETS_DIR, rel);
+    const content = await fs.readFile(fullPath);
+    const hash = crypto
+      .createHash('md5')
+      .update(content)
+      .digest('hex')
+      .slice(0, MD_FINGERPRINT_LENGTH);
+    hashByBasePath.set(rel, hash);
+
+    const outName = fingerprintedName(rel, hash);
+    const outPath = path.join(publicDir, 'assets', outName);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+
+    // Write the fingerprinted file
+    await fs.writeFile(outPath, content);
+
+    // Write a Brotli-compressed version alongside it
+    const compressed = brotliCompressSync(content);
+    await fs.writeFile(outPath + '.br', compressed);
+  }
+
+  const manifest = {};
+  for (const [rel, hash] of hashByBasePath) {
+    manifest[rel] = fingerprintedName(rel, hash);
+  }
+  return manifest;
+}
+
+/**
+ * Write a draft page, with its partials included and the site settings applied,
+ * into the staged public directory
+ *
+ * @returns {Promise<string>} The draft HTML (with include markers)
+ * @throws {Error} If a partial the page includes cannot be resolved
+ */
+async function stageDraftPage(pagePath, publicDir) {
+  const sourcePath = path.join(DRAFTS_DIR, pagePath);
+  const destPath = path.join(publicDir, pagePath);
+
+  const html = await fs.readFile(sourcePath, 'utf-8');
+  const { html: resolvedHtml, errors } = await resolveIncludes(html);
+  if (errors.length > 0) {
+    throw new Error(errors.map(e => `Partial "${e.name}": ${e.error}`).join('; '));
+  }
+
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.writeFile(destPath, applySiteSettings(resolvedHtml), 'utf-8');
+  return html;
+}
+
+/**
+ * Regenerate sitemap.xml, logging instead of failing the publish on errors
+ *
+ * @param {string} [publicDir] - Defaults to the live public directory
+ * @returns {Promise<object|undefined>}
+ */
+async function regenerateSitemap(publicDir = PUBLIC_DIR) {
+  try {
+    return await generateSitemap(publicDir);
+  } catch (sitemapError) {
+    log.error('Failed to generate sitemap', { error: sitemapError.message });
+    return undefined;
+  }
+}
+
+/**
+ * Capture the live site before the first recorded publish changes it
+ */
+async function preserveInitialSite() {
+  try {
+    await ensureInitialSnapshot();
+  } catch (error) {
+    log.error('Failed to capture initial publish snapshot', { error: error.message });
+  }
+}
+
+/**
+ * Snapshot the public site after it changed. A failed snapshot is logged
+ * rather than failing the publish, which has already happened.
+ *
+ * @returns {Promise<number|null>} The snapshot id
+ */
+async function snapshotPublicSite(action, user) {
+  try {
+    const snapshot = await captureSnapshot({ action, user });
+    return snapshot.id;
+  } catch (error) {
+    log.error('Failed to capture publish snapshot', { error: error.message, action });
+    return null;
+  }
+}
+
+/**
+ * Hash of a page on the public site, for the audit log
+ *
+ * @param {string} pagePath - Already validated
+ * @returns {Promise<string|null>} null if the page is not published
+ */
+export async function hashPublicPage(pagePath) {
+  try {
+    return hashContent(await fs.readFile(path.join(PUBLIC_DIR, pagePath), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Publish draft pages together with the draft assets and refresh the sitemap.
+ *
+ * The new site is built in a staging copy of the public directory and checked
+ * (complete asset manifest, no references to missing assets) before it is
+ * swapped in, so visitors never see a half-published site. If any page or
+ * asset fails, nothing is published. The new site is then pushed to the
+ * configured deploy targets.
+ *
+ * @param {string[]} pagePaths - Draft pages to publish (already validated)
+ * @param {{ id: number|null, username: string|null }} user - Recorded as author of the publish revisions
+ * @returns {Promise<{ published: string[], sitemap: object|undefined, snapshotId: number|null, deployments: object[] }>}
+ * @throws {StagingError} If the site could not be built or failed validation; the live site is unchanged
+ */
+export async function publishPages(pagePaths, user) {
+  const result = await withPublicSiteLock(() => swapInPages(pagePaths, user));
+  return { ...result, deployments: await deployPublicSite() };
+}
+
+/**
+ * The part of publishPages() that changes the public site; run under the public site lock
+ */
+async function swapInPages(pagePaths, user) {
+  await preserveInitialSite();
+
+  const stagingDir = await createStaging();
+  const published = new Map(); // page path -> html
+  let sitemap;
+
+  try {
+    const errors = [];
+
+    for (const pagePath of pagePaths) {
+      try {
+        published.set(pagePath, await stageDraftPage(pagePath, stagingDir));
+      } catch (error) {
+        log.error(`Failed to publish ${pagePath}`, { error: error.message });
+        errors.push({ path: pagePath, error: error.message });
+      }
+    }
+
+    let manifest;
+    try {
+      manifest = await publishDraftAssets(stagingDir);
+    } catch (assetsError) {
+      log.error('Failed to publish draft assets', { error: assetsError.message });
+      errors.push({ path: 'assets', error: assetsError.message });
+    }
+
+    if (errors.length === 0) {
+      await pruneStagedAssets(stagingDir, manifest ?? getManifest());
+      errors.push(...(await validateStaging(stagingDir, manifest ?? getManifest(), [...published.keys()])));
+    }
+
+    if (errors.length > 0) {
+      throw new StagingError('Publish aborted; the live site was not changed', errors);
+    }
+
+    sitemap = await regenerateSitemap(stagingDir);
+    await swapInStaging(stagingDir, manifest);
+  } finally {
+    await discardStaging(stagingDir);
+  }
+
+  for (const [pagePath, html] of published) {
+    recordRevision(pagePath, html, { source: 'publish', user });
+  }
+
+  const snapshotId = await snapshotPublicSite('publish', user);
+  return { published: [...published.keys()], sitemap, snapshotId };
+}
+
+/**
+ * Remove a page from the public site, refresh the sitemap and push the
+ * change to the deploy targets. Like a publish, this is done in a staging
+ * copy that is swapped in.
+ *
+ * @param {string} pagePath - Published page (already validated)
+ * @param {{ id: number|null, username: string|null }} user - Recorded as author of the snapshot
+ * @returns {Promise<{ unpublished: boolean, sitemap?: object, snapshotId?: number|null, deployments?: object[] }>} unpublished is false if the page was not published
+ */
+export async function unpublishPage(pagePath, user) {
+  const result = await withPublicSiteLock(() => swapOutPage(pagePath, user));
+  if (!result.unpublished) return result;
+  return { ...result, deployments: await deployPublicSite() };
+}
+
+/**
+ * The part of unpublishPage() that changes the public site; run under the public site lock
+ */
+async function swapOutPage(pagePath, user) {
+  if (!(await Bun.file(path.join(PUBLIC_DIR, pagePath)).exists())) {
+    return { unpublished: false };
+  }
+
+  await preserveInitialSite();
+
+  const stagingDir = await createStaging();
+  let sitemap;
+  try {
+    await fs.unlink(path.join(stagingDir, pagePath));
+    await pruneStagedAssets(stagingDir, getManifest());
+    sitemap = await regenerateSitemap(stagingDir);
+    await swapInStaging(stagingDir);
+  } finally {
+    await discardStaging(stagingDir);
+  }
+
+  const snapshotId = await snapshotPublicSite('unpublish', user);
+  return { unpublished: true, sitemap, snapshotId };
+}
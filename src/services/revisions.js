@@ -0,0 +1,306 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+
+/**
+ * Where a revision came from:
+ * - import:  the untracked draft content found before the first recorded save
+ * - chat:    an AI edit or page creation via POST /api/chat
+ * - manual:  a direct save via PUT /api/pages/*
+ * - publish: the draft content at the moment it was published
+ * - restore: an older revision written back to the draft
+ */
+export const REVISION_SOURCES = ['import', 'chat', 'manual', 'publish', 'restore'];
+
+const REVISION_COLUMNS = 'id, page_path, content_hash, source, prompt, user_id, author, parent_id, created_at';
+
+/**
+ * Hash page content for change detection
+ *
+ * @param {string} html
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashContent(html) {
+  return crypto.createHash('sha256').update(html, 'utf-8').digest('hex');
+}
+
+/**
+ * Convert a database row into the public revision shape
+ */
+function toRevision(row, includeHtml = false) {
+  const revision = {
+    id: row.id,
+    pagePath: row.page_path,
+    contentHash: row.content_hash,
+    source: row.source,
+    prompt: row.prompt,
+    userId: row.user_id,
+    author: row.author,
+    parentId: row.parent_id,
+    createdAt: row.created_at
+  };
+
+  if (includeHtml) {
+    revision.html = row.html;
+  }
+
+  return revision;
+}
+
+/**
+ * Insert a revision row
+ */
+function insertRevision(pagePath, html, source, prompt, user, parentId) {
+  const db = getDb();
+
+  db.query(`
+    INSERT INTO page_revisions (page_path, html, content_hash, source, prompt, user_id, author, parent_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(pagePath, html, hashContent(html), source, prompt || null, user?.id ?? null, user?.username ?? null, parentId ?? null);
+
+  const lastRow = db.query('SELECT last_insert_rowid() as id').get();
+  return getRevision(lastRow.id, false);
+}
+
+/**
+ * Move the edit stack of a page to the given revision
+ *
+ * @param {string} pagePath
+ * @param {number} revisionId
+ */
+export function setEditCursor(pagePath, revisionId) {
+  const db = getDb();
+
+  db.query(`
+    INSERT OR REPLACE INTO page_edit_cursors (page_path, revision_id)
+    VALUES (?, ?)
+  `).run(pagePath, revisionId);
+}
+
+/**
+ * Get the revision the draft currently corresponds to: the edit stack cursor,
+ * or the newest non-publish revision for pages recorded before cursors existed.
+ *
+ * @param {string} pagePath
+ * @param {boolean} [includeHtml=false]
+ * @returns {object|null}
+ */
+export function getHeadRevision(pagePath, includeHtml = false) {
+  const db = getDb();
+  const columns = (includeHtml ? `${REVISION_COLUMNS}, html` : REVISION_COLUMNS)
+    .split(', ')
+    .map(c => `r.${c}`)
+    .join(', ');
+
+  const row = db.query(`
+    SELECT ${columns} FROM page_edit_cursors c
+    JOIN page_revisions r ON r.id = c.revision_id
+    WHERE c.page_path = ?
+  `).get(pagePath) || db.query(`
+    SELECT ${columns} FROM page_revisions r
+    WHERE r.page_path = ? AND r.source != 'publish'
+    ORDER BY r.id DESC
+    LIMIT 1
+  `).get(pagePath);
+
+  return row ? toRevision(row, includeHtml) : null;
+}
+
+/**
+ * Record a saved version of a page.
+ *
+ * When the page has no history yet and `previousHtml` is given, the content it
+ * replaced is stored first as an "import" revision so it can be restored later.
+ * Saves that don't change the content are skipped unless they are publishes.
+ *
+ * Every non-publish revision is stacked on top of the current head revision
+ * (its parent) and becomes the new head, which is what undo/redo walk along.
+ *
+ * @param {string} pagePath - Relative path to the page
+ * @param {string} html - The content that was saved
+ * @param {object} options
+ * @param {string} options.source - One of REVISION_SOURCES
+ * @param {string} [options.prompt] - The chat prompt (or note) that produced this version
+ * @param {{id: number, username: string}} [options.user] - The author
+ * @param {string|null} [options.previousHtml] - Draft content before this save
+ * @returns {object|null} The new revision (without html), or null if skipped
+ */
+export function recordRevision(pagePath, html, { source, prompt = null, user = null, previousHtml = null }) {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`Unknown revision source: ${source}`);
+  }
+
+  let head = getHeadRevision(pagePath);
+
+  if (!head && previousHtml && previousHtml !== html) {
+    head = insertRevision(pagePath, previousHtml, 'import', null, null, null);
+    setEditCursor(pagePath, head.id);
+  }
+
+  if (source === 'publish') {
+    return insertRevision(pagePath, html, source, prompt, user, null);
+  }
+
+  if (head && head.contentHash === hashContent(html)) {
+    return null;
+  }
+
+  const revision = insertRevision(pagePath, html, source, prompt, user, head?.id);
+  setEditCursor(pagePath, revision.id);
+  return revision;
+}
+
+/**
+ * List revisions of a page, newest first (without html)
+ *
+ * @param {string} pagePath
+ * @param {number} [limit=100]
+ * @returns {object[]}
+ */
+export function listRevisions(pagePath, limit = 100) {
+  const db = getDb();
+
+  const rows = db.query(`
+    SELECT ${REVISION_COLUMNS} FROM page_revisions
+    WHERE page_path = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(pagePath, limit);
+
+  return rows.map(row => toRevision(row));
+}
+
+/**
+ * Get a single revision
+ *
+ * @param {number} id
+ * @param {boolean} [includeHtml=true]
+ * @returns {object|null}
+ */
+export function getRevision(id, includeHtml = true) {
+  const db = getDb();
+  const columns = includeHtml ? `${REVISION_COLUMNS}, html` : REVISION_COLUMNS;
+
+  const row = db.query(`SELECT ${columns} FROM page_revisions WHERE id = ?`).get(id);
+
+  return row ? toRevision(row, includeHtml) : null;
+}
+
+/**
+ * Get the most recent revision of a page
+ *
+ * @param {string} pagePath
+ * @param {boolean} [includeHtml=false]
+ * @returns {object|null}
+ */
+export function getLatestRevision(pagePath, includeHtml = false) {
+  const db = getDb();
+  const columns = includeHtml ? `${REVISION_COLUMNS}, html` : REVISION_COLUMNS;
+
+  const row = db.query(`
+    SELECT ${columns} FROM page_revisions
+    WHERE page_path = ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(pagePath);
+
+  return row ? toRevision(row, includeHtml) : null;
+}
+
+/**
+ * Get the revision saved just before the given one for the same page
+ *
+ * @param {{id: number, pagePath: string}} revision
+ * @returns {object|null} Revision with html, or null if it is the oldest
+ */
+export function getPreviousRevision(revision) {
+  const db = getDb();
+
+  const row = db.query(`
+    SELECT ${REVISION_COLUMNS}, html FROM page_revisions
+    WHERE page_path = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(revision.pagePath, revision.id);
+
+  return row ? toRevision(row, true) : null;
+}
+
+/**
+ * Get the revision undo would return to: the parent of the head revision
+ *
+ * @param {string} pagePath
+ * @returns {object|null} Revision with html, or null if there is nothing to undo
+ */
+export function getUndoTarget(pagePath) {
+  const head = getHeadRevision(pagePath);
+  if (!head?.parentId) return null;
+
+  return getRevision(head.parentId);
+}
+
+/**
+ * Get the revision redo would move to: the newest edit stacked directly on
+ * the head revision. After undo followed by a new edit, the new edit wins.
+ *
+ * @param {string} pagePath
+ * @returns {object|null} Revision with html, or null if there is nothing to redo
+ */
+export function getRedoTarget(pagePath) {
+  const head = getHeadRevision(pagePath);
+  if (!head) return null;
+
+  const db = getDb();
+  const row = db.query(`
+    SELECT ${REVISION_COLUMNS}, html FROM page_revisions
+    WHERE page_path = ? AND parent_id = ? AND source != 'publish'
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(pagePath, head.id);
+
+  return row ? toRevision(row, true) : null;
+}
+
+/**
+ * Summarize the undo/redo state of a page for the editor
+ *
+ * @param {string} pagePath
+ * @returns {{ revisionId: number|null, canUndo: boolean, canRedo: boolean, undo: object|null, redo: object|null }}
+ */
+export function getEditState(pagePath) {
+  const head = getHeadRevision(pagePath);
+  const undoTarget = getUndoTarget(pagePath);
+  const redoTarget = getRedoTarget(pagePath);
+
+  return {
+    revisionId: head?.id ?? null,
+    canUndo: !!undoTarget,
+    canRedo: !!redoTarget,
+    // Undo reverts the head revision; redo re-applies the redo target
+    undo: undoTarget ? { revisionId: head.id, source: head.source, prompt: head.prompt } : null,
+    redo: redoTarget ? { revisionId: redoTarget.id, source: redoTarget.source, prompt: redoTarget.prompt } : null
+  };
+}
+
+/**
+ * Get the ids of the revisions the draft is built on: the head revision and
+ * all its ancestors. Edits outside this set have been undone.
+ *
+ * @param {string} pagePath
+ * @returns {Set<number>}
+ */
+export function getActiveRevisionIds(pagePath) {
+  const head = getHeadRevision(pagePath);
+  if (!head) return new Set();
+
+  const db = getDb();
+  const rows = db.query(`
+    WITH RECURSIVE chain(id, parent_id) AS (
+      SELECT id, parent_id FROM page_revisions WHERE id = ?
+      UNION ALL
+      SELECT r.id, r.parent_id FROM page_revisions r JOIN chain c ON r.id = c.parent_id
+    )
+    SELECT id FROM chain
+  `).all(head.id);
+
+  return new Set(rows.map(row => row.id));
+}
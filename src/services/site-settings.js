@@ -0,0 +1,204 @@
+import { getDb } from '../db/index.js';
+
+/**
+ * Site-wide settings, stored as key/value rows in site_settings:
+ * - siteTitle:        name of the site, used for og:site_name and by the AI
+ * - baseUrl:          public URL of the site (no trailing slash), used by the sitemap
+ * - defaultLang:      lang attribute for pages that do not set one
+ * - faviconUrl:       added as <link rel="icon"> to pages that have none
+ * - ogImageUrl:       added as og:image to pages that have none
+ * - analyticsSnippet: HTML added to the <head> of published pages
+ */
+export const SITE_SETTING_KEYS = ['siteTitle', 'baseUrl', 'defaultLang', 'faviconUrl', 'ogImageUrl', 'analyticsSnippet'];
+
+/** BCP 47 language tags such as "en", "de-CH" or "zh-Hant" */
+const LANG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/** URL values without quotes, angle brackets or whitespace; see parseHttpUrl() */
+const URL_VALUE_PATTERN = /^[^\s"'<>`]+$/;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_SNIPPET_LENGTH = 10000;
+
+/**
+ * Values used for settings that have not been saved
+ */
+function defaultSettings() {
+  return {
+    siteTitle: '',
+    baseUrl: (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, ''),
+    defaultLang: 'en',
+    faviconUrl: '',
+    ogImageUrl: '',
+    analyticsSnippet: ''
+  };
+}
+
+/**
+ * Get all site settings, with defaults for the ones not saved
+ *
+ * @returns {{ siteTitle: string, baseUrl: string, defaultLang: string, faviconUrl: string, ogImageUrl: string, analyticsSnippet: string }}
+ */
+export function getSiteSettings() {
+  const db = getDb();
+  const settings = defaultSettings();
+
+  for (const row of db.query('SELECT key, value FROM site_settings').all()) {
+    if (SITE_SETTING_KEYS.includes(row.key)) {
+      settings[row.key] = row.value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Parse a URL value the way pages will use it: relative to the base URL.
+ * Only http(s) URLs are accepted, so "javascript:" and the like are not.
+ *
+ * @param {string} value
+ * @param {string} [baseUrl] - Without trailing slash; omit for absolute URLs only
+ * @returns {URL|null} null if the value is not a valid http(s) URL
+ */
+function parseHttpUrl(value, baseUrl) {
+  if (!URL_VALUE_PATTERN.test(value)) return null;
+
+  let url;
+  try {
+    url = baseUrl === undefined ? new URL(value) : new URL(value, `${baseUrl}/`);
+  } catch {
+    return null;
+  }
+  return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+}
+
+/**
+ * Check a single setting value
+ *
+ * @param {string} key
+ * @param {string} value
+ * @param {string} baseUrl - The base URL that will be saved with it
+ * @returns {string|null} An error message, or null if the value is valid
+ */
+function validateSetting(key, value, baseUrl) {
+  switch (key) {
+    case 'siteTitle':
+      return value.length > MAX_TITLE_LENGTH ? `Site title must be at most ${MAX_TITLE_LENGTH} characters` : null;
+    case 'baseUrl':
+      return parseHttpUrl(value) ? null : 'Base URL must be an http:// or https:// URL';
+    case 'defaultLang':
+      return LANG_PATTERN.test(value) ? null : 'Default language must be a language code such as "en" or "de-CH"';
+    case 'faviconUrl':
+      return parseHttpUrl(value, baseUrl) ? null : 'Favicon must be an http(s) URL or a path such as "/assets/favicon.ico"';
+    case 'ogImageUrl':
+      return parseHttpUrl(value, baseUrl) ? null : 'Open Graph image must be an http(s) URL or a path such as "/assets/og.png"';
+    case 'analyticsSnippet':
+      return value.length > MAX_SNIPPET_LENGTH ? `Analytics snippet must be at most ${MAX_SNIPPET_LENGTH} characters` : null;
+    default:
+      return `Unknown setting: ${key}`;
+  }
+}
+
+/**
+ * Save site settings. Only the given keys are changed; an empty value
+ * resets a setting to its default.
+ *
+ * @param {Object<string, string>} values
+ * @returns {{ success: boolean, error?: string, settings?: object }}
+ */
+export function updateSiteSettings(values) {
+  const updates = [];
+
+  // Trailing slashes would double up when paths are appended
+  const normalize = (key, rawValue) => key === 'baseUrl' ? rawValue.trim().replace(/\/+$/, '') : rawValue.trim();
+
+  // URL settings are checked against the base URL they will be resolved with
+  const baseUrl = typeof values.baseUrl === 'string'
+    ? normalize('baseUrl', values.baseUrl) || defaultSettings().baseUrl
+    : getSiteSettings().baseUrl;
+
+  for (const [key, rawValue] of Object.entries(values)) {
+    if (!SITE_SETTING_KEYS.includes(key)) {
+      return { success: false, error: `Unknown setting: ${key}` };
+    }
+    if (typeof rawValue !== 'string') {
+      return { success: false, error: `${key} must be a string` };
+    }
+
+    const value = normalize(key, rawValue);
+    if (value) {
+      const error = validateSetting(key, value, baseUrl);
+      if (error) return { success: false, error };
+    }
+    updates.push([key, value]);
+  }
+
+  const db = getDb();
+  const upsert = db.query(`
+    INSERT INTO site_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const remove = db.query('DELETE FROM site_settings WHERE key = ?');
+
+  db.transaction(() => {
+    for (const [key, value] of updates) {
+      if (value) {
+        upsert.run(key, value);
+      } else {
+        remove.run(key);
+      }
+    }
+  })();
+
+  return { success: true, settings: getSiteSettings() };
+}
+
+/**
+ * Escape a value for a double-quoted HTML attribute
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Apply the site settings to a page: a lang attribute, favicon, og:site_name
+ * and og:image for pages that do not set their own, and the analytics snippet.
+ * Pages without a <head> only get the lang attribute.
+ *
+ * @param {string} html
+ * @param {object} [options]
+ * @param {boolean} [options.analytics=true] - Add the analytics snippet; off for
+ *   previews so editors do not show up in the statistics
+ * @returns {string}
+ */
+export function applySiteSettings(html, { analytics = true } = {}) {
+  const settings = getSiteSettings();
+
+  const result = html.replace(/<html\b([^>]*)>/i, (tag, attributes) =>
+    /\slang\s*=/i.test(attributes) ? tag : `<html lang="${escapeAttribute(settings.defaultLang)}"${attributes}>`
+  );
+
+  const head = [];
+  if (settings.faviconUrl && !/<link\b[^>]*\brel\s*=\s*["']?(shortcut )?icon\b/i.test(result)) {
+    head.push(`<link rel="icon" href="${escapeAttribute(settings.faviconUrl)}">`);
+  }
+  if (settings.siteTitle && !/<meta\b[^>]*\bproperty\s*=\s*["']?og:site_name\b/i.test(result)) {
+    head.push(`<meta property="og:site_name" content="${escapeAttribute(settings.siteTitle)}">`);
+  }
+  if (settings.ogImageUrl && !/<meta\b[^>]*\bproperty\s*=\s*["']?og:image\b/i.test(result)) {
+    // Open Graph wants absolute URLs. Values saved before they were checked
+    // this way may not parse; those are left out rather than failing the page.
+    const imageUrl = parseHttpUrl(settings.ogImageUrl, settings.baseUrl);
+    if (imageUrl) {
+      head.push(`<meta property="og:image" content="${escapeAttribute(imageUrl.href)}">`);
+    }
+  }
+  if (analytics && settings.analyticsSnippet) {
+    head.push(settings.analyticsSnippet);
+  }
+
+  if (head.length === 0 || !/<\/head>/i.test(result)) {
+    return result;
+  }
+  return result.replace(/<\/head>/i, () => `  ${head.join('\n  ')}\n</head>`);
+}
@@ -2,23 +2,26 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../lib/logger.js';
+import { getSiteSettings } from './site-settings.js';
 
 const log = logger.child('sitemap');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const PUBLIC_DIR = path.join(__dirname, '../../data/public');
-const SITEMAP_PATH = path.join(PUBLIC_DIR, 'sitemap.xml');
+const PUBLIC_DIR = path.join(__dirname, '../../data/public-live');
+const SITEMAP_FILE = 'sitemap.xml';
+const SITEMAP_PATH = path.join(PUBLIC_DIR, SITEMAP_FILE);
 
 /**
  * List all published HTML pages in the public directory
  * 
+ * @param {string} publicDir - The public directory (or a staged copy of it)
  * @param {string} dir - Directory to scan (relative to public)
  * @returns {Promise<Array<{path: string, lastmod: string}>>} - Array of page info
  */
-async function listPublishedPages(dir = '') {
-  const fullDir = path.join(PUBLIC_DIR, dir);
+async function listPublishedPages(publicDir, dir = '') {
+  const fullDir = path.join(publicDir, dir);
   const pages = [];
 
   try {
@@ -29,7 +32,7 @@ async function listPublishedPages(dir = '') {
 
       if (entry.isDirectory()) {
         // Recursively scan subdirectories
-        const subPages = await listPublishedPages(relativePath);
+        const subPages = await listPublishedPages(publicDir, relativePath);
         pages.push(...subPages);
       } else if (entry.isFile() && entry.name.endsWith('.html')) {
         // Get file stats for lastmod
@@ -123,23 +126,24 @@ function escapeXml(str) {
 /**
  * Generate and save the sitemap.xml file
  * 
+ * @param {string} [publicDir] - Where to write it; defaults to the public directory
  * @returns {Promise<{success: boolean, pageCount: number, path: string}>}
  */
-export async function generateSitemap() {
-  const baseUrl = process.env.SITE_URL || 'http://localhost:3000';
+export async function generateSitemap(publicDir = PUBLIC_DIR) {
+  const { baseUrl } = getSiteSettings();
   
   try {
     // Ensure public directory exists
-    await fs.mkdir(PUBLIC_DIR, { recursive: true });
+    await fs.mkdir(publicDir, { recursive: true });
     
     // Get all published pages
-    const pages = await listPublishedPages();
+    const pages = await listPublishedPages(publicDir);
     
     // Generate sitemap XML
     const sitemapXml = generateSitemapXml(pages, baseUrl);
     
     // Write sitemap to file
-    await fs.writeFile(SITEMAP_PATH, sitemapXml, 'utf-8');
+    await fs.writeFile(path.join(publicDir, SITEMAP_FILE), sitemapXml, 'utf-8');
     
     log.info(`Sitemap generated with ${pages.length} pages`);
     
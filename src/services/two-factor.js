@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { getDb } from '../db/index.js';
+import { qrCodeSvg } from '../lib/qr-code.js';
+import { otpauthUri, verifyTotp } from '../lib/totp.js';
+import { hasRole } from './auth.js';
+
+/** Issuer shown in authenticator apps */
+const TOTP_ISSUER = 'Capuzzella';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/** site_settings key of the policy requiring 2FA for publishers and admins */
+const POLICY_KEY = 'requireTwoFactorForPublishers';
+
+/**
+ * Hash a recovery code. Codes are random and long, so a plain SHA-256 is enough.
+ */
+function hashRecoveryCode(code) {
+  const normalized = code.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a recovery code such as "k3f9q-x7m2p"
+ */
+function generateRecoveryCode() {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = [...crypto.randomBytes(10)].map(byte => alphabet[byte % alphabet.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+/**
+ * What a user needs to add a secret to an authenticator app
+ *
+ * @param {string} username
+ * @param {string} secret
+ * @returns {{ secret: string, uri: string, qrSvg: string }}
+ */
+export function describeTwoFactorSetup(username, secret) {
+  const uri = otpauthUri({ issuer: TOTP_ISSUER, account: username, secret });
+  return { secret, uri, qrSvg: qrCodeSvg(uri) };
+}
+
+/**
+ * Whether a user has 2FA and how many recovery codes are left
+ *
+ * @param {number} userId
+ * @returns {{ enabled: boolean, recoveryCodesLeft: number }}
+ */
+export function getTwoFactorStatus(userId) {
+  const db = getDb();
+
+  const user = db.query('SELECT totp_secret FROM users WHERE id = ?').get(userId);
+  const { count } = db.query('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').get(userId);
+
+  return { enabled: !!user?.totp_secret, recoveryCodesLeft: count };
+}
+
+/**
+ * Replace a user's recovery codes with new ones
+ *
+ * @param {number} userId
+ * @returns {string[]} The codes, to show the user once
+ */
+export function regenerateRecoveryCodes(userId) {
+  const db = getDb();
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const insert = db.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+
+  db.transaction(() => {
+    db.query('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    for (const code of codes) insert.run(userId, hashRecoveryCode(code));
+  })();
+
+  return codes;
+}
+
+/**
+ * Finish enrolling: check a code from the app against the pending secret
+ * and turn 2FA on
+ *
+ * @param {number} userId
+ * @param {string} secret - From generateTotpSecret(), not saved until a code confirms it
+ * @param {string} code
+ * @returns {{ success: boolean, error?: string, recoveryCodes?: string[] }}
+ */
+export function enableTwoFactor(userId, secret, code) {
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return { success: false, error: 'The code is not valid; check the time on your device and try again' };
+  }
+
+  const db = getDb();
+  db.query('UPDATE users SET totp_secret = ?, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(secret, step, userId);
+
+  return { success: true, recoveryCodes: regenerateRecoveryCodes(userId) };
+}
+
+/**
+ * Turn 2FA off and delete the recovery codes
+ *
+ * @param {number} userId
+ */
+export function disableTwoFactor(userId) {
+  const db = getDb();
+
+  db.transaction(() => {
+    db.query('UPDATE users SET totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(userId);
+    db.query('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+/**
+ * Check a second-factor code: a code from the authenticator app, or an
+ * unused recovery code (which is used up)
+ *
+ * @param {number} userId
+ * @param {string} code
+ * @returns {{ success: boolean, method?: 'totp'|'recovery' }}
+ */
+export function verifyTwoFactorCode(userId, code) {
+  if (typeof code !== 'string' || !code.trim()) {
+    return { success: false };
+  }
+
+  const db = getDb();
+  const user = db.query('SELECT totp_secret, totp_last_step FROM users WHERE id = ?').get(userId);
+  if (!user?.totp_secret) {
+    return { success: false };
+  }
+
+  const step = verifyTotp(user.totp_secret, code, { afterStep: user.totp_last_step });
+  if (step !== null) {
+    db.query('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, userId);
+    return { success: true, method: 'totp' };
+  }
+
+  const used = db.query(`
+    UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(userId, hashRecoveryCode(code));
+  if (used.changes > 0) {
+    return { success: true, method: 'recovery' };
+  }
+
+  return { success: false };
+}
+
+/**
+ * Whether publishers and admins must use 2FA
+ *
+ * @returns {boolean}
+ */
+export function isTwoFactorRequiredForPublishers() {
+  const db = getDb();
+  const row = db.query('SELECT value FROM site_settings WHERE key = ?').get(POLICY_KEY);
+  return row?.value === 'true';
+}
+
+/**
+ * Set whether publishers and admins must use 2FA
+ *
+ * @param {boolean} required
+ */
+export function setTwoFactorRequiredForPublishers(required) {
+  const db = getDb();
+  db.query(`
+    INSERT INTO site_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `).run(POLICY_KEY, String(!!required));
+}
+
+/**
+ * Whether a user with this role must have 2FA under the current policy
+ *
+ * @param {string|null} role
+ * @returns {boolean}
+ */
+export function isTwoFactorRequired(role) {
+  return hasRole(role, 'publisher') && isTwoFactorRequiredForPublishers();
+}
@@ -0,0 +1,156 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// End-to-end chat flows against the mock AI provider and the fixtures in
+// fixtures/ai, on a throwaway database. Set up before the app modules load.
+const DB_PATH = path.join(os.tmpdir(), `capuzzella-test-${randomUUID()}.db`);
+process.env.DB_PATH = DB_PATH;
+process.env.AI_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'error';
+delete process.env.AI_MOCK_FIXTURES;
+
+const { closeDb } = await import('../src/db/index.js');
+const { createUser } = await import('../src/services/auth.js');
+const { getConversationMessages } = await import('../src/services/conversations.js');
+const { applyDiffs, processChat } = await import('../src/services/ai/index.js');
+const { resetMockProvider } = await import('../src/services/ai/mock.js');
+
+const DRAFTS_DIR = path.join(import.meta.dir, '../data/drafts');
+const RAW_ARGS_FIXTURES = path.join(import.meta.dir, 'fixtures/ai-raw-args.json');
+
+let userId;
+let indexHtml;
+
+/**
+ * Send a chat message about a page, as POST /api/chat does
+ */
+function chat(message, { html = indexHtml, pagePath = 'index.html', conversationId = null } = {}) {
+  return processChat(message, html, pagePath, conversationId, { userId });
+}
+
+beforeAll(async () => {
+  userId = (await createUser(`tester-${randomUUID()}`, 'test-password-123')).id;
+  indexHtml = await fs.readFile(path.join(DRAFTS_DIR, 'index.html'), 'utf-8');
+});
+
+afterAll(async () => {
+  closeDb();
+  for (const suffix of ['', '-wal', '-shm']) {
+    await fs.rm(`${DB_PATH}${suffix}`, { force: true });
+  }
+});
+
+describe('mock AI provider', () => {
+  test('edits the page with search/replace changes', async () => {
+    const result = await chat('Change the heading to Hello World');
+
+    expect(result.action).toBe('edit');
+    expect(result.assistantMessage).toBe('Changed the hero heading to "Hello World".');
+    expect(result.changeResults).toEqual([{ applied: true, fuzzy: false }]);
+    expect(result.updatedHtml).toContain('Hello World');
+    expect(result.updatedHtml).not.toContain("A Website Builder like it's 2026!");
+    expect(result.updatedHtml).toBe(applyDiffs(indexHtml, result.changes).html);
+  });
+
+  test('edits the page with DOM operations', async () => {
+    const result = await chat('Please point the GitHub button to the releases');
+
+    expect(result.action).toBe('edit');
+    expect(result.changeResults.every(r => r.applied)).toBe(true);
+    expect(result.updatedHtml).toContain('href="https://github.com/mauricewipf/capuzzella/releases"');
+    expect(result.updatedHtml).toMatch(/class="btn btn-light[^"]*"[^>]*>\s*Download\s*</);
+  });
+
+  test('looks up a component before editing', async () => {
+    const result = await chat('Add a card below the hero');
+
+    expect(result.action).toBe('edit');
+    expect(result.updatedHtml).toContain('<h5 class="card-title">Card title</h5>');
+    expect(result.updatedHtml.indexOf('card-title')).toBeLessThan(result.updatedHtml.indexOf('id="features"'));
+  });
+
+  test('skips changes that do not match and says so', async () => {
+    const changedHtml = indexHtml.replace("A Website Builder like it's 2026!", 'Another heading');
+    const result = await chat('Change the heading to Hello World', { html: changedHtml });
+
+    expect(result.action).toBe('respond');
+    expect(result.updatedHtml).toBeNull();
+    expect(result.assistantMessage).toContain('I was unable to apply the requested changes');
+  });
+
+  test('creates a page', async () => {
+    const result = await chat('Create a contact page', { html: null, pagePath: 'contact.html' });
+
+    expect(result.action).toBe('create');
+    expect(result.newPagePath).toBe('contact.html');
+    expect(result.updatedHtml).toContain('<form data-contact>');
+  });
+
+  test('responds without changing anything', async () => {
+    const result = await chat('What can you do?');
+
+    expect(result.action).toBe('respond');
+    expect(result.updatedHtml).toBeNull();
+    expect(result.assistantMessage).toStartWith('I can edit this page');
+  });
+
+  test('runs lookups before responding', async () => {
+    const result = await chat('Check the navigation of the site');
+
+    expect(result.action).toBe('respond');
+    expect(result.assistantMessage).toContain('none of them link to the other pages');
+  });
+
+  test('edits several pages at once', async () => {
+    const result = await chat('Link the roadmap in every footer');
+
+    expect(result.action).toBe('edit_pages');
+    expect(result.pagesApplied).toBe(true);
+    expect(result.pageResults.map(r => r.pagePath)).toEqual(['index.html', 'roadmap.html', 'imprint.html']);
+    for (const page of result.pageResults) {
+      expect(page.error).toBeNull();
+      expect(page.updatedHtml).toContain('<a href="roadmap.html" class="link-light">Roadmap</a>');
+      expect(page.updatedHtml).toBe(applyDiffs(page.originalHtml, result.pageChanges.find(p => p.path === page.pagePath).changes).html);
+    }
+  });
+
+  test('fails on a truncated response', async () => {
+    await expect(chat('Rewrite everything')).rejects.toThrow('truncated');
+  });
+
+  test('asks again after malformed tool arguments', async () => {
+    process.env.AI_MOCK_FIXTURES = RAW_ARGS_FIXTURES;
+    resetMockProvider();
+
+    try {
+      const result = await chat('Change the heading');
+
+      expect(result.action).toBe('edit');
+      expect(result.assistantMessage).toBe('Changed the hero heading to "Hello again".');
+      expect(result.updatedHtml).toContain('Hello again');
+    } finally {
+      delete process.env.AI_MOCK_FIXTURES;
+      resetMockProvider();
+    }
+  });
+
+  test('answers unmatched requests from the fixture sequence', async () => {
+    const result = await chat('Something no fixture expects');
+
+    expect(result.action).toBe('respond');
+    expect(result.assistantMessage).toContain('scripted reply from the mock AI provider');
+  });
+
+  test('stores the turn in the conversation', async () => {
+    const first = await chat('What can you do?');
+    const second = await chat('Change the heading to Hello World', { conversationId: first.conversationId });
+
+    expect(second.conversationId).toBe(first.conversationId);
+    const messages = getConversationMessages(first.conversationId);
+    expect(messages.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(messages[3].text).toBe('Changed the hero heading to "Hello World".');
+  });
+});